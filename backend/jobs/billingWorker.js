@@ -0,0 +1,48 @@
+// /jobs/billingWorker.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Worker } = require('bullmq');
+const billingQueue = require('../queues/billingQueue');
+const { generateRentInvoices } = require('../utils/billing');
+const { sendRentReminders } = require('../utils/billingNotices');
+
+const schedule = process.env.BILLING_CRON || '0 7 * * *';
+const timezone = process.env.BILLING_TZ || 'Africa/Nairobi';
+
+const worker = new Worker(
+  'rent-billing',
+  async job => ({
+    invoices: await generateRentInvoices(job.data),
+    reminders: await sendRentReminders(job.data),
+  }),
+  {
+    connection: {
+      host: process.env.REDIS_HOST || '127.0.0.1',
+      port: process.env.REDIS_PORT || 6379
+    }
+  }
+);
+
+worker.on('completed', (job, summary) => {
+  console.log(`✅ Billing job ${job.id} completed`, summary);
+});
+
+worker.on('failed', (job, err) => {
+  console.error(`❌ Billing job ${job.id} failed`, err);
+});
+
+(async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Invoices are keyed by lease and month and reminders by day, so repeated runs are safe
+  await billingQueue.upsertJobScheduler(
+    'daily-billing',
+    { pattern: schedule, tz: timezone },
+    { name: 'bill-and-remind' }
+  );
+  console.log(`🔁 Rent billing scheduled (${schedule}, ${timezone})`);
+})().catch(err => {
+  console.error('❌ Billing worker startup failed', err);
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+// /jobs/chatWorker.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Worker } = require('bullmq');
+const { sendUnreadDigest } = require('../utils/chatNotices');
+
+const worker = new Worker(
+  'chat-notices',
+  async job => sendUnreadDigest(job.data),
+  {
+    connection: {
+      host: process.env.REDIS_HOST || '127.0.0.1',
+      port: process.env.REDIS_PORT || 6379
+    }
+  }
+);
+
+worker.on('completed', (job, result) => {
+  console.log(`✅ Chat notice ${job.id} completed`, result);
+});
+
+worker.on('failed', (job, err) => {
+  console.error(`❌ Chat notice ${job.id} failed`, err);
+});
+
+mongoose.connect(process.env.MONGODB_URI).catch(err => {
+  console.error('❌ Chat worker startup failed', err);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+// /jobs/maintenanceWorker.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Worker } = require('bullmq');
+const maintenanceQueue = require('../queues/maintenanceQueue');
+const { checkSlas } = require('../utils/maintenance');
+
+const schedule = process.env.MAINTENANCE_SLA_CRON || '*/15 * * * *';
+const timezone = process.env.MAINTENANCE_SLA_TZ || 'Africa/Nairobi';
+
+const worker = new Worker(
+  'maintenance-sla',
+  async job => checkSlas(job.data),
+  {
+    connection: {
+      host: process.env.REDIS_HOST || '127.0.0.1',
+      port: process.env.REDIS_PORT || 6379
+    }
+  }
+);
+
+worker.on('completed', (job, summary) => {
+  console.log(`✅ SLA check ${job.id} completed`, summary);
+});
+
+worker.on('failed', (job, err) => {
+  console.error(`❌ SLA check ${job.id} failed`, err);
+});
+
+(async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Each breach is escalated once, so overlapping checks are harmless
+  await maintenanceQueue.upsertJobScheduler(
+    'maintenance-sla',
+    { pattern: schedule, tz: timezone },
+    { name: 'check-slas' }
+  );
+  console.log(`🔁 Maintenance SLA checks scheduled (${schedule}, ${timezone})`);
+})().catch(err => {
+  console.error('❌ Maintenance worker startup failed', err);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+// /jobs/penaltyWorker.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Worker } = require('bullmq');
+const penaltyQueue = require('../queues/penaltyQueue');
+const { applyPenalties } = require('../utils/penalties');
+
+const schedule = process.env.PENALTY_CRON || '0 6 * * *';
+const timezone = process.env.PENALTY_TZ || 'Africa/Nairobi';
+
+const worker = new Worker(
+  'late-penalties',
+  async job => applyPenalties(job.data),
+  {
+    connection: {
+      host: process.env.REDIS_HOST || '127.0.0.1',
+      port: process.env.REDIS_PORT || 6379
+    }
+  }
+);
+
+worker.on('completed', (job, summary) => {
+  console.log(`✅ Penalty job ${job.id} completed`, summary);
+});
+
+worker.on('failed', (job, err) => {
+  console.error(`❌ Penalty job ${job.id} failed`, err);
+});
+
+(async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Runs are idempotent, so a retried or repeated day never double charges
+  await penaltyQueue.upsertJobScheduler(
+    'daily-penalties',
+    { pattern: schedule, tz: timezone },
+    { name: 'apply-penalties' }
+  );
+  console.log(`🔁 Late penalties scheduled (${schedule}, ${timezone})`);
+})().catch(err => {
+  console.error('❌ Penalty worker startup failed', err);
+  process.exit(1);
+});
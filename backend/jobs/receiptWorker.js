@@ -0,0 +1,36 @@
+// /jobs/receiptWorker.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Worker } = require('bullmq');
+const { issueReceipt, emailReceipt } = require('../utils/receipts');
+
+const worker = new Worker(
+  'payment-receipts',
+  async job => {
+    const receipt = await issueReceipt(job.data.paymentId);
+    // Retried jobs must not email the tenant twice
+    if (!receipt.emailedAt) await emailReceipt(receipt);
+    return receipt.receiptNumber;
+  },
+  {
+    connection: {
+      host: process.env.REDIS_HOST || '127.0.0.1',
+      port: process.env.REDIS_PORT || 6379
+    },
+    concurrency: 2 // Each job launches a headless browser
+  }
+);
+
+worker.on('completed', (job, receiptNumber) => {
+  console.log(`✅ Receipt job ${job.id} completed (${receiptNumber})`);
+});
+
+worker.on('failed', (job, err) => {
+  console.error(`❌ Receipt job ${job.id} failed`, err);
+});
+
+mongoose.connect(process.env.MONGODB_URI).catch(err => {
+  console.error('❌ Receipt worker startup failed', err);
+  process.exit(1);
+});
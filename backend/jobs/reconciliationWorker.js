@@ -0,0 +1,43 @@
+// /jobs/reconciliationWorker.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Worker } = require('bullmq');
+const reconciliationQueue = require('../queues/reconciliationQueue');
+const { reconcilePendingPayments } = require('../utils/paymentReconciliation');
+
+const intervalMinutes = parseInt(process.env.MPESA_RECONCILE_INTERVAL_MINUTES) || 10;
+
+const worker = new Worker(
+  'payment-reconciliation',
+  async job => reconcilePendingPayments(job.data),
+  {
+    connection: {
+      host: process.env.REDIS_HOST || '127.0.0.1',
+      port: process.env.REDIS_PORT || 6379
+    }
+  }
+);
+
+worker.on('completed', (job, summary) => {
+  console.log(`✅ Reconciliation job ${job.id} completed`, summary);
+});
+
+worker.on('failed', (job, err) => {
+  console.error(`❌ Reconciliation job ${job.id} failed`, err);
+});
+
+(async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Idempotent: re-running the worker updates the schedule instead of duplicating it
+  await reconciliationQueue.upsertJobScheduler(
+    'stale-pending-payments',
+    { every: intervalMinutes * 60 * 1000 },
+    { name: 'reconcile' }
+  );
+  console.log(`🔁 Payment reconciliation scheduled every ${intervalMinutes} minutes`);
+})().catch(err => {
+  console.error('❌ Reconciliation worker startup failed', err);
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+// /jobs/viewingWorker.js
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Worker } = require('bullmq');
+const { sendViewingNotice } = require('../utils/viewingNotices');
+
+const worker = new Worker(
+  'viewing-notices',
+  async job => sendViewingNotice(job.data),
+  {
+    connection: {
+      host: process.env.REDIS_HOST || '127.0.0.1',
+      port: process.env.REDIS_PORT || 6379
+    }
+  }
+);
+
+worker.on('completed', (job, result) => {
+  console.log(`✅ Viewing notice ${job.id} completed`, result);
+});
+
+worker.on('failed', (job, err) => {
+  console.error(`❌ Viewing notice ${job.id} failed`, err);
+});
+
+mongoose.connect(process.env.MONGODB_URI).catch(err => {
+  console.error('❌ Viewing worker startup failed', err);
+  process.exit(1);
+});
@@ -1,4 +1,5 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
 
 /**
  * Middleware to authenticate requests using JWT
@@ -28,4 +29,16 @@ const authenticateMiddleware = async (req, res, next) => {
     }
   };
 
-module.exports = { authenticateMiddleware };
+/**
+ * Middleware to restrict a route to the given roles
+ * Must run after authenticateMiddleware
+ * @param {...string} roles - Allowed user roles
+ */
+const restrictTo = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+    next();
+  };
+
+module.exports = { authenticateMiddleware, restrictTo };
@@ -0,0 +1,99 @@
+/**
+ * Safaricom callback authenticity checks
+ * @module mpesaCallbackGuard
+ * @description Logs every raw callback body to MpesaCallbackLog, then rejects
+ * requests that do not carry the deployment's callback token or that come
+ * from outside the optional Safaricom IP allowlist.
+ */
+
+const MpesaCallbackLog = require('../models/MpesaCallbackLog');
+const safeEqual = require('../utils/safeEqual');
+const { extractReference } = require('../utils/mpesaCallbacks');
+
+/**
+ * Published Safaricom Daraja callback source addresses
+ * @constant {string[]} SAFARICOM_IPS
+ */
+const SAFARICOM_IPS = [
+  '196.201.214.200', '196.201.214.206', '196.201.213.114', '196.201.214.207',
+  '196.201.214.208', '196.201.213.44', '196.201.212.127', '196.201.212.138',
+  '196.201.212.129', '196.201.212.136', '196.201.212.74', '196.201.212.69'
+];
+
+/**
+ * Guard configuration
+ * @constant {Object} settings
+ * @property {string} token - MPESA_CALLBACK_TOKEN, appended to every callback URL
+ * @property {string[]} allowlist - MPESA_IP_ALLOWLIST ("safaricom" or comma-separated IPs)
+ */
+const settings = {
+  token: process.env.MPESA_CALLBACK_TOKEN,
+  allowlist: (process.env.MPESA_IP_ALLOWLIST || '')
+    .split(',')
+    .map(ip => ip.trim())
+    .filter(Boolean)
+    .flatMap(ip => (ip.toLowerCase() === 'safaricom' ? SAFARICOM_IPS : [ip]))
+};
+
+/**
+ * Strips the IPv4-mapped IPv6 prefix Express reports on dual-stack sockets
+ * @param {string} ip
+ * @returns {string}
+ */
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:/, '');
+
+/**
+ * Returns why a request should be rejected, or null when it passes
+ * @function findRejection
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const findRejection = (req) => {
+  if (settings.token) {
+    const supplied = req.params.token || req.query.token;
+    if (!supplied || !safeEqual(supplied, settings.token)) return 'Invalid callback token';
+  } else if (process.env.NODE_ENV === 'production') {
+    return 'MPESA_CALLBACK_TOKEN is not configured';
+  }
+
+  if (settings.allowlist.length && !settings.allowlist.includes(normalizeIp(req.ip))) {
+    return `Source IP ${normalizeIp(req.ip)} is not allowlisted`;
+  }
+
+  return null;
+};
+
+/**
+ * Callback guard factory
+ * @function mpesaCallbackGuard
+ * @param {string} type - MpesaCallbackLog type (stk, c2b_confirmation, ...)
+ * @returns {Function} Async middleware; attaches the log entry as req.callbackLog
+ *
+ * @example
+ * router.post('/callback/:token?', mpesaCallbackGuard('stk'), handler);
+ */
+const mpesaCallbackGuard = (type) => async (req, res, next) => {
+  try {
+    req.callbackLog = await MpesaCallbackLog.create({
+      type,
+      reference: extractReference(type, req.body),
+      ip: normalizeIp(req.ip),
+      path: `${req.baseUrl}${req.route?.path || ''}`,
+      body: req.body
+    });
+  } catch (err) {
+    // Never lose a payment because the audit log is unavailable
+    console.error('MPesa callback log failed:', err.message);
+  }
+
+  const rejection = findRejection(req);
+  if (rejection) {
+    console.warn(`Rejected MPesa ${type} callback: ${rejection}`);
+    if (req.callbackLog) await req.callbackLog.markProcessed({ outcome: 'rejected', reason: rejection }).catch(() => {});
+    return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+  }
+
+  next();
+};
+
+module.exports = { SAFARICOM_IPS, settings, findRejection, mpesaCallbackGuard };
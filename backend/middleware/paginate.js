@@ -1,8 +1,15 @@
+const AppError = require('../utils/appError');
+
 /**
  * Database pagination middleware for API endpoints
  * @function paginateResults
  * @description Provides standardized pagination for MongoDB queries
  * @param {mongoose.Model} model - Mongoose model to paginate
+ * @param {Function} [buildQuery] - (req) => { filter, countFilter, sort, select, populate }
+ * for filtered lists; countFilter defaults to filter (set it when filter uses $near,
+ * which countDocuments does not accept)
+ * @param {Object} [options]
+ * @param {number} [options.maxLimit=100] - Largest page size a client may ask for
  * @returns {Function} Async middleware function
  * 
  * @example
@@ -10,6 +17,12 @@
  * router.get('/users', paginateResults(User), (req, res) => {
  *   res.json(res.paginatedResults);
  * });
+ *
+ * // Filtered and sorted
+ * router.get('/units', paginateResults(Unit, (req) => ({
+ *   filter: { status: 'vacant' },
+ *   sort: { rent: 1 }
+ * })), handler);
  * 
  * @remarks
  * Pagination Features:
@@ -19,16 +32,17 @@
  * - Total count and page numbers
  * - Consistent response format
  */
-exports.paginateResults = (model) => async (req, res, next) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+exports.paginateResults = (model, buildQuery, { maxLimit = 100 } = {}) => async (req, res, next) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), maxLimit);
     const startIndex = (page - 1) * limit;
     
     try {
-      const results = {};
+      const { filter = {}, countFilter = filter, sort, select, populate } = buildQuery ? buildQuery(req) : {};
+      const results = { page, limit };
       
       // Total documents count
-      results.total = await model.countDocuments();
+      results.total = await model.countDocuments(countFilter);
       results.totalPages = Math.ceil(results.total / limit);
       
       // Previous page metadata
@@ -48,7 +62,10 @@ exports.paginateResults = (model) => async (req, res, next) => {
       }
       
       // Paginated data
-      results.data = await model.find().limit(limit).skip(startIndex);
+      let query = model.find(filter, select);
+      if (sort) query = query.sort(sort);
+      if (populate) query = query.populate(populate);
+      results.data = await query.skip(startIndex).limit(limit);
       
       // Attach to response object
       res.paginatedResults = results;
@@ -61,6 +78,8 @@ exports.paginateResults = (model) => async (req, res, next) => {
   /**
    * Pagination Response Structure:
    * @typedef {Object} PaginationResult
+   * @property {number} page - Current page number
+   * @property {number} limit - Results per page
    * @property {number} total - Total number of documents
    * @property {number} totalPages - Total number of pages
    * @property {Object} [previous] - Previous page details
@@ -100,6 +119,8 @@ exports.paginateResults = (model) => async (req, res, next) => {
    * 
    * Example Response:
    * {
+   *   "page": 2,
+   *   "limit": 10,
    *   "total": 100,
    *   "totalPages": 10,
    *   "previous": { "page": 1, "limit": 10 },
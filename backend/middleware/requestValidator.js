@@ -1,6 +1,16 @@
-// Create a new file middleware/requestValidator.js
-const { query } = require('express-validator');
+/**
+ * Shared request validators
+ * @module middleware/requestValidator
+ */
+const { query, validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
 
+const PAYMENT_STATUSES = Payment.schema.path('status').enumValues;
+
+/**
+ * Page/limit checks for paginated history endpoints
+ * @constant {Function[]} validateHistoryRequest
+ */
 const validateHistoryRequest = [
   query('page')
     .optional()
@@ -19,7 +29,30 @@ const validateHistoryRequest = [
   }
 ];
 
-// Update the history endpoint in mpesaRoutes.js
-router.get("/history/:phone", validateHistoryRequest, asyncHandler(async (req, res) => {
-  // ... existing code ...
-}));
\ No newline at end of file
+/**
+ * Payment list filters shared by /payments/me and the admin console
+ * @constant {Function[]} validatePaymentQuery
+ * @see {@link module:utils/paymentQuery} for how they are applied
+ */
+const validatePaymentQuery = [
+  query('status').optional().custom((value) =>
+    String(value).split(',').every((s) => PAYMENT_STATUSES.includes(s.trim()))
+  ).withMessage(`status must be one of ${PAYMENT_STATUSES.join(', ')}`),
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  query('minAmount').optional().isFloat({ min: 0 }).withMessage('minAmount must be a positive number'),
+  query('maxAmount').optional().isFloat({ min: 0 }).withMessage('maxAmount must be a positive number'),
+  query('receipt').optional().isAlphanumeric().isLength({ max: 20 }).withMessage('Invalid receipt number'),
+  query('sort').optional().isString(),
+  // Rejected rather than ignored: a mistyped id must not widen the results to every payment
+  query(['user', 'landlord', 'property']).optional().isMongoId().withMessage('Invalid id'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+    next();
+  }
+];
+
+module.exports = { validateHistoryRequest, validatePaymentQuery };
@@ -6,8 +6,8 @@
 
 const multer = require('multer');
 const sharp = require('sharp');
-const path = require('path');
 const AppError = require('../utils/appError');
+const { getStorage } = require('../storage');
 
 /**
  * Multer memory storage configuration
@@ -58,6 +58,188 @@ const upload = multer({
  */
 exports.uploadUserPhoto = upload.single('photo');
 
+/**
+ * Upload limits for listing galleries
+ * @constant {Object} LISTING_PHOTO_LIMITS
+ * @property {number} fileSize - Bytes per photo (LISTING_PHOTO_MAX_MB, default 10)
+ * @property {number} files - Photos per request (LISTING_PHOTO_MAX_FILES, default 10)
+ */
+const LISTING_PHOTO_LIMITS = {
+  fileSize: (parseInt(process.env.LISTING_PHOTO_MAX_MB) || 10) * 1024 * 1024,
+  files: parseInt(process.env.LISTING_PHOTO_MAX_FILES) || 10
+};
+
+/**
+ * Accepts only formats Sharp can turn into listing variants
+ * @function listingPhotoFilter
+ * @param {Object} req - Express request object
+ * @param {Object} file - Uploaded file object
+ * @param {Function} cb - Multer callback
+ */
+const listingPhotoFilter = (req, file, cb) => {
+  if (['image/jpeg', 'image/png', 'image/webp', 'image/avif'].includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Photos must be JPEG, PNG, WebP or AVIF images', 400), false);
+  }
+};
+
+const listingUpload = multer({
+  storage: multerStorage,
+  fileFilter: listingPhotoFilter,
+  limits: LISTING_PHOTO_LIMITS
+}).array('photos', LISTING_PHOTO_LIMITS.files);
+
+/**
+ * Runs a Multer middleware, turning its limit errors into 400 responses
+ * @function withUploadErrors
+ * @param {Function} upload - Configured Multer middleware
+ * @param {Object<string, string>} messages - Response text per MulterError code
+ * @returns {Function} Express middleware
+ */
+const withUploadErrors = (upload, messages) => (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: messages[err.code] || err.message });
+    }
+    next(err);
+  });
+};
+
+/**
+ * Multi-file upload middleware for listing photos
+ * @function uploadListingPhotos
+ * @exports uploadListingPhotos
+ * @description Reads up to LISTING_PHOTO_LIMITS.files images from the 'photos'
+ * field into memory and turns Multer's limit errors into 400 responses
+ *
+ * @example
+ * router.post('/:id/photos', uploadListingPhotos, addListingPhotos);
+ */
+exports.uploadListingPhotos = withUploadErrors(listingUpload, {
+  LIMIT_FILE_SIZE: `Each photo must be under ${LISTING_PHOTO_LIMITS.fileSize / 1024 / 1024} MB`,
+  LIMIT_FILE_COUNT: `Upload at most ${LISTING_PHOTO_LIMITS.files} photos at a time`,
+  LIMIT_UNEXPECTED_FILE: `Send photos in the "photos" field, at most ${LISTING_PHOTO_LIMITS.files} at a time`
+});
+
+/**
+ * Upload limits for rental application documents
+ * @constant {Object} DOCUMENT_LIMITS
+ * @property {number} fileSize - Bytes per file (APPLICATION_DOC_MAX_MB, default 10)
+ * @property {number} files - Files per request
+ */
+const DOCUMENT_LIMITS = {
+  fileSize: (parseInt(process.env.APPLICATION_DOC_MAX_MB) || 10) * 1024 * 1024,
+  files: 5
+};
+
+/**
+ * Accepts PDFs and photos or scans of documents
+ * @function documentFilter
+ * @param {Object} req - Express request object
+ * @param {Object} file - Uploaded file object
+ * @param {Function} cb - Multer callback
+ */
+const documentFilter = (req, file, cb) => {
+  if (['application/pdf', 'image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Documents must be PDF, JPEG, PNG or WebP files', 400), false);
+  }
+};
+
+const documentUpload = multer({
+  storage: multerStorage,
+  fileFilter: documentFilter,
+  limits: DOCUMENT_LIMITS
+}).array('documents', DOCUMENT_LIMITS.files);
+
+/**
+ * Multi-file upload middleware for application documents
+ * @function uploadDocuments
+ * @exports uploadDocuments
+ * @description Reads up to DOCUMENT_LIMITS.files files from the 'documents'
+ * field into memory. Files are kept as uploaded; they are stored privately.
+ *
+ * @example
+ * router.post('/:id/documents', uploadDocuments, addApplicationDocuments);
+ */
+exports.uploadDocuments = withUploadErrors(documentUpload, {
+  LIMIT_FILE_SIZE: `Each document must be under ${DOCUMENT_LIMITS.fileSize / 1024 / 1024} MB`,
+  LIMIT_FILE_COUNT: `Upload at most ${DOCUMENT_LIMITS.files} documents at a time`,
+  LIMIT_UNEXPECTED_FILE: `Send documents in the "documents" field, at most ${DOCUMENT_LIMITS.files} at a time`
+});
+
+/**
+ * Upload limits for maintenance ticket photos
+ * @constant {Object} MAINTENANCE_PHOTO_LIMITS
+ * @property {number} fileSize - Bytes per photo (MAINTENANCE_PHOTO_MAX_MB, default 10)
+ * @property {number} files - Photos per request
+ */
+const MAINTENANCE_PHOTO_LIMITS = {
+  fileSize: (parseInt(process.env.MAINTENANCE_PHOTO_MAX_MB) || 10) * 1024 * 1024,
+  files: 5
+};
+
+const maintenanceUpload = multer({
+  storage: multerStorage,
+  fileFilter: listingPhotoFilter,
+  limits: MAINTENANCE_PHOTO_LIMITS
+}).array('photos', MAINTENANCE_PHOTO_LIMITS.files);
+
+/**
+ * Multi-file upload middleware for maintenance ticket photos
+ * @function uploadMaintenancePhotos
+ * @exports uploadMaintenancePhotos
+ * @description Reads up to MAINTENANCE_PHOTO_LIMITS.files images from the
+ * 'photos' field into memory. Optional: requests without files pass through.
+ *
+ * @example
+ * router.post('/', uploadMaintenancePhotos, openTicket);
+ */
+exports.uploadMaintenancePhotos = withUploadErrors(maintenanceUpload, {
+  LIMIT_FILE_SIZE: `Each photo must be under ${MAINTENANCE_PHOTO_LIMITS.fileSize / 1024 / 1024} MB`,
+  LIMIT_FILE_COUNT: `Upload at most ${MAINTENANCE_PHOTO_LIMITS.files} photos at a time`,
+  LIMIT_UNEXPECTED_FILE: `Send photos in the "photos" field, at most ${MAINTENANCE_PHOTO_LIMITS.files} at a time`
+});
+
+/**
+ * Upload limits for chat attachments
+ * @constant {Object} CHAT_ATTACHMENT_LIMITS
+ * @property {number} fileSize - Bytes per file (CHAT_ATTACHMENT_MAX_MB, default 10)
+ * @property {number} files - Files per message
+ */
+const CHAT_ATTACHMENT_LIMITS = {
+  fileSize: (parseInt(process.env.CHAT_ATTACHMENT_MAX_MB) || 10) * 1024 * 1024,
+  files: 5
+};
+
+const chatUpload = multer({
+  storage: multerStorage,
+  fileFilter: documentFilter,
+  limits: CHAT_ATTACHMENT_LIMITS
+}).array('attachments', CHAT_ATTACHMENT_LIMITS.files);
+
+/**
+ * Multi-file upload middleware for chat messages
+ * @function uploadChatAttachments
+ * @exports uploadChatAttachments
+ * @description Reads up to CHAT_ATTACHMENT_LIMITS.files PDFs or images from
+ * the 'attachments' field into memory. Optional: text-only messages pass through.
+ *
+ * @example
+ * router.post('/conversations/:id/messages', uploadChatAttachments, postMessage);
+ */
+exports.uploadChatAttachments = withUploadErrors(chatUpload, {
+  LIMIT_FILE_SIZE: `Each attachment must be under ${CHAT_ATTACHMENT_LIMITS.fileSize / 1024 / 1024} MB`,
+  LIMIT_FILE_COUNT: `Send at most ${CHAT_ATTACHMENT_LIMITS.files} attachments per message`,
+  LIMIT_UNEXPECTED_FILE: `Send files in the "attachments" field, at most ${CHAT_ATTACHMENT_LIMITS.files} per message`
+});
+
+exports.LISTING_PHOTO_LIMITS = LISTING_PHOTO_LIMITS;
+
 /**
  * Image processing middleware for user photos
  * @async
@@ -76,7 +258,8 @@ exports.uploadUserPhoto = upload.single('photo');
  * 3. Resizes to 500x500px square
  * 4. Converts to JPEG format
  * 5. Applies 90% quality compression
- * 6. Saves to public/img/users directory
+ * 6. Saves to img/users/ in the configured storage (public/img/users on local disk,
+ *    as before) and sets req.file.url
  * 
  * Security Features:
  * - Generates sanitized filenames
@@ -89,13 +272,19 @@ exports.resizeUserPhoto = async (req, res, next) => {
   // Generate unique filename
   req.file.filename = `user-${req.user.id}-${Date.now()}.jpeg`;
 
-  await sharp(req.file.buffer)
-    .resize(500, 500)          // Square crop
-    .toFormat('jpeg')          // Standardize format
-    .jpeg({ quality: 90 })     // Balance quality/size
-    .toFile(path.join(__dirname, `../public/img/users/${req.file.filename}`));
+  try {
+    const buffer = await sharp(req.file.buffer)
+      .resize(500, 500)          // Square crop
+      .toFormat('jpeg')          // Standardize format
+      .jpeg({ quality: 90 })     // Balance quality/size
+      .toBuffer();
 
-  next();
+    const { url } = await getStorage().put(`img/users/${req.file.filename}`, buffer, { contentType: 'image/jpeg' });
+    req.file.url = url;
+    next();
+  } catch (err) {
+    next(err);
+  }
 };
 
 /**
@@ -113,7 +302,7 @@ exports.resizeUserPhoto = async (req, res, next) => {
  *    - Secure filename generation
  * 
  * 3. Storage:
- *    - Saved to filesystem in public directory
+ *    - Saved through the storage driver (local disk or S3, STORAGE_DRIVER)
  *    - Persistent storage after processing
  * 
  * Best Practices:
@@ -0,0 +1,256 @@
+/**
+ * Local Airtel Money simulator
+ * @module mocks/airtelMock
+ * @description Mock of the Airtel Africa Open API collection endpoints for
+ * development and tests. Point AIRTEL_API_BASE at it: USSD pushes are
+ * accepted immediately and, after a delay that stands in for the payer
+ * entering their PIN, the result is posted to the callback URL. Airtel
+ * configures that URL on the merchant app rather than per request, so the
+ * mock takes it from AIRTEL_CALLBACK_URL.
+ *
+ * Endpoints:
+ * - POST /auth/oauth2/token
+ * - POST /merchant/v1/payments/
+ * - GET  /standard/v1/payments/:id
+ * - POST /standard/v1/payments/refund
+ *
+ * Control endpoints (not part of Airtel):
+ * - POST /__mock/outcomes      { outcome, phone? } script the next outcome(s)
+ * - GET  /__mock/transactions  everything the mock has seen
+ * - POST /__mock/reset         forget state and scripted outcomes
+ *
+ * @example
+ * // AIRTEL_CALLBACK_URL=http://localhost:5000/api/v1/payments/callback/airtel npm run mock:airtel
+ * // AIRTEL_API_BASE=http://localhost:5098 npm run dev
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+/**
+ * Scriptable outcomes and the Airtel statuses they produce
+ * @constant {Object} OUTCOMES
+ * @property {Object} success - Payer enters their PIN (TS)
+ * @property {Object} insufficient_funds - Wallet balance too low (TF)
+ * @property {Object} expired - Payer ignores the prompt (TE)
+ * @property {Object} no_callback - Succeeds but the callback is never sent
+ */
+const OUTCOMES = {
+  success: { status: 'TS', message: 'Paid successfully' },
+  insufficient_funds: { status: 'TF', message: 'Transaction failed due to insufficient funds' },
+  expired: { status: 'TE', message: 'Transaction expired' },
+  no_callback: { status: 'TS', message: 'Paid successfully', silent: true },
+};
+
+const STATUS_OK = { code: '200', message: 'SUCCESS', result_code: 'ESB000010', success: true };
+
+const moneyId = () => `MP${Date.now().toString().slice(-6)}.${crypto.randomInt(1000, 9999)}.${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+
+/**
+ * Creates an Airtel Money mock instance
+ * @function createAirtelMock
+ * @param {Object} [options]
+ * @param {number} [options.callbackDelayMs=2000] - Delay before the payment resolves
+ * @param {string} [options.defaultOutcome='success'] - Outcome when nothing is scripted
+ * @param {string} [options.callbackUrl] - Where results are posted (AIRTEL_CALLBACK_URL)
+ * @param {Function} [options.logger=console] - Logger with log/warn methods
+ * @returns {Object} { app, state, setOutcome, reset, listen, close }
+ */
+const createAirtelMock = (options = {}) => {
+  const settings = {
+    callbackDelayMs: options.callbackDelayMs ?? 2000,
+    defaultOutcome: options.defaultOutcome || 'success',
+    callbackUrl: options.callbackUrl || process.env.AIRTEL_CALLBACK_URL,
+    logger: options.logger || console,
+  };
+
+  const state = {
+    tokens: new Set(),
+    transactions: new Map(),  // Merchant transaction id => transaction
+    queuedOutcomes: [],
+    phoneOutcomes: {},
+    callbacks: [],
+  };
+  const timers = new Set();
+  let server = null;
+
+  // ==================== Outcome Scripting ====================
+  const setOutcome = (outcome, phone) => {
+    if (!OUTCOMES[outcome]) throw new Error(`Unknown outcome "${outcome}"`);
+    if (phone) state.phoneOutcomes[String(phone)] = outcome;
+    else state.queuedOutcomes.push(outcome);
+  };
+
+  const nextOutcome = (phone) =>
+    state.phoneOutcomes[String(phone)] || state.queuedOutcomes.shift() || settings.defaultOutcome;
+
+  const reset = () => {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    state.tokens.clear();
+    state.transactions.clear();
+    state.queuedOutcomes = [];
+    state.phoneOutcomes = {};
+    state.callbacks = [];
+  };
+
+  const later = (fn) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, settings.callbackDelayMs);
+    timers.add(timer);
+  };
+
+  // ==================== App ====================
+  const app = express();
+  app.use(express.json());
+
+  const requireToken = (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!state.tokens.has(token)) {
+      return res.status(401).json({ status: { code: '401', message: 'Invalid token', success: false } });
+    }
+    if (!req.headers['x-country'] || !req.headers['x-currency']) {
+      return res.status(400).json({ status: { code: '400', message: 'X-Country and X-Currency are required', success: false } });
+    }
+    next();
+  };
+
+  const publicTransaction = (transaction) => ({
+    id: transaction.id,
+    status: transaction.status,
+    message: transaction.message,
+    airtel_money_id: transaction.airtelMoneyId,
+  });
+
+  app.post('/auth/oauth2/token', (req, res) => {
+    if (!req.body.client_id || !req.body.client_secret || req.body.grant_type !== 'client_credentials') {
+      return res.status(400).json({ error: 'invalid_client' });
+    }
+    const token = crypto.randomBytes(16).toString('hex');
+    state.tokens.add(token);
+    res.json({ access_token: token, expires_in: '180', token_type: 'bearer' });
+  });
+
+  // Collections -------------------------------------------------------------
+  app.post('/merchant/v1/payments/', requireToken, (req, res) => {
+    const { subscriber = {}, transaction: request = {} } = req.body;
+    if (!request.id || !request.amount || !/^\d{9}$/.test(String(subscriber.msisdn))) {
+      return res.status(400).json({ status: { code: '400', message: 'Invalid request', result_code: 'ESB000008', success: false } });
+    }
+    if (state.transactions.has(String(request.id))) {
+      return res.json({ status: { code: '200', message: 'Duplicate transaction id', result_code: 'ESB000041', success: false } });
+    }
+
+    const outcome = nextOutcome(`254${subscriber.msisdn}`);
+    const transaction = {
+      id: String(request.id),
+      msisdn: String(subscriber.msisdn),
+      amount: Number(request.amount),
+      outcome,
+      status: 'TIP',
+      message: 'Transaction in progress',
+    };
+    state.transactions.set(transaction.id, transaction);
+
+    res.json({ data: { transaction: { id: transaction.id, status: 'Success.' } }, status: STATUS_OK });
+
+    later(async () => {
+      const { status, message, silent } = OUTCOMES[outcome];
+      Object.assign(transaction, { status, message, airtelMoneyId: status === 'TS' ? moneyId() : undefined });
+      if (silent || !settings.callbackUrl) return;
+
+      const payload = {
+        transaction: {
+          id: transaction.id,
+          message: transaction.message,
+          status_code: transaction.status,
+          airtel_money_id: transaction.airtelMoneyId,
+        },
+      };
+      state.callbacks.push({ url: settings.callbackUrl, payload, firedAt: new Date() });
+      try {
+        await axios.post(settings.callbackUrl, payload, { timeout: 10000 });
+      } catch (error) {
+        settings.logger.warn(`[airtel-mock] Callback to ${settings.callbackUrl} failed: ${error.message}`);
+      }
+    });
+  });
+
+  app.get('/standard/v1/payments/:id', requireToken, (req, res) => {
+    const transaction = state.transactions.get(req.params.id);
+    if (!transaction) {
+      return res.json({ data: {}, status: { code: '404', message: 'Transaction not found', result_code: 'ESB000014', success: false } });
+    }
+    res.json({ data: { transaction: publicTransaction(transaction) }, status: STATUS_OK });
+  });
+
+  app.post('/standard/v1/payments/refund', requireToken, (req, res) => {
+    const airtelMoneyId = req.body.transaction?.airtel_money_id;
+    const transaction = [...state.transactions.values()].find((t) => t.airtelMoneyId && t.airtelMoneyId === airtelMoneyId);
+    if (!transaction || transaction.refunded) {
+      return res.json({ data: {}, status: { code: '200', message: 'Refund not allowed', result_code: 'ESB000039', success: false } });
+    }
+
+    transaction.refunded = true;
+    res.json({ data: { transaction: { airtel_money_id: moneyId(), status: 'SUCCESS' } }, status: STATUS_OK });
+  });
+
+  // Control -----------------------------------------------------------------
+  app.post('/__mock/outcomes', (req, res) => {
+    try {
+      setOutcome(req.body.outcome, req.body.phone);
+      res.json({ queued: state.queuedOutcomes, phones: state.phoneOutcomes });
+    } catch (error) {
+      res.status(400).json({ error: error.message, outcomes: Object.keys(OUTCOMES) });
+    }
+  });
+
+  app.get('/__mock/transactions', (req, res) => {
+    res.json({ transactions: [...state.transactions.values()], callbacks: state.callbacks });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ reset: true });
+  });
+
+  /**
+   * Starts the mock HTTP server
+   * @param {number} [port=0] - 0 picks a free port
+   * @returns {Promise<http.Server>}
+   */
+  const listen = (port = 0) => new Promise((resolve) => {
+    server = app.listen(port, () => resolve(server));
+  });
+
+  /**
+   * Stops the server and cancels results that have not fired yet
+   * @returns {Promise<void>}
+   */
+  const close = () => new Promise((resolve) => {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    if (!server) return resolve();
+    server.close(() => resolve());
+  });
+
+  return { app, state, setOutcome, reset, listen, close };
+};
+
+module.exports = { OUTCOMES, createAirtelMock };
+
+// Standalone: node mocks/airtelMock.js
+if (require.main === module) {
+  require('dotenv').config();
+  const port = parseInt(process.env.AIRTEL_MOCK_PORT) || 5098;
+  const mock = createAirtelMock({
+    callbackDelayMs: parseInt(process.env.AIRTEL_MOCK_CALLBACK_DELAY_MS) || 2000,
+    defaultOutcome: process.env.AIRTEL_MOCK_DEFAULT_OUTCOME,
+  });
+  mock.listen(port).then(() => {
+    console.log(`🧪 Airtel Money mock listening on http://localhost:${port} (set AIRTEL_API_BASE to this URL)`);
+  });
+}
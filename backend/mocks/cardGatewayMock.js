@@ -0,0 +1,235 @@
+/**
+ * Local card gateway simulator
+ * @module mocks/cardGatewayMock
+ * @description Mock of the hosted card checkout used by providers/cardProvider.
+ * Point CARD_GATEWAY_BASE at it: checkout sessions are created immediately,
+ * the "payer" finishes checkout after a delay, and the signed webhook is
+ * posted to the session's callback_url (or CARD_CALLBACK_URL).
+ *
+ * Endpoints:
+ * - POST /v1/checkout/sessions
+ * - GET  /v1/checkout/sessions/:id
+ * - POST /v1/refunds
+ * - GET  /checkout/:id          stand-in for the hosted payment page
+ *
+ * Control endpoints (not part of the gateway):
+ * - POST /__mock/outcomes      { outcome } script the next outcome(s)
+ * - GET  /__mock/transactions  everything the mock has seen
+ * - POST /__mock/reset         forget state and scripted outcomes
+ *
+ * @example
+ * // CARD_WEBHOOK_SECRET=whsec_test npm run mock:card
+ * // CARD_GATEWAY_BASE=http://localhost:5097 CARD_WEBHOOK_SECRET=whsec_test npm run dev
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+/**
+ * Scriptable outcomes and the session statuses they produce
+ * @constant {Object} OUTCOMES
+ * @property {Object} success - Card charged
+ * @property {Object} declined - Issuer declined the card
+ * @property {Object} expired - Payer abandoned the checkout page
+ * @property {Object} no_callback - Charged but the webhook is never sent
+ */
+const OUTCOMES = {
+  success: { status: 'succeeded' },
+  declined: { status: 'failed', failureReason: 'Your card was declined.' },
+  expired: { status: 'expired', failureReason: 'Checkout session expired' },
+  no_callback: { status: 'succeeded', silent: true },
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Creates a card gateway mock instance
+ * @function createCardGatewayMock
+ * @param {Object} [options]
+ * @param {number} [options.callbackDelayMs=2000] - Delay before checkout completes
+ * @param {string} [options.defaultOutcome='success'] - Outcome when nothing is scripted
+ * @param {string} [options.callbackUrl] - Fallback webhook URL (CARD_CALLBACK_URL)
+ * @param {string} [options.webhookSecret] - Signing secret (CARD_WEBHOOK_SECRET)
+ * @param {Function} [options.logger=console] - Logger with log/warn methods
+ * @returns {Object} { app, state, setOutcome, reset, listen, close }
+ */
+const createCardGatewayMock = (options = {}) => {
+  const settings = {
+    callbackDelayMs: options.callbackDelayMs ?? 2000,
+    defaultOutcome: options.defaultOutcome || 'success',
+    callbackUrl: options.callbackUrl || process.env.CARD_CALLBACK_URL,
+    webhookSecret: options.webhookSecret || process.env.CARD_WEBHOOK_SECRET || 'whsec_test',
+    logger: options.logger || console,
+  };
+
+  const state = {
+    sessions: new Map(),  // Session id => session
+    refunds: [],
+    queuedOutcomes: [],
+    callbacks: [],
+  };
+  const timers = new Set();
+  let server = null;
+
+  // ==================== Outcome Scripting ====================
+  const setOutcome = (outcome) => {
+    if (!OUTCOMES[outcome]) throw new Error(`Unknown outcome "${outcome}"`);
+    state.queuedOutcomes.push(outcome);
+  };
+
+  const reset = () => {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    state.sessions.clear();
+    state.refunds = [];
+    state.queuedOutcomes = [];
+    state.callbacks = [];
+  };
+
+  // ==================== Webhook Delivery ====================
+  const sendWebhook = async (session) => {
+    const url = session.callback_url || settings.callbackUrl;
+    if (!url) return;
+
+    const rawBody = JSON.stringify({ type: `checkout.session.${session.status}`, data: session });
+    const signature = crypto.createHmac('sha256', settings.webhookSecret).update(rawBody).digest('hex');
+    state.callbacks.push({ url, payload: JSON.parse(rawBody), firedAt: new Date() });
+
+    try {
+      await axios.post(url, rawBody, {
+        headers: { 'Content-Type': 'application/json', 'x-signature': signature },
+        timeout: 10000,
+      });
+    } catch (error) {
+      settings.logger.warn(`[card-mock] Webhook to ${url} failed: ${error.message}`);
+    }
+  };
+
+  // ==================== App ====================
+  const app = express();
+  app.use(express.json());
+
+  const requireKey = (req, res, next) => {
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+      return res.status(401).json({ error: { type: 'authentication_error', message: 'Invalid API key' } });
+    }
+    next();
+  };
+
+  app.post('/v1/checkout/sessions', requireKey, (req, res) => {
+    const { amount, currency, reference, return_url: returnUrl, callback_url: callbackUrl } = req.body;
+    if (!Number.isInteger(Number(amount)) || Number(amount) < 1 || !reference) {
+      return res.status(400).json({ error: { type: 'invalid_request_error', message: 'amount and reference are required' } });
+    }
+
+    const outcome = state.queuedOutcomes.shift() || settings.defaultOutcome;
+    const id = randomId('cs');
+    const session = {
+      id,
+      status: 'pending',
+      amount: Number(amount),
+      currency: currency || 'KES',
+      reference: String(reference),
+      return_url: returnUrl,
+      callback_url: callbackUrl,
+      checkout_url: `${req.protocol}://${req.get('host')}/checkout/${id}`,
+    };
+    state.sessions.set(id, session);
+    res.status(201).json(session);
+
+    // Stands in for the payer finishing (or abandoning) the hosted page
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      const { status, failureReason, silent } = OUTCOMES[outcome];
+      session.status = status;
+      if (status === 'succeeded') session.charge_id = randomId('ch');
+      else session.failure_reason = failureReason;
+      if (!silent) sendWebhook(session);
+    }, settings.callbackDelayMs);
+    timers.add(timer);
+  });
+
+  app.get('/v1/checkout/sessions/:id', requireKey, (req, res) => {
+    const session = state.sessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: { type: 'invalid_request_error', message: 'No such session' } });
+    res.json(session);
+  });
+
+  app.post('/v1/refunds', requireKey, (req, res) => {
+    const session = [...state.sessions.values()].find((s) => s.charge_id && s.charge_id === req.body.charge_id);
+    if (!session) return res.status(404).json({ error: { type: 'invalid_request_error', message: 'No such charge' } });
+
+    const refunded = state.refunds.filter((r) => r.charge_id === session.charge_id).reduce((sum, r) => sum + r.amount, 0);
+    const amount = Number(req.body.amount ?? session.amount);
+    const refund = { id: randomId('re'), charge_id: session.charge_id, amount };
+
+    refund.status = amount > 0 && refunded + amount <= session.amount ? 'succeeded' : 'failed';
+    if (refund.status === 'failed') refund.failure_reason = 'Refund exceeds the charged amount';
+    else state.refunds.push(refund);
+
+    res.json(refund);
+  });
+
+  app.get('/checkout/:id', (req, res) => {
+    const session = state.sessions.get(req.params.id);
+    if (!session) return res.status(404).send('Checkout session not found');
+    res.send(`<h1>Mock card checkout</h1><p>KES ${session.amount} (${session.reference}): ${session.status}</p>`);
+  });
+
+  // Control -----------------------------------------------------------------
+  app.post('/__mock/outcomes', (req, res) => {
+    try {
+      setOutcome(req.body.outcome);
+      res.json({ queued: state.queuedOutcomes });
+    } catch (error) {
+      res.status(400).json({ error: error.message, outcomes: Object.keys(OUTCOMES) });
+    }
+  });
+
+  app.get('/__mock/transactions', (req, res) => {
+    res.json({ sessions: [...state.sessions.values()], refunds: state.refunds, callbacks: state.callbacks });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ reset: true });
+  });
+
+  /**
+   * Starts the mock HTTP server
+   * @param {number} [port=0] - 0 picks a free port
+   * @returns {Promise<http.Server>}
+   */
+  const listen = (port = 0) => new Promise((resolve) => {
+    server = app.listen(port, () => resolve(server));
+  });
+
+  /**
+   * Stops the server and cancels checkouts that have not completed yet
+   * @returns {Promise<void>}
+   */
+  const close = () => new Promise((resolve) => {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    if (!server) return resolve();
+    server.close(() => resolve());
+  });
+
+  return { app, state, setOutcome, reset, listen, close };
+};
+
+module.exports = { OUTCOMES, createCardGatewayMock };
+
+// Standalone: node mocks/cardGatewayMock.js
+if (require.main === module) {
+  require('dotenv').config();
+  const port = parseInt(process.env.CARD_MOCK_PORT) || 5097;
+  const mock = createCardGatewayMock({
+    callbackDelayMs: parseInt(process.env.CARD_MOCK_CALLBACK_DELAY_MS) || 2000,
+    defaultOutcome: process.env.CARD_MOCK_DEFAULT_OUTCOME,
+  });
+  mock.listen(port).then(() => {
+    console.log(`🧪 Card gateway mock listening on http://localhost:${port} (set CARD_GATEWAY_BASE to this URL)`);
+  });
+}
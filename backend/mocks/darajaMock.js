@@ -0,0 +1,421 @@
+/**
+ * Local Daraja sandbox simulator
+ * @module mocks/darajaMock
+ * @description Mock of the Safaricom Daraja API for development and tests.
+ * Point MPESA_API_BASE at it and payments work offline: requests are
+ * answered synchronously like Daraja does, and the matching callbacks are
+ * fired asynchronously to the URLs the request named.
+ *
+ * Endpoints:
+ * - GET  /oauth/v1/generate
+ * - POST /mpesa/stkpush/v1/processrequest
+ * - POST /mpesa/stkpushquery/v1/query
+ * - POST /mpesa/c2b/v1/registerurl
+ * - POST /mpesa/c2b/v1/simulate
+ * - POST /mpesa/b2c/v1/paymentrequest
+ * - POST /mpesa/reversal/v1/request
+ *
+ * Control endpoints (not part of Daraja):
+ * - POST /__mock/outcomes      { outcome, phone? } script the next outcome(s)
+ * - GET  /__mock/transactions  everything the mock has seen
+ * - POST /__mock/reset         forget state and scripted outcomes
+ *
+ * @example
+ * // Standalone
+ * // MPESA_CALLBACK_URL=http://localhost:5000/api/v1/mpesa/callback npm run mock:daraja
+ * // MPESA_API_BASE=http://localhost:5099 npm run dev
+ *
+ * // In tests
+ * const { createDarajaMock } = require('../mocks/darajaMock');
+ * const mock = createDarajaMock({ callbackDelayMs: 10 });
+ * const server = await mock.listen(0);
+ * mock.setOutcome('cancelled');
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const moment = require('moment');
+
+/**
+ * Scriptable outcomes and the Daraja results they produce
+ * @constant {Object} OUTCOMES
+ * @property {Object} success - Transaction completes
+ * @property {Object} cancelled - Customer dismissed the prompt (1032)
+ * @property {Object} insufficient_funds - M-Pesa balance too low (1)
+ * @property {Object} timeout - Customer unreachable (1037); B2C/reversal hit QueueTimeOutURL
+ * @property {Object} no_callback - Succeeds but the callback is never sent (lost callback)
+ */
+const OUTCOMES = {
+  success: { resultCode: 0, resultDesc: 'The service request is processed successfully.' },
+  cancelled: { resultCode: 1032, resultDesc: 'Request cancelled by user.' },
+  insufficient_funds: { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction.' },
+  timeout: { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached.' },
+  no_callback: { resultCode: 0, resultDesc: 'The service request is processed successfully.', silent: true },
+};
+
+// Daraja timestamps are East Africa Time, whatever zone the mock runs in
+const darajaTimestamp = () => moment().utcOffset('+03:00').format('YYYYMMDDHHmmss');
+
+const randomDigits = (length) =>
+  Array.from({ length }, () => crypto.randomInt(10)).join('');
+
+const receiptNumber = () =>
+  `S${crypto.randomBytes(8).toString('base64').replace(/[^A-Z0-9]/gi, '').toUpperCase().padEnd(9, 'X').slice(0, 9)}`;
+
+/**
+ * Creates a Daraja mock instance
+ * @function createDarajaMock
+ * @param {Object} [options]
+ * @param {number} [options.callbackDelayMs=2000] - Delay before callbacks fire
+ * @param {string} [options.defaultOutcome='success'] - Outcome when nothing is scripted
+ * @param {string} [options.callbackUrl] - Fallback STK callback URL (MPESA_CALLBACK_URL)
+ * @param {Function} [options.logger=console] - Logger with log/warn methods
+ * @returns {Object} { app, state, setOutcome, reset, listen, close }
+ */
+const createDarajaMock = (options = {}) => {
+  const settings = {
+    callbackDelayMs: options.callbackDelayMs ?? 2000,
+    defaultOutcome: options.defaultOutcome || 'success',
+    callbackUrl: options.callbackUrl || process.env.MPESA_CALLBACK_URL,
+    logger: options.logger || console,
+  };
+
+  const state = {
+    tokens: new Set(),
+    transactions: new Map(),  // CheckoutRequestID / ConversationID => transaction
+    c2bUrls: {},
+    queuedOutcomes: [],
+    phoneOutcomes: {},
+    callbacks: [],  // Every callback fired, for assertions
+  };
+  const timers = new Set();
+  let server = null;
+
+  // ==================== Outcome Scripting ====================
+  const setOutcome = (outcome, phone) => {
+    if (!OUTCOMES[outcome]) throw new Error(`Unknown outcome "${outcome}"`);
+    if (phone) state.phoneOutcomes[String(phone)] = outcome;
+    else state.queuedOutcomes.push(outcome);
+  };
+
+  const nextOutcome = (phone) =>
+    state.phoneOutcomes[String(phone)] || state.queuedOutcomes.shift() || settings.defaultOutcome;
+
+  const reset = () => {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    state.tokens.clear();
+    state.transactions.clear();
+    state.c2bUrls = {};
+    state.queuedOutcomes = [];
+    state.phoneOutcomes = {};
+    state.callbacks = [];
+  };
+
+  // ==================== Callback Delivery ====================
+  const fire = (url, payload, delay = settings.callbackDelayMs) => new Promise((resolve) => {
+    const timer = setTimeout(async () => {
+      timers.delete(timer);
+      state.callbacks.push({ url, payload, firedAt: new Date() });
+      try {
+        const { data } = await axios.post(url, payload, { timeout: 10000 });
+        resolve(data);
+      } catch (error) {
+        settings.logger.warn(`[daraja-mock] Callback to ${url} failed: ${error.message}`);
+        resolve(null);
+      }
+    }, delay);
+    timers.add(timer);
+  });
+
+  // ==================== App ====================
+  const app = express();
+  app.use(express.json());
+
+  const requireToken = (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!state.tokens.has(token)) {
+      return res.status(401).json({
+        requestId: randomDigits(8),
+        errorCode: '404.001.03',
+        errorMessage: 'Invalid Access Token',
+      });
+    }
+    next();
+  };
+
+  app.get('/oauth/v1/generate', (req, res) => {
+    if (!(req.headers.authorization || '').startsWith('Basic ')) {
+      return res.status(400).json({ errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' });
+    }
+    const token = crypto.randomBytes(14).toString('base64').replace(/[^a-z0-9]/gi, '');
+    state.tokens.add(token);
+    res.json({ access_token: token, expires_in: '3599' });
+  });
+
+  // STK Push ----------------------------------------------------------------
+  app.post('/mpesa/stkpush/v1/processrequest', requireToken, (req, res) => {
+    const { Amount, PhoneNumber, CallBackURL } = req.body;
+    if (!Amount || !PhoneNumber) {
+      return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid Amount or PhoneNumber' });
+    }
+
+    const outcome = nextOutcome(PhoneNumber);
+    const transaction = {
+      type: 'stk',
+      merchantRequestId: `${randomDigits(5)}-${randomDigits(8)}-1`,
+      checkoutRequestId: `ws_CO_${moment().format('DDMMYYYYHHmmss')}${randomDigits(9)}`,
+      amount: Number(Amount),
+      phone: String(PhoneNumber),
+      outcome,
+      completed: false,
+      receipt: outcome === 'success' || outcome === 'no_callback' ? receiptNumber() : undefined,
+    };
+    state.transactions.set(transaction.checkoutRequestId, transaction);
+
+    res.json({
+      MerchantRequestID: transaction.merchantRequestId,
+      CheckoutRequestID: transaction.checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing',
+    });
+
+    const { resultCode, resultDesc, silent } = OUTCOMES[outcome];
+    const stkCallback = {
+      MerchantRequestID: transaction.merchantRequestId,
+      CheckoutRequestID: transaction.checkoutRequestId,
+      ResultCode: resultCode,
+      ResultDesc: resultDesc,
+    };
+    if (resultCode === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: transaction.amount },
+          { Name: 'MpesaReceiptNumber', Value: transaction.receipt },
+          { Name: 'Balance' },
+          { Name: 'TransactionDate', Value: Number(darajaTimestamp()) },
+          { Name: 'PhoneNumber', Value: Number(transaction.phone) },
+        ],
+      };
+    }
+
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      transaction.completed = true;
+    }, settings.callbackDelayMs);
+    timers.add(timer);
+
+    const url = CallBackURL || settings.callbackUrl;
+    if (!silent && url) fire(url, { Body: { stkCallback } });
+  });
+
+  app.post('/mpesa/stkpushquery/v1/query', requireToken, (req, res) => {
+    const transaction = state.transactions.get(req.body.CheckoutRequestID);
+    if (!transaction || !transaction.completed) {
+      return res.status(500).json({
+        requestId: randomDigits(8),
+        errorCode: '500.001.1001',
+        errorMessage: 'The transaction is being processed',
+      });
+    }
+
+    const { resultCode, resultDesc } = OUTCOMES[transaction.outcome];
+    res.json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successsfully',
+      MerchantRequestID: transaction.merchantRequestId,
+      CheckoutRequestID: transaction.checkoutRequestId,
+      ResultCode: String(resultCode),
+      ResultDesc: resultDesc,
+    });
+  });
+
+  // C2B ---------------------------------------------------------------------
+  app.post('/mpesa/c2b/v1/registerurl', requireToken, (req, res) => {
+    const { ShortCode, ConfirmationURL, ValidationURL, ResponseType } = req.body;
+    state.c2bUrls = { shortCode: ShortCode, confirmationUrl: ConfirmationURL, validationUrl: ValidationURL, responseType: ResponseType };
+    res.json({
+      OriginatorCoversationID: randomDigits(5),
+      ResponseCode: '0',
+      ResponseDescription: 'Success',
+    });
+  });
+
+  app.post('/mpesa/c2b/v1/simulate', requireToken, async (req, res) => {
+    const { Amount, Msisdn, BillRefNumber, ShortCode } = req.body;
+    if (!state.c2bUrls.confirmationUrl) {
+      return res.status(400).json({ errorCode: '400.003.02', errorMessage: 'Bad Request - URLs not registered' });
+    }
+
+    const transaction = {
+      type: 'c2b',
+      transId: receiptNumber(),
+      amount: Number(Amount),
+      phone: String(Msisdn),
+      billRefNumber: BillRefNumber,
+    };
+    state.transactions.set(transaction.transId, transaction);
+
+    res.json({
+      OriginatorCoversationID: randomDigits(5),
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.',
+    });
+
+    const payload = {
+      TransactionType: 'Pay Bill',
+      TransID: transaction.transId,
+      TransTime: darajaTimestamp(),
+      TransAmount: String(transaction.amount),
+      BusinessShortCode: String(ShortCode || state.c2bUrls.shortCode),
+      BillRefNumber: BillRefNumber || '',
+      InvoiceNumber: '',
+      OrgAccountBalance: '',
+      ThirdPartyTransID: '',
+      MSISDN: transaction.phone,
+      FirstName: 'John',
+      MiddleName: '',
+      LastName: 'Doe',
+    };
+
+    const validation = state.c2bUrls.validationUrl
+      ? await fire(state.c2bUrls.validationUrl, payload)
+      : { ResultCode: '0' };
+    const accepted = validation
+      ? String(validation.ResultCode) === '0'
+      : state.c2bUrls.responseType !== 'Cancelled';
+
+    transaction.accepted = accepted;
+    if (accepted) fire(state.c2bUrls.confirmationUrl, payload, 0);
+  });
+
+  // Initiator APIs (B2C, reversal) --------------------------------------------
+  const initiatorRequest = (type, buildParameters) => (req, res) => {
+    // B2C names the field InitiatorName, Reversal names it Initiator
+    const { SecurityCredential, ResultURL, QueueTimeOutURL, InitiatorName, Initiator } = req.body;
+    if (!SecurityCredential || !(InitiatorName || Initiator)) {
+      return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid Initiator' });
+    }
+
+    const outcome = nextOutcome(req.body.PartyB || req.body.TransactionID);
+    const transaction = {
+      type,
+      conversationId: `AG_${moment().format('YYYYMMDD')}_${crypto.randomBytes(10).toString('hex')}`,
+      originatorConversationId: `${randomDigits(5)}-${randomDigits(8)}-1`,
+      outcome,
+      request: req.body,
+      transactionId: receiptNumber(),
+    };
+    state.transactions.set(transaction.conversationId, transaction);
+
+    res.json({
+      ConversationID: transaction.conversationId,
+      OriginatorConversationID: transaction.originatorConversationId,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.',
+    });
+
+    const { resultCode, resultDesc, silent } = OUTCOMES[outcome];
+    const result = {
+      ResultType: 0,
+      ResultCode: resultCode,
+      ResultDesc: resultDesc,
+      OriginatorConversationID: transaction.originatorConversationId,
+      ConversationID: transaction.conversationId,
+      TransactionID: transaction.transactionId,
+    };
+    if (resultCode === 0) {
+      result.ResultParameters = { ResultParameter: buildParameters(req.body, transaction) };
+    }
+
+    if (silent) return;
+    if (outcome === 'timeout') {
+      if (QueueTimeOutURL) fire(QueueTimeOutURL, { Result: { ...result, ResultType: 1 } });
+    } else if (ResultURL) {
+      fire(ResultURL, { Result: result });
+    }
+  };
+
+  app.post('/mpesa/b2c/v1/paymentrequest', requireToken, initiatorRequest('b2c', (body, transaction) => [
+    { Key: 'TransactionAmount', Value: Number(body.Amount) },
+    { Key: 'TransactionReceipt', Value: transaction.transactionId },
+    { Key: 'ReceiverPartyPublicName', Value: `${body.PartyB} - John Doe` },
+    { Key: 'TransactionCompletedDateTime', Value: moment().utcOffset('+03:00').format('DD.MM.YYYY HH:mm:ss') },
+    { Key: 'B2CUtilityAccountAvailableFunds', Value: 1000000 },
+    { Key: 'B2CWorkingAccountAvailableFunds', Value: 1000000 },
+    { Key: 'B2CRecipientIsRegisteredCustomer', Value: 'Y' },
+    { Key: 'B2CChargesPaidAccountAvailableFunds', Value: 0 },
+  ]));
+
+  app.post('/mpesa/reversal/v1/request', requireToken, initiatorRequest('reversal', (body) => [
+    { Key: 'DebitAccountBalance', Value: 'Utility Account|KES|1000000.00|1000000.00|0.00|0.00' },
+    { Key: 'Amount', Value: Number(body.Amount) },
+    { Key: 'TransCompletedTime', Value: Number(darajaTimestamp()) },
+    { Key: 'OriginalTransactionID', Value: body.TransactionID },
+    { Key: 'Charge', Value: 0 },
+    { Key: 'CreditPartyPublicName', Value: '254708374149 - John Doe' },
+    { Key: 'DebitPartyPublicName', Value: `${body.ReceiverParty} - Pandora Gardens` },
+  ]));
+
+  // Control -----------------------------------------------------------------
+  app.post('/__mock/outcomes', (req, res) => {
+    try {
+      setOutcome(req.body.outcome, req.body.phone);
+      res.json({ queued: state.queuedOutcomes, phones: state.phoneOutcomes });
+    } catch (error) {
+      res.status(400).json({ error: error.message, outcomes: Object.keys(OUTCOMES) });
+    }
+  });
+
+  app.get('/__mock/transactions', (req, res) => {
+    res.json({
+      transactions: [...state.transactions.values()],
+      callbacks: state.callbacks,
+      c2bUrls: state.c2bUrls,
+    });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    reset();
+    res.json({ reset: true });
+  });
+
+  /**
+   * Starts the mock HTTP server
+   * @param {number} [port=0] - 0 picks a free port
+   * @returns {Promise<http.Server>}
+   */
+  const listen = (port = 0) => new Promise((resolve) => {
+    server = app.listen(port, () => resolve(server));
+  });
+
+  /**
+   * Stops the server and cancels callbacks that have not fired yet
+   * @returns {Promise<void>}
+   */
+  const close = () => new Promise((resolve) => {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    if (!server) return resolve();
+    server.close(() => resolve());
+  });
+
+  return { app, state, setOutcome, reset, listen, close };
+};
+
+module.exports = { OUTCOMES, createDarajaMock };
+
+// Standalone: node mocks/darajaMock.js
+if (require.main === module) {
+  require('dotenv').config();
+  const port = parseInt(process.env.DARAJA_MOCK_PORT) || 5099;
+  const mock = createDarajaMock({
+    callbackDelayMs: parseInt(process.env.DARAJA_MOCK_CALLBACK_DELAY_MS) || 2000,
+    defaultOutcome: process.env.DARAJA_MOCK_DEFAULT_OUTCOME,
+  });
+  mock.listen(port).then(() => {
+    console.log(`🧪 Daraja mock listening on http://localhost:${port} (set MPESA_API_BASE to this URL)`);
+  });
+}
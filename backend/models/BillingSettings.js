@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * How a landlord bills rent and chases it. Settings with a property apply to
+ * that property's leases; the landlord's settings without a property are the
+ * default for everything else.
+ */
+const billingSettingsSchema = new mongoose.Schema(
+  {
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',  // Unset for the landlord-wide default
+      default: null,
+    },
+    autoInvoice: {
+      type: Boolean,
+      default: true,  // Raise rent invoices from leases on their billing day
+    },
+    dueDays: {
+      type: Number,
+      min: 0,
+      max: 28,  // Days after the billing day that rent is due
+      default: 5,
+    },
+    remindBefore: {
+      type: [{ type: Number, min: 1, max: 28 }],  // Days before the due date
+      default: [3, 1],
+    },
+    remindAfter: {
+      type: [{ type: Number, min: 1, max: 60 }],  // Days after the due date, while unpaid
+      default: [1, 7],
+    },
+    channels: {
+      email: { type: Boolean, default: true },
+      sms: { type: Boolean, default: true },
+    },
+  },
+  { timestamps: true }
+);
+
+billingSettingsSchema.index({ landlord: 1, property: 1 }, { unique: true });  // One per property, one default
+
+module.exports = mongoose.model('BillingSettings', billingSettingsSchema);
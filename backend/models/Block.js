@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * A wing, floor group or building within a property. Properties with a
+ * single building can skip blocks and attach units directly.
+ */
+const blockSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 60,  // e.g. Block A
+    },
+    floors: {
+      type: Number,
+      min: 0,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  { timestamps: true }
+);
+
+blockSchema.index({ property: 1, name: 1 }, { unique: true });  // Block names are unique per property
+
+module.exports = mongoose.model('Block', blockSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Someone taking part in a conversation, with how far they have read
+ */
+const participantSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['tenant', 'landlord', 'agent', 'admin'],
+    },
+    lastReadAt: {
+      type: Date,  // Messages up to here count as read (read receipts)
+    },
+    lastEmailedAt: {
+      type: Date,  // Unread messages up to here have been emailed
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * A chat thread about a lease (tenant, landlord and the property's agents)
+ * or about a property (one tenant or enquirer with the owner and agents).
+ * The key makes sure each lease, and each person asking about a property,
+ * has a single thread.
+ */
+const conversationSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,  // lease:<id> or property:<id>:<user id>
+    },
+    kind: {
+      type: String,
+      enum: ['property', 'lease'],
+      required: true,
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+      required: true,
+    },
+    lease: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lease',  // Lease threads only
+    },
+    title: {
+      type: String,
+      maxlength: 150,
+    },
+    participants: [participantSchema],
+    lastMessage: {
+      body: { type: String, maxlength: 200 },  // Preview for the inbox
+      sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      attachments: { type: Number, default: 0 },
+    },
+    lastMessageAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ key: 1 }, { unique: true });
+conversationSchema.index({ 'participants.user': 1, lastMessageAt: -1 });  // Inbox
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const moment = require('moment');
+
+/**
+ * Amount a tenant owes. Completed payments are applied to invoices by the
+ * allocation engine (utils/allocation), oldest due date first.
+ */
+const allocationSchema = new mongoose.Schema(
+  {
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    allocatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      unique: true,
+    },
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',  // When known; selects the property's penalty rule
+    },
+    lease: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lease',  // Rent billed from a lease
+    },
+    type: {
+      type: String,
+      enum: ['rent', 'deposit', 'utilities', 'penalty'],
+      required: true,
+    },
+    description: {
+      type: String,
+      maxlength: 200,
+    },
+    period: {
+      type: String,  // Billing month, e.g. 2025-03
+      match: /^\d{4}-(0[1-9]|1[0-2])$/,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['Open', 'PartiallyPaid', 'Paid', 'Void'],
+      default: 'Open',
+    },
+    allocations: [allocationSchema],
+    penaltyFor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',  // Penalty invoices: the overdue invoice being penalised
+    },
+    penaltyRule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PenaltyRule',
+    },
+    penaltyDays: {
+      type: Number,  // Penalty invoices: days overdue already charged for
+    },
+    waivedAmount: {
+      type: Number,
+      default: 0,  // Penalty waived by the landlord; never charged again
+    },
+    remindersSent: [
+      {
+        _id: false,
+        offset: { type: Number },  // Days from the due date: -3 before, 1 after
+        sentAt: { type: Date },
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+invoiceSchema.virtual('balance').get(function () {
+  return Math.max(0, Math.round((this.amount - this.amountPaid) * 100) / 100);
+});
+
+invoiceSchema.pre('validate', function (next) {
+  if (!this.invoiceNumber) {
+    this.invoiceNumber = `INV-${moment().format('YYYYMM')}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+  next();
+});
+
+invoiceSchema.index({ tenant: 1, status: 1, dueDate: 1 });  // Allocation order lookups
+invoiceSchema.index({ landlord: 1, createdAt: -1 });
+invoiceSchema.index({ penaltyFor: 1 }, { unique: true, sparse: true });  // One penalty invoice per overdue invoice
+invoiceSchema.index(
+  { lease: 1, type: 1, period: 1 },
+  { unique: true, partialFilterExpression: { lease: { $exists: true } } }
+);  // One rent invoice per lease and month
+invoiceSchema.index({ lease: 1, status: 1, dueDate: 1 });  // Reminder runs
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
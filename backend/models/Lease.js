@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+
+/**
+ * A stored PDF of the agreement. The hash is the SHA-256 of the exact bytes,
+ * so a signature can be tied to the document the signer saw.
+ */
+const leaseDocumentSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },  // Private storage key
+    hash: { type: String, required: true },  // SHA-256, hex
+    bytes: { type: Number },
+    generatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * One party's signature, with the evidence recorded when they signed
+ */
+const signatureSchema = new mongoose.Schema(
+  {
+    party: {
+      type: String,
+      enum: ['tenant', 'landlord'],
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ['typed', 'drawn'],
+      required: true,
+    },
+    typedName: {
+      type: String,
+      maxlength: 100,  // Name as typed, for typed signatures and as a caption for drawn ones
+    },
+    imageKey: {
+      type: String,  // Private storage key of the drawn signature (PNG)
+    },
+    documentHash: {
+      type: String,
+      required: true,  // Hash of the document signed
+    },
+    ip: { type: String },
+    userAgent: { type: String, maxlength: 300 },
+    signedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * A tenancy of one unit. Drafted by the landlord (or on approving an
+ * application), issued as a PDF, then signed by both parties. Once fully
+ * signed its terms are locked; an amendment is a new version of the same
+ * agreement that supersedes this one when it is signed in turn.
+ */
+const leaseSchema = new mongoose.Schema(
+  {
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+      required: true,
+    },
+    unit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Unit',
+      required: true,
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RentalApplication',  // Unset for leases entered by hand
+    },
+    agreement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lease',  // First version's id, shared by every version
+    },
+    version: {
+      type: Number,
+      default: 1,
+    },
+    previousVersion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lease',
+    },
+    supersededBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lease',
+    },
+    amendmentReason: {
+      type: String,
+      maxlength: 500,
+    },
+    template: {
+      type: String,
+      enum: ['residential', 'commercial'],
+      default: 'residential',
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,  // Unset for a periodic (month-to-month) tenancy
+    },
+    rent: {
+      type: Number,
+      required: true,
+      min: 0,  // KES per month, before escalation
+    },
+    deposit: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    billingDay: {
+      type: Number,
+      min: 1,
+      max: 28,  // Day of the month rent is billed; 28 at most so every month has it
+      default: 1,
+    },
+    escalation: {
+      type: {
+        type: String,
+        enum: ['none', 'percentage', 'fixed'],
+        default: 'none',
+      },
+      value: {
+        type: Number,
+        min: 0,  // Percent, or KES added
+        default: 0,
+      },
+      everyMonths: {
+        type: Number,
+        min: 1,
+        default: 12,  // Counted from the start date
+      },
+    },
+    noticePeriodDays: {
+      type: Number,
+      min: 0,
+      default: 30,
+    },
+    clauses: {
+      type: [String],  // Special terms added to the template's standard clauses
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'pending_signature', 'active', 'superseded', 'ended', 'cancelled'],
+      default: 'draft',
+    },
+    document: leaseDocumentSchema,  // Issued for signing
+    signedDocument: leaseDocumentSchema,  // Copy with the signature page, once fully signed
+    signatures: [signatureSchema],
+    fullySignedAt: {
+      type: Date,  // Terms are locked from here on
+    },
+    endedAt: { type: Date },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+/**
+ * Fields that can never change once both parties have signed
+ * @constant {string[]}
+ */
+const LOCKED_PATHS = [
+  'tenant', 'landlord', 'property', 'unit', 'agreement', 'version', 'template',
+  'startDate', 'endDate', 'rent', 'deposit', 'billingDay', 'escalation', 'noticePeriodDays', 'clauses',
+  'document', 'signatures', 'fullySignedAt',
+];
+
+leaseSchema.pre('validate', function (next) {
+  if (this.isNew && !this.agreement) this.agreement = this._id;
+  next();
+});
+
+leaseSchema.post('init', function () {
+  this.$locals.wasSigned = Boolean(this.fullySignedAt);
+});
+
+// Signed leases are immutable; only their lifecycle (superseded, ended) moves on
+leaseSchema.pre('save', function (next) {
+  if (this.isNew || !this.$locals.wasSigned) return next();
+  const changed = LOCKED_PATHS.filter((path) => this.isModified(path));
+  if (changed.length) return next(new Error(`A signed lease cannot be changed (${changed.join(', ')})`));
+  next();
+});
+
+leaseSchema.index({ unit: 1, status: 1 });
+leaseSchema.index({ tenant: 1, status: 1 });
+leaseSchema.index({ agreement: 1, version: 1 }, { unique: true });  // Version history
+leaseSchema.index({ status: 1, billingDay: 1 });  // Billing runs
+
+module.exports = mongoose.model('Lease', leaseSchema);
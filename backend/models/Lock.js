@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * A short-lived mutex held while a check and the write it guards run, e.g.
+ * "viewing-slots:<agentId>". The _id is the lock name, so at most one
+ * document (one holder) can exist per name; expired locks are taken over and
+ * eventually removed by the TTL index.
+ */
+const lockSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+    },
+    owner: {
+      type: String,  // Random token of the holder, so only it can release
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { versionKey: false }
+);
+
+lockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Lock', lockSchema);
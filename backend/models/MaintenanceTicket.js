@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+/**
+ * A photo of the problem, or of the finished repair. Stored privately and
+ * re-encoded on upload so camera metadata (including location) is dropped.
+ */
+const ticketPhotoSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },  // Private storage key
+    bytes: { type: Number },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now },
+  }
+);
+
+/**
+ * A comment on a ticket. Internal comments are only shown to staff.
+ */
+const ticketCommentSchema = new mongoose.Schema(
+  {
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    body: { type: String, required: true, maxlength: 2000 },
+    internal: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now },
+  }
+);
+
+/**
+ * A maintenance request raised by a tenant on their unit. Staff (the
+ * landlord or the property's agents) assign it to one of themselves or to a
+ * vendor, and it moves open → assigned → in_progress → resolved → closed.
+ * Response and resolution deadlines are set from the priority's SLA when the
+ * ticket is opened; the SLA job escalates tickets that miss them.
+ */
+const maintenanceTicketSchema = new mongoose.Schema(
+  {
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,  // Reporter
+    },
+    unit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Unit',
+      required: true,
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+      required: true,
+    },
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: ['plumbing', 'electrical', 'appliance', 'structural', 'pest_control', 'security', 'cleaning', 'other'],
+      required: true,
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'emergency'],
+      default: 'medium',
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120,
+    },
+    description: {
+      type: String,
+      required: true,
+      maxlength: 2000,
+    },
+    photos: [ticketPhotoSchema],
+    status: {
+      type: String,
+      enum: ['open', 'assigned', 'in_progress', 'resolved', 'closed'],
+      default: 'open',
+    },
+    assignee: {
+      kind: { type: String, enum: ['staff', 'vendor'] },
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },  // Staff member
+      vendor: { type: mongoose.Schema.Types.ObjectId, ref: 'Vendor' },
+      assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      assignedAt: { type: Date },
+    },
+    comments: [ticketCommentSchema],
+    history: [
+      {
+        _id: false,
+        from: { type: String },
+        to: { type: String },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },  // Unset for automatic changes
+        note: { type: String, maxlength: 500 },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    resolution: {
+      type: String,
+      maxlength: 1000,  // What was done, given when resolving
+    },
+    sla: {
+      responseDueAt: { type: Date },
+      resolutionDueAt: { type: Date },
+      respondedAt: { type: Date },  // First assignment, staff comment or status change
+      resolvedAt: { type: Date },
+      closedAt: { type: Date },
+      responseBreachedAt: { type: Date },  // Set when the breach was escalated
+      resolutionBreachedAt: { type: Date },
+    },
+    escalations: [
+      {
+        _id: false,
+        kind: { type: String, enum: ['response', 'resolution'] },
+        notified: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        at: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+maintenanceTicketSchema.index({ property: 1, status: 1, createdAt: -1 });
+maintenanceTicketSchema.index({ tenant: 1, createdAt: -1 });
+maintenanceTicketSchema.index({ landlord: 1, status: 1 });
+maintenanceTicketSchema.index({ 'assignee.user': 1, status: 1 }, { sparse: true });
+maintenanceTicketSchema.index({ status: 1, 'sla.responseDueAt': 1 });  // SLA checks
+maintenanceTicketSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
+
+module.exports = mongoose.model('MaintenanceTicket', maintenanceTicketSchema);
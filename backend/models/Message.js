@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * A file sent in a chat message, stored privately
+ */
+const attachmentSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },  // Private storage key
+    name: { type: String, maxlength: 255 },  // Original file name
+    contentType: { type: String },
+    bytes: { type: Number },
+  }
+);
+
+/**
+ * One chat message. Whether it has been read is worked out from each
+ * participant's lastReadAt on the conversation.
+ */
+const messageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: 4000,
+      default: '',
+    },
+    attachments: [attachmentSchema],
+  },
+  { timestamps: true }
+);
+
+messageSchema.pre('validate', function (next) {
+  if (!this.body && !this.attachments.length) return next(new Error('A message needs text or an attachment'));
+  next();
+});
+
+messageSchema.index({ conversation: 1, createdAt: -1 });  // History paging
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * Raw body of every request received on a Safaricom-facing endpoint,
+ * kept for audit and so callbacks can be replayed after a fix.
+ */
+const mpesaCallbackLogSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['stk', 'c2b_validation', 'c2b_confirmation', 'b2c_result', 'b2c_timeout', 'reversal_result', 'reversal_timeout'],
+      required: true,
+    },
+    reference: {
+      type: String,  // CheckoutRequestID, TransID or ConversationID
+    },
+    ip: {
+      type: String,
+    },
+    path: {
+      type: String,  // Route pattern, so the secret token is never stored
+    },
+    body: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    outcome: {
+      type: String,
+      enum: ['received', 'applied', 'duplicate', 'unknown', 'mismatch', 'rejected', 'invalid', 'error'],
+      default: 'received',
+    },
+    reason: {
+      type: String,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payout',
+    },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund',
+    },
+    processedAt: {
+      type: Date,
+    },
+    replayCount: {
+      type: Number,
+      default: 0,
+    },
+    lastReplayedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+mpesaCallbackLogSchema.index({ reference: 1, createdAt: -1 });
+mpesaCallbackLogSchema.index({ type: 1, outcome: 1, createdAt: -1 });
+
+/**
+ * Records the result of processing (or replaying) this callback
+ * @param {Object} result - Processor result { outcome, reason, payment, payout, refund }
+ * @returns {Promise<mongoose.Document>}
+ */
+mpesaCallbackLogSchema.methods.markProcessed = function (result) {
+  this.outcome = result.outcome;
+  this.reason = result.reason;
+  if (result.payment) this.payment = result.payment._id || result.payment;
+  if (result.payout) this.payout = result.payout._id || result.payout;
+  if (result.refund) this.refund = result.refund._id || result.refund;
+  this.processedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('MpesaCallbackLog', mpesaCallbackLogSchema);
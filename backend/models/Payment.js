@@ -7,9 +7,19 @@ const paymentSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',  // Landlord the rent is collected for (drives payout balances)
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',  // Property the payment is for, when known
+    },
     phone: {
       type: String,
-      required: true,
+      required: function () {
+        return this.provider !== 'card';  // Card payers may have no phone on file
+      },
     },
     amount: {
       type: Number,
@@ -17,18 +27,89 @@ const paymentSchema = new mongoose.Schema(
     },
     mpesaReceiptNumber: {
       type: String,
+      unique: true,
+      sparse: true,  // Only set once Safaricom confirms the payment
     },
     transactionDate: {
-      type: String,
+      type: Date,
+    },
+    paidAmount: {
+      type: Number,  // Amount reported by Safaricom in CallbackMetadata
+    },
+    payerPhone: {
+      type: String,  // MSISDN reported by Safaricom in CallbackMetadata
+    },
+    allocatedAmount: {
+      type: Number,
+      default: 0,  // Applied to invoices; the rest is tenant credit
+    },
+    balanceAfter: {
+      type: Number,  // Tenant balance once this payment was allocated; negative is credit
     },
     status: {
       type: String,
-      enum: ['Pending', 'Completed', 'Failed'],
+      enum: ['Pending', 'Completed', 'Failed', 'Reversed', 'Refunded'],
       default: 'Pending',
     },
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund',  // Open or completed refund; at most one per payment
+    },
+    resultCode: {
+      type: Number,
+    },
+    resultDesc: {
+      type: String,
+    },
+    flagged: {
+      type: Boolean,
+      default: false,  // Set when a callback disagreed with this payment
+    },
+    flagReason: {
+      type: String,
+    },
+    resolvedVia: {
+      type: String,
+      enum: ['callback', 'query'],  // How the final status was learned
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    queryAttempts: {
+      type: Number,
+      default: 0,  // Provider status queries made by reconciliation
+    },
+    lastQueriedAt: {
+      type: Date,
+    },
+    provider: {
+      type: String,
+      enum: ['mpesa', 'airtel', 'card'],  // See providers/ for each implementation
+      default: 'mpesa',
+    },
+    providerReference: {
+      type: String,
+      unique: true,
+      sparse: true,  // Airtel transaction id / card checkout session id
+    },
+    providerReceipt: {
+      type: String,  // Airtel Money id / card charge id once paid
+    },
+    channel: {
+      type: String,
+      enum: ['STK', 'C2B', 'USSD', 'CARD'],  // How the payer was asked to pay
+      default: 'STK',
+    },
+    billRefNumber: {
+      type: String,  // C2B account number entered by the payer
+    },
     checkoutRequestId: { 
       type: String, 
-      unique: true  // No need to manually index this
+      unique: true,  // No need to manually index this
+      sparse: true,  // C2B payments have no CheckoutRequestID
+    },
+    merchantRequestId: {
+      type: String,
     },
   },
   { timestamps: true }
@@ -37,5 +118,9 @@ const paymentSchema = new mongoose.Schema(
 // **Keep only necessary indexes**
 paymentSchema.index({ phone: 1, createdAt: -1 });  // Compound index for phone history queries
 paymentSchema.index({ status: 1 });  // Useful for filtering transactions by status
+paymentSchema.index({ status: 1, createdAt: 1 });  // Stale Pending lookups during reconciliation
+paymentSchema.index({ user: 1, createdAt: -1 });  // Compound index for per-user history queries
+paymentSchema.index({ landlord: 1, status: 1 });  // Landlord collected-balance aggregation
+paymentSchema.index({ property: 1, createdAt: -1 });  // Admin console property filter
 
 module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * B2C disbursement of collected rent to a landlord.
+ * Pending payouts reserve balance until Daraja reports a final result.
+ */
+const payoutSchema = new mongoose.Schema(
+  {
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 10,  // Daraja B2C minimum
+    },
+    phone: {
+      type: String,
+      required: true,
+    },
+    remarks: {
+      type: String,
+      maxlength: 100,
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Processing', 'Completed', 'Failed', 'TimedOut'],
+      default: 'Pending',
+    },
+    conversationId: {
+      type: String,
+      unique: true,
+      sparse: true,  // Set once Daraja accepts the request
+    },
+    originatorConversationId: {
+      type: String,
+    },
+    transactionId: {
+      type: String,  // M-Pesa receipt of the disbursement
+    },
+    receiverName: {
+      type: String,
+    },
+    resultCode: {
+      type: Number,
+    },
+    resultDesc: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+payoutSchema.index({ landlord: 1, status: 1 });  // Balance reservation lookups
+payoutSchema.index({ landlord: 1, createdAt: -1 });  // Payout history
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit trail of late payment penalties: one entry every time a penalty is
+ * charged (or topped up by daily accrual) and every time one is waived.
+ * Entries are never updated.
+ */
+const penaltyEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['applied', 'waived'],
+      required: true,
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',  // The overdue invoice
+      required: true,
+    },
+    penaltyInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      required: true,
+    },
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PenaltyRule',
+    },
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+    },
+    amount: {
+      type: Number,
+      required: true,  // Charged or waived by this event
+    },
+    totalAfter: {
+      type: Number,  // Penalty invoice amount after this event
+    },
+    overdueBalance: {
+      type: Number,  // Balance of the overdue invoice when charged
+    },
+    daysOverdue: {
+      type: Number,  // Days past the grace period when charged
+    },
+    reason: {
+      type: String,
+      maxlength: 200,  // Required for waivers
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',  // Unset when charged by the daily job
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+penaltyEventSchema.index({ landlord: 1, createdAt: -1 });
+penaltyEventSchema.index({ invoice: 1, createdAt: 1 });
+penaltyEventSchema.index({ tenant: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PenaltyEvent', penaltyEventSchema);
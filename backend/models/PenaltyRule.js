@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * How a landlord charges for late payment. A rule with a property applies to
+ * that property's invoices; the landlord's rule without a property is the
+ * default for everything else.
+ */
+const penaltyRuleSchema = new mongoose.Schema(
+  {
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',  // Unset for the landlord-wide default
+      default: null,
+    },
+    name: {
+      type: String,
+      maxlength: 100,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    graceDays: {
+      type: Number,
+      default: 0,
+      min: 0,  // Days after the due date before penalties start
+    },
+    feeType: {
+      type: String,
+      enum: ['flat', 'percentage'],  // KES, or percent of the overdue balance
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    accrual: {
+      type: String,
+      enum: ['once', 'daily'],  // Charged once, or again for every day still overdue
+      default: 'once',
+    },
+    maxAmount: {
+      type: Number,
+      min: 0,  // Cap on the total penalty per overdue invoice (KES)
+    },
+    maxPercent: {
+      type: Number,
+      min: 0,
+      max: 100,  // Cap as a percentage of the overdue invoice's amount
+    },
+    invoiceTypes: {
+      type: [String],
+      enum: ['rent', 'deposit', 'utilities'],  // Penalties are never charged on penalties
+      default: ['rent'],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+penaltyRuleSchema.index({ landlord: 1, property: 1 }, { unique: true });  // One rule per property
+
+module.exports = mongoose.model('PenaltyRule', penaltyRuleSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const photoSchema = require('./photoSchema');
+
+/**
+ * A building or compound a landlord lets out. Properties are split into
+ * blocks, and blocks into units; units carry the rent and occupancy.
+ * Agents listed on a property manage it on the landlord's behalf.
+ */
+const addressSchema = new mongoose.Schema(
+  {
+    street: { type: String, trim: true, maxlength: 200 },
+    area: { type: String, trim: true, maxlength: 100 },  // Estate or neighbourhood
+    city: { type: String, trim: true, maxlength: 100, required: true },
+    county: { type: String, trim: true, maxlength: 100 },
+    postalCode: { type: String, trim: true, maxlength: 20 },
+  },
+  { _id: false }
+);
+
+const propertySchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 120,
+    },
+    description: {
+      type: String,
+      maxlength: 5000,
+    },
+    propertyType: {
+      type: String,
+      enum: ['apartment', 'house', 'townhouse', 'hostel', 'commercial', 'mixed'],
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',  // Landlord
+      required: true,
+    },
+    agents: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    address: {
+      type: addressSchema,
+      required: true,
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number],  // [longitude, latitude]
+        validate: {
+          validator: (v) => !v.length || (v.length === 2 && Math.abs(v[0]) <= 180 && Math.abs(v[1]) <= 90),
+          message: 'Coordinates must be [longitude, latitude]',
+        },
+        default: undefined,
+      },
+    },
+    amenities: {
+      type: [String],  // e.g. parking, borehole, cctv, lift
+      default: [],
+    },
+    active: {
+      type: Boolean,
+      default: true,  // Inactive properties are hidden from listings
+    },
+    photos: {
+      type: [photoSchema],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+propertySchema.index({ owner: 1, createdAt: -1 });
+propertySchema.index({ agents: 1 });
+propertySchema.index({ location: '2dsphere' }, { sparse: true });  // Radius search
+
+module.exports = mongoose.model('Property', propertySchema);
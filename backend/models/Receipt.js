@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const moment = require('moment');
+
+/**
+ * Receipt issued for a completed payment.
+ * Figures are a snapshot taken at issue time so re-downloads always match
+ * what the tenant was first sent.
+ */
+const receiptSchema = new mongoose.Schema(
+  {
+    receiptNumber: {
+      type: String,
+      unique: true,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: true,
+      unique: true,  // One receipt per payment
+    },
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    tenantName: {
+      type: String,
+    },
+    unit: {
+      type: String,
+    },
+    mpesaReceiptNumber: {
+      type: String,
+    },
+    paymentMethod: {
+      type: String,
+      default: 'M-Pesa',  // Provider label: M-Pesa, Airtel Money, Card
+    },
+    providerReceipt: {
+      type: String,  // Airtel Money id / card charge id
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    balanceAfter: {
+      type: Number,  // Outstanding after this payment; negative is credit
+    },
+    paidAt: {
+      type: Date,
+    },
+    emailedAt: {
+      type: Date,
+    },
+    emailError: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+receiptSchema.pre('validate', function (next) {
+  if (!this.receiptNumber) {
+    this.receiptNumber = `RCT-${moment().format('YYYYMM')}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+  next();
+});
+
+receiptSchema.index({ tenant: 1, createdAt: -1 });
+receiptSchema.index({ landlord: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Receipt', receiptSchema);
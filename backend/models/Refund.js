@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * Request to return a completed payment to the payer, either through the
+ * Daraja Reversal API or recorded as a manual refund made outside M-Pesa.
+ * Refunds above the approval threshold wait for a second admin.
+ */
+const refundSchema = new mongoose.Schema(
+  {
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      required: true,
+    },
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ['reversal', 'manual'],  // Daraja Reversal API, or refunded outside M-Pesa
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      maxlength: 200,
+    },
+    externalReference: {
+      type: String,  // Bank/cash reference for manual refunds
+      maxlength: 100,
+    },
+    status: {
+      type: String,
+      enum: ['PendingApproval', 'Processing', 'Completed', 'Failed', 'Rejected', 'TimedOut'],
+      default: 'PendingApproval',
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    approvedAt: {
+      type: Date,
+    },
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    rejectionReason: {
+      type: String,
+      maxlength: 200,
+    },
+    conversationId: {
+      type: String,
+      unique: true,
+      sparse: true,  // Set once Daraja accepts the reversal request
+    },
+    originatorConversationId: {
+      type: String,
+    },
+    transactionId: {
+      type: String,  // Receipt of the reversal transaction
+    },
+    resultCode: {
+      type: Number,
+    },
+    resultDesc: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ payment: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
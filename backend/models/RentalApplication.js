@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+
+const DOCUMENT_TYPES = ['national_id', 'passport', 'payslip', 'bank_statement', 'employment_letter', 'other'];
+
+/**
+ * An uploaded supporting document. Stored privately; only reachable through
+ * short-lived signed links.
+ */
+const applicationDocumentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,  // Private storage key
+  },
+  originalName: { type: String },
+  contentType: { type: String },
+  bytes: { type: Number },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Someone who can vouch for the applicant
+ */
+const referenceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100,
+  },
+  relationship: {
+    type: String,
+    maxlength: 50,  // e.g. Employer, Previous landlord
+  },
+  phone: { type: String },
+  email: { type: String },
+});
+
+/**
+ * Result of one checklist item for this application
+ */
+const screeningResultSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    label: { type: String },
+    type: { type: String },
+    weight: { type: Number },
+    required: { type: Boolean },
+    passed: {
+      type: Boolean,
+      default: null,  // Null until a manual item is checked
+    },
+    note: {
+      type: String,
+      maxlength: 300,
+    },
+    checkedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',  // Unset for automatic items
+    },
+    checkedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+/**
+ * A request from the landlord for more information, and the applicant's reply
+ */
+const infoRequestSchema = new mongoose.Schema({
+  message: {
+    type: String,
+    required: true,
+    maxlength: 1000,
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  response: {
+    type: String,
+    maxlength: 2000,
+  },
+  respondedAt: { type: Date },
+});
+
+/**
+ * A prospective tenant's application to rent a unit. Screening results and
+ * the score are recalculated whenever the application or checklist changes.
+ */
+const rentalApplicationSchema = new mongoose.Schema(
+  {
+    applicant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    unit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Unit',
+      required: true,
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+      required: true,
+    },
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',  // Property owner at the time of applying
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['submitted', 'info_requested', 'approved', 'rejected', 'withdrawn'],
+      default: 'submitted',
+    },
+    employment: {
+      status: {
+        type: String,
+        enum: ['employed', 'self_employed', 'student', 'unemployed', 'retired'],
+        required: true,
+      },
+      employer: { type: String, maxlength: 100 },
+      jobTitle: { type: String, maxlength: 100 },
+      startDate: { type: Date },
+      monthlyIncome: {
+        type: Number,
+        min: 0,  // KES, after tax
+        required: true,
+      },
+      otherIncome: {
+        type: Number,
+        min: 0,
+        default: 0,
+      },
+    },
+    references: [referenceSchema],
+    documents: [applicationDocumentSchema],
+    moveInDate: { type: Date },
+    occupants: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    message: {
+      type: String,
+      maxlength: 1000,  // Note to the landlord
+    },
+    screening: [screeningResultSchema],
+    score: {
+      type: Number,
+      min: 0,
+      max: 100,  // Weighted share of checklist items passed
+      default: 0,
+    },
+    screeningComplete: {
+      type: Boolean,
+      default: false,  // Every manual item has been checked
+    },
+    infoRequests: [infoRequestSchema],
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    decidedAt: { type: Date },
+    decisionReason: {
+      type: String,
+      maxlength: 500,
+    },
+    lease: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lease',  // Started on approval
+    },
+  },
+  { timestamps: true }
+);
+
+rentalApplicationSchema.index({ unit: 1, status: 1, score: -1 });  // Comparing applicants
+rentalApplicationSchema.index({ landlord: 1, status: 1, createdAt: -1 });
+rentalApplicationSchema.index({ applicant: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RentalApplication', rentalApplicationSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * One thing a landlord checks about applicants. Automatic items are worked
+ * out from the application itself; manual items are ticked by the reviewer.
+ */
+const checklistItemSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      match: /^[a-z0-9_]{2,40}$/,  // Stable id, e.g. employment_verified
+    },
+    label: {
+      type: String,
+      required: true,
+      maxlength: 100,
+    },
+    type: {
+      type: String,
+      enum: ['manual', 'income', 'references', 'documents'],
+      default: 'manual',
+    },
+    weight: {
+      type: Number,
+      min: 1,
+      max: 10,  // Share of the score
+      default: 1,
+    },
+    required: {
+      type: Boolean,
+      default: false,  // Must pass before the application can be approved
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * A landlord's screening checklist. The landlord-wide checklist applies to
+ * every property without its own.
+ */
+const screeningChecklistSchema = new mongoose.Schema(
+  {
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',  // Unset for the landlord-wide default
+      default: null,
+    },
+    items: {
+      type: [checklistItemSchema],
+      validate: {
+        validator: (items) => items.length > 0 && new Set(items.map((item) => item.key)).size === items.length,
+        message: 'A checklist needs at least one item and unique keys',
+      },
+    },
+    incomeMultiple: {
+      type: Number,
+      min: 0,
+      default: 3,  // Income items pass at monthly income >= rent × this
+    },
+    minReferences: {
+      type: Number,
+      min: 0,
+      default: 2,  // References items pass at this many references
+    },
+    requiredDocuments: {
+      type: [String],
+      enum: ['national_id', 'passport', 'payslip', 'bank_statement', 'employment_letter', 'other'],
+      default: ['national_id'],  // Documents items pass when one of these is attached
+    },
+  },
+  { timestamps: true }
+);
+
+screeningChecklistSchema.index({ landlord: 1, property: 1 }, { unique: true });  // One per property, one default
+
+module.exports = mongoose.model('ScreeningChecklist', screeningChecklistSchema);
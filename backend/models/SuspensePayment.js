@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * C2B payments whose BillRefNumber matched no tenant.
+ * They wait here until an admin allocates them to a tenant.
+ */
+const suspensePaymentSchema = new mongoose.Schema(
+  {
+    transId: {
+      type: String,
+      required: true,
+      unique: true,  // Safaricom TransID, guards against retried confirmations
+    },
+    transTime: {
+      type: Date,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    billRefNumber: {
+      type: String,
+    },
+    msisdn: {
+      type: String,
+    },
+    payerName: {
+      type: String,
+    },
+    shortCode: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ['Unallocated', 'Allocated'],
+      default: 'Unallocated',
+    },
+    allocatedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+    },
+    allocatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    allocatedAt: {
+      type: Date,
+    },
+    note: {
+      type: String,
+      maxlength: 500,
+    },
+    raw: {
+      type: mongoose.Schema.Types.Mixed,  // Original confirmation body
+    },
+  },
+  { timestamps: true }
+);
+
+suspensePaymentSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SuspensePayment', suspensePaymentSchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const photoSchema = require('./photoSchema');
+
+/**
+ * Copy of the property details the public search filters on, so a search is
+ * a single indexed query on units. Kept in step by utils/properties.
+ */
+const listingSchema = new mongoose.Schema(
+  {
+    title: { type: String },
+    description: { type: String },
+    propertyType: { type: String },
+    city: { type: String },
+    area: { type: String },
+    locationText: { type: String },  // "street, area, city, county" for text search
+    amenities: { type: [String], default: [] },  // Property's and the unit's own
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined },  // [longitude, latitude]
+    },
+    active: { type: Boolean, default: true },  // Property is listed
+    coverThumbUrl: { type: String },  // Property's cover photo, for result cards
+    coverUrl: { type: String },
+  },
+  { _id: false }
+);
+
+/**
+ * A lettable unit: what a tenant rents. Rent and deposit are per unit;
+ * status tracks whether it is free to let.
+ */
+const unitSchema = new mongoose.Schema(
+  {
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+      required: true,
+    },
+    block: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Block',  // Unset when the property has no blocks
+      default: null,
+    },
+    unitNumber: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      maxlength: 20,  // e.g. A12
+    },
+    unitType: {
+      type: String,
+      enum: ['single_room', 'bedsitter', 'studio', 'apartment', 'maisonette', 'bungalow', 'shop', 'office'],
+      required: true,
+    },
+    bedrooms: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    bathrooms: {
+      type: Number,
+      min: 0,
+      default: 1,
+    },
+    floor: {
+      type: Number,
+    },
+    sizeSqm: {
+      type: Number,
+      min: 0,
+    },
+    rent: {
+      type: Number,
+      required: true,
+      min: 0,  // Monthly rent (KES)
+    },
+    deposit: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ['vacant', 'occupied', 'reserved'],
+      default: 'vacant',
+    },
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',  // Current occupant
+    },
+    amenities: {
+      type: [String],  // Unit-specific, on top of the property's
+      default: [],
+    },
+    description: {
+      type: String,
+      maxlength: 2000,
+    },
+    photos: {
+      type: [photoSchema],  // Unit-specific; listings fall back to the property's
+      default: [],
+    },
+    listing: {
+      type: listingSchema,
+      default: () => ({}),
+    },
+  },
+  { timestamps: true }
+);
+
+unitSchema.index({ property: 1, block: 1, unitNumber: 1 }, { unique: true });  // One A12 per block
+unitSchema.index({ status: 1, rent: 1 });  // Vacancy listings
+unitSchema.index({ tenant: 1 }, { sparse: true });
+unitSchema.index(
+  { 'listing.title': 'text', 'listing.locationText': 'text', 'listing.description': 'text', description: 'text' },
+  { name: 'unit_search', weights: { 'listing.title': 10, 'listing.locationText': 5, description: 2, 'listing.description': 1 } }
+);  // Public free-text search
+unitSchema.index({ 'listing.location': '2dsphere' }, { sparse: true });  // Radius search
+
+module.exports = mongoose.model('Unit', unitSchema);
@@ -7,6 +7,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema(
   {
@@ -59,6 +60,21 @@ const userSchema = new mongoose.Schema(
       default: false
     },
 
+    // Landlord who collects this tenant's rent (tenants only)
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+
+    // Paybill account number tenants enter when paying via C2B
+    accountNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+      uppercase: true,
+      trim: true
+    },
+
     // Security Fields
     otp: { type: String, select: false },
     otpExpires: { type: Date, select: false },
@@ -105,6 +121,18 @@ userSchema.pre('save', async function (next) {
   }
 });
 
+// ==================== Paybill Account Number ====================
+// e.g. PG7A2F9C - short enough to type on a phone's Paybill menu
+userSchema.statics.generateAccountNumber = () =>
+  `PG${crypto.randomBytes(4).toString('hex').toUpperCase().slice(0, 6)}`;
+
+userSchema.pre('save', function (next) {
+  if (this.role !== 'tenant' || this.accountNumber) return next();
+
+  this.accountNumber = this.constructor.generateAccountNumber();
+  next();
+});
+
 userSchema.methods.matchPassword = async function (candidatePassword) {
   try {
     
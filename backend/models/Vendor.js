@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * An outside contractor a landlord sends maintenance work to. Vendors have no
+ * account: they are told about jobs by email, and staff update the ticket on
+ * their behalf.
+ */
+const vendorSchema = new mongoose.Schema(
+  {
+    landlord: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    company: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    categories: {
+      type: [String],  // Maintenance categories they cover, e.g. plumbing
+      default: [],
+    },
+    notes: {
+      type: String,
+      maxlength: 500,
+    },
+    active: {
+      type: Boolean,
+      default: true,  // Inactive vendors keep their history but cannot be assigned
+    },
+  },
+  { timestamps: true }
+);
+
+vendorSchema.index({ landlord: 1, active: 1, name: 1 });
+
+module.exports = mongoose.model('Vendor', vendorSchema);
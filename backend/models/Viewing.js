@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * A prospective tenant's booked viewing of a unit. Rescheduling moves the
+ * booking to another slot; the outcome is recorded by the host afterwards.
+ */
+const viewingSchema = new mongoose.Schema(
+  {
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ViewingSlot',
+      required: true,
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+      required: true,
+    },
+    unit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Unit',
+      required: true,
+    },
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tenant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',  // Prospective tenant who booked
+      required: true,
+    },
+    scheduledAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['scheduled', 'cancelled', 'attended', 'no_show'],
+      default: 'scheduled',
+    },
+    notes: {
+      type: String,
+      maxlength: 500,  // From the tenant when booking
+    },
+    rescheduleCount: {
+      type: Number,
+      default: 0,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancellationReason: {
+      type: String,
+      maxlength: 200,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    outcomeRecordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    outcomeRecordedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+viewingSchema.index(
+  { slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'scheduled' } }
+);  // Backstop against double booking a slot
+viewingSchema.index({ tenant: 1, scheduledAt: -1 });
+viewingSchema.index({ agent: 1, scheduledAt: 1 });
+
+module.exports = mongoose.model('Viewing', viewingSchema);
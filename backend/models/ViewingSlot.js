@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * A time an agent is available to show a property. Each slot takes one
+ * booking; a slot without a unit can be booked for any vacant unit of the
+ * property.
+ */
+const viewingSlotSchema = new mongoose.Schema(
+  {
+    agent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',  // Host: agent, or the landlord showing their own property
+      required: true,
+    },
+    property: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Property',
+      required: true,
+    },
+    unit: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Unit',
+      default: null,
+    },
+    start: {
+      type: Date,
+      required: true,
+    },
+    end: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['open', 'booked', 'cancelled'],
+      default: 'open',
+    },
+    viewing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Viewing',  // Set while booked
+    },
+    location: {
+      type: String,
+      maxlength: 200,  // Meeting point, e.g. "Main gate"
+    },
+  },
+  { timestamps: true }
+);
+
+viewingSlotSchema.index({ agent: 1, start: 1 });  // Overlap checks
+viewingSlotSchema.index({ property: 1, status: 1, start: 1 });  // Available slots
+
+module.exports = mongoose.model('ViewingSlot', viewingSlotSchema);
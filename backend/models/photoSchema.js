@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * A listing photo embedded in a Property or Unit. Each upload is stored as
+ * several resized variants (utils/listingPhotos) so clients can pick the
+ * smallest that fits and fall back to JPEG where WebP is unsupported.
+ */
+const variantSchema = new mongoose.Schema(
+  {
+    size: {
+      type: String,
+      enum: ['thumb', 'medium', 'large'],
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: ['webp', 'jpeg'],
+      required: true,
+    },
+    width: { type: Number },
+    height: { type: Number },
+    bytes: { type: Number },
+    key: {
+      type: String,
+      required: true,  // Storage path, e.g. listings/<property>/<photo>-medium.webp
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const photoSchema = new mongoose.Schema(
+  {
+    variants: {
+      type: [variantSchema],
+      default: [],
+    },
+    order: {
+      type: Number,
+      default: 0,  // Display position, 0 first
+    },
+    isCover: {
+      type: Boolean,
+      default: false,  // Exactly one cover per listing once it has photos
+    },
+    caption: {
+      type: String,
+      maxlength: 200,
+    },
+    originalName: {
+      type: String,
+      maxlength: 255,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+module.exports = photoSchema;
@@ -0,0 +1,101 @@
+/**
+ * Payment provider interface
+ * @module providers/PaymentProvider
+ * @description Contract every payment method implements so routes, the
+ * reconciliation job and the refund workflow never talk to a gateway
+ * directly. Subclasses override all four operations.
+ *
+ * @typedef {Object} InitiateResult
+ * @property {Object} reference - Fields identifying the payment at the provider, set on Payment
+ * @property {string} channel - Payment.channel value (STK, USSD, CARD)
+ * @property {string} [customerMessage] - What to tell the payer
+ * @property {string} [redirectUrl] - Hosted checkout page the payer must open
+ *
+ * @typedef {Object} RefundResult
+ * @property {string} status - Processing (result arrives later) | Completed
+ * @property {string} [conversationId] - Provider id the async result will carry
+ * @property {string} [originatorConversationId]
+ * @property {string} [transactionId] - Refund transaction reference
+ * @property {string} [resultDesc]
+ */
+
+const AppError = require('../utils/appError');
+const safeEqual = require('../utils/safeEqual');
+
+class PaymentProvider {
+  /**
+   * @param {string} name - Payment.provider value
+   * @param {string} label - Human readable name
+   */
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+  }
+
+  /**
+   * Whether the provider has the configuration it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Checks the callback token carried in the URL (/:token or ?token=)
+   * @param {Object} req - Express request
+   * @param {string} [expected] - Configured token
+   * @returns {boolean} False when missing or wrong; true without a token outside production
+   */
+  hasCallbackToken(req, expected) {
+    if (!expected) return process.env.NODE_ENV !== 'production';
+    const supplied = req.params?.token || req.query?.token;
+    return Boolean(supplied) && safeEqual(supplied, expected);
+  }
+
+  /**
+   * Asks the payer to pay
+   * @async
+   * @param {Object} request
+   * @param {mongoose.Document} request.payment - Pending payment already saved
+   * @param {Object} request.payer - Paying user
+   * @param {string} [request.phone] - Payer MSISDN for mobile money
+   * @param {string} [request.description]
+   * @returns {Promise<InitiateResult>}
+   */
+  async initiate(request) {
+    throw new AppError(`${this.label} does not support initiating payments`, 501);
+  }
+
+  /**
+   * Asks the provider for the status of a Pending payment
+   * @async
+   * @param {mongoose.Document} payment
+   * @returns {Promise<Object|null>} Payment update including status, or null while undecided
+   */
+  async query(payment) {
+    return null;
+  }
+
+  /**
+   * Verifies and applies a callback/webhook from the provider
+   * @async
+   * @param {Object} req - Express request (body, headers, params, rawBody)
+   * @returns {Promise<Object>} { outcome, reason, payment, response, statusCode }
+   */
+  async handleCallback(req) {
+    return { outcome: 'invalid', reason: 'Callbacks not supported', response: {}, statusCode: 404 };
+  }
+
+  /**
+   * Returns a completed payment to the payer
+   * @async
+   * @param {mongoose.Document} payment - Completed payment
+   * @param {mongoose.Document} refund - Approved refund
+   * @returns {Promise<RefundResult>}
+   */
+  async refund(payment, refund) {
+    throw new AppError(`${this.label} does not support refunds`, 501);
+  }
+}
+
+module.exports = PaymentProvider;
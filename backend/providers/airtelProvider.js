@@ -0,0 +1,206 @@
+/**
+ * Airtel Money payment provider
+ * @module providers/airtelProvider
+ * @description Airtel Africa Open API collections: a USSD push asks the payer
+ * for their PIN, the result arrives on our callback URL and can also be
+ * looked up by transaction id. Refunds go through the collection refund API.
+ *
+ * Environment:
+ * - AIRTEL_API_BASE (https://openapiuat.airtel.africa or https://openapi.airtel.africa)
+ * - AIRTEL_CLIENT_ID / AIRTEL_CLIENT_SECRET
+ * - AIRTEL_COUNTRY (KE) / AIRTEL_CURRENCY (KES)
+ * - AIRTEL_CALLBACK_TOKEN, appended to the callback URL registered with Airtel
+ */
+
+const axios = require('axios');
+const moment = require('moment');
+const PaymentProvider = require('./PaymentProvider');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { toMsisdn } = require('../utils/mpesa');
+const { resolvePayment } = require('../utils/paymentEvents');
+
+/**
+ * Airtel configuration
+ * @constant {Object} config
+ */
+const config = {
+  baseUrl: process.env.AIRTEL_API_BASE,
+  clientId: process.env.AIRTEL_CLIENT_ID,
+  clientSecret: process.env.AIRTEL_CLIENT_SECRET,
+  country: process.env.AIRTEL_COUNTRY || 'KE',
+  currency: process.env.AIRTEL_CURRENCY || 'KES',
+  callbackToken: process.env.AIRTEL_CALLBACK_TOKEN,
+};
+
+/**
+ * Transaction status codes Airtel reports
+ * @constant {Object<string, string>} TRANSACTION_STATUSES
+ */
+const TRANSACTION_STATUSES = {
+  TS: 'Completed',
+  TF: 'Failed',
+  TE: 'Failed',  // Expired: the payer never entered their PIN
+  TIP: 'Pending',
+  TA: 'Pending',  // Ambiguous: Airtel is still confirming
+};
+
+/**
+ * Maps an Airtel transaction to the Payment fields it should set
+ * @function interpretAirtelTransaction
+ * @param {Object} transaction - { status | status_code, airtel_money_id, message }
+ * @returns {Object|null} Payment update, null while still pending
+ */
+const interpretAirtelTransaction = (transaction = {}) => {
+  const code = transaction.status_code || transaction.status;
+  const status = TRANSACTION_STATUSES[code];
+  if (!status || status === 'Pending') return null;
+
+  const update = { status, resultDesc: transaction.message || code };
+  if (status === 'Completed' && transaction.airtel_money_id) {
+    update.providerReceipt = String(transaction.airtel_money_id);
+  }
+  return update;
+};
+
+let tokenCache = null;
+
+class AirtelProvider extends PaymentProvider {
+  constructor() {
+    super('airtel', 'Airtel Money');
+  }
+
+  isConfigured() {
+    return Boolean(config.baseUrl && config.clientId && config.clientSecret);
+  }
+
+  /**
+   * Returns a cached OAuth token, fetching a new one when expired
+   * @returns {Promise<string>}
+   */
+  async getAccessToken() {
+    if (tokenCache && moment().isBefore(tokenCache.expires)) return tokenCache.token;
+
+    const { data } = await axios.post(
+      `${config.baseUrl}/auth/oauth2/token`,
+      { client_id: config.clientId, client_secret: config.clientSecret, grant_type: 'client_credentials' },
+      { timeout: 10000 }
+    );
+
+    // Refresh a minute early so a token never expires mid-request
+    tokenCache = {
+      token: data.access_token,
+      expires: moment().add(Math.max(Number(data.expires_in) - 60, 60), 'seconds'),
+    };
+    return tokenCache.token;
+  }
+
+  /**
+   * Authenticated request against the Airtel API
+   * @param {string} method
+   * @param {string} path
+   * @param {Object} [data]
+   * @returns {Promise<Object>} Response body
+   */
+  async request(method, path, data) {
+    const token = await this.getAccessToken();
+    const response = await axios({
+      method,
+      url: `${config.baseUrl}${path}`,
+      data,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'X-Country': config.country,
+        'X-Currency': config.currency,
+      },
+      timeout: 15000,
+    });
+    return response.data;
+  }
+
+  /**
+   * Sends a USSD push; the payment id doubles as the Airtel transaction id
+   * @throws {AppError} 400 invalid phone, 502 when Airtel rejects the request
+   */
+  async initiate({ payment, phone, description }) {
+    const msisdn = toMsisdn(phone);
+    if (!msisdn) throw new AppError('Invalid phone number format. Use 2547XXXXXXXX', 400);
+
+    const transactionId = String(payment._id);
+    let response;
+    try {
+      response = await this.request('post', '/merchant/v1/payments/', {
+        reference: (description || 'Rent payment').slice(0, 64),
+        subscriber: { country: config.country, currency: config.currency, msisdn: msisdn.slice(3) },
+        transaction: { amount: payment.amount, country: config.country, currency: config.currency, id: transactionId },
+      });
+    } catch (error) {
+      logger.error(`Airtel payment request for ${payment._id} failed: ${JSON.stringify(error.response?.data) || error.message}`);
+      throw new AppError('Airtel Money request failed', 502);
+    }
+
+    if (!response.status?.success) {
+      throw new AppError(response.status?.message || 'Airtel Money request rejected', 502);
+    }
+
+    return {
+      reference: { phone: msisdn, providerReference: transactionId },
+      channel: 'USSD',
+      customerMessage: 'Enter your Airtel Money PIN on your phone to complete the payment',
+    };
+  }
+
+  async query(payment) {
+    if (!payment.providerReference) return null;
+    const response = await this.request('get', `/standard/v1/payments/${encodeURIComponent(payment.providerReference)}`);
+    return interpretAirtelTransaction(response.data?.transaction);
+  }
+
+  /**
+   * Applies an Airtel callback
+   * ({ transaction: { id, status_code, airtel_money_id, message } })
+   */
+  async handleCallback(req) {
+    if (!this.hasCallbackToken(req, config.callbackToken)) {
+      return { outcome: 'rejected', reason: 'Invalid callback token', response: { status: 'rejected' }, statusCode: 403 };
+    }
+
+    const transaction = req.body?.transaction;
+    if (!transaction?.id) {
+      return { outcome: 'invalid', reason: 'Missing transaction.id', response: { status: 'invalid' }, statusCode: 400 };
+    }
+
+    const update = interpretAirtelTransaction(transaction);
+    if (!update) {
+      return { outcome: 'duplicate', reason: `Status ${transaction.status_code} is not final`, response: { status: 'ok' }, statusCode: 200 };
+    }
+
+    const payment = await resolvePayment({ provider: 'airtel', providerReference: String(transaction.id) }, update, 'callback');
+    return {
+      outcome: payment ? 'applied' : 'duplicate',
+      payment,
+      response: { status: 'ok' },
+      statusCode: 200,
+    };
+  }
+
+  /**
+   * Refunds through Airtel; the answer is final, so the refund completes at once
+   */
+  async refund(payment) {
+    const response = await this.request('post', '/standard/v1/payments/refund', {
+      transaction: { airtel_money_id: payment.providerReceipt },
+    });
+
+    const transaction = response.data?.transaction || {};
+    if (!response.status?.success || String(transaction.status).toUpperCase() !== 'SUCCESS') {
+      throw new Error(response.status?.message || 'Airtel refund rejected');
+    }
+
+    return { status: 'Completed', transactionId: transaction.airtel_money_id, resultDesc: response.status.message };
+  }
+}
+
+module.exports = new AirtelProvider();
+module.exports.config = config;
+module.exports.interpretAirtelTransaction = interpretAirtelTransaction;
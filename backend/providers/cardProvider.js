@@ -0,0 +1,182 @@
+/**
+ * Card payment provider
+ * @module providers/cardProvider
+ * @description Hosted card checkout: we create a checkout session, the payer
+ * enters their card on the gateway's page (so card data never touches our
+ * servers) and the gateway reports the result through a signed webhook.
+ *
+ * Environment:
+ * - CARD_GATEWAY_BASE - Gateway API base URL
+ * - CARD_GATEWAY_SECRET_KEY - API key sent as a Bearer token
+ * - CARD_WEBHOOK_SECRET - Shared secret for the x-signature HMAC
+ * - CARD_RETURN_URL - Page the payer lands on after checkout
+ * - CARD_CALLBACK_URL - Public webhook URL (/api/v1/payments/callback/card)
+ * - CARD_CURRENCY (KES)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const safeEqual = require('../utils/safeEqual');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { resolvePayment } = require('../utils/paymentEvents');
+
+/**
+ * Card gateway configuration
+ * @constant {Object} config
+ */
+const config = {
+  baseUrl: process.env.CARD_GATEWAY_BASE,
+  secretKey: process.env.CARD_GATEWAY_SECRET_KEY,
+  webhookSecret: process.env.CARD_WEBHOOK_SECRET,
+  returnUrl: process.env.CARD_RETURN_URL,
+  callbackUrl: process.env.CARD_CALLBACK_URL,
+  currency: process.env.CARD_CURRENCY || 'KES',
+};
+
+/**
+ * Signs a webhook body the way the gateway does
+ * @function signPayload
+ * @param {string|Buffer} rawBody - Exact bytes received
+ * @param {string} [secret=config.webhookSecret]
+ * @returns {string} Hex HMAC-SHA256
+ */
+const signPayload = (rawBody, secret = config.webhookSecret) =>
+  crypto.createHmac('sha256', String(secret)).update(rawBody).digest('hex');
+
+/**
+ * Maps a checkout session to the Payment fields it should set
+ * @function interpretCheckoutSession
+ * @param {Object} session - { id, status, charge_id, failure_reason, amount }
+ * @returns {Object|null} Payment update, null while the payer is still on the page
+ */
+const interpretCheckoutSession = (session = {}) => {
+  if (session.status === 'succeeded') {
+    const update = { status: 'Completed', resultDesc: 'Card payment succeeded' };
+    if (session.charge_id) update.providerReceipt = session.charge_id;
+    if (session.amount !== undefined) update.paidAmount = Number(session.amount);
+    return update;
+  }
+  if (session.status === 'failed' || session.status === 'expired') {
+    return { status: 'Failed', resultDesc: session.failure_reason || `Checkout ${session.status}` };
+  }
+  return null;
+};
+
+class CardProvider extends PaymentProvider {
+  constructor() {
+    super('card', 'Card');
+  }
+
+  isConfigured() {
+    return Boolean(config.baseUrl && config.secretKey && config.webhookSecret);
+  }
+
+  /**
+   * Authenticated request against the gateway
+   * @param {string} method
+   * @param {string} path
+   * @param {Object} [data]
+   * @returns {Promise<Object>} Response body
+   */
+  async request(method, path, data) {
+    const response = await axios({
+      method,
+      url: `${config.baseUrl}${path}`,
+      data,
+      headers: { Authorization: `Bearer ${config.secretKey}` },
+      timeout: 15000,
+    });
+    return response.data;
+  }
+
+  /**
+   * Creates a hosted checkout session the payer is redirected to
+   * @throws {AppError} 502 when the gateway rejects the session
+   */
+  async initiate({ payment, payer, description }) {
+    let session;
+    try {
+      session = await this.request('post', '/v1/checkout/sessions', {
+        amount: payment.amount,
+        currency: config.currency,
+        reference: String(payment._id),
+        description: description || 'Rent payment',
+        customer_email: payer?.email,
+        return_url: config.returnUrl,
+        callback_url: config.callbackUrl,
+      });
+    } catch (error) {
+      logger.error(`Card checkout for payment ${payment._id} failed: ${JSON.stringify(error.response?.data) || error.message}`);
+      throw new AppError('Card checkout could not be started', 502);
+    }
+
+    return {
+      reference: { providerReference: session.id },
+      channel: 'CARD',
+      customerMessage: 'Complete the payment on the secure card page',
+      redirectUrl: session.checkout_url,
+    };
+  }
+
+  async query(payment) {
+    if (!payment.providerReference) return null;
+    const session = await this.request('get', `/v1/checkout/sessions/${encodeURIComponent(payment.providerReference)}`);
+    return interpretCheckoutSession(session);
+  }
+
+  /**
+   * Applies a signed webhook ({ type, data: session })
+   *
+   * @remarks
+   * The signature covers the raw body, so server.js keeps it as req.rawBody.
+   */
+  async handleCallback(req) {
+    const signature = req.get?.('x-signature') || req.headers?.['x-signature'];
+    if (!config.webhookSecret || !signature || !req.rawBody || !safeEqual(signature, signPayload(req.rawBody))) {
+      return { outcome: 'rejected', reason: 'Invalid webhook signature', response: { received: false }, statusCode: 403 };
+    }
+
+    const session = req.body?.data;
+    if (!session?.id) {
+      return { outcome: 'invalid', reason: 'Missing data.id', response: { received: false }, statusCode: 400 };
+    }
+
+    const update = interpretCheckoutSession(session);
+    if (!update) {
+      return { outcome: 'duplicate', reason: `Status ${session.status} is not final`, response: { received: true }, statusCode: 200 };
+    }
+
+    const payment = await resolvePayment({ provider: 'card', providerReference: session.id }, update, 'callback');
+    return {
+      outcome: payment ? 'applied' : 'duplicate',
+      payment,
+      response: { received: true },
+      statusCode: 200,
+    };
+  }
+
+  /**
+   * Refunds the charge; the gateway answers synchronously
+   */
+  async refund(payment, refund) {
+    const result = await this.request('post', '/v1/refunds', {
+      charge_id: payment.providerReceipt,
+      amount: refund.amount,
+      reason: refund.reason,
+      reference: String(refund._id),
+    });
+
+    if (result.status !== 'succeeded') {
+      throw new Error(result.failure_reason || `Card refund ${result.status || 'rejected'}`);
+    }
+
+    return { status: 'Completed', transactionId: result.id };
+  }
+}
+
+module.exports = new CardProvider();
+module.exports.config = config;
+module.exports.signPayload = signPayload;
+module.exports.interpretCheckoutSession = interpretCheckoutSession;
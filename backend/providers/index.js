@@ -0,0 +1,45 @@
+/**
+ * Payment provider registry
+ * @module providers
+ * @description Looks up the PaymentProvider behind a Payment.provider value.
+ *
+ * @example
+ * const { getProvider } = require('../providers');
+ * const update = await getProvider(payment.provider).query(payment);
+ */
+
+const AppError = require('../utils/appError');
+const mpesa = require('./mpesaProvider');
+const airtel = require('./airtelProvider');
+const card = require('./cardProvider');
+
+/**
+ * Providers keyed by Payment.provider
+ * @constant {Object<string, PaymentProvider>} PROVIDERS
+ */
+const PROVIDERS = { mpesa, airtel, card };
+
+/**
+ * Returns the provider for a Payment.provider value
+ * @function getProvider
+ * @param {string} [name='mpesa'] - Payments created before providers existed have none
+ * @returns {PaymentProvider}
+ * @throws {AppError} 400 for unknown providers
+ */
+const getProvider = (name = 'mpesa') => {
+  const provider = PROVIDERS[name || 'mpesa'];
+  if (!provider) throw new AppError(`Unknown payment provider "${name}"`, 400);
+  return provider;
+};
+
+/**
+ * Providers that are configured in this deployment
+ * @function listProviders
+ * @returns {Object[]} [{ name, label }]
+ */
+const listProviders = () =>
+  Object.values(PROVIDERS)
+    .filter((provider) => provider.isConfigured())
+    .map(({ name, label }) => ({ name, label }));
+
+module.exports = { PROVIDERS, getProvider, listProviders };
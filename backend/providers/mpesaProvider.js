@@ -0,0 +1,120 @@
+/**
+ * M-Pesa payment provider
+ * @module providers/mpesaProvider
+ * @description Safaricom Daraja behind the PaymentProvider interface: STK push
+ * to initiate, STK Push Query to resolve lost callbacks, the guarded STK
+ * callback, and the Reversal API for refunds.
+ * @see {@link module:utils/mpesa} for the Daraja client
+ */
+
+const PaymentProvider = require('./PaymentProvider');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const {
+  config,
+  stkPush,
+  stkQuery,
+  interpretSTKResult,
+  reverseTransaction,
+  toMsisdn,
+} = require('../utils/mpesa');
+
+/**
+ * Daraja error code returned while the customer has not yet responded
+ * @constant {string} STILL_PROCESSING
+ */
+const STILL_PROCESSING = '500.001.1001';
+
+class MpesaProvider extends PaymentProvider {
+  constructor() {
+    super('mpesa', 'M-Pesa');
+  }
+
+  isConfigured() {
+    return Boolean(config.baseUrl && config.shortCode && config.passkey && config.consumerKey);
+  }
+
+  /**
+   * Sends an STK push prompt to the payer's phone
+   * @throws {AppError} 400 invalid phone, 502 when Daraja rejects the request
+   */
+  async initiate({ payment, phone, description }) {
+    const msisdn = toMsisdn(phone);
+    if (!msisdn) throw new AppError('Invalid phone number format. Use 2547XXXXXXXX', 400);
+
+    let response;
+    try {
+      response = await stkPush({ phone: msisdn, amount: payment.amount, description });
+    } catch (error) {
+      logger.error(`STK push for payment ${payment._id} failed: ${JSON.stringify(error.response?.data) || error.message}`);
+      throw new AppError('MPesa STK Push request failed', 502);
+    }
+
+    if (response.ResponseCode !== '0') {
+      throw new AppError(response.ResponseDescription || 'MPesa STK Push request rejected', 502);
+    }
+
+    return {
+      reference: {
+        phone: msisdn,
+        checkoutRequestId: response.CheckoutRequestID,
+        merchantRequestId: response.MerchantRequestID,
+      },
+      channel: 'STK',
+      customerMessage: response.CustomerMessage,
+    };
+  }
+
+  /**
+   * STK Push Query; null while the customer has not answered the prompt
+   */
+  async query(payment) {
+    if (!payment.checkoutRequestId) return null;
+
+    try {
+      return interpretSTKResult(await stkQuery(payment.checkoutRequestId));
+    } catch (error) {
+      const darajaError = error.response?.data;
+      if (darajaError?.errorCode === STILL_PROCESSING) return null;
+      throw new Error(darajaError?.errorMessage || error.message);
+    }
+  }
+
+  /**
+   * Runs the STK callback processor
+   *
+   * @remarks
+   * The request must already have passed mpesaCallbackGuard('stk'). Required
+   * lazily: utils/mpesaCallbacks depends on the refund workflow, which
+   * depends on the providers.
+   */
+  async handleCallback(req) {
+    const { callbackProcessors } = require('../utils/mpesaCallbacks');
+    const result = await callbackProcessors.stk(req.body);
+    return { ...result, statusCode: result.outcome === 'invalid' ? 400 : 200 };
+  }
+
+  /**
+   * Submits a Daraja reversal; the result arrives on the reversal ResultURL
+   */
+  async refund(payment, refund) {
+    const response = await reverseTransaction({
+      transactionId: payment.mpesaReceiptNumber,
+      amount: refund.amount,
+      remarks: refund.reason,
+      occasion: `REFUND-${refund._id}`,
+    });
+
+    if (response.ResponseCode !== '0') {
+      throw new Error(response.ResponseDescription || 'Reversal request rejected');
+    }
+
+    return {
+      status: 'Processing',
+      conversationId: response.ConversationID,
+      originatorConversationId: response.OriginatorConversationID,
+    };
+  }
+}
+
+module.exports = new MpesaProvider();
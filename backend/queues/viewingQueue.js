@@ -0,0 +1,9 @@
+const { Queue } = require('bullmq');
+const viewingQueue = new Queue('viewing-notices', {
+  connection: {
+    host: process.env.REDIS_HOST || '127.0.0.1',
+    port: process.env.REDIS_PORT || 6379
+  }
+});
+
+module.exports = viewingQueue;
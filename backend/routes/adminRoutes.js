@@ -1,15 +1,223 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Payment = require('../models/Payment');
+const SuspensePayment = require('../models/SuspensePayment');
+const User = require('../models/User');
+const MpesaCallbackLog = require('../models/MpesaCallbackLog');
+const { authenticateMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const { reconcilePendingPayments } = require('../utils/paymentReconciliation');
+const { allocateSuspensePayment } = require('../utils/c2b');
+const { callbackProcessors } = require('../utils/mpesaCallbacks');
+const { validateHistoryRequest, validatePaymentQuery } = require('../middleware/requestValidator');
+const { parseSort } = require('../utils/paymentQuery');
+const {
+  REPORT_TIMEZONE,
+  INTERVAL_FORMATS,
+  buildAdminPaymentFilter,
+  getPeriodTotals,
+  getSuccessRate,
+  getFailureReasons,
+  getTopPayers
+} = require('../utils/paymentAnalytics');
 
-// ✅ Get all payments (for admin)
-router.get('/payments', async (req, res) => {
+// ✅ Payments console: paginated, filtered list
+// Filters: status, from, to, minAmount, maxAmount, receipt, user, landlord, property, q (receipt or phone)
+router.get('/payments', authenticateMiddleware, restrictTo('admin'), validateHistoryRequest, validatePaymentQuery, async (req, res) => {
   try {
-    const payments = await Payment.find().sort({ createdAt: -1 });
-    res.json(payments);
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = buildAdminPaymentFilter(req.query);
+
+    const [data, total] = await Promise.all([
+      Payment.find(filter)
+        .populate('user', 'name email phone accountNumber')
+        .populate('property', 'title address.city')
+        .sort(parseSort(req.query.sort))
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Payment.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
   } catch (err) {
     res.status(500).json({ error: 'Failed to fetch payments' });
   }
 });
 
+// ✅ Payment totals per day or month (?interval=day|month)
+router.get('/payments/stats/totals', authenticateMiddleware, restrictTo('admin'), validatePaymentQuery, async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+    if (!INTERVAL_FORMATS[interval]) {
+      return res.status(400).json({ error: 'interval must be day or month' });
+    }
+
+    const data = await getPeriodTotals(buildAdminPaymentFilter(req.query), interval);
+    res.json({ status: 'success', interval, timezone: REPORT_TIMEZONE, data });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to compute payment totals' });
+  }
+});
+
+// ✅ Success rate and counts by status
+router.get('/payments/stats/success-rate', authenticateMiddleware, restrictTo('admin'), validatePaymentQuery, async (req, res) => {
+  try {
+    const data = await getSuccessRate(buildAdminPaymentFilter(req.query));
+    res.json({ status: 'success', data });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to compute success rate' });
+  }
+});
+
+// ✅ Most common failure reasons
+router.get('/payments/stats/failure-reasons', authenticateMiddleware, restrictTo('admin'), validatePaymentQuery, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const data = await getFailureReasons(buildAdminPaymentFilter(req.query), limit);
+    res.json({ status: 'success', data });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to compute failure reasons' });
+  }
+});
+
+// ✅ Tenants who paid the most
+router.get('/payments/stats/top-payers', authenticateMiddleware, restrictTo('admin'), validatePaymentQuery, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const data = await getTopPayers(buildAdminPaymentFilter(req.query), limit);
+    res.json({ status: 'success', data });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to compute top payers' });
+  }
+});
+
+// ✅ Reconcile stale Pending payments via STK Push Query (on demand)
+router.post('/payments/reconcile', authenticateMiddleware, restrictTo('admin'), async (req, res) => {
+  try {
+    const staleAfterMinutes = req.body?.staleAfterMinutes !== undefined
+      ? parseInt(req.body.staleAfterMinutes)
+      : undefined;
+    if (staleAfterMinutes !== undefined && (isNaN(staleAfterMinutes) || staleAfterMinutes < 0)) {
+      return res.status(400).json({ error: 'staleAfterMinutes must be a non-negative integer' });
+    }
+
+    const summary = await reconcilePendingPayments({ staleAfterMinutes });
+    res.json({ status: 'success', data: summary });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to reconcile payments' });
+  }
+});
+
+// ✅ List C2B payments waiting in suspense
+router.get('/suspense', authenticateMiddleware, restrictTo('admin'), async (req, res) => {
+  try {
+    const status = req.query.status || 'Unallocated';
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [data, total] = await Promise.all([
+      SuspensePayment.find({ status })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-raw'),
+      SuspensePayment.countDocuments({ status })
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch suspense payments' });
+  }
+});
+
+// ✅ Allocate a suspense payment to a tenant
+router.post('/suspense/:id/allocate', authenticateMiddleware, restrictTo('admin'), async (req, res) => {
+  try {
+    const { userId, accountNumber, note } = req.body;
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid suspense payment id' });
+    }
+    if (!userId && !accountNumber) {
+      return res.status(400).json({ error: 'userId or accountNumber is required' });
+    }
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid userId' });
+    }
+
+    const result = await allocateSuspensePayment(req.params.id, { userId, accountNumber, note }, req.user);
+    res.json({ status: 'success', data: result });
+  } catch (err) {
+    if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to allocate suspense payment' });
+  }
+});
+
+// ✅ Assign the landlord who collects a tenant's rent
+router.patch('/users/:id/landlord', authenticateMiddleware, restrictTo('admin'), async (req, res) => {
+  try {
+    const { landlordId } = req.body;
+    if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(landlordId)) {
+      return res.status(400).json({ error: 'Invalid tenant or landlord id' });
+    }
+
+    const landlord = await User.exists({ _id: landlordId, role: 'landlord' });
+    if (!landlord) return res.status(404).json({ error: 'Landlord not found' });
+
+    const tenant = await User.findOneAndUpdate(
+      { _id: req.params.id, role: 'tenant' },
+      { $set: { landlord: landlordId } },
+      { new: true }
+    );
+    if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+
+    res.json({ status: 'success', data: tenant });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to assign landlord' });
+  }
+});
+
+// ✅ Audit log of raw MPesa callbacks
+router.get('/mpesa/callbacks', authenticateMiddleware, restrictTo('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = {};
+    ['type', 'outcome', 'reference'].forEach(key => {
+      if (req.query[key]) filter[key] = String(req.query[key]);
+    });
+
+    const [data, total] = await Promise.all([
+      MpesaCallbackLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      MpesaCallbackLog.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch callback logs' });
+  }
+});
+
+// ✅ Replay a stored callback through its processor (safe: processors are idempotent)
+router.post('/mpesa/callbacks/:id/replay', authenticateMiddleware, restrictTo('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid callback log id' });
+    }
+
+    const log = await MpesaCallbackLog.findById(req.params.id);
+    if (!log) return res.status(404).json({ error: 'Callback log not found' });
+
+    const result = await callbackProcessors[log.type](log.body);
+    log.replayCount += 1;
+    log.lastReplayedAt = new Date();
+    await log.markProcessed(result);
+
+    res.json({ status: 'success', data: { outcome: result.outcome, reason: result.reason, log } });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to replay callback' });
+  }
+});
+
 module.exports = router;
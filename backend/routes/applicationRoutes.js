@@ -0,0 +1,500 @@
+/**
+ * Rental Application Routes
+ * @module routes/applicationRoutes
+ * @description Applications to rent a unit and the landlord's screening of
+ * them. Applicants submit and update their own; landlords and their agents
+ * review, ask for more information and check items off; landlords approve or
+ * reject. Screening checklists are configured here too.
+ * @see {@link module:utils/applications} for the workflow rules
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
+const Property = require('../models/Property');
+const RentalApplication = require('../models/RentalApplication');
+const ScreeningChecklist = require('../models/ScreeningChecklist');
+const User = require('../models/User');
+const { authenticateMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const { uploadDocuments } = require('../middleware/upload');
+const {
+  DEFAULT_CHECKLIST,
+  rescreenOpenApplications,
+  applicationScope,
+  getApplicationForUser,
+  submitApplication,
+  updateApplication,
+  addDocuments,
+  removeDocument,
+  documentUrl,
+  requestInfo,
+  respondToInfoRequest,
+  checkScreeningItem,
+  approveApplication,
+  rejectApplication,
+  withdrawApplication,
+} = require('../utils/applications');
+
+const router = express.Router();
+
+router.use(authenticateMiddleware);
+
+const REVIEWERS = ['landlord', 'agent', 'admin'];
+const STATUSES = RentalApplication.schema.path('status').enumValues;
+const DOCUMENT_TYPES = RentalApplication.schema.path('documents').schema.path('type').enumValues;
+const EMPLOYMENT_STATUSES = RentalApplication.schema.path('employment.status').enumValues;
+
+/**
+ * Sends validation errors collected by the preceding checks
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Validates the :id route parameter
+ */
+const validateId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+  next();
+};
+
+/**
+ * Sends an operational error as-is, anything else as a 500
+ * @param {Object} res - Express response
+ * @param {Error} err
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendError = (res, err, fallback) => {
+  if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+  if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+  res.status(500).json({ error: fallback });
+};
+
+/**
+ * Validators for the applicant's details
+ * @param {boolean} optional - True for updates
+ * @returns {Array} express-validator chains
+ */
+const applicantFields = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+  return [
+    field(body('employment').isObject()).withMessage('employment is required'),
+    field(body('employment.status').isIn(EMPLOYMENT_STATUSES))
+      .withMessage(`employment.status must be one of ${EMPLOYMENT_STATUSES.join(', ')}`),
+    field(body('employment.monthlyIncome').isFloat({ min: 0 })).withMessage('employment.monthlyIncome must be 0 or more'),
+    body('employment.otherIncome').optional().isFloat({ min: 0 }),
+    body('employment.employer').optional().isString().trim().isLength({ max: 100 }),
+    body('employment.jobTitle').optional().isString().trim().isLength({ max: 100 }),
+    body('employment.startDate').optional().isISO8601().withMessage('employment.startDate must be a date'),
+    body('references').optional().isArray({ max: 5 }).withMessage('references must be a list of at most 5'),
+    body('references.*.name').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Each reference needs a name'),
+    body('references.*.relationship').optional().isString().trim().isLength({ max: 50 }),
+    body('references.*.phone').optional().isString().trim().isLength({ max: 20 }),
+    body('references.*.email').optional().isEmail().withMessage('Invalid reference email'),
+    body('references.*').custom((reference) => Boolean(reference.phone || reference.email))
+      .withMessage('Each reference needs a phone number or email'),
+    body('moveInDate').optional().isISO8601().withMessage('moveInDate must be a date'),
+    body('occupants').optional().isInt({ min: 1, max: 20 }).withMessage('occupants must be 1-20'),
+    body('message').optional().isString().trim().isLength({ max: 1000 }),
+  ];
+};
+
+/**
+ * Copies the applicant's details present in the request body
+ * @param {Object} source - Request body
+ * @returns {Object}
+ */
+const pickApplicantFields = (source) =>
+  ['employment', 'references', 'moveInDate', 'occupants', 'message'].reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+/**
+ * @route GET /checklists
+ * @desc Screening checklists, with the built-in default used when none is set
+ * @access Private (landlord own; admin all)
+ */
+router.get('/checklists', restrictTo('landlord', 'admin'), async (req, res) => {
+  try {
+    const filter = req.user.role === 'admin' ? {} : { landlord: req.user._id };
+    const data = await ScreeningChecklist.find(filter).populate('property', 'title').sort({ property: 1 });
+    res.json({ status: 'success', data, default: DEFAULT_CHECKLIST });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch checklists' });
+  }
+});
+
+/**
+ * @route PUT /checklists
+ * @desc Create or replace a checklist; without propertyId it is the landlord's default.
+ * Open applications are re-scored.
+ * @access Private (landlord for self; admin with landlordId)
+ */
+router.put(
+  '/checklists',
+  restrictTo('landlord', 'admin'),
+  body('propertyId').optional({ values: 'null' }).custom(mongoose.isValidObjectId).withMessage('Invalid propertyId'),
+  body('landlordId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid landlordId'),
+  body('items').isArray({ min: 1, max: 30 }).withMessage('items must list 1-30 checks'),
+  body('items.*.key').matches(/^[a-z0-9_]{2,40}$/).withMessage('Item keys are 2-40 lower-case letters, digits or _'),
+  body('items.*.label').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Each item needs a label'),
+  body('items.*.type').optional().isIn(['manual', 'income', 'references', 'documents']).withMessage('Invalid item type'),
+  body('items.*.weight').optional().isInt({ min: 1, max: 10 }).withMessage('weight must be 1-10'),
+  body('items.*.required').optional().isBoolean(),
+  body('incomeMultiple').optional().isFloat({ min: 0, max: 20 }),
+  body('minReferences').optional().isInt({ min: 0, max: 5 }),
+  body('requiredDocuments').optional().isArray({ min: 1 }),
+  body('requiredDocuments.*').isIn(DOCUMENT_TYPES).withMessage('Invalid document type'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      let landlordId = req.user._id;
+      if (req.user.role === 'admin') {
+        const landlord = req.body.landlordId && await User.findOne({ _id: req.body.landlordId, role: 'landlord' });
+        if (!landlord) return res.status(400).json({ error: 'A valid landlordId is required' });
+        landlordId = landlord._id;
+      }
+
+      const propertyId = req.body.propertyId || null;
+      if (propertyId && !await Property.exists({ _id: propertyId, owner: landlordId })) {
+        return res.status(404).json({ error: 'Property not found' });
+      }
+
+      const update = { items: req.body.items };
+      for (const key of ['incomeMultiple', 'minReferences', 'requiredDocuments']) {
+        if (req.body[key] !== undefined) update[key] = req.body[key];
+      }
+
+      const checklist = await ScreeningChecklist.findOneAndUpdate(
+        { landlord: landlordId, property: propertyId },
+        { $set: update },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+      const rescored = await rescreenOpenApplications(landlordId, propertyId);
+
+      res.json({ status: 'success', data: checklist, rescored });
+    } catch (err) {
+      sendError(res, err, 'Failed to save checklist');
+    }
+  }
+);
+
+/**
+ * @route DELETE /checklists/:id
+ * @desc Delete a checklist; its applications fall back to the default
+ * @access Private (landlord own; admin)
+ */
+router.delete('/checklists/:id', restrictTo('landlord', 'admin'), validateId, async (req, res) => {
+  try {
+    const filter = { _id: req.params.id };
+    if (req.user.role !== 'admin') filter.landlord = req.user._id;
+
+    const checklist = await ScreeningChecklist.findOneAndDelete(filter);
+    if (!checklist) return res.status(404).json({ error: 'Checklist not found' });
+    await rescreenOpenApplications(checklist.landlord, checklist.property);
+
+    res.json({ status: 'success', message: 'Checklist deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete checklist' });
+  }
+});
+
+/**
+ * @route GET /
+ * @desc Applications the user made or reviews; sort=score ranks applicants
+ * @access Private (applicant own; landlord, agent and admin by property)
+ * @query status, unitId, propertyId, sort (score | newest), page, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = await applicationScope(req.user);
+    if (STATUSES.includes(req.query.status)) filter.status = req.query.status;
+    if (mongoose.isValidObjectId(req.query.unitId)) filter.unit = req.query.unitId;
+    if (mongoose.isValidObjectId(req.query.propertyId)) filter.property = req.query.propertyId;
+    const sort = req.query.sort === 'score' ? { score: -1, createdAt: 1 } : { createdAt: -1 };
+
+    const [data, total] = await Promise.all([
+      RentalApplication.find(filter)
+        .select('-documents.key')
+        .populate('applicant', 'name email phone')
+        .populate('property', 'title')
+        .populate('unit', 'unitNumber rent status')
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      RentalApplication.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch applications' });
+  }
+});
+
+/**
+ * @route GET /:id
+ * @desc One application with its screening results
+ * @access Private (applicant or reviewer)
+ */
+router.get('/:id', validateId, async (req, res) => {
+  try {
+    const { application } = await getApplicationForUser(req.params.id, req.user);
+    await application.populate([
+      { path: 'applicant', select: 'name email phone' },
+      { path: 'property', select: 'title address' },
+      { path: 'unit', select: 'unitNumber rent deposit status' },
+    ]);
+    const data = application.toObject();
+    data.documents.forEach((document) => { delete document.key; });
+
+    res.json({ status: 'success', data });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch application');
+  }
+});
+
+/**
+ * @route POST /
+ * @desc Apply for a vacant unit; attach documents afterwards
+ * @access Private (tenant)
+ */
+router.post(
+  '/',
+  restrictTo('tenant'),
+  body('unitId').custom(mongoose.isValidObjectId).withMessage('Invalid unitId'),
+  applicantFields(false),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const application = await submitApplication(req.user, {
+        unitId: req.body.unitId,
+        ...pickApplicantFields(req.body),
+      });
+      res.status(201).json({ status: 'success', data: application });
+    } catch (err) {
+      sendError(res, err, 'Failed to submit application');
+    }
+  }
+);
+
+/**
+ * @route PATCH /:id
+ * @desc Update the applicant's details while the application is open
+ * @access Private (applicant)
+ */
+router.patch('/:id', validateId, applicantFields(true), handleValidation, async (req, res) => {
+  try {
+    const application = await updateApplication(req.params.id, req.user, pickApplicantFields(req.body));
+    res.json({ status: 'success', data: application });
+  } catch (err) {
+    sendError(res, err, 'Failed to update application');
+  }
+});
+
+/**
+ * @route POST /:id/documents
+ * @desc Attach ID and supporting documents (multipart "documents", with a type)
+ * @access Private (applicant)
+ */
+router.post(
+  '/:id/documents',
+  validateId,
+  uploadDocuments,
+  body('type').isIn(DOCUMENT_TYPES).withMessage(`type must be one of ${DOCUMENT_TYPES.join(', ')}`),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const application = await addDocuments(req.params.id, req.user, req.files, req.body.type);
+      const data = application.toObject();
+      data.documents.forEach((document) => { delete document.key; });
+      res.status(201).json({ status: 'success', data });
+    } catch (err) {
+      sendError(res, err, 'Failed to upload documents');
+    }
+  }
+);
+
+/**
+ * @route GET /:id/documents/:documentId
+ * @desc Short-lived download link for a document
+ * @access Private (applicant or reviewer)
+ */
+router.get(
+  '/:id/documents/:documentId',
+  validateId,
+  param('documentId').custom(mongoose.isValidObjectId).withMessage('Invalid documentId'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const url = await documentUrl(req.params.id, req.user, req.params.documentId);
+      res.json({ status: 'success', data: { url } });
+    } catch (err) {
+      sendError(res, err, 'Failed to create download link');
+    }
+  }
+);
+
+/**
+ * @route DELETE /:id/documents/:documentId
+ * @desc Remove a document while the application is open
+ * @access Private (applicant)
+ */
+router.delete(
+  '/:id/documents/:documentId',
+  validateId,
+  param('documentId').custom(mongoose.isValidObjectId).withMessage('Invalid documentId'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      await removeDocument(req.params.id, req.user, req.params.documentId);
+      res.json({ status: 'success', message: 'Document removed' });
+    } catch (err) {
+      sendError(res, err, 'Failed to remove document');
+    }
+  }
+);
+
+/**
+ * @route POST /:id/withdraw
+ * @desc Withdraw an open application
+ * @access Private (applicant)
+ */
+router.post('/:id/withdraw', validateId, async (req, res) => {
+  try {
+    const application = await withdrawApplication(req.params.id, req.user);
+    res.json({ status: 'success', data: application });
+  } catch (err) {
+    sendError(res, err, 'Failed to withdraw application');
+  }
+});
+
+/**
+ * @route POST /:id/request-info
+ * @desc Ask the applicant for more information; they are emailed
+ * @access Private (landlord, agent, admin)
+ */
+router.post(
+  '/:id/request-info',
+  restrictTo(...REVIEWERS),
+  validateId,
+  body('message').isString().trim().isLength({ min: 5, max: 1000 }).withMessage('message must be 5-1000 characters'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const application = await requestInfo(req.params.id, req.user, req.body.message);
+      res.json({ status: 'success', data: application });
+    } catch (err) {
+      sendError(res, err, 'Failed to request information');
+    }
+  }
+);
+
+/**
+ * @route POST /:id/respond
+ * @desc Answer the landlord's request for information
+ * @access Private (applicant)
+ */
+router.post(
+  '/:id/respond',
+  validateId,
+  body('response').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('response must be 1-2000 characters'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const application = await respondToInfoRequest(req.params.id, req.user, req.body.response);
+      res.json({ status: 'success', data: application });
+    } catch (err) {
+      sendError(res, err, 'Failed to send response');
+    }
+  }
+);
+
+/**
+ * @route PATCH /:id/screening/:key
+ * @desc Record a manual checklist result; passed null clears it
+ * @access Private (landlord, agent, admin)
+ */
+router.patch(
+  '/:id/screening/:key',
+  restrictTo(...REVIEWERS),
+  validateId,
+  body('passed').custom((value) => value === null || typeof value === 'boolean').withMessage('passed must be true, false or null'),
+  body('note').optional().isString().trim().isLength({ max: 300 }),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const application = await checkScreeningItem(req.params.id, req.user, req.params.key, {
+        passed: req.body.passed,
+        note: req.body.note,
+      });
+      res.json({ status: 'success', data: application });
+    } catch (err) {
+      sendError(res, err, 'Failed to record screening result');
+    }
+  }
+);
+
+/**
+ * @route POST /:id/approve
+ * @desc Approve: reserves the unit and drafts the lease (terms default to the unit's)
+ * @access Private (property owner, admin)
+ */
+router.post(
+  '/:id/approve',
+  restrictTo('landlord', 'admin'),
+  validateId,
+  body('startDate').optional().isISO8601().withMessage('startDate must be a date'),
+  body('months').optional().isInt({ min: 0, max: 120 }).withMessage('months must be 0-120'),
+  body('rent').optional().isFloat({ min: 0 }),
+  body('deposit').optional().isFloat({ min: 0 }),
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { application, lease } = await approveApplication(req.params.id, req.user, {
+        startDate: req.body.startDate,
+        months: req.body.months !== undefined ? parseInt(req.body.months) : undefined,
+        rent: req.body.rent !== undefined ? parseFloat(req.body.rent) : undefined,
+        deposit: req.body.deposit !== undefined ? parseFloat(req.body.deposit) : undefined,
+        reason: req.body.reason,
+      });
+      res.json({ status: 'success', data: { application, lease } });
+    } catch (err) {
+      sendError(res, err, 'Failed to approve application');
+    }
+  }
+);
+
+/**
+ * @route POST /:id/reject
+ * @desc Reject an application; the reason is shared with the applicant
+ * @access Private (property owner, admin)
+ */
+router.post(
+  '/:id/reject',
+  restrictTo('landlord', 'admin'),
+  validateId,
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const application = await rejectApplication(req.params.id, req.user, req.body.reason);
+      res.json({ status: 'success', data: application });
+    } catch (err) {
+      sendError(res, err, 'Failed to reject application');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,178 @@
+/**
+ * Billing Routes
+ * @module routes/billingRoutes
+ * @description Rent billing settings per landlord or property: when lease
+ * invoices fall due and when tenants are reminded. Landlords manage their
+ * own settings; admins manage everything and can trigger a billing run by hand.
+ * @see {@link module:utils/billing} for how leases are invoiced
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const BillingSettings = require('../models/BillingSettings');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const { authenticateMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const { findSettings, generateRentInvoices } = require('../utils/billing');
+
+const router = express.Router();
+
+router.use(authenticateMiddleware, restrictTo('landlord', 'admin'));
+
+/**
+ * Sends validation errors collected by the preceding checks
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Validates the :id route parameter
+ */
+const validateId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+  next();
+};
+
+/**
+ * Limits queries to the landlord's own records; admins see all
+ * @param {Object} req - Express request
+ * @returns {Object} Mongo filter
+ */
+const scopeFilter = (req) => (req.user.role === 'admin' ? {} : { landlord: req.user._id });
+
+const SETTINGS_FIELDS = ['autoInvoice', 'dueDays', 'remindBefore', 'remindAfter', 'channels'];
+
+const settingsFields = [
+  body('propertyId').optional({ values: 'null' }).custom(mongoose.isValidObjectId).withMessage('Invalid propertyId'),
+  body('landlordId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid landlordId'),
+  body('autoInvoice').optional().isBoolean(),
+  body('dueDays').optional().isInt({ min: 0, max: 28 }).withMessage('dueDays must be 0-28'),
+  body('remindBefore').optional().isArray({ max: 5 }),
+  body('remindBefore.*').isInt({ min: 1, max: 28 }).withMessage('Reminder days before must be 1-28'),
+  body('remindAfter').optional().isArray({ max: 5 }),
+  body('remindAfter.*').isInt({ min: 1, max: 60 }).withMessage('Reminder days after must be 1-60'),
+  body('channels.email').optional().isBoolean(),
+  body('channels.sms').optional().isBoolean(),
+  handleValidation
+];
+
+/**
+ * Copies the editable settings present in the request body
+ * @param {Object} source - Request body
+ * @returns {Object}
+ */
+const pickSettingsFields = (source) =>
+  SETTINGS_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+/**
+ * @route GET /settings
+ * @desc List billing settings; ?propertyId= returns the settings in force for that property
+ * @access Private (landlord sees own; admin sees all, optionally ?landlordId=)
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const filter = scopeFilter(req);
+    if (req.user.role === 'admin' && mongoose.isValidObjectId(req.query.landlordId)) {
+      filter.landlord = req.query.landlordId;
+    }
+
+    if (mongoose.isValidObjectId(req.query.propertyId)) {
+      const property = await Property.findOne({
+        _id: req.query.propertyId,
+        ...(filter.landlord ? { owner: filter.landlord } : {}),
+      });
+      if (!property) return res.status(404).json({ error: 'Property not found' });
+
+      const data = await findSettings(property.owner, property._id);
+      return res.json({ status: 'success', data, inherited: !data.property });
+    }
+
+    const data = await BillingSettings.find(filter).populate('property', 'title').sort({ landlord: 1, property: 1 });
+    res.json({ status: 'success', data });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch billing settings' });
+  }
+});
+
+/**
+ * @route PUT /settings
+ * @desc Create or replace the settings for a property, or the landlord default without propertyId
+ * @access Private (landlord for self; admin with landlordId)
+ */
+router.put('/settings', settingsFields, async (req, res) => {
+  try {
+    let landlordId = req.user._id;
+    if (req.user.role === 'admin') {
+      const landlord = req.body.landlordId && await User.findOne({ _id: req.body.landlordId, role: 'landlord' });
+      if (!landlord) return res.status(400).json({ error: 'A valid landlordId is required' });
+      landlordId = landlord._id;
+    }
+
+    const propertyId = req.body.propertyId || null;
+    if (propertyId && !await Property.exists({ _id: propertyId, owner: landlordId })) {
+      return res.status(404).json({ error: 'Property not found' });
+    }
+
+    const fields = pickSettingsFields(req.body);
+    const dueDays = fields.dueDays ?? BillingSettings.schema.path('dueDays').defaultValue;
+    if ((fields.remindBefore || []).some((days) => days > dueDays)) {
+      return res.status(400).json({ error: 'Reminders before the due date cannot come before the invoice is raised' });
+    }
+
+    const settings = await BillingSettings.findOneAndReplace(
+      { landlord: landlordId, property: propertyId },
+      { ...fields, landlord: landlordId, property: propertyId },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({ status: 'success', data: settings });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to save billing settings' });
+  }
+});
+
+/**
+ * @route DELETE /settings/:id
+ * @desc Delete settings; the property falls back to the landlord default
+ * @access Private (landlord own; admin)
+ */
+router.delete('/settings/:id', validateId, async (req, res) => {
+  try {
+    const settings = await BillingSettings.findOneAndDelete({ _id: req.params.id, ...scopeFilter(req) });
+    if (!settings) return res.status(404).json({ error: 'Billing settings not found' });
+
+    res.json({ status: 'success', message: 'Billing settings deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete billing settings' });
+  }
+});
+
+/**
+ * @route POST /run
+ * @desc Raise the rent invoices that are due now instead of waiting for the daily job
+ * @access Private (admin)
+ */
+router.post('/run', restrictTo('admin'), async (req, res) => {
+  try {
+    const summary = await generateRentInvoices({
+      landlordId: mongoose.isValidObjectId(req.body.landlordId) ? req.body.landlordId : undefined,
+    });
+    res.json({ status: 'success', data: summary });
+  } catch (err) {
+    res.status(500).json({ error: 'Billing run failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+/**
+ * Chat Routes
+ * @module routes/chatRoutes
+ * @description Conversations and message history over REST, for loading the
+ * inbox, paging back through a thread and sending attachments. Live
+ * delivery, typing indicators and read receipts go over Socket.io; messages
+ * sent here are pushed to connected clients too.
+ * @see {@link module:sockets/chat} for the socket events
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const { authenticateMiddleware } = require('../middleware/authMiddleware');
+const { uploadChatAttachments } = require('../middleware/upload');
+const { broadcastMessage, broadcastRead } = require('../sockets');
+const {
+  startConversation,
+  conversationScope,
+  getConversationForUser,
+  countUnread,
+  sendMessage,
+  markRead,
+  listMessages,
+  attachmentUrl,
+  presentMessage,
+} = require('../utils/chat');
+
+const router = express.Router();
+
+router.use(authenticateMiddleware);
+
+/**
+ * Sends validation errors collected by the preceding checks
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Validates the :id route parameter
+ */
+const validateId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+  next();
+};
+
+/**
+ * Sends an operational error as-is, anything else as a 500
+ * @param {Object} res - Express response
+ * @param {Error} err
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendError = (res, err, fallback) => {
+  if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+  if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+  res.status(500).json({ error: fallback });
+};
+
+/**
+ * @route GET /conversations
+ * @desc The user's conversations, most recent activity first, with unread counts
+ * @access Private (participants)
+ * @query kind, propertyId, leaseId, page, limit
+ */
+router.get('/conversations', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = conversationScope(req.user);
+    if (['property', 'lease'].includes(req.query.kind)) filter.kind = req.query.kind;
+    if (mongoose.isValidObjectId(req.query.propertyId)) filter.property = req.query.propertyId;
+    if (mongoose.isValidObjectId(req.query.leaseId)) filter.lease = req.query.leaseId;
+
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter)
+        .populate('participants.user', 'name role')
+        .populate('property', 'title')
+        .sort({ lastMessageAt: -1, updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Conversation.countDocuments(filter)
+    ]);
+    const data = await Promise.all(conversations.map(async (conversation) => ({
+      ...conversation.toObject(),
+      unread: await countUnread(conversation, req.user._id),
+    })));
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+/**
+ * @route POST /conversations
+ * @desc Open (or return) the conversation for a lease, or about a property.
+ * Staff starting a property conversation name the tenant with tenantId.
+ * @access Private (lease parties and managers; tenants and staff for properties)
+ */
+router.post(
+  '/conversations',
+  body('leaseId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid leaseId'),
+  body('propertyId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid propertyId'),
+  body('tenantId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid tenantId'),
+  body().custom((value) => Boolean(value.leaseId) !== Boolean(value.propertyId)).withMessage('Give either leaseId or propertyId'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const conversation = await startConversation(req.user, req.body);
+      await conversation.populate('participants.user', 'name role');
+      res.status(201).json({ status: 'success', data: conversation });
+    } catch (err) {
+      sendError(res, err, 'Failed to start conversation');
+    }
+  }
+);
+
+/**
+ * @route GET /conversations/:id
+ * @desc One conversation with its participants and read markers
+ * @access Private (participants)
+ */
+router.get('/conversations/:id', validateId, async (req, res) => {
+  try {
+    const conversation = await getConversationForUser(req.params.id, req.user);
+    await conversation.populate([
+      { path: 'participants.user', select: 'name role' },
+      { path: 'property', select: 'title' },
+    ]);
+
+    res.json({
+      status: 'success',
+      data: { ...conversation.toObject(), unread: await countUnread(conversation, req.user._id) },
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch conversation');
+  }
+});
+
+/**
+ * @route GET /conversations/:id/messages
+ * @desc Message history, newest first. Pass the oldest id received as ?before= to load earlier messages.
+ * @access Private (participants)
+ * @query before, limit (default 30, max 100)
+ */
+router.get('/conversations/:id/messages', validateId, async (req, res) => {
+  try {
+    const { data, hasMore } = await listMessages(req.params.id, req.user, {
+      before: req.query.before,
+      limit: req.query.limit,
+    });
+    res.json({ status: 'success', data, hasMore });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch messages');
+  }
+});
+
+/**
+ * @route POST /conversations/:id/messages
+ * @desc Send a message; multipart with up to 5 PDFs or images in "attachments"
+ * @access Private (participants)
+ */
+router.post(
+  '/conversations/:id/messages',
+  validateId,
+  uploadChatAttachments,
+  body('body').optional().isString().isLength({ max: 4000 }).withMessage('Messages are limited to 4000 characters'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { conversation, message } = await sendMessage(req.params.id, req.user, {
+        body: req.body.body,
+        files: req.files || [],
+      });
+      const data = presentMessage(message, req.user);
+
+      broadcastMessage(conversation, data);
+      res.status(201).json({ status: 'success', data });
+    } catch (err) {
+      sendError(res, err, 'Failed to send message');
+    }
+  }
+);
+
+/**
+ * @route POST /conversations/:id/read
+ * @desc Mark everything up to now as read
+ * @access Private (participants)
+ */
+router.post('/conversations/:id/read', validateId, async (req, res) => {
+  try {
+    const { conversation, readAt } = await markRead(req.params.id, req.user);
+    broadcastRead(conversation, req.user._id, readAt);
+    res.json({ status: 'success', data: { readAt } });
+  } catch (err) {
+    sendError(res, err, 'Failed to mark conversation read');
+  }
+});
+
+/**
+ * @route GET /conversations/:id/messages/:messageId/attachments/:attachmentId
+ * @desc Short-lived download link for an attachment
+ * @access Private (participants)
+ */
+router.get('/conversations/:id/messages/:messageId/attachments/:attachmentId', validateId, async (req, res) => {
+  try {
+    const url = await attachmentUrl(req.params.id, req.user, req.params.messageId, req.params.attachmentId);
+    res.json({ status: 'success', data: { url } });
+  } catch (err) {
+    sendError(res, err, 'Failed to create download link');
+  }
+});
+
+module.exports = router;
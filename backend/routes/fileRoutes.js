@@ -0,0 +1,45 @@
+/**
+ * File Routes
+ * @module routes/fileRoutes
+ * @description Serves private files stored on local disk through the signed
+ * links storage.signedUrl() hands out. With S3 storage, signed links point
+ * at the bucket directly and this route is not used.
+ * @see {@link module:storage/localDriver} for how links are signed
+ */
+
+const express = require('express');
+const path = require('path');
+const { getStorage } = require('../storage');
+
+const router = express.Router();
+
+/**
+ * @route GET /*
+ * @desc Download a private file with a valid, unexpired signature
+ * @access Public (signed link)
+ * @query expires, signature, filename
+ */
+router.get('/*', (req, res) => {
+  const storage = getStorage();
+  if (storage.name !== 'local') return res.status(404).json({ error: 'File not found' });
+
+  const key = req.params[0];
+  const { filename } = req.query;
+
+  let valid = false;
+  try {
+    valid = storage.verifySignedUrl(key, req.query);
+  } catch (err) {
+    valid = false;
+  }
+  if (!valid) return res.status(403).json({ error: 'Link is invalid or has expired' });
+
+  res.set('Cache-Control', 'private, no-store');
+  if (filename) res.attachment(path.basename(String(filename)));
+
+  res.sendFile(storage.resolvePath(key, 'private'), { dotfiles: 'deny' }, (err) => {
+    if (err && !res.headersSent) res.status(err.status === 404 ? 404 : 500).json({ error: 'File not found' });
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+/**
+ * Invoice Routes
+ * @module routes/invoiceRoutes
+ * @description Rent, deposit, utility and penalty invoices plus tenant statements.
+ * Tenants see their own account; landlords manage their tenants; admins see all.
+ * @see {@link module:utils/allocation} for how payments are applied to invoices
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const { authenticateMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const { getTenantStatement, reallocateTenant } = require('../utils/allocation');
+const { canManageTenant, createInvoice, voidInvoice } = require('../utils/invoices');
+
+const router = express.Router();
+
+router.use(authenticateMiddleware);
+
+/**
+ * Builds the ownership part of an invoice query for the current user
+ * @param {Object} req - Express request
+ * @returns {Object} Mongo filter
+ */
+const scopeFilter = (req) => {
+  if (req.user.role === 'tenant') return { tenant: req.user._id };
+  if (req.user.role === 'landlord') return { landlord: req.user._id };
+  if (req.user.role === 'admin') return {};
+  return null;
+};
+
+const validateInvoice = [
+  body('tenantId').custom(mongoose.isValidObjectId).withMessage('Valid tenantId is required'),
+  body('type').isIn(['rent', 'deposit', 'utilities', 'penalty']).withMessage('Invalid invoice type'),
+  body('amount').isFloat({ min: 1 }).withMessage('Amount must be at least 1'),
+  body('dueDate').isISO8601().withMessage('dueDate must be a valid date'),
+  body('period').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('period must be YYYY-MM'),
+  body('description').optional().isString().isLength({ max: 200 }),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+    next();
+  }
+];
+
+/**
+ * @route GET /statement
+ * @desc Invoices, payments, outstanding balance and credit for a tenant
+ * @access Private (tenant sees own; landlord/admin with ?tenantId=)
+ */
+router.get('/statement', async (req, res) => {
+  try {
+    let tenantId = req.user._id;
+
+    if (req.user.role !== 'tenant') {
+      if (!mongoose.isValidObjectId(req.query.tenantId)) {
+        return res.status(400).json({ error: 'tenantId is required' });
+      }
+      const tenant = await User.findOne({ _id: req.query.tenantId, role: 'tenant' });
+      if (!tenant) return res.status(404).json({ error: 'Tenant not found' });
+      if (!canManageTenant(tenant, req.user)) return res.status(403).json({ error: 'You do not manage this tenant' });
+      tenantId = tenant._id;
+    }
+
+    const statement = await getTenantStatement(tenantId);
+    res.json({ status: 'success', data: statement });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build statement' });
+  }
+});
+
+/**
+ * @route GET /
+ * @desc List invoices, oldest due first
+ * @access Private (scoped to the caller)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = scopeFilter(req);
+    if (!filter) return res.status(403).json({ error: 'Not allowed' });
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.type) filter.type = String(req.query.type);
+    if (req.user.role !== 'tenant' && mongoose.isValidObjectId(req.query.tenantId)) {
+      filter.tenant = req.query.tenantId;
+    }
+
+    const [data, total] = await Promise.all([
+      Invoice.find(filter).sort({ dueDate: 1, createdAt: 1 }).skip((page - 1) * limit).limit(limit),
+      Invoice.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch invoices' });
+  }
+});
+
+/**
+ * @route POST /
+ * @desc Raise an invoice; existing tenant credit is applied immediately
+ * @access Private (landlord for own tenants, admin)
+ */
+router.post('/', restrictTo('landlord', 'admin'), validateInvoice, async (req, res) => {
+  try {
+    const invoice = await createInvoice(
+      {
+        tenantId: req.body.tenantId,
+        type: req.body.type,
+        amount: parseFloat(req.body.amount),
+        dueDate: new Date(req.body.dueDate),
+        period: req.body.period,
+        description: req.body.description
+      },
+      req.user
+    );
+    res.status(201).json({ status: 'success', data: invoice });
+  } catch (err) {
+    if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to create invoice' });
+  }
+});
+
+/**
+ * @route POST /tenants/:tenantId/reallocate
+ * @desc Rebuild a tenant's allocations from their completed payments
+ * @access Private (admin)
+ */
+router.post('/tenants/:tenantId/reallocate', restrictTo('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.tenantId)) {
+      return res.status(400).json({ error: 'Invalid tenant id' });
+    }
+
+    const summary = await reallocateTenant(req.params.tenantId);
+    res.json({ status: 'success', data: summary });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to reallocate payments' });
+  }
+});
+
+/**
+ * @route GET /:id
+ * @desc Invoice with its payment allocations
+ * @access Private (scoped to the caller)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid invoice id' });
+    }
+
+    const filter = scopeFilter(req);
+    if (!filter) return res.status(403).json({ error: 'Not allowed' });
+
+    const invoice = await Invoice.findOne({ ...filter, _id: req.params.id })
+      .populate('allocations.payment', 'mpesaReceiptNumber amount paidAmount transactionDate channel');
+    if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
+
+    res.json({ status: 'success', data: invoice });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch invoice' });
+  }
+});
+
+/**
+ * @route POST /:id/void
+ * @desc Void an invoice; money allocated to it becomes tenant credit
+ * @access Private (landlord for own tenants, admin)
+ */
+router.post('/:id/void', restrictTo('landlord', 'admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid invoice id' });
+    }
+
+    const invoice = await voidInvoice(req.params.id, req.user);
+    res.json({ status: 'success', data: invoice });
+  } catch (err) {
+    if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to void invoice' });
+  }
+});
+
+module.exports = router;
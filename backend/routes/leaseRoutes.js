@@ -0,0 +1,303 @@
+/**
+ * Lease Routes
+ * @module routes/leaseRoutes
+ * @description Lease drafting, PDF issue, in-app signing and amendments.
+ * Landlords and their agents draft and issue; the tenant and the landlord
+ * sign; everyone on the lease can download it.
+ * @see {@link module:utils/leases} for signing and versioning rules
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Lease = require('../models/Lease');
+const { authenticateMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const {
+  LEASE_TEMPLATES,
+  rentOn,
+  leaseScope,
+  getLeaseForUser,
+  createLease,
+  updateLease,
+  issueLease,
+  signLease,
+  amendLease,
+  cancelLease,
+  leaseDocumentUrl,
+} = require('../utils/leases');
+
+const router = express.Router();
+
+router.use(authenticateMiddleware);
+
+const MANAGERS = ['landlord', 'agent', 'admin'];
+const STATUSES = Lease.schema.path('status').enumValues;
+
+/**
+ * Sends validation errors collected by the preceding checks
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Validates the :id route parameter
+ */
+const validateId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+  next();
+};
+
+/**
+ * Sends an operational error as-is, anything else as a 500
+ * @param {Object} res - Express response
+ * @param {Error} err
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendError = (res, err, fallback) => {
+  if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+  if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+  res.status(500).json({ error: fallback });
+};
+
+/**
+ * Validators for lease terms
+ * @param {boolean} optional - True for updates and amendments
+ * @returns {Array} express-validator chains
+ */
+const termFields = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+  return [
+    body('template').optional().isIn(Object.keys(LEASE_TEMPLATES)).withMessage('Unknown template'),
+    field(body('startDate').isISO8601()).withMessage('startDate must be a date'),
+    body('endDate').optional({ values: 'null' }).isISO8601().withMessage('endDate must be a date'),
+    body('endDate')
+      .if(body('startDate').exists())
+      .optional({ values: 'null' })
+      .custom((endDate, { req }) => new Date(endDate) > new Date(req.body.startDate))
+      .withMessage('endDate must be after startDate'),
+    body('rent').optional().isFloat({ min: 0 }).withMessage('rent must be 0 or more'),
+    body('deposit').optional().isFloat({ min: 0 }).withMessage('deposit must be 0 or more'),
+    body('billingDay').optional().isInt({ min: 1, max: 28 }).withMessage('billingDay must be 1-28'),
+    body('escalation.type').optional().isIn(['none', 'percentage', 'fixed']).withMessage('Invalid escalation type'),
+    body('escalation.value').optional().isFloat({ min: 0 }),
+    body('escalation.everyMonths').optional().isInt({ min: 1, max: 120 }),
+    body('noticePeriodDays').optional().isInt({ min: 0, max: 365 }),
+    body('clauses').optional().isArray({ max: 30 }),
+    body('clauses.*').isString().trim().isLength({ min: 3, max: 1000 }).withMessage('Clauses must be 3-1000 characters'),
+  ];
+};
+
+/**
+ * @route GET /
+ * @desc Leases the user is party to or manages
+ * @access Private (tenant own; landlord own; agent managed properties; admin all)
+ * @query status, unitId, propertyId, page, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = await leaseScope(req.user);
+    if (STATUSES.includes(req.query.status)) filter.status = req.query.status;
+    if (mongoose.isValidObjectId(req.query.unitId)) filter.unit = req.query.unitId;
+    if (mongoose.isValidObjectId(req.query.propertyId)) filter.property = req.query.propertyId;
+
+    const [data, total] = await Promise.all([
+      Lease.find(filter)
+        .select('-signatures.userAgent')
+        .populate('tenant landlord', 'name email')
+        .populate('property', 'title')
+        .populate('unit', 'unitNumber')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Lease.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch leases' });
+  }
+});
+
+/**
+ * @route GET /:id
+ * @desc One lease, with the rent currently in force
+ * @access Private (party or manager)
+ */
+router.get('/:id', validateId, async (req, res) => {
+  try {
+    const { lease, party } = await getLeaseForUser(req.params.id, req.user);
+    await lease.populate([
+      { path: 'tenant landlord', select: 'name email phone' },
+      { path: 'property', select: 'title address' },
+      { path: 'unit', select: 'unitNumber' },
+    ]);
+
+    res.json({ status: 'success', data: lease, currentRent: rentOn(lease), party });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch lease');
+  }
+});
+
+/**
+ * @route GET /:id/versions
+ * @desc Every version of the agreement, oldest first
+ * @access Private (party or manager)
+ */
+router.get('/:id/versions', validateId, async (req, res) => {
+  try {
+    const { lease } = await getLeaseForUser(req.params.id, req.user);
+    const data = await Lease.find({ agreement: lease.agreement })
+      .select('version status amendmentReason rent startDate endDate fullySignedAt supersededBy createdAt')
+      .sort({ version: 1 });
+
+    res.json({ status: 'success', data });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch lease versions');
+  }
+});
+
+/**
+ * @route POST /
+ * @desc Draft a lease for a unit; rent and deposit default to the unit's
+ * @access Private (landlord, agent, admin managing the property)
+ */
+router.post(
+  '/',
+  restrictTo(...MANAGERS),
+  body('unitId').custom(mongoose.isValidObjectId).withMessage('Invalid unitId'),
+  body('tenantId').custom(mongoose.isValidObjectId).withMessage('Invalid tenantId'),
+  termFields(false),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const lease = await createLease(req.user, req.body);
+      res.status(201).json({ status: 'success', data: lease });
+    } catch (err) {
+      sendError(res, err, 'Failed to create lease');
+    }
+  }
+);
+
+/**
+ * @route PATCH /:id
+ * @desc Change the terms before anyone signs; an issued lease goes back to draft
+ * @access Private (manager)
+ */
+router.patch('/:id', restrictTo(...MANAGERS), validateId, termFields(true), handleValidation, async (req, res) => {
+  try {
+    const lease = await updateLease(req.params.id, req.user, req.body);
+    res.json({ status: 'success', data: lease });
+  } catch (err) {
+    sendError(res, err, 'Failed to update lease');
+  }
+});
+
+/**
+ * @route POST /:id/issue
+ * @desc Generate the PDF and open the lease for signing
+ * @access Private (manager)
+ */
+router.post('/:id/issue', restrictTo(...MANAGERS), validateId, async (req, res) => {
+  try {
+    const lease = await issueLease(req.params.id, req.user);
+    res.json({ status: 'success', data: lease });
+  } catch (err) {
+    sendError(res, err, 'Failed to issue lease');
+  }
+});
+
+/**
+ * @route GET /:id/document
+ * @desc Short-lived link to the issued PDF (or ?signed=true for the signed copy), with its hash
+ * @access Private (party or manager)
+ */
+router.get('/:id/document', validateId, async (req, res) => {
+  try {
+    const data = await leaseDocumentUrl(req.params.id, req.user, req.query.signed === 'true');
+    res.json({ status: 'success', data });
+  } catch (err) {
+    sendError(res, err, 'Failed to create download link');
+  }
+});
+
+/**
+ * @route POST /:id/sign
+ * @desc Sign as the tenant or landlord. documentHash is the hash returned with the document link.
+ * @access Private (tenant or landlord on the lease)
+ */
+router.post(
+  '/:id/sign',
+  validateId,
+  body('method').isIn(['typed', 'drawn']).withMessage('method must be typed or drawn'),
+  body('typedName').isString().trim().isLength({ min: 2, max: 100 }).withMessage('Type your full name'),
+  body('image').if(body('method').equals('drawn')).isString().withMessage('A drawn signature needs an image'),
+  body('documentHash').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid documentHash'),
+  body('agree').equals('true').withMessage('You must agree to sign electronically'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const lease = await signLease(
+        req.params.id,
+        req.user,
+        {
+          method: req.body.method,
+          typedName: req.body.typedName,
+          image: req.body.image,
+          documentHash: req.body.documentHash,
+        },
+        { ip: req.ip, userAgent: req.get('user-agent') }
+      );
+      res.json({ status: 'success', data: lease });
+    } catch (err) {
+      sendError(res, err, 'Failed to sign lease');
+    }
+  }
+);
+
+/**
+ * @route POST /:id/amend
+ * @desc Start an amendment: a new draft version with the changed terms
+ * @access Private (manager)
+ */
+router.post(
+  '/:id/amend',
+  restrictTo(...MANAGERS),
+  validateId,
+  body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('A reason is required'),
+  termFields(true),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const lease = await amendLease(req.params.id, req.user, req.body, req.body.reason);
+      res.status(201).json({ status: 'success', data: lease });
+    } catch (err) {
+      sendError(res, err, 'Failed to amend lease');
+    }
+  }
+);
+
+/**
+ * @route POST /:id/cancel
+ * @desc Cancel a lease before both parties sign; a reserved unit is released
+ * @access Private (manager)
+ */
+router.post('/:id/cancel', restrictTo(...MANAGERS), validateId, async (req, res) => {
+  try {
+    const lease = await cancelLease(req.params.id, req.user);
+    res.json({ status: 'success', data: lease });
+  } catch (err) {
+    sendError(res, err, 'Failed to cancel lease');
+  }
+});
+
+module.exports = router;
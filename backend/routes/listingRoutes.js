@@ -0,0 +1,92 @@
+/**
+ * Listing Routes
+ * @module routes/listingRoutes
+ * @description Public search over vacant units: free text, price, bedrooms,
+ * property type, amenities and radius filters. No authentication.
+ * @see {@link module:utils/unitSearch} for how queries are built
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Unit = require('../models/Unit');
+const { paginateResults } = require('../middleware/paginate');
+const { SORT_OPTIONS, MAX_RADIUS_KM, buildUnitSearch } = require('../utils/unitSearch');
+
+const router = express.Router();
+
+const validateSearch = [
+  query('q').optional().isString().trim().isLength({ max: 100 }).withMessage('q cannot exceed 100 characters'),
+  query('minRent').optional().isFloat({ min: 0 }).withMessage('minRent must be 0 or more'),
+  query('maxRent').optional().isFloat({ min: 0 }).withMessage('maxRent must be 0 or more'),
+  query('bedrooms').optional().isInt({ min: 0, max: 20 }).withMessage('bedrooms must be 0-20'),
+  query('propertyType').optional().isString().isLength({ max: 200 }),
+  query('unitType').optional().isString().isLength({ max: 200 }),
+  query('amenities').optional().isString().isLength({ max: 500 }),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('lat must be -90 to 90'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('lng must be -180 to 180'),
+  query('lat').if(query('lng').exists()).exists().withMessage('lat and lng go together'),
+  query('lng').if(query('lat').exists()).exists().withMessage('lat and lng go together'),
+  query('radiusKm').optional().isFloat({ gt: 0, max: MAX_RADIUS_KM }).withMessage(`radiusKm must be up to ${MAX_RADIUS_KM}`),
+  query('sort').optional().isIn(SORT_OPTIONS).withMessage(`sort must be one of ${SORT_OPTIONS.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1-50'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+    next();
+  }
+];
+
+/**
+ * @route GET /
+ * @desc Search vacant units
+ * @access Public
+ * @query q, minRent, maxRent, bedrooms, propertyType, unitType, amenities, lat, lng, radiusKm, sort, page, limit
+ */
+router.get(
+  '/',
+  validateSearch,
+  paginateResults(
+    Unit,
+    (req) => ({
+      ...buildUnitSearch(req.query),
+      populate: [{ path: 'block', select: 'name' }]
+    }),
+    { maxLimit: 50 }
+  ),
+  (req, res) => {
+    res.json({ status: 'success', ...res.paginatedResults });
+  }
+);
+
+/**
+ * @route GET /:unitId
+ * @desc A vacant unit with its property's public details
+ * @access Public
+ */
+router.get('/:unitId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.unitId)) {
+      return res.status(400).json({ error: 'Invalid unit id' });
+    }
+
+    const unit = await Unit.findOne({ _id: req.params.unitId, status: 'vacant', 'listing.active': true })
+      .select('-tenant')
+      .populate('block', 'name')
+      .populate({
+        path: 'property',
+        select: 'title description propertyType address location amenities owner',
+        populate: { path: 'owner', select: 'name' }
+      });
+    if (!unit) return res.status(404).json({ error: 'Listing not found' });
+
+    res.json({ status: 'success', data: unit });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch listing' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,401 @@
+/**
+ * Maintenance Routes
+ * @module routes/maintenanceRoutes
+ * @description Maintenance tickets and the vendors they are sent to. Tenants
+ * report problems on the unit they rent, with photos; the landlord and the
+ * property's agents assign, comment and work tickets through to closure.
+ * @see {@link module:utils/maintenance} for the workflow and SLAs
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const MaintenanceTicket = require('../models/MaintenanceTicket');
+const Property = require('../models/Property');
+const Vendor = require('../models/Vendor');
+const User = require('../models/User');
+const { authenticateMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const { uploadMaintenancePhotos } = require('../middleware/upload');
+const { managedPropertyFilter } = require('../utils/properties');
+const {
+  ticketScope,
+  getTicketForUser,
+  openTicket,
+  addTicketPhotos,
+  presentTicket,
+  assignTicket,
+  changeStatus,
+  updateTicket,
+  addComment,
+  slaReport,
+} = require('../utils/maintenance');
+
+const router = express.Router();
+
+router.use(authenticateMiddleware);
+
+const MANAGERS = ['landlord', 'agent', 'admin'];
+const STATUSES = MaintenanceTicket.schema.path('status').enumValues;
+const CATEGORIES = MaintenanceTicket.schema.path('category').enumValues;
+const PRIORITIES = MaintenanceTicket.schema.path('priority').enumValues;
+
+/**
+ * Sends validation errors collected by the preceding checks
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Validates the :id route parameter
+ */
+const validateId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+  next();
+};
+
+/**
+ * Sends an operational error as-is, anything else as a 500
+ * @param {Object} res - Express response
+ * @param {Error} err
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendError = (res, err, fallback) => {
+  if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+  if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+  res.status(500).json({ error: fallback });
+};
+
+/**
+ * Limits vendor queries to the landlord's own; agents see their landlords' vendors
+ * @async
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Mongo filter
+ */
+const vendorScope = async (req) => {
+  if (req.user.role === 'admin') return {};
+  if (req.user.role === 'landlord') return { landlord: req.user._id };
+
+  const landlords = await Property.find(managedPropertyFilter(req.user)).distinct('owner');
+  return { landlord: { $in: landlords } };
+};
+
+const VENDOR_FIELDS = ['name', 'company', 'phone', 'email', 'categories', 'notes', 'active'];
+
+const vendorFields = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .isString().trim().isLength({ min: 2, max: 100 }).withMessage('name must be 2-100 characters'),
+  body('company').optional().isString().trim().isLength({ max: 100 }),
+  body('phone').optional().isMobilePhone('any').withMessage('Invalid phone number'),
+  body('email').optional().isEmail().withMessage('Invalid email'),
+  body('categories').optional().isArray(),
+  body('categories.*').isIn(CATEGORIES).withMessage('Unknown category'),
+  body('notes').optional().isString().isLength({ max: 500 }),
+  body('active').optional().isBoolean(),
+  handleValidation
+];
+
+/**
+ * Copies the editable vendor fields present in the request body
+ * @param {Object} source - Request body
+ * @returns {Object}
+ */
+const pickVendorFields = (source) =>
+  VENDOR_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+/**
+ * @route GET /vendors
+ * @desc List vendors; ?category= and ?active= filter
+ * @access Private (landlord own; agent their landlords'; admin all)
+ */
+router.get('/vendors', restrictTo(...MANAGERS), async (req, res) => {
+  try {
+    const filter = await vendorScope(req);
+    if (CATEGORIES.includes(req.query.category)) filter.categories = req.query.category;
+    if (['true', 'false'].includes(req.query.active)) filter.active = req.query.active === 'true';
+
+    const data = await Vendor.find(filter).sort({ name: 1 });
+    res.json({ status: 'success', data });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch vendors' });
+  }
+});
+
+/**
+ * @route POST /vendors
+ * @desc Add a vendor
+ * @access Private (landlord for self; admin with landlordId)
+ */
+router.post(
+  '/vendors',
+  restrictTo('landlord', 'admin'),
+  body('landlordId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid landlordId'),
+  vendorFields(false),
+  async (req, res) => {
+    try {
+      let landlordId = req.user._id;
+      if (req.user.role === 'admin') {
+        const landlord = req.body.landlordId && await User.findOne({ _id: req.body.landlordId, role: 'landlord' });
+        if (!landlord) return res.status(400).json({ error: 'A valid landlordId is required' });
+        landlordId = landlord._id;
+      }
+
+      const vendor = await Vendor.create({ ...pickVendorFields(req.body), landlord: landlordId });
+      res.status(201).json({ status: 'success', data: vendor });
+    } catch (err) {
+      sendError(res, err, 'Failed to add vendor');
+    }
+  }
+);
+
+/**
+ * @route PATCH /vendors/:id
+ * @desc Update a vendor; set active to false to stop assigning them
+ * @access Private (landlord own; admin)
+ */
+router.patch('/vendors/:id', restrictTo('landlord', 'admin'), validateId, vendorFields(true), async (req, res) => {
+  try {
+    const vendor = await Vendor.findOneAndUpdate(
+      { _id: req.params.id, ...(await vendorScope(req)) },
+      { $set: pickVendorFields(req.body) },
+      { new: true, runValidators: true }
+    );
+    if (!vendor) return res.status(404).json({ error: 'Vendor not found' });
+
+    res.json({ status: 'success', data: vendor });
+  } catch (err) {
+    sendError(res, err, 'Failed to update vendor');
+  }
+});
+
+/**
+ * @route GET /sla
+ * @desc Average response and resolution times and SLA breaches per priority
+ * @access Private (landlord, agent, admin; over the tickets they can see)
+ * @query propertyId, from, to
+ */
+router.get('/sla', restrictTo(...MANAGERS), async (req, res) => {
+  try {
+    const filter = await ticketScope(req.user);
+    // Aggregation does not cast, so ids are ObjectIds here
+    if (mongoose.isValidObjectId(req.query.propertyId)) {
+      filter.$and = [{ property: new mongoose.Types.ObjectId(req.query.propertyId) }];
+    }
+    const createdAt = {};
+    if (req.query.from && !isNaN(new Date(req.query.from))) createdAt.$gte = new Date(req.query.from);
+    if (req.query.to && !isNaN(new Date(req.query.to))) createdAt.$lte = new Date(req.query.to);
+    if (Object.keys(createdAt).length) filter.createdAt = createdAt;
+
+    const data = await slaReport(filter);
+    res.json({ status: 'success', data });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to build SLA report' });
+  }
+});
+
+/**
+ * @route GET /
+ * @desc Tickets the user reported or manages, newest first
+ * @access Private (tenant own; landlord own; agent managed properties; admin all)
+ * @query status, priority, category, propertyId, unitId, assigneeId, vendorId, breached=true, page, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = await ticketScope(req.user);
+    if (STATUSES.includes(req.query.status)) filter.status = req.query.status;
+    if (PRIORITIES.includes(req.query.priority)) filter.priority = req.query.priority;
+    if (CATEGORIES.includes(req.query.category)) filter.category = req.query.category;
+    if (mongoose.isValidObjectId(req.query.unitId)) filter.unit = req.query.unitId;
+    if (mongoose.isValidObjectId(req.query.assigneeId)) filter['assignee.user'] = req.query.assigneeId;
+    if (mongoose.isValidObjectId(req.query.vendorId)) filter['assignee.vendor'] = req.query.vendorId;
+    if (mongoose.isValidObjectId(req.query.propertyId)) {
+      filter.$and = [{ property: req.query.propertyId }];
+    }
+    if (req.query.breached === 'true') {
+      filter.$or = [{ 'sla.responseBreachedAt': { $ne: null } }, { 'sla.resolutionBreachedAt': { $ne: null } }];
+    }
+
+    const [data, total] = await Promise.all([
+      MaintenanceTicket.find(filter)
+        .select('-comments -history -photos.key')
+        .populate('tenant assignee.user', 'name email phone')
+        .populate('assignee.vendor', 'name company phone')
+        .populate('property', 'title')
+        .populate('unit', 'unitNumber')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      MaintenanceTicket.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch maintenance tickets' });
+  }
+});
+
+/**
+ * @route GET /:id
+ * @desc One ticket with comments, history and short-lived photo links
+ * @access Private (reporter or staff; internal comments are staff only)
+ */
+router.get('/:id', validateId, async (req, res) => {
+  try {
+    const { ticket, staff } = await getTicketForUser(req.params.id, req.user);
+    await ticket.populate([
+      { path: 'tenant assignee.user comments.author', select: 'name role' },
+      { path: 'assignee.vendor', select: 'name company phone email' },
+      { path: 'property', select: 'title address' },
+      { path: 'unit', select: 'unitNumber' },
+    ]);
+
+    res.json({ status: 'success', data: await presentTicket(ticket, staff) });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch maintenance ticket');
+  }
+});
+
+/**
+ * @route POST /
+ * @desc Report a problem with the tenant's unit; multipart with up to 5 photos in "photos"
+ * @access Private (tenant of the unit)
+ */
+router.post(
+  '/',
+  restrictTo('tenant'),
+  uploadMaintenancePhotos,
+  body('unitId').custom(mongoose.isValidObjectId).withMessage('Invalid unitId'),
+  body('category').isIn(CATEGORIES).withMessage(`category must be one of: ${CATEGORIES.join(', ')}`),
+  body('priority').optional().isIn(PRIORITIES).withMessage(`priority must be one of: ${PRIORITIES.join(', ')}`),
+  body('title').isString().trim().isLength({ min: 3, max: 120 }).withMessage('title must be 3-120 characters'),
+  body('description').isString().trim().isLength({ min: 10, max: 2000 }).withMessage('description must be 10-2000 characters'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const ticket = await openTicket(req.user, req.body, req.files);
+      res.status(201).json({ status: 'success', data: await presentTicket(ticket, false) });
+    } catch (err) {
+      sendError(res, err, 'Failed to open maintenance ticket');
+    }
+  }
+);
+
+/**
+ * @route POST /:id/photos
+ * @desc Add photos to an open ticket, e.g. of the finished repair
+ * @access Private (reporter or staff)
+ */
+router.post('/:id/photos', validateId, uploadMaintenancePhotos, async (req, res) => {
+  try {
+    const ticket = await addTicketPhotos(req.params.id, req.user, req.files);
+    res.status(201).json({ status: 'success', data: await presentTicket(ticket, req.user.role !== 'tenant') });
+  } catch (err) {
+    sendError(res, err, 'Failed to add photos');
+  }
+});
+
+/**
+ * @route PATCH /:id
+ * @desc Change category or priority; a new priority moves the SLA deadlines
+ * @access Private (staff)
+ */
+router.patch(
+  '/:id',
+  restrictTo(...MANAGERS),
+  validateId,
+  body('category').optional().isIn(CATEGORIES).withMessage('Unknown category'),
+  body('priority').optional().isIn(PRIORITIES).withMessage('Unknown priority'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const ticket = await updateTicket(req.params.id, req.user, req.body);
+      res.json({ status: 'success', data: ticket });
+    } catch (err) {
+      sendError(res, err, 'Failed to update maintenance ticket');
+    }
+  }
+);
+
+/**
+ * @route PATCH /:id/assign
+ * @desc Assign to a staff member (staffId) or a vendor (vendorId)
+ * @access Private (staff)
+ */
+router.patch(
+  '/:id/assign',
+  restrictTo(...MANAGERS),
+  validateId,
+  body('staffId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid staffId'),
+  body('vendorId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid vendorId'),
+  body().custom((value) => Boolean(value.staffId) !== Boolean(value.vendorId)).withMessage('Give either staffId or vendorId'),
+  body('note').optional().isString().trim().isLength({ max: 500 }),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const ticket = await assignTicket(req.params.id, req.user, req.body);
+      res.json({ status: 'success', data: ticket });
+    } catch (err) {
+      sendError(res, err, 'Failed to assign maintenance ticket');
+    }
+  }
+);
+
+/**
+ * @route PATCH /:id/status
+ * @desc Start, resolve (with resolution), close or reopen a ticket
+ * @access Private (staff; the reporter may close or reopen a resolved ticket)
+ */
+router.patch(
+  '/:id/status',
+  validateId,
+  body('status').isIn(['in_progress', 'resolved', 'closed']).withMessage('status must be in_progress, resolved or closed'),
+  body('note').optional().isString().trim().isLength({ max: 500 }),
+  body('resolution').optional().isString().trim().isLength({ min: 3, max: 1000 }),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const ticket = await changeStatus(req.params.id, req.user, req.body);
+      res.json({ status: 'success', data: ticket });
+    } catch (err) {
+      sendError(res, err, 'Failed to change ticket status');
+    }
+  }
+);
+
+/**
+ * @route POST /:id/comments
+ * @desc Comment on a ticket; staff may mark a comment internal
+ * @access Private (reporter or staff)
+ */
+router.post(
+  '/:id/comments',
+  validateId,
+  body('body').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Comment must be 1-2000 characters'),
+  body('internal').optional().isBoolean(),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const ticket = await addComment(req.params.id, req.user, {
+        body: req.body.body,
+        internal: req.body.internal === true || req.body.internal === 'true',
+      });
+      res.status(201).json({ status: 'success', data: ticket.comments[ticket.comments.length - 1] });
+    } catch (err) {
+      sendError(res, err, 'Failed to add comment');
+    }
+  }
+);
+
+module.exports = router;
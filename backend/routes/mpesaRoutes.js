@@ -4,24 +4,25 @@
  */
 
 const express = require("express");
-const axios = require("axios");
-const moment = require("moment");
 const mongoose = require("mongoose");
 const rateLimit = require("express-rate-limit");
 const { body, validationResult } = require("express-validator");
 const router = express.Router();
 const Payment = require('../models/Payment'); // Added correct import
+const { authenticateMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const { mpesaCallbackGuard } = require('../middleware/mpesaCallbackGuard');
+const { callbackProcessors } = require('../utils/mpesaCallbacks');
+const { findTenantProperty } = require('../utils/properties');
+const {
+  config: mpesaConfig,
+  getTokenStatus,
+  stkPush: sendStkPush,
+  registerC2BUrls,
+} = require('../utils/mpesa');
 
 // 1. Configuration Management =================================================
 const config = {
-  mpesa: {
-    shortCode: process.env.MPESA_SHORT_CODE,
-    passkey: process.env.MPESA_PASSKEY,
-    consumerSecret: process.env.MPESA_CONSUMER_SECRET,
-    baseUrl: process.env.MPESA_API_BASE,
-    callbackUrl: process.env.MPESA_CALLBACK_URL,
-    tokenTTL: 3500,
-  },
+  mpesa: mpesaConfig,
   validation: {
     phoneRegex: /^254(7\d{8}|1\d{8})$/,
   },
@@ -57,36 +58,11 @@ const asyncHandler = (fn) => (req, res, next) =>
   Promise.resolve(fn(req, res, next)).catch(next);
 
 // 5. Secure Token Management ==================================================
-let tokenCache = null;
-
-const getAccessToken = async () => {
-  if (tokenCache && moment().isBefore(tokenCache.expires)) {
-    return tokenCache.token;
-  }
-  try {
-    const authString = Buffer.from(
-      `${process.env.MPESA_CONSUMER_KEY}:${process.env.MPESA_CONSUMER_SECRET}`
-    ).toString("base64");
-
-    const { data } = await axios.get(
-      `${config.mpesa.baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
-      {
-        headers: { Authorization: `Basic ${authString}` },
-        timeout: 10000,
-      }
-    );
-
-    tokenCache = {
-      token: data.access_token,
-      expires: moment().add(config.mpesa.tokenTTL, "seconds"),
-    };
-    return tokenCache.token;
-  } catch (error) {
-    throw new Error("MPesa service unavailable");
-  }
-};
+// getAccessToken lives in utils/mpesa; the token is shared through Redis by
+// every replica and worker (see utils/tokenCache)
 
 // 6. STK Push Payment Request ================================================
+// M-Pesa only; POST /payments/initiate covers every provider
 const stkPush = async (req, res) => {
   try {
     const { phone, amount } = req.body;
@@ -103,39 +79,36 @@ const stkPush = async (req, res) => {
       });
     }
 
-    const accessToken = await getAccessToken();
-    const stkPushUrl = `${config.mpesa.baseUrl}/mpesa/stkpush/v1/processrequest`;
-
-    const timestamp = moment().format("YYYYMMDDHHmmss");
-    const password = Buffer.from(
-      `${config.mpesa.shortCode}${config.mpesa.passkey}${timestamp}`
-    ).toString("base64");
-
-    const stkPushPayload = {
-      BusinessShortCode: config.mpesa.shortCode,
-      Password: password,
-      Timestamp: timestamp,
-      TransactionType: "CustomerPayBillOnline",
-      Amount: parseInt(amount),
-      PartyA: phone,
-      PartyB: config.mpesa.shortCode,
-      PhoneNumber: phone,
-      CallBackURL: config.mpesa.callbackUrl,
-      AccountReference: "Pandora Gardens",
-      TransactionDesc: "Payment for services",
-    };
-
-    console.log("STK Push Request Payload:", stkPushPayload);
-
-    const response = await axios.post(stkPushUrl, stkPushPayload, {
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
-      },
+    const data = await sendStkPush({ phone, amount });
+
+    console.log("STK Push Response:", data);
+
+    if (data.ResponseCode !== "0") {
+      return res.status(400).json({
+        error: data.ResponseDescription || "MPesa STK Push request rejected",
+      });
+    }
+
+    // Pending record the callback (and later queries) resolve by CheckoutRequestID
+    const payment = await Payment.create({
+      user: req.user._id,
+      landlord: req.user.landlord,
+      property: await findTenantProperty(req.user._id),
+      phone,
+      amount: parseInt(amount),
+      checkoutRequestId: data.CheckoutRequestID,
+      merchantRequestId: data.MerchantRequestID,
     });
 
-    console.log("STK Push Response:", response.data);
-    res.json(response.data);
+    res.status(201).json({
+      status: "success",
+      data: {
+        paymentId: payment._id,
+        checkoutRequestId: payment.checkoutRequestId,
+        paymentStatus: payment.status,
+        customerMessage: data.CustomerMessage,
+      },
+    });
   } catch (error) {
     console.error("STK Push Error Response:", error.response?.data || error.message);
     res.status(400).json({
@@ -145,62 +118,81 @@ const stkPush = async (req, res) => {
 };
 
 // 7. API Routes ==============================================================
-router.post("/stk-push", apiLimiter, validateSTKRequest, asyncHandler(stkPush));
+router.post("/stk-push", authenticateMiddleware, apiLimiter, validateSTKRequest, asyncHandler(stkPush));
 
-router.post("/callback", asyncHandler(async (req, res) => {
-  const { Body: { stkCallback: callback } } = req.body;
+router.get("/payments/:id", authenticateMiddleware, asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ status: "error", message: "Invalid payment id" });
+  }
 
-  console.log("STK Callback Received:", callback);
+  const payment = await Payment.findOne({ _id: req.params.id, user: req.user._id })
+    .select("phone amount status resultDesc mpesaReceiptNumber transactionDate createdAt updatedAt");
 
-  if (callback.ResultCode === 0) {
-    await Payment.findOneAndUpdate(
-      { checkoutRequestId: callback.CheckoutRequestID },
-      { status: "Completed" }
-    );
+  if (!payment) {
+    return res.status(404).json({ status: "error", message: "Payment not found" });
   }
 
-  res.json({ ResultCode: 0, ResultDesc: "Success" });
+  res.json({ status: "success", data: payment });
 }));
 
-// Replace the existing /history endpoint with this:
-router.get("/history/:phone", asyncHandler(async (req, res) => {
-  const { phone } = req.params;
-  const { page = 1, limit = 10 } = req.query;
-  
-  const options = {
-    page: parseInt(page),
-    limit: parseInt(limit),
-    sort: { createdAt: -1 },
-    collation: { locale: 'en' }
-  };
-
-  const [results, total] = await Promise.all([
-    Payment.find({ phone })
-      .sort(options.sort)
-      .limit(options.limit)
-      .skip((options.page - 1) * options.limit)
-      .exec(),
-    Payment.countDocuments({ phone })
-  ]);
+// Safaricom-facing routes: every body is logged, token/IP checked, then run
+// through the same processor the admin replay endpoint uses
+const respondToCallback = (type) => asyncHandler(async (req, res) => {
+  const result = await callbackProcessors[type](req.body);
+  console.log(`MPesa ${type} callback ${result.outcome}${result.reason ? `: ${result.reason}` : ""}`);
 
-  res.json({
-    status: "success",
-    data: results,
-    total,
-    page: options.page,
-    limit: options.limit,
-    totalPages: Math.ceil(total / options.limit)
-  });
+  if (req.callbackLog) await req.callbackLog.markProcessed(result);
+  res.status(result.outcome === "invalid" ? 400 : 200).json(result.response);
+});
+
+router.post("/callback/:token?", mpesaCallbackGuard("stk"), respondToCallback("stk"));
+
+// 8. C2B (Paybill) Routes ====================================================
+router.post("/c2b/register", authenticateMiddleware, restrictTo("admin"), asyncHandler(async (req, res) => {
+  if (!config.mpesa.c2bValidationUrl || !config.mpesa.c2bConfirmationUrl) {
+    return res.status(500).json({
+      status: "error",
+      message: "MPESA_C2B_VALIDATION_URL and MPESA_C2B_CONFIRMATION_URL must be set",
+    });
+  }
+
+  try {
+    const data = await registerC2BUrls();
+    res.json({ status: "success", data });
+  } catch (error) {
+    console.error("C2B Register Error Response:", error.response?.data || error.message);
+    res.status(502).json({
+      status: "error",
+      error: error.response?.data || "MPesa C2B URL registration failed",
+    });
+  }
 }));
 
+router.post("/c2b/validation/:token?", mpesaCallbackGuard("c2b_validation"), respondToCallback("c2b_validation"));
+
+router.post("/c2b/confirmation/:token?", mpesaCallbackGuard("c2b_confirmation"), respondToCallback("c2b_confirmation"));
+
+// 9. B2C (Payout) Result Routes ==============================================
+router.post("/b2c/result/:token?", mpesaCallbackGuard("b2c_result"), respondToCallback("b2c_result"));
+
+router.post("/b2c/timeout/:token?", mpesaCallbackGuard("b2c_timeout"), respondToCallback("b2c_timeout"));
+
+// 10. Reversal Result Routes =================================================
+router.post("/reversal/result/:token?", mpesaCallbackGuard("reversal_result"), respondToCallback("reversal_result"));
+
+router.post("/reversal/timeout/:token?", mpesaCallbackGuard("reversal_timeout"), respondToCallback("reversal_timeout"));
+
 router.get("/health", asyncHandler(async (req, res) => {
   const dbStatus = mongoose.connection.readyState === 1 ? "connected" : "disconnected";
+  const token = await getTokenStatus();
   res.json({
     status: "operational",
     services: {
       database: dbStatus,
-      mpesa: tokenCache ? "authenticated" : "unauthenticated",
+      mpesa: token.cached ? "authenticated" : "unauthenticated",
     },
+    // Shared Daraja token: where it lives, how old it is and when it expires
+    mpesaToken: token,
   });
 }));
 
@@ -0,0 +1,227 @@
+/**
+ * Payment Routes
+ * @module routes/paymentRoutes
+ * @description Provider-agnostic payment initiation and provider callbacks,
+ * plus payment history for the logged-in user with filters, sorting and
+ * CSV/Excel export. Replaces the old unauthenticated /mpesa/history/:phone.
+ * @see {@link module:providers} for the supported payment providers
+ * @see {@link module:utils/paymentQuery} for the supported filters
+ */
+
+const express = require('express');
+const moment = require('moment');
+const rateLimit = require('express-rate-limit');
+const { body, query, validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const logger = require('../utils/logger');
+const { authenticateMiddleware } = require('../middleware/authMiddleware');
+const { mpesaCallbackGuard } = require('../middleware/mpesaCallbackGuard');
+const { validateHistoryRequest, validatePaymentQuery } = require('../middleware/requestValidator');
+const { PROVIDERS, getProvider, listProviders } = require('../providers');
+const { toMsisdn } = require('../utils/mpesa');
+const { findTenantProperty } = require('../utils/properties');
+const {
+  MAX_EXPORT_ROWS,
+  buildPaymentFilter,
+  parseSort,
+  paymentsToCsv,
+  paymentsToXlsx
+} = require('../utils/paymentQuery');
+
+const router = express.Router();
+
+const HISTORY_FIELDS = 'phone amount paidAmount status resultDesc mpesaReceiptNumber providerReceipt provider transactionDate channel createdAt updatedAt';
+
+const initiateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 50,
+  handler: (req, res) => {
+    res.status(429).json({ status: 'error', message: 'Too many requests, try again later' });
+  }
+});
+
+const validateInitiateRequest = [
+  body('provider').optional().isIn(Object.keys(PROVIDERS)).withMessage(`provider must be one of ${Object.keys(PROVIDERS).join(', ')}`),
+  body('amount').isInt({ min: 1 }).withMessage('Amount must be a whole number of shillings'),
+  body('phone')
+    .if((value, { req }) => req.body.provider !== 'card')
+    .custom((value) => Boolean(toMsisdn(value)))
+    .withMessage('Invalid phone number format. Use 2547XXXXXXXX'),
+  body('description').optional().isString().trim().isLength({ max: 100 }),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+    next();
+  }
+];
+
+/**
+ * @route POST /callback/:provider/:token?
+ * @desc Result callbacks/webhooks from payment providers
+ * @access Public (each provider verifies its own token or signature)
+ */
+router.post(
+  '/callback/:provider/:token?',
+  (req, res, next) => (req.params.provider === 'mpesa' ? mpesaCallbackGuard('stk')(req, res, next) : next()),
+  async (req, res) => {
+    try {
+      const result = await getProvider(req.params.provider).handleCallback(req);
+      logger.info(`${req.params.provider} callback ${result.outcome}${result.reason ? `: ${result.reason}` : ''}`);
+
+      if (req.callbackLog) await req.callbackLog.markProcessed(result);
+      res.status(result.statusCode || 200).json(result.response);
+    } catch (err) {
+      if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+      logger.error(`${req.params.provider} callback failed: ${err.message}`);
+      res.status(500).json({ error: 'Failed to process callback' });
+    }
+  }
+);
+
+router.use(authenticateMiddleware);
+
+/**
+ * @route GET /providers
+ * @desc Payment providers available in this deployment
+ * @access Private
+ */
+router.get('/providers', (req, res) => {
+  res.json({ status: 'success', data: listProviders() });
+});
+
+/**
+ * @route POST /initiate
+ * @desc Start a payment with the chosen provider (default M-Pesa)
+ * @access Private
+ * @body provider (mpesa | airtel | card), amount, phone (mobile money), description
+ */
+router.post('/initiate', initiateLimiter, validateInitiateRequest, async (req, res) => {
+  const provider = getProvider(req.body.provider);
+  const phone = toMsisdn(req.body.phone) || req.user.phone;
+  let payment;
+
+  try {
+    if (!provider.isConfigured()) {
+      return res.status(503).json({ error: `${provider.label} payments are not available` });
+    }
+
+    // Pending record the provider's callback (and later queries) resolve
+    payment = await Payment.create({
+      user: req.user._id,
+      landlord: req.user.landlord,
+      property: await findTenantProperty(req.user._id),
+      provider: provider.name,
+      phone,
+      amount: parseInt(req.body.amount)
+    });
+
+    const result = await provider.initiate({
+      payment,
+      payer: req.user,
+      phone,
+      description: req.body.description
+    });
+
+    payment = await Payment.findByIdAndUpdate(
+      payment._id,
+      { $set: { ...result.reference, channel: result.channel } },
+      { new: true }
+    );
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        paymentId: payment._id,
+        provider: payment.provider,
+        paymentStatus: payment.status,
+        checkoutRequestId: payment.checkoutRequestId,
+        customerMessage: result.customerMessage,
+        redirectUrl: result.redirectUrl
+      }
+    });
+  } catch (err) {
+    // Nothing reached the payer, so the attempt will never resolve
+    if (payment) {
+      await Payment.updateOne(
+        { _id: payment._id, status: 'Pending' },
+        { $set: { status: 'Failed', resultDesc: err.message } }
+      ).catch(() => {});
+    }
+
+    if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+    logger.error(`Payment initiation via ${provider.name} failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to initiate payment' });
+  }
+});
+
+/**
+ * @route GET /me
+ * @desc The caller's payments, filtered, sorted and paginated
+ * @access Private
+ * @query status, from, to, minAmount, maxAmount, receipt, sort (e.g. -amount), page, limit
+ */
+router.get('/me', validateHistoryRequest, validatePaymentQuery, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const filter = { ...buildPaymentFilter(req.query), user: req.user._id };
+
+    const [data, total] = await Promise.all([
+      Payment.find(filter)
+        .select(HISTORY_FIELDS)
+        .sort(parseSort(req.query.sort))
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Payment.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch payment history' });
+  }
+});
+
+/**
+ * @route GET /me/export
+ * @desc Download the caller's filtered payments as CSV or Excel
+ * @access Private
+ * @query format (csv | xlsx) plus the same filters as GET /me
+ */
+router.get(
+  '/me/export',
+  query('format').optional().isIn(['csv', 'xlsx']).withMessage('format must be csv or xlsx'),
+  validatePaymentQuery,
+  async (req, res) => {
+    try {
+      const filter = { ...buildPaymentFilter(req.query), user: req.user._id };
+      const payments = await Payment.find(filter)
+        .select(HISTORY_FIELDS)
+        .sort(parseSort(req.query.sort))
+        .limit(MAX_EXPORT_ROWS)
+        .lean();
+
+      const filename = `payments-${moment().format('YYYYMMDD-HHmm')}`;
+
+      if (req.query.format === 'xlsx') {
+        const workbook = await paymentsToXlsx(payments);
+        res.set({
+          'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          'Content-Disposition': `attachment; filename="${filename}.xlsx"`
+        });
+        return res.send(workbook);
+      }
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`
+      });
+      res.send(paymentsToCsv(payments));
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to export payments' });
+    }
+  }
+);
+
+module.exports = router;
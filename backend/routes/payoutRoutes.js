@@ -0,0 +1,131 @@
+/**
+ * Landlord Payout Routes
+ * @module routes/payoutRoutes
+ * @description B2C disbursement of collected rent to landlords.
+ * Landlords manage their own payouts; admins can act for any landlord.
+ * @see {@link module:utils/payouts} for balance and Daraja handling
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Payout = require('../models/Payout');
+const { authenticateMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const { getLandlordBalance, requestPayout } = require('../utils/payouts');
+
+const router = express.Router();
+
+router.use(authenticateMiddleware, restrictTo('landlord', 'admin'));
+
+/**
+ * Resolves which landlord a request acts for.
+ * Landlords always act for themselves; admins must name one.
+ * @param {Object} req - Express request
+ * @param {string} [landlordId] - Landlord id supplied by an admin
+ * @returns {string|null}
+ */
+const resolveLandlordId = (req, landlordId) => {
+  if (req.user.role === 'landlord') return String(req.user._id);
+  return mongoose.isValidObjectId(landlordId) ? String(landlordId) : null;
+};
+
+const validatePayoutRequest = [
+  body('amount').isInt({ min: 10, max: 150000 }).withMessage('Amount must be a whole number between 10 and 150000'),
+  body('remarks').optional().isString().isLength({ max: 100 }),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ status: 'error', errors: errors.array() });
+    }
+    next();
+  }
+];
+
+/**
+ * @route GET /balance
+ * @desc Collected rent, amount paid out and amount available for payout
+ * @access Private (landlord, admin with ?landlordId=)
+ */
+router.get('/balance', async (req, res) => {
+  try {
+    const landlordId = resolveLandlordId(req, req.query.landlordId);
+    if (!landlordId) return res.status(400).json({ error: 'landlordId is required' });
+
+    const balance = await getLandlordBalance(landlordId);
+    res.json({ status: 'success', data: balance });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to compute balance' });
+  }
+});
+
+/**
+ * @route POST /
+ * @desc Request a B2C payout to the landlord's registered phone
+ * @access Private (landlord, admin with landlordId in body)
+ */
+router.post('/', validatePayoutRequest, async (req, res) => {
+  try {
+    const landlordId = resolveLandlordId(req, req.body.landlordId);
+    if (!landlordId) return res.status(400).json({ error: 'landlordId is required' });
+
+    const payout = await requestPayout(
+      { landlordId, amount: parseInt(req.body.amount), remarks: req.body.remarks },
+      req.user
+    );
+    res.status(202).json({ status: 'success', data: payout });
+  } catch (err) {
+    if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to request payout' });
+  }
+});
+
+/**
+ * @route GET /
+ * @desc List payouts, newest first
+ * @access Private (landlord sees own, admin sees all or ?landlordId=)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const filter = {};
+    if (req.user.role === 'landlord') filter.landlord = req.user._id;
+    else if (mongoose.isValidObjectId(req.query.landlordId)) filter.landlord = req.query.landlordId;
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const [data, total] = await Promise.all([
+      Payout.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Payout.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch payouts' });
+  }
+});
+
+/**
+ * @route GET /:id
+ * @desc Payout status
+ * @access Private (owning landlord, admin)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid payout id' });
+    }
+
+    const filter = { _id: req.params.id };
+    if (req.user.role === 'landlord') filter.landlord = req.user._id;
+
+    const payout = await Payout.findOne(filter);
+    if (!payout) return res.status(404).json({ error: 'Payout not found' });
+
+    res.json({ status: 'success', data: payout });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch payout' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,249 @@
+/**
+ * Penalty Routes
+ * @module routes/penaltyRoutes
+ * @description Late payment rules per landlord or property, the penalty audit
+ * trail and waivers. Landlords manage their own rules and tenants; admins
+ * manage everything and can trigger a penalty run by hand.
+ * @see {@link module:utils/penalties} for how penalties are calculated and charged
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const PenaltyRule = require('../models/PenaltyRule');
+const PenaltyEvent = require('../models/PenaltyEvent');
+const User = require('../models/User');
+const { authenticateMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const { applyPenalties, waivePenalty } = require('../utils/penalties');
+
+const router = express.Router();
+
+router.use(authenticateMiddleware, restrictTo('landlord', 'admin'));
+
+/**
+ * Sends validation errors collected by the preceding checks
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Validates the :id route parameter
+ */
+const validateId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+  next();
+};
+
+/**
+ * Limits queries to the landlord's own records; admins see all
+ * @param {Object} req - Express request
+ * @returns {Object} Mongo filter
+ */
+const scopeFilter = (req) => (req.user.role === 'admin' ? {} : { landlord: req.user._id });
+
+const ruleFields = [
+  body('name').optional().isString().trim().isLength({ max: 100 }),
+  body('active').optional().isBoolean(),
+  body('graceDays').optional().isInt({ min: 0, max: 90 }).withMessage('graceDays must be 0-90'),
+  body('feeType').optional().isIn(['flat', 'percentage']).withMessage('feeType must be flat or percentage'),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('amount must be 0 or more'),
+  body('amount')
+    .if(body('feeType').equals('percentage'))
+    .isFloat({ max: 100 }).withMessage('A percentage fee cannot exceed 100'),
+  body('accrual').optional().isIn(['once', 'daily']).withMessage('accrual must be once or daily'),
+  body('maxAmount').optional({ values: 'null' }).isFloat({ min: 0 }),
+  body('maxPercent').optional({ values: 'null' }).isFloat({ min: 0, max: 100 }),
+  body('invoiceTypes').optional().isArray({ min: 1 }),
+  body('invoiceTypes.*').isIn(['rent', 'deposit', 'utilities']).withMessage('Invalid invoice type'),
+];
+
+const validateNewRule = [
+  body('feeType').exists().withMessage('feeType is required'),
+  body('amount').exists().withMessage('amount is required'),
+  body('propertyId').optional({ values: 'null' }).custom(mongoose.isValidObjectId).withMessage('Invalid propertyId'),
+  body('landlordId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid landlordId'),
+  ...ruleFields,
+  handleValidation
+];
+
+const RULE_FIELDS = ['name', 'active', 'graceDays', 'feeType', 'amount', 'accrual', 'maxAmount', 'maxPercent', 'invoiceTypes'];
+
+/**
+ * Copies the editable rule fields present in the request body
+ * @param {Object} source - Request body
+ * @returns {Object}
+ */
+const pickRuleFields = (source) =>
+  RULE_FIELDS.reduce((fields, key) => {
+    if (source[key] !== undefined) fields[key] = source[key];
+    return fields;
+  }, {});
+
+/**
+ * @route GET /rules
+ * @desc List penalty rules
+ * @access Private (landlord sees own; admin sees all, optionally ?landlordId=)
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const filter = scopeFilter(req);
+    if (req.user.role === 'admin' && mongoose.isValidObjectId(req.query.landlordId)) {
+      filter.landlord = req.query.landlordId;
+    }
+
+    const data = await PenaltyRule.find(filter).sort({ landlord: 1, property: 1 });
+    res.json({ status: 'success', data });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch penalty rules' });
+  }
+});
+
+/**
+ * @route POST /rules
+ * @desc Create a rule; without propertyId it is the landlord's default
+ * @access Private (landlord for self; admin with landlordId)
+ */
+router.post('/rules', validateNewRule, async (req, res) => {
+  try {
+    let landlordId = req.user._id;
+    if (req.user.role === 'admin') {
+      const landlord = req.body.landlordId && await User.findOne({ _id: req.body.landlordId, role: 'landlord' });
+      if (!landlord) return res.status(400).json({ error: 'A valid landlordId is required' });
+      landlordId = landlord._id;
+    }
+
+    const rule = await PenaltyRule.create({
+      ...pickRuleFields(req.body),
+      landlord: landlordId,
+      property: req.body.propertyId || null,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({ status: 'success', data: rule });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'A rule already exists for this property' });
+    }
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to create penalty rule' });
+  }
+});
+
+/**
+ * @route PATCH /rules/:id
+ * @desc Update a rule; new settings apply from the next penalty run
+ * @access Private (landlord own; admin)
+ */
+router.patch('/rules/:id', validateId, ruleFields, handleValidation, async (req, res) => {
+  try {
+    const rule = await PenaltyRule.findOneAndUpdate(
+      { _id: req.params.id, ...scopeFilter(req) },
+      { $set: pickRuleFields(req.body) },
+      { new: true, runValidators: true }
+    );
+    if (!rule) return res.status(404).json({ error: 'Penalty rule not found' });
+
+    res.json({ status: 'success', data: rule });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to update penalty rule' });
+  }
+});
+
+/**
+ * @route DELETE /rules/:id
+ * @desc Delete a rule; penalties already charged are kept
+ * @access Private (landlord own; admin)
+ */
+router.delete('/rules/:id', validateId, async (req, res) => {
+  try {
+    const rule = await PenaltyRule.findOneAndDelete({ _id: req.params.id, ...scopeFilter(req) });
+    if (!rule) return res.status(404).json({ error: 'Penalty rule not found' });
+
+    res.json({ status: 'success', message: 'Penalty rule deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete penalty rule' });
+  }
+});
+
+/**
+ * @route GET /events
+ * @desc Audit trail of penalties applied and waived, newest first
+ * @access Private (landlord sees own tenants; admin sees all)
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = scopeFilter(req);
+    if (['applied', 'waived'].includes(req.query.action)) filter.action = req.query.action;
+    if (mongoose.isValidObjectId(req.query.tenantId)) filter.tenant = req.query.tenantId;
+    if (mongoose.isValidObjectId(req.query.invoiceId)) filter.invoice = req.query.invoiceId;
+
+    const [data, total] = await Promise.all([
+      PenaltyEvent.find(filter)
+        .populate('invoice penaltyInvoice', 'invoiceNumber amount status')
+        .populate('tenant actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PenaltyEvent.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch penalty history' });
+  }
+});
+
+/**
+ * @route POST /invoices/:id/waive
+ * @desc Waive a penalty invoice in full, or part of it with amount
+ * @access Private (tenant's landlord or admin)
+ */
+router.post(
+  '/invoices/:id/waive',
+  validateId,
+  body('reason').isString().trim().isLength({ min: 3, max: 200 }).withMessage('A reason is required'),
+  body('amount').optional().isFloat({ min: 1 }).withMessage('Amount must be at least 1'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const invoice = await waivePenalty(
+        req.params.id,
+        { reason: req.body.reason, amount: req.body.amount },
+        req.user
+      );
+      res.json({ status: 'success', data: invoice });
+    } catch (err) {
+      if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to waive penalty' });
+    }
+  }
+);
+
+/**
+ * @route POST /run
+ * @desc Apply penalties now instead of waiting for the daily job
+ * @access Private (admin)
+ */
+router.post('/run', restrictTo('admin'), async (req, res) => {
+  try {
+    const summary = await applyPenalties({
+      landlordId: mongoose.isValidObjectId(req.body.landlordId) ? req.body.landlordId : undefined,
+    });
+    res.json({ status: 'success', data: summary });
+  } catch (err) {
+    res.status(500).json({ error: 'Penalty run failed' });
+  }
+});
+
+module.exports = router;
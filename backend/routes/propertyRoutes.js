@@ -0,0 +1,632 @@
+/**
+ * Property Routes
+ * @module routes/propertyRoutes
+ * @description Properties, their blocks and units. Landlords manage the
+ * properties they own, agents the ones they are assigned to, and admins
+ * everything. Only owners and admins can delete a property or change its agents.
+ * @see {@link module:utils/properties} for the access rules
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Property = require('../models/Property');
+const Block = require('../models/Block');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const { authenticateMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const {
+  managedPropertyFilter,
+  isPropertyOwner,
+  getManagedProperty,
+  buildListing,
+  syncUnitListings,
+  deleteProperty,
+  deleteBlock,
+  deleteUnit,
+} = require('../utils/properties');
+const { hasLiveLease } = require('../utils/leases');
+const escapeRegex = require('../utils/escapeRegex');
+const { uploadListingPhotos } = require('../middleware/upload');
+const { addPhotos, reorderPhotos, setCoverPhoto, deletePhoto } = require('../utils/listingPhotos');
+
+const router = express.Router();
+
+router.use(authenticateMiddleware, restrictTo('landlord', 'agent', 'admin'));
+
+const PROPERTY_TYPES = Property.schema.path('propertyType').enumValues;
+const UNIT_TYPES = Unit.schema.path('unitType').enumValues;
+const UNIT_STATUSES = Unit.schema.path('status').enumValues;
+
+/**
+ * Sends validation errors collected by the preceding checks
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Sends an operational error, or a 500 with the given message
+ */
+const sendError = (res, err, message) => {
+  if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+  if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+  res.status(500).json({ error: message });
+};
+
+/**
+ * Loads the :id property into req.property when the user manages it
+ */
+const loadProperty = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid property id' });
+  }
+  try {
+    req.property = await getManagedProperty(req.params.id, req.user);
+    next();
+  } catch (err) {
+    sendError(res, err, 'Failed to load property');
+  }
+};
+
+/**
+ * Copies the listed fields present in the request body
+ * @param {Object} source - Request body
+ * @param {string[]} fields
+ * @returns {Object}
+ */
+const pick = (source, fields) =>
+  fields.reduce((picked, key) => {
+    if (source[key] !== undefined) picked[key] = source[key];
+    return picked;
+  }, {});
+
+/**
+ * Converts { lat, lng } from the request into a GeoJSON point
+ * @param {Object} [coordinates]
+ * @returns {Object|undefined}
+ */
+const toPoint = (coordinates) =>
+  coordinates && { type: 'Point', coordinates: [Number(coordinates.lng), Number(coordinates.lat)] };
+
+const propertyFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').isString().trim().isLength({ min: 3, max: 120 }).withMessage('Title must be 3-120 characters'),
+    field('propertyType').isIn(PROPERTY_TYPES).withMessage(`propertyType must be one of ${PROPERTY_TYPES.join(', ')}`),
+    field('address.city').isString().trim().notEmpty().withMessage('address.city is required'),
+    body('address.street').optional().isString().trim().isLength({ max: 200 }),
+    body('address.area').optional().isString().trim().isLength({ max: 100 }),
+    body('address.county').optional().isString().trim().isLength({ max: 100 }),
+    body('address.postalCode').optional().isString().trim().isLength({ max: 20 }),
+    body('description').optional().isString().isLength({ max: 5000 }),
+    body('coordinates.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('lat must be -90 to 90'),
+    body('coordinates.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('lng must be -180 to 180'),
+    body('coordinates').optional({ values: 'null' }).custom((c) => c.lat !== undefined && c.lng !== undefined)
+      .withMessage('coordinates need both lat and lng'),
+    body('amenities').optional().isArray({ max: 50 }),
+    body('amenities.*').isString().trim().toLowerCase().isLength({ min: 1, max: 50 }),
+    body('active').optional().isBoolean(),
+    handleValidation
+  ];
+};
+
+const unitFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('unitNumber').isString().trim().isLength({ min: 1, max: 20 }).withMessage('unitNumber is required'),
+    field('unitType').isIn(UNIT_TYPES).withMessage(`unitType must be one of ${UNIT_TYPES.join(', ')}`),
+    field('rent').isFloat({ min: 0 }).withMessage('rent must be 0 or more'),
+    body('blockId').optional({ values: 'null' }).custom(mongoose.isValidObjectId).withMessage('Invalid blockId'),
+    body('bedrooms').optional().isInt({ min: 0, max: 20 }),
+    body('bathrooms').optional().isInt({ min: 0, max: 20 }),
+    body('floor').optional().isInt({ min: -5, max: 200 }),
+    body('sizeSqm').optional().isFloat({ min: 0 }),
+    body('deposit').optional().isFloat({ min: 0 }),
+    body('status').optional().isIn(UNIT_STATUSES).withMessage(`status must be one of ${UNIT_STATUSES.join(', ')}`),
+    body('tenantId').optional({ values: 'null' }).custom(mongoose.isValidObjectId).withMessage('Invalid tenantId'),
+    body('amenities').optional().isArray({ max: 50 }),
+    body('amenities.*').isString().trim().toLowerCase().isLength({ min: 1, max: 50 }),
+    body('description').optional().isString().isLength({ max: 2000 }),
+    handleValidation
+  ];
+};
+
+const PROPERTY_FIELDS = ['title', 'description', 'propertyType', 'address', 'amenities', 'active'];
+const UNIT_FIELDS = ['unitNumber', 'unitType', 'bedrooms', 'bathrooms', 'floor', 'sizeSqm', 'rent', 'deposit', 'status', 'amenities', 'description'];
+
+/**
+ * Resolves blockId and tenantId from a unit request onto the update
+ * @async
+ * @param {Object} req - Express request with req.property loaded
+ * @param {Object} update - Unit fields picked from the body
+ * @returns {Promise<string|null>} Error message, or null when valid
+ */
+const resolveUnitRefs = async (req, update) => {
+  if (req.body.blockId !== undefined) {
+    if (req.body.blockId) {
+      const block = await Block.exists({ _id: req.body.blockId, property: req.property._id });
+      if (!block) return 'Block does not belong to this property';
+    }
+    update.block = req.body.blockId || null;
+  }
+
+  if (req.body.tenantId !== undefined) {
+    if (req.body.tenantId) {
+      const tenant = await User.exists({ _id: req.body.tenantId, role: 'tenant' });
+      if (!tenant) return 'tenantId must be a tenant';
+      update.tenant = req.body.tenantId;
+      update.status = update.status || 'occupied';
+    } else {
+      update.tenant = null;
+    }
+  }
+
+  // A vacant unit has no occupant
+  if (update.status === 'vacant') update.tenant = null;
+  return null;
+};
+
+/**
+ * Checks whether a unit request would change who occupies the loaded unit
+ * @param {Object} req - Express request with req.unit loaded
+ * @returns {boolean}
+ */
+const changesOccupancy = (req) =>
+  (req.body.status !== undefined && req.body.status !== req.unit.status)
+  || (req.body.tenantId !== undefined && String(req.body.tenantId || '') !== String(req.unit.tenant || ''));
+
+/**
+ * @route GET /
+ * @desc List the properties the user manages
+ * @access Private (landlord, agent, admin)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const filter = managedPropertyFilter(req.user);
+    if (PROPERTY_TYPES.includes(req.query.propertyType)) filter.propertyType = req.query.propertyType;
+    if (req.query.city) filter['address.city'] = new RegExp(`^${escapeRegex(String(req.query.city).trim())}$`, 'i');
+    if (req.user.role === 'admin' && mongoose.isValidObjectId(req.query.ownerId)) filter.owner = req.query.ownerId;
+
+    const [data, total] = await Promise.all([
+      Property.find(filter)
+        .populate('owner agents', 'name email phone')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Property.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch properties' });
+  }
+});
+
+/**
+ * @route POST /
+ * @desc Create a property
+ * @access Private (landlord for self; admin with ownerId)
+ */
+router.post(
+  '/',
+  restrictTo('landlord', 'admin'),
+  body('ownerId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid ownerId'),
+  propertyFields(false),
+  async (req, res) => {
+    try {
+      let owner = req.user._id;
+      if (req.user.role === 'admin') {
+        const landlord = req.body.ownerId && await User.findOne({ _id: req.body.ownerId, role: 'landlord' });
+        if (!landlord) return res.status(400).json({ error: 'A valid ownerId is required' });
+        owner = landlord._id;
+      }
+
+      const property = await Property.create({
+        ...pick(req.body, PROPERTY_FIELDS),
+        location: toPoint(req.body.coordinates),
+        owner,
+      });
+
+      res.status(201).json({ status: 'success', data: property });
+    } catch (err) {
+      sendError(res, err, 'Failed to create property');
+    }
+  }
+);
+
+/**
+ * @route GET /:id
+ * @desc Property with its blocks and unit counts by status
+ * @access Private (owner, assigned agent, admin)
+ */
+router.get('/:id', loadProperty, async (req, res) => {
+  try {
+    const [blocks, unitCounts] = await Promise.all([
+      Block.find({ property: req.property._id }).sort({ name: 1 }),
+      Unit.aggregate([
+        { $match: { property: req.property._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+    await req.property.populate('owner agents', 'name email phone');
+
+    const units = Object.fromEntries(UNIT_STATUSES.map((status) => [status, 0]));
+    unitCounts.forEach(({ _id, count }) => { units[_id] = count; });
+
+    res.json({ status: 'success', data: { ...req.property.toObject(), blocks, units } });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch property' });
+  }
+});
+
+/**
+ * @route PATCH /:id
+ * @desc Update property details
+ * @access Private (owner, assigned agent, admin)
+ */
+router.patch('/:id', loadProperty, propertyFields(true), async (req, res) => {
+  try {
+    const update = pick(req.body, PROPERTY_FIELDS);
+    if (update.address) update.address = { ...req.property.address.toObject(), ...update.address };
+    if (req.body.coordinates !== undefined) update.location = toPoint(req.body.coordinates);
+
+    req.property.set(update);
+    await req.property.save();
+    await syncUnitListings(req.property);
+
+    res.json({ status: 'success', data: req.property });
+  } catch (err) {
+    sendError(res, err, 'Failed to update property');
+  }
+});
+
+/**
+ * @route DELETE /:id
+ * @desc Delete a property with its blocks and units; refused while any unit is let
+ * @access Private (owner, admin)
+ */
+router.delete('/:id', loadProperty, async (req, res) => {
+  try {
+    if (!isPropertyOwner(req.property, req.user)) {
+      return res.status(403).json({ error: 'Only the owner can delete a property' });
+    }
+    await deleteProperty(req.property);
+    res.json({ status: 'success', message: 'Property deleted' });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete property');
+  }
+});
+
+/**
+ * @route PUT /:id/agents
+ * @desc Replace the agents assigned to a property
+ * @access Private (owner, admin)
+ */
+router.put(
+  '/:id/agents',
+  loadProperty,
+  body('agentIds').isArray({ max: 20 }).withMessage('agentIds must be an array'),
+  body('agentIds.*').custom(mongoose.isValidObjectId).withMessage('Invalid agent id'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      if (!isPropertyOwner(req.property, req.user)) {
+        return res.status(403).json({ error: 'Only the owner can assign agents' });
+      }
+
+      const agentIds = [...new Set(req.body.agentIds.map(String))];
+      const agents = await User.countDocuments({ _id: { $in: agentIds }, role: 'agent' });
+      if (agents !== agentIds.length) return res.status(400).json({ error: 'Every agentId must be an agent' });
+
+      req.property.agents = agentIds;
+      await req.property.save();
+      await req.property.populate('agents', 'name email phone');
+
+      res.json({ status: 'success', data: req.property });
+    } catch (err) {
+      sendError(res, err, 'Failed to assign agents');
+    }
+  }
+);
+
+/**
+ * @route GET /:id/blocks
+ * @desc List a property's blocks
+ * @access Private (owner, assigned agent, admin)
+ */
+router.get('/:id/blocks', loadProperty, async (req, res) => {
+  try {
+    const data = await Block.find({ property: req.property._id }).sort({ name: 1 });
+    res.json({ status: 'success', data });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch blocks' });
+  }
+});
+
+const blockFields = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .isString().trim().isLength({ min: 1, max: 60 }).withMessage('name must be 1-60 characters'),
+  body('floors').optional().isInt({ min: 0, max: 200 }),
+  body('description').optional().isString().isLength({ max: 500 }),
+  handleValidation
+];
+
+/**
+ * @route POST /:id/blocks
+ * @desc Add a block
+ * @access Private (owner, assigned agent, admin)
+ */
+router.post('/:id/blocks', loadProperty, blockFields(false), async (req, res) => {
+  try {
+    const block = await Block.create({
+      ...pick(req.body, ['name', 'floors', 'description']),
+      property: req.property._id,
+    });
+    res.status(201).json({ status: 'success', data: block });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'A block with this name already exists' });
+    sendError(res, err, 'Failed to create block');
+  }
+});
+
+/**
+ * @route PATCH /:id/blocks/:blockId
+ * @desc Rename or describe a block
+ * @access Private (owner, assigned agent, admin)
+ */
+router.patch('/:id/blocks/:blockId', loadProperty, blockFields(true), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.blockId)) return res.status(400).json({ error: 'Invalid block id' });
+
+    const block = await Block.findOneAndUpdate(
+      { _id: req.params.blockId, property: req.property._id },
+      { $set: pick(req.body, ['name', 'floors', 'description']) },
+      { new: true, runValidators: true }
+    );
+    if (!block) return res.status(404).json({ error: 'Block not found' });
+
+    res.json({ status: 'success', data: block });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'A block with this name already exists' });
+    sendError(res, err, 'Failed to update block');
+  }
+});
+
+/**
+ * @route DELETE /:id/blocks/:blockId
+ * @desc Delete an empty block
+ * @access Private (owner, assigned agent, admin)
+ */
+router.delete('/:id/blocks/:blockId', loadProperty, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.blockId)) return res.status(400).json({ error: 'Invalid block id' });
+
+    const block = await Block.findOne({ _id: req.params.blockId, property: req.property._id });
+    if (!block) return res.status(404).json({ error: 'Block not found' });
+
+    await deleteBlock(block);
+    res.json({ status: 'success', message: 'Block deleted' });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete block');
+  }
+});
+
+/**
+ * @route GET /:id/units
+ * @desc List a property's units (?status=, ?blockId=)
+ * @access Private (owner, assigned agent, admin)
+ */
+router.get('/:id/units', loadProperty, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const filter = { property: req.property._id };
+    if (UNIT_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+    if (mongoose.isValidObjectId(req.query.blockId)) filter.block = req.query.blockId;
+
+    const [data, total] = await Promise.all([
+      Unit.find(filter)
+        .populate('block', 'name')
+        .populate('tenant', 'name email phone')
+        .sort({ block: 1, unitNumber: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Unit.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch units' });
+  }
+});
+
+/**
+ * @route POST /:id/units
+ * @desc Add a unit
+ * @access Private (owner, assigned agent, admin)
+ */
+router.post('/:id/units', loadProperty, unitFields(false), async (req, res) => {
+  try {
+    const unit = pick(req.body, UNIT_FIELDS);
+    const invalid = await resolveUnitRefs(req, unit);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    const created = await Unit.create({
+      ...unit,
+      property: req.property._id,
+      listing: buildListing(req.property, unit.amenities),
+    });
+    res.status(201).json({ status: 'success', data: created });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'This unit number already exists' });
+    sendError(res, err, 'Failed to create unit');
+  }
+});
+
+/**
+ * Loads the :unitId unit of the loaded property into req.unit
+ */
+const loadUnit = async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.unitId)) {
+    return res.status(400).json({ error: 'Invalid unit id' });
+  }
+  try {
+    req.unit = await Unit.findOne({ _id: req.params.unitId, property: req.property._id });
+    if (!req.unit) return res.status(404).json({ error: 'Unit not found' });
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load unit' });
+  }
+};
+
+/**
+ * @route GET /:id/units/:unitId
+ * @desc Unit detail
+ * @access Private (owner, assigned agent, admin)
+ */
+router.get('/:id/units/:unitId', loadProperty, loadUnit, async (req, res) => {
+  try {
+    await req.unit.populate([
+      { path: 'block', select: 'name' },
+      { path: 'tenant', select: 'name email phone' }
+    ]);
+    res.json({ status: 'success', data: req.unit });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch unit' });
+  }
+});
+
+/**
+ * @route PATCH /:id/units/:unitId
+ * @desc Update a unit; setting tenantId marks it occupied, status vacant clears the tenant.
+ * While the unit has a live lease its tenant and status are left to the lease.
+ * @access Private (owner, assigned agent, admin)
+ */
+router.patch('/:id/units/:unitId', loadProperty, loadUnit, unitFields(true), async (req, res) => {
+  try {
+    if (changesOccupancy(req) && await hasLiveLease(req.unit._id)) {
+      return res.status(409).json({ error: 'This unit has a lease in progress; its tenant and status follow the lease' });
+    }
+
+    const update = pick(req.body, UNIT_FIELDS);
+    const invalid = await resolveUnitRefs(req, update);
+    if (invalid) return res.status(400).json({ error: invalid });
+
+    req.unit.set(update);
+    if (update.amenities) req.unit.listing = buildListing(req.property, update.amenities);
+    await req.unit.save();
+
+    res.json({ status: 'success', data: req.unit });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'This unit number already exists' });
+    sendError(res, err, 'Failed to update unit');
+  }
+});
+
+/**
+ * @route DELETE /:id/units/:unitId
+ * @desc Delete a vacant unit
+ * @access Private (owner, assigned agent, admin)
+ */
+router.delete('/:id/units/:unitId', loadProperty, loadUnit, async (req, res) => {
+  try {
+    await deleteUnit(req.unit);
+    res.json({ status: 'success', message: 'Unit deleted' });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete unit');
+  }
+});
+
+/**
+ * Mounts the photo gallery routes for a property or unit
+ * @param {string} prefix - Path of the listing, e.g. /:id
+ * @param {Function[]} loaders - Middleware that load the listing
+ * @param {Function} target - (req) => document holding the gallery
+ * @param {Function} [afterChange] - (req) => Promise, run after the gallery changes
+ */
+const mountGalleryRoutes = (prefix, loaders, target, afterChange = async () => {}) => {
+  const validatePhotoId = (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.photoId)) return res.status(400).json({ error: 'Invalid photo id' });
+    next();
+  };
+
+  /**
+   * @route POST <listing>/photos
+   * @desc Upload photos (multipart field "photos"); each is stored as thumb, medium and large in WebP and JPEG
+   * @access Private (owner, assigned agent, admin)
+   */
+  router.post(`${prefix}/photos`, ...loaders, uploadListingPhotos, async (req, res) => {
+    try {
+      const photos = await addPhotos(target(req), req.files, req.user, `listings/${req.property._id}`);
+      await afterChange(req);
+      res.status(201).json({ status: 'success', data: photos });
+    } catch (err) {
+      sendError(res, err, 'Failed to upload photos');
+    }
+  });
+
+  /**
+   * @route PUT <listing>/photos/order
+   * @desc Set the display order; photoIds lists every photo
+   * @access Private (owner, assigned agent, admin)
+   */
+  router.put(
+    `${prefix}/photos/order`,
+    ...loaders,
+    body('photoIds').isArray({ min: 1 }).withMessage('photoIds must be an array'),
+    handleValidation,
+    async (req, res) => {
+      try {
+        const doc = await reorderPhotos(target(req), req.body.photoIds);
+        res.json({ status: 'success', data: doc.photos });
+      } catch (err) {
+        sendError(res, err, 'Failed to reorder photos');
+      }
+    }
+  );
+
+  /**
+   * @route PUT <listing>/photos/:photoId/cover
+   * @desc Make a photo the cover
+   * @access Private (owner, assigned agent, admin)
+   */
+  router.put(`${prefix}/photos/:photoId/cover`, ...loaders, validatePhotoId, async (req, res) => {
+    try {
+      const doc = await setCoverPhoto(target(req), req.params.photoId);
+      await afterChange(req);
+      res.json({ status: 'success', data: doc.photos });
+    } catch (err) {
+      sendError(res, err, 'Failed to set cover photo');
+    }
+  });
+
+  /**
+   * @route DELETE <listing>/photos/:photoId
+   * @desc Delete a photo and every stored variant
+   * @access Private (owner, assigned agent, admin)
+   */
+  router.delete(`${prefix}/photos/:photoId`, ...loaders, validatePhotoId, async (req, res) => {
+    try {
+      const doc = await deletePhoto(target(req), req.params.photoId);
+      await afterChange(req);
+      res.json({ status: 'success', data: doc.photos });
+    } catch (err) {
+      sendError(res, err, 'Failed to delete photo');
+    }
+  });
+};
+
+// The property's cover is copied onto its units for search results
+mountGalleryRoutes('/:id', [loadProperty], (req) => req.property, (req) => syncUnitListings(req.property));
+mountGalleryRoutes('/:id/units/:unitId', [loadProperty, loadUnit], (req) => req.unit);
+
+module.exports = router;
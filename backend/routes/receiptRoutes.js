@@ -0,0 +1,133 @@
+/**
+ * Receipt Routes
+ * @module routes/receiptRoutes
+ * @description Payment receipts as JSON or PDF. Tenants see their own,
+ * landlords see their tenants', admins see all.
+ * @see {@link module:utils/receipts} for numbering, rendering and email
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Receipt = require('../models/Receipt');
+const { authenticateMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const { issueReceipt, renderReceiptPdf, emailReceipt } = require('../utils/receipts');
+
+const router = express.Router();
+
+router.use(authenticateMiddleware);
+
+/**
+ * Ownership filter for the current user
+ * @param {Object} req - Express request
+ * @param {string} tenantField - Field holding the tenant id (user on Payment, tenant on Receipt)
+ * @returns {Object|null} Mongo filter, null when the role has no access
+ */
+const scopeFilter = (req, tenantField) => {
+  if (req.user.role === 'tenant') return { [tenantField]: req.user._id };
+  if (req.user.role === 'landlord') return { landlord: req.user._id };
+  if (req.user.role === 'admin') return {};
+  return null;
+};
+
+/**
+ * @route GET /
+ * @desc List receipts, newest first
+ * @access Private (scoped to the caller)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = scopeFilter(req, 'tenant');
+    if (!filter) return res.status(403).json({ error: 'Not allowed' });
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const [data, total] = await Promise.all([
+      Receipt.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Receipt.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch receipts' });
+  }
+});
+
+/**
+ * @route GET /payment/:paymentId
+ * @desc Receipt for a completed payment, issued on first request
+ * @access Private (scoped to the caller)
+ */
+router.get('/payment/:paymentId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.paymentId)) {
+      return res.status(400).json({ error: 'Invalid payment id' });
+    }
+
+    const filter = scopeFilter(req, 'user');
+    if (!filter) return res.status(403).json({ error: 'Not allowed' });
+
+    const payment = await Payment.findOne({ ...filter, _id: req.params.paymentId }).select('_id');
+    if (!payment) return res.status(404).json({ error: 'Payment not found' });
+
+    const receipt = await issueReceipt(payment._id);
+    res.json({ status: 'success', data: receipt });
+  } catch (err) {
+    if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to issue receipt' });
+  }
+});
+
+/**
+ * @route GET /:id/pdf
+ * @desc Download a receipt as PDF
+ * @access Private (scoped to the caller)
+ */
+router.get('/:id/pdf', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid receipt id' });
+    }
+
+    const filter = scopeFilter(req, 'tenant');
+    if (!filter) return res.status(403).json({ error: 'Not allowed' });
+
+    const receipt = await Receipt.findOne({ ...filter, _id: req.params.id });
+    if (!receipt) return res.status(404).json({ error: 'Receipt not found' });
+
+    const pdf = await renderReceiptPdf(receipt);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${receipt.receiptNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (err) {
+    if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to render receipt' });
+  }
+});
+
+/**
+ * @route POST /:id/email
+ * @desc Re-send a receipt to the tenant's email address
+ * @access Private (owning tenant, admin)
+ */
+router.post('/:id/email', restrictTo('tenant', 'admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid receipt id' });
+    }
+
+    const receipt = await Receipt.findOne({ ...scopeFilter(req, 'tenant'), _id: req.params.id });
+    if (!receipt) return res.status(404).json({ error: 'Receipt not found' });
+
+    const sent = await emailReceipt(receipt);
+    res.json({ status: 'success', data: sent });
+  } catch (err) {
+    res.status(502).json({ error: 'Failed to send receipt email' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+/**
+ * Refund Routes
+ * @module routes/refundRoutes
+ * @description Admin workflow for reversing or refunding completed payments.
+ * Refunds above REFUND_APPROVAL_THRESHOLD wait for a second admin.
+ * @see {@link module:utils/refunds} for execution and Daraja result handling
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Refund = require('../models/Refund');
+const { authenticateMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const { requestRefund, approveRefund, rejectRefund } = require('../utils/refunds');
+
+const router = express.Router();
+
+router.use(authenticateMiddleware, restrictTo('admin'));
+
+/**
+ * Sends validation errors collected by the preceding checks
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+  next();
+};
+
+const validateRefundRequest = [
+  body('paymentId').custom(mongoose.isValidObjectId).withMessage('Valid paymentId is required'),
+  body('method').isIn(['reversal', 'manual']).withMessage('method must be reversal or manual'),
+  body('reason').isString().trim().isLength({ min: 3, max: 200 }).withMessage('A reason is required'),
+  body('externalReference').optional().isString().trim().isLength({ max: 100 }),
+  handleValidation
+];
+
+/**
+ * Validates the :id route parameter
+ */
+const validateId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid refund id' });
+  }
+  next();
+};
+
+/**
+ * @route POST /
+ * @desc Request a refund; small refunds execute immediately
+ * @access Private (admin)
+ */
+router.post('/', validateRefundRequest, async (req, res) => {
+  try {
+    const refund = await requestRefund(
+      {
+        paymentId: req.body.paymentId,
+        method: req.body.method,
+        reason: req.body.reason,
+        externalReference: req.body.externalReference
+      },
+      req.user
+    );
+    res.status(refund.status === 'PendingApproval' ? 201 : 202).json({ status: 'success', data: refund });
+  } catch (err) {
+    if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to request refund' });
+  }
+});
+
+/**
+ * @route GET /
+ * @desc List refunds, newest first
+ * @access Private (admin)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const filter = {};
+    if (req.query.status) filter.status = String(req.query.status);
+    if (mongoose.isValidObjectId(req.query.paymentId)) filter.payment = req.query.paymentId;
+
+    const [data, total] = await Promise.all([
+      Refund.find(filter)
+        .populate('payment', 'mpesaReceiptNumber amount phone status')
+        .populate('requestedBy approvedBy rejectedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Refund.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch refunds' });
+  }
+});
+
+/**
+ * @route GET /:id
+ * @desc Refund detail
+ * @access Private (admin)
+ */
+router.get('/:id', validateId, async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id)
+      .populate('payment')
+      .populate('requestedBy approvedBy rejectedBy', 'name email');
+    if (!refund) return res.status(404).json({ error: 'Refund not found' });
+
+    res.json({ status: 'success', data: refund });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch refund' });
+  }
+});
+
+/**
+ * @route POST /:id/approve
+ * @desc Second-admin approval; executes the refund
+ * @access Private (admin other than the requester)
+ */
+router.post('/:id/approve', validateId, async (req, res) => {
+  try {
+    const refund = await approveRefund(req.params.id, req.user);
+    res.status(202).json({ status: 'success', data: refund });
+  } catch (err) {
+    if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+    res.status(500).json({ error: 'Failed to approve refund' });
+  }
+});
+
+/**
+ * @route POST /:id/reject
+ * @desc Reject a refund awaiting approval
+ * @access Private (admin)
+ */
+router.post(
+  '/:id/reject',
+  validateId,
+  body('reason').optional().isString().trim().isLength({ max: 200 }),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const refund = await rejectRefund(req.params.id, req.user, req.body.reason);
+      res.json({ status: 'success', data: refund });
+    } catch (err) {
+      if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+      res.status(500).json({ error: 'Failed to reject refund' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,335 @@
+/**
+ * Viewing Routes
+ * @module routes/viewingRoutes
+ * @description Availability slots published by agents, and the viewings
+ * prospective tenants book into them. Tenants book, reschedule and cancel
+ * their own viewings; hosts manage their slots and record who turned up.
+ * @see {@link module:utils/viewings} for booking rules
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Unit = require('../models/Unit');
+const Viewing = require('../models/Viewing');
+const ViewingSlot = require('../models/ViewingSlot');
+const { authenticateMiddleware, restrictTo } = require('../middleware/authMiddleware');
+const {
+  OUTCOMES,
+  createSlots,
+  cancelSlot,
+  bookViewing,
+  getViewingForUser,
+  rescheduleViewing,
+  cancelViewing,
+  recordOutcome,
+  viewingScope,
+} = require('../utils/viewings');
+
+const router = express.Router();
+
+router.use(authenticateMiddleware);
+
+const HOSTS = ['agent', 'landlord', 'admin'];
+const STATUSES = ['scheduled', 'cancelled', 'attended', 'no_show'];
+
+/**
+ * Sends validation errors collected by the preceding checks
+ */
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', errors: errors.array() });
+  }
+  next();
+};
+
+/**
+ * Validates the :id route parameter
+ */
+const validateId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid id' });
+  }
+  next();
+};
+
+/**
+ * Sends an operational error as-is, anything else as a 500
+ * @param {Object} res - Express response
+ * @param {Error} err
+ * @param {string} fallback - Message for unexpected errors
+ */
+const sendError = (res, err, fallback) => {
+  if (err.isOperational) return res.status(err.statusCode).json({ error: err.message });
+  res.status(500).json({ error: fallback });
+};
+
+/**
+ * Reads page and limit from the query string
+ * @param {Object} req - Express request
+ * @returns {{ page: number, limit: number }}
+ */
+const paging = (req) => ({
+  page: parseInt(req.query.page) || 1,
+  limit: Math.min(parseInt(req.query.limit) || 20, 100),
+});
+
+/**
+ * @route GET /slots
+ * @desc Open upcoming slots for a unit or property
+ * @access Private
+ * @query unitId or propertyId, from, to
+ */
+router.get(
+  '/slots',
+  query('unitId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid unitId'),
+  query('propertyId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid propertyId'),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const filter = { status: 'open', start: { $gt: new Date() } };
+      if (req.query.unitId) {
+        const unit = await Unit.findOne({ _id: req.query.unitId, status: 'vacant' }).select('property');
+        if (!unit) return res.status(404).json({ error: 'Unit is not available for viewing' });
+        filter.property = unit.property;
+        filter.unit = { $in: [null, unit._id] };
+      } else if (req.query.propertyId) {
+        filter.property = req.query.propertyId;
+      } else {
+        return res.status(400).json({ error: 'unitId or propertyId is required' });
+      }
+      if (req.query.from && new Date(req.query.from) > filter.start.$gt) filter.start.$gt = new Date(req.query.from);
+      if (req.query.to) filter.start.$lt = new Date(req.query.to);
+
+      const data = await ViewingSlot.find(filter)
+        .select('-viewing')
+        .populate('agent', 'name')
+        .sort({ start: 1 })
+        .limit(200);
+      res.json({ status: 'success', data });
+    } catch (err) {
+      res.status(500).json({ error: 'Failed to fetch slots' });
+    }
+  }
+);
+
+/**
+ * @route GET /slots/mine
+ * @desc The host's own slots, upcoming first
+ * @access Private (agent, landlord, admin)
+ * @query status, includePast
+ */
+router.get('/slots/mine', restrictTo(...HOSTS), async (req, res) => {
+  try {
+    const { page, limit } = paging(req);
+    const filter = { agent: req.user._id };
+    if (['open', 'booked', 'cancelled'].includes(req.query.status)) filter.status = req.query.status;
+    if (req.query.includePast !== 'true') filter.end = { $gt: new Date() };
+
+    const [data, total] = await Promise.all([
+      ViewingSlot.find(filter)
+        .populate('property', 'title')
+        .populate('unit', 'unitNumber')
+        .populate({ path: 'viewing', select: 'tenant status', populate: { path: 'tenant', select: 'name phone' } })
+        .sort({ start: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ViewingSlot.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch slots' });
+  }
+});
+
+/**
+ * @route POST /slots
+ * @desc Publish availability; with durationMinutes the window is split into slots
+ * @access Private (agent, landlord, admin managing the property)
+ */
+router.post(
+  '/slots',
+  restrictTo(...HOSTS),
+  body('propertyId').custom(mongoose.isValidObjectId).withMessage('Invalid propertyId'),
+  body('unitId').optional({ values: 'null' }).custom(mongoose.isValidObjectId).withMessage('Invalid unitId'),
+  body('agentId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid agentId'),
+  body('start').isISO8601().withMessage('start must be a date'),
+  body('end').isISO8601().withMessage('end must be a date'),
+  body('durationMinutes').optional().isInt({ min: 10, max: 240 }).withMessage('durationMinutes must be 10-240'),
+  body('location').optional().isString().trim().isLength({ max: 200 }),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const slots = await createSlots(req.user, {
+        propertyId: req.body.propertyId,
+        unitId: req.body.unitId,
+        agentId: req.body.agentId,
+        start: req.body.start,
+        end: req.body.end,
+        durationMinutes: req.body.durationMinutes && parseInt(req.body.durationMinutes),
+        location: req.body.location,
+      });
+      res.status(201).json({ status: 'success', data: slots });
+    } catch (err) {
+      sendError(res, err, 'Failed to create slots');
+    }
+  }
+);
+
+/**
+ * @route DELETE /slots/:id
+ * @desc Withdraw a slot; a viewing booked into it is cancelled and the tenant told
+ * @access Private (host, or the property's landlord, or admin)
+ */
+router.delete('/slots/:id', restrictTo(...HOSTS), validateId, async (req, res) => {
+  try {
+    const slot = await cancelSlot(req.params.id, req.user);
+    res.json({ status: 'success', data: slot });
+  } catch (err) {
+    sendError(res, err, 'Failed to cancel slot');
+  }
+});
+
+/**
+ * @route GET /
+ * @desc Viewings the user booked or hosts, soonest first
+ * @access Private (tenant own; agent hosted; landlord own properties; admin all)
+ * @query status, upcoming, propertyId, unitId
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { page, limit } = paging(req);
+    const filter = await viewingScope(req.user);
+    if (STATUSES.includes(req.query.status)) filter.status = req.query.status;
+    if (req.query.upcoming === 'true') filter.scheduledAt = { $gt: new Date() };
+    if (mongoose.isValidObjectId(req.query.propertyId)) filter.property = req.query.propertyId;
+    if (mongoose.isValidObjectId(req.query.unitId)) filter.unit = req.query.unitId;
+
+    const [data, total] = await Promise.all([
+      Viewing.find(filter)
+        .populate('property', 'title address')
+        .populate('unit', 'unitNumber')
+        .populate('tenant agent', 'name phone email')
+        .sort({ scheduledAt: req.query.upcoming === 'true' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Viewing.countDocuments(filter)
+    ]);
+
+    res.json({ status: 'success', data, total, page, limit, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch viewings' });
+  }
+});
+
+/**
+ * @route GET /:id
+ * @desc One viewing
+ * @access Private (the tenant or the host)
+ */
+router.get('/:id', validateId, async (req, res) => {
+  try {
+    const { viewing } = await getViewingForUser(req.params.id, req.user);
+    await viewing.populate([
+      { path: 'property', select: 'title address location' },
+      { path: 'unit', select: 'unitNumber bedrooms rent' },
+      { path: 'tenant agent', select: 'name phone email' },
+    ]);
+    res.json({ status: 'success', data: viewing });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch viewing');
+  }
+});
+
+/**
+ * @route POST /
+ * @desc Book a viewing; confirmations go to the tenant and the host
+ * @access Private (tenant)
+ */
+router.post(
+  '/',
+  restrictTo('tenant'),
+  body('slotId').custom(mongoose.isValidObjectId).withMessage('Invalid slotId'),
+  body('unitId').optional().custom(mongoose.isValidObjectId).withMessage('Invalid unitId'),
+  body('notes').optional().isString().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const viewing = await bookViewing(req.user, {
+        slotId: req.body.slotId,
+        unitId: req.body.unitId,
+        notes: req.body.notes,
+      });
+      res.status(201).json({ status: 'success', data: viewing });
+    } catch (err) {
+      sendError(res, err, 'Failed to book viewing');
+    }
+  }
+);
+
+/**
+ * @route PATCH /:id/reschedule
+ * @desc Move an upcoming viewing to another open slot for the same unit
+ * @access Private (the tenant or the host)
+ */
+router.patch(
+  '/:id/reschedule',
+  validateId,
+  body('slotId').custom(mongoose.isValidObjectId).withMessage('Invalid slotId'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const viewing = await rescheduleViewing(req.params.id, req.body.slotId, req.user);
+      res.json({ status: 'success', data: viewing });
+    } catch (err) {
+      sendError(res, err, 'Failed to reschedule viewing');
+    }
+  }
+);
+
+/**
+ * @route PATCH /:id/cancel
+ * @desc Cancel an upcoming viewing
+ * @access Private (the tenant or the host)
+ */
+router.patch(
+  '/:id/cancel',
+  validateId,
+  body('reason').optional().isString().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const viewing = await cancelViewing(req.params.id, req.user, req.body.reason);
+      res.json({ status: 'success', data: viewing });
+    } catch (err) {
+      sendError(res, err, 'Failed to cancel viewing');
+    }
+  }
+);
+
+/**
+ * @route PATCH /:id/outcome
+ * @desc Mark a viewing attended or no-show once it has started
+ * @access Private (the host)
+ */
+router.patch(
+  '/:id/outcome',
+  restrictTo(...HOSTS),
+  validateId,
+  body('outcome').isIn(OUTCOMES).withMessage(`outcome must be one of ${OUTCOMES.join(', ')}`),
+  handleValidation,
+  async (req, res) => {
+    try {
+      const viewing = await recordOutcome(req.params.id, req.user, req.body.outcome);
+      res.json({ status: 'success', data: viewing });
+    } catch (err) {
+      sendError(res, err, 'Failed to record outcome');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// /scripts/backfillAccountNumbers.js
+// Gives tenants created before Paybill account numbers their own. Safe to re-run.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backfillAccountNumbers } = require('../utils/c2b');
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const updated = await backfillAccountNumbers();
+    console.log(`✅ Assigned account numbers to ${updated} tenant(s)`);
+    await mongoose.disconnect();
+  } catch (err) {
+    console.error('❌ Account number backfill failed', err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,18 @@
+// /scripts/backfillC2BProperties.js
+// Tags Paybill payments recorded before they carried a property. Safe to re-run.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backfillC2BProperties } = require('../utils/c2b');
+
+(async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const updated = await backfillC2BProperties();
+    console.log(`✅ Tagged ${updated} Paybill payment(s) with a property`);
+    await mongoose.disconnect();
+  } catch (err) {
+    console.error('❌ Paybill property backfill failed', err);
+    process.exit(1);
+  }
+})();
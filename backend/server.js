@@ -55,24 +55,52 @@ if (!process.env.JWT_SECRET) {
 const User = require('./models/User');
 const { sendEmail, sendSMS } = require('./utils/notifications');
 const { authenticateMiddleware } = require('./middleware/authMiddleware');
-require('./utils/reminderService');
+const { closeRedisClient } = require('./utils/redis');
 
 // ====== ROUTE IMPORTS ======
 const mpesaRoutes = require('./routes/mpesaRoutes');
 const emailRoutes = require('./routes/emailRoutes');
 const authRoutes = require('./routes/authRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const payoutRoutes = require('./routes/payoutRoutes');
+const invoiceRoutes = require('./routes/invoiceRoutes');
+const receiptRoutes = require('./routes/receiptRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const refundRoutes = require('./routes/refundRoutes');
+const penaltyRoutes = require('./routes/penaltyRoutes');
+const propertyRoutes = require('./routes/propertyRoutes');
+const listingRoutes = require('./routes/listingRoutes');
+const fileRoutes = require('./routes/fileRoutes');
+const viewingRoutes = require('./routes/viewingRoutes');
+const applicationRoutes = require('./routes/applicationRoutes');
+const leaseRoutes = require('./routes/leaseRoutes');
+const billingRoutes = require('./routes/billingRoutes');
+const maintenanceRoutes = require('./routes/maintenanceRoutes');
+const chatRoutes = require('./routes/chatRoutes');
+const { initSockets, closeSockets } = require('./sockets');
+const { closeBrowser } = require('./utils/pdf');
+const { getStorage } = require('./storage');
 
 // ====== EXPRESS APP CONFIGURATION ======
 const app = express();
 
+// ====== PROXY CONFIGURATION ======
+// Needed behind a load balancer so req.ip is the client (MPesa IP allowlist)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // ====== SECURITY MIDDLEWARE ======
+// Shared with Socket.io so chat connections are held to the same origins
+const allowedOrigins = [
+  'http://localhost:5173',
+  'http://localhost:3000',
+  'https://your-production-domain.com'
+];
+
 app.use(cors({
-  origin: [
-    'http://localhost:5173',
-    'http://localhost:3000',
-    'https://your-production-domain.com'
-  ],
+  origin: allowedOrigins,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
@@ -81,7 +109,13 @@ app.use(helmet());
 app.use(compression());
 
 // ====== REQUEST PROCESSING MIDDLEWARE ======
-app.use(express.json({ limit: '1mb' }));
+// Webhook signatures are computed over the exact bytes received
+app.use(express.json({
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/payments/callback')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('combined'));
 
@@ -304,6 +338,29 @@ app.use('/api/v1/mpesa', mpesaRoutes);
 app.use('/api/v1/email', emailRoutes);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/payouts', payoutRoutes);
+app.use('/api/v1/invoices', invoiceRoutes);
+app.use('/api/v1/receipts', receiptRoutes);
+app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/refunds', refundRoutes);
+app.use('/api/v1/penalties', penaltyRoutes);
+app.use('/api/v1/properties', propertyRoutes);
+app.use('/api/v1/listings', listingRoutes);
+app.use('/api/v1/files', fileRoutes);
+app.use('/api/v1/viewings', viewingRoutes);
+app.use('/api/v1/applications', applicationRoutes);
+app.use('/api/v1/leases', leaseRoutes);
+app.use('/api/v1/billing', billingRoutes);
+app.use('/api/v1/maintenance', maintenanceRoutes);
+app.use('/api/v1/chat', chatRoutes);
+
+// Public uploads (photos) when stored on local disk; cross-origin so the frontend can embed them
+if (getStorage().name === 'local') {
+  app.use('/uploads', (req, res, next) => {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    next();
+  }, express.static(getStorage().roots.public, { maxAge: '30d', index: false }));
+}
 
 // ====== SERVER INITIALIZATION ======
 const PORT = process.env.PORT || 5000;
@@ -324,13 +381,19 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
+// Real-time chat shares the HTTP(S) server
+initSockets(server, { origins: allowedOrigins });
+
 // ====== GRACEFUL SHUTDOWN HANDLER ======
 process.on('SIGTERM', async () => {
   logger.info('🛑 SIGTERM received - closing server');
+  closeSockets();
   server.close(async () => {
     logger.info('✅ Server shutting down gracefully...');
+    await closeBrowser();
     if (mongoose.connection.readyState) await mongoose.connection.close();
     logger.info('📦 MongoDB connection closed');
+    await closeRedisClient();
     process.exit(0);
   });
 });
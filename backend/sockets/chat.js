@@ -0,0 +1,97 @@
+/**
+ * Chat socket events
+ * @module sockets/chat
+ * @description What a connected client can do in chat. Every event takes an
+ * acknowledgement callback answered with { status: 'success', data } or
+ * { status: 'error', error }.
+ *
+ * Client → server: conversation:join, conversation:leave, typing,
+ * message:send, message:read.
+ * Server → client: message:new, message:read, typing.
+ * @see {@link module:utils/chat} for the rules behind each event
+ */
+
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { getConversationForUser, sendMessage, markRead, presentMessage } = require('../utils/chat');
+
+/**
+ * Room of the clients that have a conversation open, for typing indicators
+ * @function conversationRoom
+ * @param {string} conversationId
+ * @returns {string}
+ */
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+/**
+ * Wraps an event handler so failures are acknowledged instead of thrown
+ * @param {string} event
+ * @param {Function} handler - async (payload) => data
+ * @returns {Function} Socket.io listener
+ */
+const handle = (event, handler) => async (payload, ack) => {
+  const reply = typeof ack === 'function' ? ack : () => {};
+  try {
+    reply({ status: 'success', data: await handler(payload || {}) });
+  } catch (err) {
+    if (!err.isOperational) logger.error(`Socket ${event} failed: ${err.message}`);
+    reply({ status: 'error', error: err.isOperational ? err.message : `Failed to handle ${event}` });
+  }
+};
+
+/**
+ * Registers the chat events on a connected, authenticated socket
+ * @function registerChatHandlers
+ * @param {Object} socket - With socket.data.user
+ * @param {Object} broadcast
+ * @param {Function} broadcast.broadcastMessage - (conversation, message)
+ * @param {Function} broadcast.broadcastRead - (conversation, userId, readAt)
+ */
+const registerChatHandlers = (socket, { broadcastMessage, broadcastRead }) => {
+  const { user } = socket.data;
+
+  // Open a conversation to receive its typing indicators
+  socket.on('conversation:join', handle('conversation:join', async ({ conversationId }) => {
+    const conversation = await getConversationForUser(conversationId, user);
+    socket.join(conversationRoom(conversation._id));
+    return { conversationId: String(conversation._id) };
+  }));
+
+  socket.on('conversation:leave', handle('conversation:leave', async ({ conversationId }) => {
+    socket.leave(conversationRoom(conversationId));
+    return { conversationId };
+  }));
+
+  // Only relayed to clients that have the conversation open; never stored
+  socket.on('typing', ({ conversationId, typing } = {}) => {
+    const room = conversationRoom(conversationId);
+    if (!socket.rooms.has(room)) return;
+    socket.to(room).emit('typing', {
+      conversationId,
+      user: { _id: user._id, name: user.name },
+      typing: Boolean(typing),
+    });
+  });
+
+  socket.on('message:send', handle('message:send', async ({ conversationId, body }) => {
+    if (typeof body !== 'string') throw new AppError('body must be text', 400);
+    const { conversation, message } = await sendMessage(conversationId, user, { body });
+    const data = presentMessage(message, user);
+
+    broadcastMessage(conversation, data);
+    socket.to(conversationRoom(conversation._id)).emit('typing', {
+      conversationId: String(conversation._id),
+      user: { _id: user._id, name: user.name },
+      typing: false,
+    });
+    return data;
+  }));
+
+  socket.on('message:read', handle('message:read', async ({ conversationId }) => {
+    const { conversation, readAt } = await markRead(conversationId, user);
+    broadcastRead(conversation, user._id, readAt);
+    return { conversationId: String(conversation._id), readAt };
+  }));
+};
+
+module.exports = { conversationRoom, registerChatHandlers };
@@ -0,0 +1,159 @@
+/**
+ * Socket.io server
+ * @module sockets
+ * @description Real-time connections for chat. Every connection is
+ * authenticated with the same JWT as the REST API and joins a room for its
+ * user, so anything can be pushed to a user on all their devices with
+ * emitToUsers, including from REST routes.
+ *
+ * @example
+ * const { initSockets } = require('./sockets');
+ * initSockets(server, { origins: ['http://localhost:5173'] });
+ */
+
+const jwt = require('jsonwebtoken');
+const { Server } = require('socket.io');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { registerChatHandlers } = require('./chat');
+
+let io = null;
+
+/**
+ * Room holding every connection of one user
+ * @function userRoom
+ * @param {string|ObjectId} userId
+ * @returns {string}
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Reads the JWT from the handshake: auth.token, else an Authorization header
+ * @function handshakeToken
+ * @param {Object} handshake - socket.handshake
+ * @returns {string|null}
+ */
+const handshakeToken = (handshake) => {
+  if (handshake.auth?.token) return String(handshake.auth.token).replace(/^Bearer /, '');
+  const header = handshake.headers?.authorization;
+  return header?.startsWith('Bearer ') ? header.split(' ')[1] : null;
+};
+
+/**
+ * Socket.io middleware that rejects connections without a valid JWT
+ * @async
+ * @function authenticateSocket
+ * @param {Object} socket
+ * @param {Function} next
+ *
+ * @remarks
+ * The user is loaded once per connection and kept on socket.data.user. A
+ * client whose token expires keeps its connection until it reconnects.
+ */
+const authenticateSocket = async (socket, next) => {
+  const token = handshakeToken(socket.handshake);
+  if (!token) return next(new Error('Unauthorized'));
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select('name email role');
+    if (!user) return next(new Error('Unauthorized'));
+
+    socket.data.user = user;
+    next();
+  } catch (err) {
+    next(new Error(err.name === 'TokenExpiredError' ? 'Token expired' : 'Unauthorized'));
+  }
+};
+
+/**
+ * Starts Socket.io on the HTTP(S) server
+ * @function initSockets
+ * @param {http.Server} server
+ * @param {Object} [options]
+ * @param {string[]} [options.origins] - Allowed CORS origins, as for the REST API
+ * @returns {Server}
+ */
+const initSockets = (server, { origins } = {}) => {
+  io = new Server(server, {
+    path: '/socket.io',
+    cors: { origin: origins, credentials: true },
+    maxHttpBufferSize: 64 * 1024,  // Text only; attachments go through REST
+  });
+
+  io.use(authenticateSocket);
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    socket.join(userRoom(user._id));
+    registerChatHandlers(socket, { broadcastMessage, broadcastRead });
+    logger.debug(`Socket ${socket.id} connected for user ${user._id}`);
+  });
+
+  logger.info('💬 Socket.io ready');
+  return io;
+};
+
+/**
+ * Pushes an event to every connection of the given users
+ * @function emitToUsers
+ * @param {Array<string|ObjectId>} userIds
+ * @param {string} event
+ * @param {Object} payload
+ *
+ * @remarks
+ * A no-op until initSockets has run (workers, tests).
+ */
+const emitToUsers = (userIds, event, payload) => {
+  if (!io || !userIds.length) return;
+  io.to(userIds.map((id) => userRoom(id))).emit(event, payload);
+};
+
+/**
+ * Pushes a new message to everyone in its conversation, sender included
+ * @function broadcastMessage
+ * @param {Object} conversation
+ * @param {Object} message - As returned by presentMessage
+ */
+const broadcastMessage = (conversation, message) => {
+  emitToUsers(conversation.participants.map((participant) => participant.user), 'message:new', {
+    conversationId: String(conversation._id),
+    message,
+    lastMessageAt: conversation.lastMessageAt,
+  });
+};
+
+/**
+ * Tells everyone in a conversation how far a participant has read (read receipts)
+ * @function broadcastRead
+ * @param {Object} conversation
+ * @param {string|ObjectId} userId - Reader
+ * @param {Date} readAt
+ */
+const broadcastRead = (conversation, userId, readAt) => {
+  emitToUsers(conversation.participants.map((participant) => participant.user), 'message:read', {
+    conversationId: String(conversation._id),
+    userId: String(userId),
+    readAt,
+  });
+};
+
+/**
+ * Disconnects every client so the HTTP server can close
+ * @function closeSockets
+ */
+const closeSockets = () => {
+  if (!io) return;
+  io.disconnectSockets(true);
+  io = null;
+};
+
+module.exports = {
+  userRoom,
+  handshakeToken,
+  authenticateSocket,
+  initSockets,
+  emitToUsers,
+  broadcastMessage,
+  broadcastRead,
+  closeSockets,
+};
@@ -0,0 +1,119 @@
+/**
+ * File storage interface
+ * @module storage/StorageDriver
+ * @description Contract for where uploaded and generated files live, so
+ * uploads work the same on one machine or many API instances. Keys are
+ * relative paths such as listings/<property>/<photo>-thumb.webp.
+ *
+ * Files are either public (listing photos, profile photos: served from a
+ * stable URL) or private (signed documents: only reachable through a
+ * short-lived signed URL).
+ *
+ * @typedef {Object} PutOptions
+ * @property {string} [contentType] - MIME type
+ * @property {string} [visibility=public] - public | private
+ * @property {string} [cacheControl] - Cache-Control for public files
+ *
+ * @typedef {Object} StoredFile
+ * @property {string} key - Key to pass back to get/remove/signedUrl
+ * @property {string} [url] - Public URL (public files only)
+ */
+
+const AppError = require('../utils/appError');
+
+const VISIBILITIES = ['public', 'private'];
+
+class StorageDriver {
+  /**
+   * @param {string} name - Driver name (STORAGE_DRIVER value)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Rejects keys that could escape the storage root
+   * @param {string} key
+   * @returns {string} The key without leading slashes
+   * @throws {AppError} 400 for empty keys or keys containing ..
+   */
+  normalizeKey(key) {
+    const normalized = String(key || '').replace(/\\/g, '/').replace(/^\/+/, '');
+    if (!normalized || normalized.split('/').some((part) => part === '..' || part === '')) {
+      throw new AppError('Invalid storage key', 400);
+    }
+    return normalized;
+  }
+
+  /**
+   * Checks a visibility option
+   * @param {string} [visibility='public']
+   * @returns {string}
+   */
+  normalizeVisibility(visibility = 'public') {
+    if (!VISIBILITIES.includes(visibility)) throw new AppError(`Unknown visibility "${visibility}"`, 400);
+    return visibility;
+  }
+
+  /**
+   * Stores a file, replacing any file with the same key
+   * @async
+   * @param {string} key
+   * @param {Buffer} body
+   * @param {PutOptions} [options]
+   * @returns {Promise<StoredFile>}
+   */
+  async put(key, body, options) {
+    throw new AppError(`${this.name} storage does not support put`, 501);
+  }
+
+  /**
+   * Reads a file
+   * @async
+   * @param {string} key
+   * @param {Object} [options]
+   * @param {string} [options.visibility='public']
+   * @returns {Promise<Buffer>}
+   * @throws {AppError} 404 when the file does not exist
+   */
+  async get(key, options) {
+    throw new AppError(`${this.name} storage does not support get`, 501);
+  }
+
+  /**
+   * Deletes a file; deleting a missing file is not an error
+   * @async
+   * @param {string} key
+   * @param {Object} [options]
+   * @param {string} [options.visibility='public']
+   * @returns {Promise<void>}
+   */
+  async remove(key, options) {
+    throw new AppError(`${this.name} storage does not support remove`, 501);
+  }
+
+  /**
+   * Stable URL of a public file
+   * @param {string} key
+   * @returns {string}
+   */
+  publicUrl(key) {
+    throw new AppError(`${this.name} storage does not support public URLs`, 501);
+  }
+
+  /**
+   * Time-limited URL for a private file
+   * @async
+   * @param {string} key
+   * @param {Object} [options]
+   * @param {number} [options.expiresIn=900] - Seconds
+   * @param {string} [options.filename] - Download name (Content-Disposition)
+   * @returns {Promise<string>}
+   */
+  async signedUrl(key, options) {
+    throw new AppError(`${this.name} storage does not support signed URLs`, 501);
+  }
+}
+
+module.exports = StorageDriver;
+module.exports.VISIBILITIES = VISIBILITIES;
@@ -0,0 +1,65 @@
+/**
+ * Storage registry
+ * @module storage
+ * @description Returns the storage driver selected by STORAGE_DRIVER
+ * (local | s3). Everything that reads or writes files goes through it.
+ *
+ * @example
+ * const { getStorage } = require('../storage');
+ * const { url } = await getStorage().put('listings/abc/photo.webp', buffer, { contentType: 'image/webp' });
+ */
+
+const path = require('path');
+const AppError = require('../utils/appError');
+const LocalStorageDriver = require('./localDriver');
+const S3StorageDriver = require('./s3Driver');
+
+let storage = null;
+
+/**
+ * Builds a driver from configuration
+ * @function createStorage
+ * @param {Object} [env=process.env]
+ * @returns {StorageDriver}
+ * @throws {AppError} 500 for an unknown STORAGE_DRIVER
+ */
+const createStorage = (env = process.env) => {
+  const driver = env.STORAGE_DRIVER || 'local';
+
+  if (driver === 'local') {
+    return new LocalStorageDriver({
+      // public/img/users is where profile photos have always been written
+      publicDir: env.STORAGE_LOCAL_PUBLIC_DIR || env.UPLOAD_DIR || path.join(__dirname, '../public'),
+      privateDir: env.STORAGE_LOCAL_PRIVATE_DIR || path.join(__dirname, '../private'),
+      publicUrl: env.STORAGE_PUBLIC_URL || env.UPLOAD_URL || '/uploads',
+      signedUrlBase: `${env.API_BASE_URL || ''}/api/v1/files`,
+      signingSecret: env.STORAGE_SIGNING_SECRET || env.JWT_SECRET,
+    });
+  }
+
+  if (driver === 's3') {
+    return new S3StorageDriver({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION,
+      endpoint: env.S3_ENDPOINT,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      publicUrl: env.STORAGE_PUBLIC_URL,
+    });
+  }
+
+  throw new AppError(`Unknown STORAGE_DRIVER "${driver}"`, 500);
+};
+
+/**
+ * Returns the process-wide driver, creating it on first use
+ * @function getStorage
+ * @returns {StorageDriver}
+ */
+const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+module.exports = { createStorage, getStorage };
@@ -0,0 +1,107 @@
+/**
+ * Local disk storage
+ * @module storage/localDriver
+ * @description Keeps files on the API server's disk: public files under
+ * STORAGE_LOCAL_PUBLIC_DIR (served at /uploads), private files under
+ * STORAGE_LOCAL_PRIVATE_DIR (served only through HMAC-signed links checked by
+ * routes/fileRoutes). Suitable for a single instance or a shared volume.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const StorageDriver = require('./StorageDriver');
+const safeEqual = require('../utils/safeEqual');
+const AppError = require('../utils/appError');
+
+class LocalStorageDriver extends StorageDriver {
+  /**
+   * @param {Object} config
+   * @param {string} config.publicDir - Root for public files
+   * @param {string} config.privateDir - Root for private files
+   * @param {string} [config.publicUrl='/uploads'] - URL prefix public files are served from
+   * @param {string} [config.signedUrlBase='/api/v1/files'] - Route that serves signed links
+   * @param {string} config.signingSecret - HMAC key for signed links
+   */
+  constructor({ publicDir, privateDir, publicUrl = '/uploads', signedUrlBase = '/api/v1/files', signingSecret }) {
+    super('local');
+    this.roots = { public: publicDir, private: privateDir };
+    this.publicBase = publicUrl.replace(/\/+$/, '');
+    this.signedUrlBase = signedUrlBase.replace(/\/+$/, '');
+    this.signingSecret = signingSecret;
+  }
+
+  /**
+   * Absolute path of a file
+   * @param {string} key
+   * @param {string} [visibility='public']
+   * @returns {string}
+   */
+  resolvePath(key, visibility) {
+    return path.join(this.roots[this.normalizeVisibility(visibility)], this.normalizeKey(key));
+  }
+
+  async put(key, body, { visibility = 'public' } = {}) {
+    const target = this.resolvePath(key, visibility);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, body);
+
+    const normalized = this.normalizeKey(key);
+    return { key: normalized, url: visibility === 'public' ? this.publicUrl(normalized) : undefined };
+  }
+
+  async get(key, { visibility = 'public' } = {}) {
+    try {
+      return await fs.readFile(this.resolvePath(key, visibility));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new AppError('File not found', 404);
+      throw error;
+    }
+  }
+
+  async remove(key, { visibility = 'public' } = {}) {
+    await fs.rm(this.resolvePath(key, visibility), { force: true });
+  }
+
+  publicUrl(key) {
+    return `${this.publicBase}/${this.normalizeKey(key).split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  /**
+   * HMAC over the key, expiry and download name
+   * @param {string} key
+   * @param {number} expires - Unix seconds
+   * @param {string} [filename]
+   * @returns {string} Hex signature
+   */
+  sign(key, expires, filename = '') {
+    if (!this.signingSecret) throw new AppError('STORAGE_SIGNING_SECRET is not configured', 500);
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${this.normalizeKey(key)}\n${expires}\n${filename}`)
+      .digest('hex');
+  }
+
+  async signedUrl(key, { expiresIn = 900, filename } = {}) {
+    const normalized = this.normalizeKey(key);
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const params = new URLSearchParams({ expires: String(expires), signature: this.sign(normalized, expires, filename) });
+    if (filename) params.set('filename', filename);
+
+    return `${this.signedUrlBase}/${normalized.split('/').map(encodeURIComponent).join('/')}?${params}`;
+  }
+
+  /**
+   * Checks a signed link produced by signedUrl
+   * @param {string} key
+   * @param {Object} query - { expires, signature, filename }
+   * @returns {boolean} False when tampered with or expired
+   */
+  verifySignedUrl(key, { expires, signature, filename } = {}) {
+    const expiry = parseInt(expires);
+    if (!expiry || !signature || expiry < Math.floor(Date.now() / 1000)) return false;
+    return safeEqual(signature, this.sign(key, expiry, filename || ''));
+  }
+}
+
+module.exports = LocalStorageDriver;
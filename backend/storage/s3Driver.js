@@ -0,0 +1,113 @@
+/**
+ * S3-compatible object storage
+ * @module storage/s3Driver
+ * @description Stores files in one bucket on AWS S3 or any S3-compatible
+ * service (MinIO, Cloudflare R2, DigitalOcean Spaces). Public files live under
+ * public/, private files under private/; the bucket policy should allow
+ * anonymous reads of public/* only. Private files are reached through
+ * presigned GET URLs.
+ */
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const StorageDriver = require('./StorageDriver');
+const AppError = require('../utils/appError');
+
+class S3StorageDriver extends StorageDriver {
+  /**
+   * @param {Object} config
+   * @param {string} config.bucket
+   * @param {string} [config.region='us-east-1']
+   * @param {string} [config.endpoint] - Custom endpoint, e.g. http://localhost:9000 for MinIO
+   * @param {boolean} [config.forcePathStyle=false] - Needed by MinIO
+   * @param {string} [config.accessKeyId]
+   * @param {string} [config.secretAccessKey]
+   * @param {string} [config.publicUrl] - Base URL public files are read from (CDN or bucket URL)
+   * @param {S3Client} [config.client] - Preconfigured client (tests)
+   */
+  constructor({ bucket, region = 'us-east-1', endpoint, forcePathStyle = false, accessKeyId, secretAccessKey, publicUrl, client }) {
+    super('s3');
+    if (!bucket) throw new AppError('S3_BUCKET is not configured', 500);
+
+    this.bucket = bucket;
+    this.client = client || new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+
+    const bucketUrl = endpoint
+      ? (forcePathStyle ? `${endpoint.replace(/\/+$/, '')}/${bucket}` : endpoint.replace('://', `://${bucket}.`))
+      : `https://${bucket}.s3.${region}.amazonaws.com`;
+    this.publicBase = (publicUrl || bucketUrl).replace(/\/+$/, '');
+  }
+
+  /**
+   * Object key for a storage key
+   * @param {string} key
+   * @param {string} [visibility='public']
+   * @returns {string} e.g. public/listings/...
+   */
+  objectKey(key, visibility) {
+    return `${this.normalizeVisibility(visibility)}/${this.normalizeKey(key)}`;
+  }
+
+  async put(key, body, { contentType, visibility = 'public', cacheControl } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key, visibility),
+      Body: body,
+      ContentType: contentType,
+      CacheControl: visibility === 'public' ? cacheControl : 'private, no-store',
+    }));
+
+    const normalized = this.normalizeKey(key);
+    return { key: normalized, url: visibility === 'public' ? this.publicUrl(normalized) : undefined };
+  }
+
+  async get(key, { visibility = 'public' } = {}) {
+    try {
+      const { Body } = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key, visibility),
+      }));
+      return Buffer.from(await Body.transformToByteArray());
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        throw new AppError('File not found', 404);
+      }
+      throw error;
+    }
+  }
+
+  async remove(key, { visibility = 'public' } = {}) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key, visibility),
+    }));
+  }
+
+  publicUrl(key) {
+    return `${this.publicBase}/${this.objectKey(key, 'public').split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  async signedUrl(key, { expiresIn = 900, filename } = {}) {
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key, 'private'),
+        ResponseContentDisposition: filename ? `attachment; filename="${filename.replace(/"/g, '')}"` : undefined,
+      }),
+      { expiresIn }
+    );
+  }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,69 @@
+/**
+ * Allocation engine test suite
+ * @module tests/allocationTests
+ * @description Unit tests for how utils/allocation spreads payments over invoices
+ */
+
+const { planAllocations } = require('../utils/allocation');
+
+/**
+ * Summarises plan steps as [paymentId, invoiceId, amount]
+ * @param {Object[]} steps
+ */
+const describeSteps = (steps) => steps.map((s) => [s.payment._id, s.invoice._id, s.amount]);
+
+describe('Payment Allocation', () => {
+  test('planAllocations - Pays the oldest invoice first', () => {
+    const steps = planAllocations(
+      [{ _id: 'p1', amount: 10000, allocatedAmount: 0 }],
+      [
+        { _id: 'march', amount: 10000, amountPaid: 0 },
+        { _id: 'april', amount: 10000, amountPaid: 0 },
+      ]
+    );
+    expect(describeSteps(steps)).toEqual([['p1', 'march', 10000]]);
+  });
+
+  test('planAllocations - Supports partial payments across invoices', () => {
+    const steps = planAllocations(
+      [
+        { _id: 'p1', amount: 4000, allocatedAmount: 0 },
+        { _id: 'p2', amount: 9000, allocatedAmount: 0 },
+      ],
+      [
+        { _id: 'rent', amount: 10000, amountPaid: 2000 },
+        { _id: 'water', amount: 1500, amountPaid: 0 },
+      ]
+    );
+    expect(describeSteps(steps)).toEqual([
+      ['p1', 'rent', 4000],
+      ['p2', 'rent', 4000],
+      ['p2', 'water', 1500],
+    ]);
+  });
+
+  test('planAllocations - Leaves overpayment unallocated as credit', () => {
+    const steps = planAllocations(
+      [{ _id: 'p1', amount: 12000, paidAmount: 12500.5, allocatedAmount: 0 }],
+      [{ _id: 'rent', amount: 10000, amountPaid: 0 }]
+    );
+    expect(describeSteps(steps)).toEqual([['p1', 'rent', 10000]]);
+  });
+
+  test('planAllocations - Spends existing credit on a new invoice', () => {
+    const steps = planAllocations(
+      [{ _id: 'p1', amount: 12000, allocatedAmount: 10000 }],
+      [{ _id: 'deposit', amount: 5000, amountPaid: 0 }]
+    );
+    expect(describeSteps(steps)).toEqual([['p1', 'deposit', 2000]]);
+  });
+
+  test('planAllocations - Does nothing without money or open invoices', () => {
+    expect(planAllocations([], [{ _id: 'rent', amount: 100, amountPaid: 0 }])).toEqual([]);
+    expect(planAllocations([{ _id: 'p1', amount: 100, allocatedAmount: 0 }], [])).toEqual([]);
+    expect(planAllocations(
+      [{ _id: 'p1', amount: 100, allocatedAmount: 100 }],
+      [{ _id: 'rent', amount: 100, amountPaid: 0 }]
+    )).toEqual([]);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Tenant screening test suite
+ * @module tests/applicationsTests
+ * @description Unit tests for checklist evaluation and scoring in
+ * utils/applications
+ */
+
+const { DEFAULT_CHECKLIST, evaluateScreening } = require('../utils/applications');
+
+const application = {
+  employment: { status: 'employed', monthlyIncome: 90000, otherIncome: 0 },
+  references: [{ name: 'A. Employer', phone: '0712345678' }],
+  documents: [{ type: 'national_id' }],
+  screening: [],
+};
+const byKey = (result) => Object.fromEntries(result.screening.map((item) => [item.key, item]));
+
+describe('Tenant Screening', () => {
+  test('evaluateScreening - Checks income, references and documents automatically', () => {
+    const items = byKey(evaluateScreening(application, DEFAULT_CHECKLIST, 25000));
+    expect(items.income).toMatchObject({ passed: true, note: 'Income is 3.6× rent (needs 3×)' });
+    expect(items.references).toMatchObject({ passed: false, note: '1 of 2 references' });
+    expect(items.id_document.passed).toBe(true);
+    expect(items.id_verified.passed).toBeNull();
+  });
+
+  test('evaluateScreening - Fails income below the multiple', () => {
+    const items = byKey(evaluateScreening(application, DEFAULT_CHECKLIST, 35000));
+    expect(items.income.passed).toBe(false);
+  });
+
+  test('evaluateScreening - Scores the weighted share of passed items', () => {
+    const result = evaluateScreening(application, DEFAULT_CHECKLIST, 25000);
+    // income 3 + id_document 2 of 12
+    expect(result.score).toBe(42);
+    expect(result.screeningComplete).toBe(false);
+  });
+
+  test('evaluateScreening - Keeps manual results already recorded', () => {
+    const checked = {
+      ...application,
+      screening: [
+        { key: 'id_verified', type: 'manual', passed: true },
+        { key: 'employment_verified', type: 'manual', passed: false, note: 'Employer did not confirm' },
+        { key: 'references_contacted', type: 'manual', passed: true },
+      ],
+    };
+    const result = evaluateScreening(checked, DEFAULT_CHECKLIST, 25000);
+    expect(byKey(result).employment_verified.note).toBe('Employer did not confirm');
+    expect(result.score).toBe(75);
+    expect(result.screeningComplete).toBe(true);
+  });
+
+  test('evaluateScreening - Follows a custom checklist', () => {
+    const checklist = {
+      incomeMultiple: 2,
+      minReferences: 1,
+      requiredDocuments: ['payslip'],
+      items: [
+        { key: 'income', label: 'Income', type: 'income', weight: 1 },
+        { key: 'payslip', label: 'Payslip', type: 'documents', weight: 1 },
+      ],
+    };
+    const result = evaluateScreening(application, checklist, 40000);
+    expect(byKey(result).payslip).toMatchObject({ passed: false, note: 'Needs one of payslip' });
+    expect(result.score).toBe(50);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Rent billing test suite
+ * @module tests/billingTests
+ * @description Unit tests for billing dates, lease terms, catch-up periods and
+ * reminder timing in utils/billing, and billLease with model calls stubbed
+ */
+
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Lease = require('../models/Lease');
+const {
+  billingDates,
+  isBillable,
+  unbilledPeriods,
+  billLease,
+  reminderOffsets,
+  daysFromDue,
+} = require('../utils/billing');
+
+jest.mock('../utils/allocation', () => ({
+  ...jest.requireActual('../utils/allocation'),
+  allocateTenantPayments: jest.fn(async () => {}),
+}));
+
+const day = (month, date) => new Date(2025, month - 1, date);
+
+describe('Billing', () => {
+  test('billingDates - Bills on the lease day and falls due after dueDays', () => {
+    const { period, billingDate, dueDate } = billingDates({ billingDay: 5 }, { dueDays: 5 }, day(3, 20));
+    expect(period).toBe('2025-03');
+    expect(billingDate).toEqual(day(3, 5));
+    expect(dueDate).toEqual(day(3, 10));
+  });
+
+  test('isBillable - Waits for the billing day and stays within the term', () => {
+    const lease = { startDate: day(2, 1), endDate: day(4, 30) };
+    expect(isBillable(lease, day(3, 5), day(3, 4))).toBe(false);
+    expect(isBillable(lease, day(3, 5), day(3, 5))).toBe(true);
+    expect(isBillable(lease, day(3, 5), day(3, 28))).toBe(true);
+    expect(isBillable({ startDate: day(3, 15) }, day(3, 5), day(3, 20))).toBe(false);
+    expect(isBillable(lease, day(5, 5), day(5, 6))).toBe(false);
+  });
+
+  test('unbilledPeriods - Catches up a billing day missed at the end of a month', () => {
+    const lease = { billingDay: 28, startDate: day(1, 1), fullySignedAt: day(1, 1) };
+    const periods = unbilledPeriods(lease, { dueDays: 2 }, '2025-02', day(4, 1));
+
+    expect(periods.map((entry) => entry.period)).toEqual(['2025-03']);
+    expect(periods[0].billingDate).toEqual(day(3, 28));
+    expect(periods[0].dueDate).toEqual(day(3, 30));
+    expect(unbilledPeriods(lease, { dueDays: 2 }, '2025-02', day(4, 28)).map((entry) => entry.period))
+      .toEqual(['2025-03', '2025-04']);
+  });
+
+  test('unbilledPeriods - Starts a new lease from when it began or was signed', () => {
+    const signedLate = { billingDay: 5, startDate: day(3, 1), fullySignedAt: day(3, 20) };
+    expect(unbilledPeriods(signedLate, {}, undefined, day(3, 20)).map((entry) => entry.period)).toEqual(['2025-03']);
+
+    const enteredLater = { billingDay: 5, startDate: new Date(2023, 0, 1), fullySignedAt: day(5, 2) };
+    expect(unbilledPeriods(enteredLater, {}, undefined, day(6, 10)).map((entry) => entry.period))
+      .toEqual(['2025-05', '2025-06']);
+
+    const startsMidMonth = { billingDay: 5, startDate: day(3, 15), fullySignedAt: day(3, 1) };
+    expect(unbilledPeriods(startsMidMonth, {}, undefined, day(4, 4))).toEqual([]);
+  });
+
+  test('billLease - Raises every month missed since the agreement was last billed', async () => {
+    const lease = {
+      _id: new mongoose.Types.ObjectId(),
+      agreement: new mongoose.Types.ObjectId(),
+      tenant: new mongoose.Types.ObjectId(),
+      billingDay: 28,
+      rent: 20000,
+      startDate: day(1, 1),
+      fullySignedAt: day(1, 1),
+    };
+    const versions = [lease._id, new mongoose.Types.ObjectId()];
+    jest.spyOn(Lease, 'find').mockReturnValue({ distinct: async () => versions });
+    const lastInvoice = jest.spyOn(Invoice, 'findOne').mockReturnValue({
+      sort: () => ({ select: () => ({ lean: async () => ({ period: '2025-01' }) }) }),
+    });
+    jest.spyOn(Invoice, 'create').mockImplementation(async (doc) => ({ invoiceNumber: `INV-${doc.period}`, ...doc }));
+
+    const invoices = await billLease(lease, { dueDays: 5 }, day(4, 2));
+
+    expect(lastInvoice.mock.calls[0][0]).toEqual({ lease: { $in: versions }, type: 'rent' });
+    expect(invoices.map((invoice) => invoice.period)).toEqual(['2025-02', '2025-03']);
+    expect(invoices[1]).toMatchObject({ amount: 20000, dueDate: day(4, 2), description: 'Rent for March 2025' });
+    jest.restoreAllMocks();
+  });
+
+  test('reminderOffsets - Orders days before and after the due date', () => {
+    expect(reminderOffsets({ remindBefore: [1, 3], remindAfter: [7, 1, 1] })).toEqual([-3, -1, 1, 7]);
+    expect(reminderOffsets({})).toEqual([]);
+  });
+
+  test('daysFromDue - Counts whole days regardless of the time', () => {
+    expect(daysFromDue(day(3, 10), new Date(2025, 2, 7, 18, 30))).toBe(-3);
+    expect(daysFromDue(day(3, 10), new Date(2025, 2, 10, 23, 59))).toBe(0);
+    expect(daysFromDue(day(3, 10), day(3, 17))).toBe(7);
+  });
+});
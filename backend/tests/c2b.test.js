@@ -0,0 +1,202 @@
+/**
+ * C2B Paybill test suite
+ * @module tests/c2bTests
+ * @description Validating and recording Paybill confirmations and suspense
+ * allocations in utils/c2b. Model calls are stubbed so no database is needed.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const SuspensePayment = require('../models/SuspensePayment');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const { allocateTenantPayments } = require('../utils/allocation');
+const {
+  C2B_RESPONSES,
+  normalizeAccountNumber,
+  validateC2BPayment,
+  recordC2BConfirmation,
+  allocateSuspensePayment,
+  backfillC2BProperties,
+  backfillAccountNumbers,
+} = require('../utils/c2b');
+
+// Follow-up work for completed payments is covered by the allocation and receipt suites
+jest.mock('../utils/allocation', () => ({
+  allocateTenantPayments: jest.fn(),
+  getTenantStatement: jest.fn(async () => ({ totals: { balance: -500 } })),
+}));
+jest.mock('../queues/receiptQueue', () => ({ add: jest.fn(async () => ({})) }));
+
+const propertyId = new mongoose.Types.ObjectId();
+const tenant = { _id: new mongoose.Types.ObjectId(), landlord: new mongoose.Types.ObjectId(), phone: '254700000001' };
+const admin = { _id: new mongoose.Types.ObjectId() };
+
+const confirmation = {
+  TransID: 'RKT1234ABC',
+  TransTime: '20250301093000',
+  TransAmount: '15000',
+  BillRefNumber: 'PG7A2F9C',
+  MSISDN: '254700000001',
+  BusinessShortCode: '600000',
+};
+
+/** Stubs Unit.findOne(...).select(...).lean() with the tenant's occupied unit */
+const occupiedUnit = (unit) =>
+  jest.spyOn(Unit, 'findOne').mockReturnValue({ select: () => ({ lean: async () => unit }) });
+
+describe('C2B Paybill', () => {
+  beforeEach(() => {
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(SuspensePayment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'findOne').mockResolvedValue(tenant);
+    jest.spyOn(Payment, 'create').mockImplementation(async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    occupiedUnit(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('normalizeAccountNumber - Ignores case, spaces and dashes', () => {
+    expect(normalizeAccountNumber(' pg 7a2-f9c ')).toBe('PG7A2F9C');
+    expect(normalizeAccountNumber(undefined)).toBe('');
+  });
+
+  test('validateC2BPayment - Accepts known accounts and rejects the rest', async () => {
+    await expect(validateC2BPayment(confirmation)).resolves.toBe(C2B_RESPONSES.ACCEPTED);
+    expect(User.findOne).toHaveBeenCalledWith({ accountNumber: 'PG7A2F9C', role: 'tenant' });
+
+    await expect(validateC2BPayment({ ...confirmation, TransAmount: '0' })).resolves.toBe(C2B_RESPONSES.INVALID_AMOUNT);
+    User.findOne.mockResolvedValue(null);
+    await expect(validateC2BPayment(confirmation)).resolves.toBe(C2B_RESPONSES.INVALID_ACCOUNT);
+  });
+
+  test('recordC2BConfirmation - Records a completed payment for the account holder', async () => {
+    const { type, record } = await recordC2BConfirmation(confirmation);
+
+    expect(type).toBe('payment');
+    expect(record).toMatchObject({
+      user: tenant._id,
+      amount: 15000,
+      channel: 'C2B',
+      mpesaReceiptNumber: 'RKT1234ABC',
+      status: 'Completed',
+    });
+  });
+
+  test('recordC2BConfirmation - Parks payments to unknown accounts in suspense', async () => {
+    User.findOne.mockResolvedValue(null);
+    const park = jest.spyOn(SuspensePayment, 'create').mockImplementation(async (doc) => doc);
+
+    const { type, record } = await recordC2BConfirmation({ ...confirmation, FirstName: 'JANE', LastName: 'DOE' });
+
+    expect(type).toBe('suspense');
+    expect(record).toMatchObject({ transId: 'RKT1234ABC', amount: 15000, payerName: 'JANE DOE' });
+    expect(park).toHaveBeenCalledTimes(1);
+    expect(Payment.create).not.toHaveBeenCalled();
+  });
+
+  test('recordC2BConfirmation - Records a retried confirmation once', async () => {
+    const recorded = { _id: new mongoose.Types.ObjectId(), mpesaReceiptNumber: confirmation.TransID };
+    Payment.findOne.mockResolvedValue(recorded);
+
+    await expect(recordC2BConfirmation(confirmation)).resolves.toEqual({ type: 'duplicate', record: recorded });
+    expect(Payment.create).not.toHaveBeenCalled();
+  });
+
+  test('allocateSuspensePayment - Refuses suspense payments already allocated', async () => {
+    const suspense = { _id: new mongoose.Types.ObjectId(), status: 'Unallocated', amount: 500, transId: 'RKT9' };
+    jest.spyOn(SuspensePayment, 'findById').mockResolvedValue({ ...suspense, status: 'Allocated' });
+
+    await expect(allocateSuspensePayment(suspense._id, { userId: tenant._id }, admin)).rejects.toMatchObject({ statusCode: 409 });
+
+    // Another admin claimed it between the read and the update
+    SuspensePayment.findById.mockResolvedValue(suspense);
+    jest.spyOn(SuspensePayment, 'findOneAndUpdate').mockResolvedValue(null);
+    await expect(allocateSuspensePayment(suspense._id, { userId: tenant._id }, admin)).rejects.toMatchObject({ statusCode: 409 });
+    expect(Payment.create).not.toHaveBeenCalled();
+  });
+
+  test('allocateSuspensePayment - Releases the claim when the payment cannot be written', async () => {
+    const suspense = { _id: new mongoose.Types.ObjectId(), status: 'Unallocated', amount: 500, transId: 'RKT9' };
+    jest.spyOn(SuspensePayment, 'findById').mockResolvedValue(suspense);
+    jest.spyOn(SuspensePayment, 'findOneAndUpdate').mockResolvedValue({ ...suspense, save: jest.fn() });
+    const release = jest.spyOn(SuspensePayment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    Payment.create.mockRejectedValue(new Error('write conflict'));
+
+    await expect(allocateSuspensePayment(suspense._id, { userId: tenant._id }, admin)).rejects.toThrow('write conflict');
+    expect(release).toHaveBeenCalledWith(
+      { _id: suspense._id },
+      expect.objectContaining({ $set: { status: 'Unallocated' } })
+    );
+  });
+  test('recordC2BConfirmation - Tags the payment with the tenant\'s property', async () => {
+    occupiedUnit({ property: propertyId });
+
+    const { type, record } = await recordC2BConfirmation(confirmation);
+
+    expect(type).toBe('payment');
+    expect(record).toMatchObject({ user: tenant._id, property: propertyId, channel: 'C2B', amount: 15000 });
+  });
+
+  test('recordC2BConfirmation - Reports a concurrent retry as a duplicate', async () => {
+    occupiedUnit({ property: propertyId });
+    const recorded = { _id: new mongoose.Types.ObjectId(), mpesaReceiptNumber: confirmation.TransID };
+    Payment.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(recorded);
+    Payment.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(recordC2BConfirmation(confirmation)).resolves.toEqual({ type: 'duplicate', record: recorded });
+  });
+
+  test('recordC2BConfirmation - Parks unknown accounts in suspense once', async () => {
+    User.findOne.mockResolvedValue(null);
+    const parked = { transId: confirmation.TransID };
+    SuspensePayment.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(parked);
+    jest.spyOn(SuspensePayment, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    await expect(recordC2BConfirmation(confirmation)).resolves.toEqual({ type: 'duplicate', record: parked });
+  });
+
+  test('allocateSuspensePayment - Tags the allocated payment with the tenant\'s property', async () => {
+    occupiedUnit({ property: propertyId });
+    const suspense = { _id: new mongoose.Types.ObjectId(), status: 'Unallocated', amount: 500, transId: 'RKT9', msisdn: '254700000001' };
+    jest.spyOn(SuspensePayment, 'findById').mockResolvedValue(suspense);
+    jest.spyOn(SuspensePayment, 'findOneAndUpdate').mockResolvedValue({ ...suspense, save: jest.fn() });
+
+    const { payment } = await allocateSuspensePayment(suspense._id, { userId: tenant._id }, admin);
+
+    expect(payment).toMatchObject({ property: propertyId, status: 'Completed', resultDesc: 'Allocated from suspense' });
+    expect(allocateTenantPayments).toHaveBeenCalledWith(tenant._id);
+    expect(Payment.updateOne).toHaveBeenCalledWith({ _id: payment._id }, { $set: { balanceAfter: -500 } });
+  });
+
+  test('backfillC2BProperties - Tags untagged Paybill payments of tenants with a unit', async () => {
+    const housed = new mongoose.Types.ObjectId();
+    const moved = new mongoose.Types.ObjectId();
+    jest.spyOn(Payment, 'distinct').mockResolvedValue([housed, moved]);
+    jest.spyOn(Unit, 'findOne').mockImplementation(({ tenant: id }) => ({
+      select: () => ({ lean: async () => (id === housed ? { property: propertyId } : null) }),
+    }));
+    const updateMany = jest.spyOn(Payment, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    await expect(backfillC2BProperties()).resolves.toBe(3);
+    expect(updateMany).toHaveBeenCalledTimes(1);
+    expect(updateMany).toHaveBeenCalledWith(
+      { user: housed, channel: 'C2B', property: null },
+      { $set: { property: propertyId } }
+    );
+  });
+
+  test('backfillAccountNumbers - Numbers tenants without one, retrying taken numbers', async () => {
+    const tenantIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    jest.spyOn(User, 'find').mockReturnValue({ select: () => ({ lean: async () => tenantIds.map((_id) => ({ _id })) }) });
+    const updateOne = jest.spyOn(User, 'updateOne')
+      .mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }))
+      .mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(backfillAccountNumbers()).resolves.toBe(2);
+    expect(updateOne).toHaveBeenCalledTimes(3);
+    expect(updateOne.mock.calls[0][0]).toEqual({ _id: tenantIds[0], accountNumber: null });
+    expect(updateOne.mock.calls[0][1].$set.accountNumber).toMatch(/^PG[0-9A-F]{6}$/);
+  });
+});
@@ -0,0 +1,368 @@
+/**
+ * Chat test suite
+ * @module tests/chatTests
+ * @description Unit tests for conversation keys, participants, previews and
+ * socket handshake tokens; socket tests against an in-process Socket.io
+ * server for authentication and membership checks; route tests for who may
+ * list conversations, read messages and download attachments; and the
+ * unread-message email. Models, storage and queues are stubbed so no
+ * database or Redis is needed.
+ */
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { io: connectClient } = require('socket.io-client');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const sendEmail = require('../utils/email');
+const chatQueue = require('../queues/chatQueue');
+const { getStorage } = require('../storage');
+const { conversationKey, participantOf, previewText } = require('../utils/chat');
+const { sendUnreadDigest } = require('../utils/chatNotices');
+const { handshakeToken, initSockets, closeSockets } = require('../sockets');
+const chatRoutes = require('../routes/chatRoutes');
+const { query, stubUsers, bearer, createApp } = require('./support');
+
+jest.mock('../utils/email', () => jest.fn(async () => {}));
+jest.mock('../queues/chatQueue', () => ({ add: jest.fn(async () => ({})) }));
+jest.mock('../storage', () => {
+  const storage = { signedUrl: jest.fn(async (key) => `https://files.test/${key}?signed`) };
+  return { getStorage: () => storage };
+});
+
+describe('Chat', () => {
+  test('conversationKey - One thread per lease, or per person asking about a property', () => {
+    expect(conversationKey({ leaseId: 'l1', propertyId: 'p1', userId: 'u1' })).toBe('lease:l1');
+    expect(conversationKey({ propertyId: 'p1', userId: 'u1' })).toBe('property:p1:u1');
+    expect(conversationKey({ propertyId: 'p1', userId: 'u2' })).not.toBe(conversationKey({ propertyId: 'p1', userId: 'u1' }));
+  });
+
+  test('participantOf - Matches ids and populated users', () => {
+    const conversation = {
+      participants: [
+        { user: 'u1', role: 'tenant' },
+        { user: { _id: 'u2', name: 'Ann' }, role: 'landlord' },
+      ],
+    };
+    expect(participantOf(conversation, 'u1').role).toBe('tenant');
+    expect(participantOf(conversation, 'u2').role).toBe('landlord');
+    expect(participantOf(conversation, 'u3')).toBeUndefined();
+  });
+
+  test('previewText - Collapses whitespace and shortens long messages', () => {
+    expect(previewText('  Rent \n\n is  paid ')).toBe('Rent is paid');
+    expect(previewText('a'.repeat(300))).toHaveLength(200);
+    expect(previewText('a'.repeat(300)).endsWith('…')).toBe(true);
+    expect(previewText(undefined)).toBe('');
+  });
+
+  test('handshakeToken - Reads auth.token, then the Authorization header', () => {
+    expect(handshakeToken({ auth: { token: 'abc' }, headers: {} })).toBe('abc');
+    expect(handshakeToken({ auth: { token: 'Bearer abc' }, headers: {} })).toBe('abc');
+    expect(handshakeToken({ auth: {}, headers: { authorization: 'Bearer xyz' } })).toBe('xyz');
+    expect(handshakeToken({ auth: {}, headers: { authorization: 'Basic xyz' } })).toBeNull();
+    expect(handshakeToken({ headers: {} })).toBeNull();
+  });
+});
+
+const id = () => new mongoose.Types.ObjectId();
+const landlord = { _id: id(), name: 'Wanjiku', email: 'landlord@pandora.test', role: 'landlord' };
+const tenant = { _id: id(), name: 'Achieng', email: 'tenant@pandora.test', role: 'tenant' };
+const outsider = { _id: id(), name: 'Mutua', email: 'mutua@pandora.test', role: 'tenant' };
+const users = [landlord, tenant, outsider];
+
+/** A lease conversation between the landlord and tenant */
+const buildConversation = () => ({
+  _id: id(),
+  title: 'Unit A4, Pandora Court',
+  participants: [
+    { user: landlord._id, role: 'landlord', lastReadAt: null },
+    { user: tenant._id, role: 'tenant', lastReadAt: null },
+  ],
+});
+
+describe('Chat Sockets', () => {
+  const clients = [];
+  let server;
+  let url;
+  let conversation;
+
+  /**
+   * Connects a client and waits for the handshake to finish
+   * @param {Object} auth - Handshake auth, e.g. { token }
+   * @returns {Promise<Socket>} Rejects with the connect_error
+   */
+  const connect = (auth) => new Promise((resolve, reject) => {
+    const socket = connectClient(url, { auth, transports: ['websocket'], reconnection: false, forceNew: true });
+    clients.push(socket);
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+  const connectAs = (user) => connect({ token: bearer(user) });
+
+  /** Emits an event and resolves with its acknowledgement */
+  const call = (socket, event, payload) => new Promise((resolve) => socket.emit(event, payload, resolve));
+
+  /** Resolves with the next event, or null if none arrives in time */
+  const nextEvent = (socket, event, ms = 200) => new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      resolve(null);
+    }, ms);
+    const onEvent = (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    };
+    socket.once(event, onEvent);
+  });
+
+  beforeAll((done) => {
+    server = http.createServer();
+    initSockets(server);
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    closeSockets();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    conversation = buildConversation();
+    stubUsers(users);
+    jest.spyOn(Conversation, 'findById').mockImplementation(async (conversationId) =>
+      (String(conversationId) === String(conversation._id) ? conversation : null));
+    jest.spyOn(Conversation, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const participant = participantOf(conversation, filter['participants.user']);
+      participant.lastReadAt = update.$max['participants.$.lastReadAt'];
+      if (update.$set) Object.assign(conversation, update.$set);
+      return conversation;
+    });
+    jest.spyOn(Message.prototype, 'save').mockImplementation(async function save() {
+      this.createdAt = new Date();
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach((socket) => socket.disconnect());
+    jest.restoreAllMocks();
+    chatQueue.add.mockClear();
+  });
+
+  test('connection - Rejects missing, forged and expired tokens', async () => {
+    await expect(connect({})).rejects.toThrow('Unauthorized');
+    await expect(connect({ token: jwt.sign({ id: tenant._id }, 'not-the-secret') })).rejects.toThrow('Unauthorized');
+    await expect(connect({ token: jwt.sign({ id: tenant._id }, process.env.JWT_SECRET, { expiresIn: -10 }) })).rejects.toThrow('Token expired');
+  });
+
+  test('connection - Rejects tokens for users that no longer exist', async () => {
+    await expect(connect({ token: jwt.sign({ id: id() }, process.env.JWT_SECRET) })).rejects.toThrow('Unauthorized');
+  });
+
+  test('conversation:join - Only lets participants in', async () => {
+    const member = await connectAs(tenant);
+    const stranger = await connectAs(outsider);
+    const conversationId = String(conversation._id);
+
+    await expect(call(member, 'conversation:join', { conversationId }))
+      .resolves.toEqual({ status: 'success', data: { conversationId } });
+    await expect(call(stranger, 'conversation:join', { conversationId }))
+      .resolves.toEqual({ status: 'error', error: 'Conversation not found' });
+    await expect(call(stranger, 'conversation:join', { conversationId: 'not-an-id' }))
+      .resolves.toEqual({ status: 'error', error: 'Conversation not found' });
+  });
+
+  test('typing - Is only relayed from clients that joined the conversation', async () => {
+    const member = await connectAs(landlord);
+    const other = await connectAs(tenant);
+    const stranger = await connectAs(outsider);
+    const conversationId = String(conversation._id);
+    await call(other, 'conversation:join', { conversationId });
+    await call(stranger, 'conversation:join', { conversationId });
+
+    let indicator = nextEvent(other, 'typing');
+    stranger.emit('typing', { conversationId, typing: true });
+    await expect(indicator).resolves.toBeNull();
+
+    await call(member, 'conversation:join', { conversationId });
+    indicator = nextEvent(other, 'typing');
+    member.emit('typing', { conversationId, typing: true });
+    await expect(indicator).resolves.toMatchObject({ conversationId, typing: true, user: { name: landlord.name } });
+  });
+
+  test('message:send - Delivers to every participant and refuses outsiders', async () => {
+    const sender = await connectAs(tenant);
+    const recipient = await connectAs(landlord);
+    const stranger = await connectAs(outsider);
+    const conversationId = String(conversation._id);
+
+    const refused = await call(stranger, 'message:send', { conversationId, body: 'Hello?' });
+    expect(refused).toEqual({ status: 'error', error: 'Conversation not found' });
+    expect(Message.prototype.save).not.toHaveBeenCalled();
+
+    const delivered = nextEvent(recipient, 'message:new');
+    const echoed = nextEvent(sender, 'message:new');
+    const sent = await call(sender, 'message:send', { conversationId, body: 'The tap is fixed, thanks' });
+
+    expect(sent.status).toBe('success');
+    expect(await delivered).toMatchObject({ conversationId, message: { body: 'The tap is fixed, thanks' } });
+    expect(await echoed).toMatchObject({ conversationId });
+    await expect(nextEvent(stranger, 'message:new')).resolves.toBeNull();
+    expect(chatQueue.add).toHaveBeenCalledWith('unread', { conversationId, userId: String(landlord._id) }, expect.any(Object));
+  });
+
+  test('message:send - Rejects bodies that are not text', async () => {
+    const sender = await connectAs(tenant);
+    await expect(call(sender, 'message:send', { conversationId: String(conversation._id), body: { $gt: '' } }))
+      .resolves.toEqual({ status: 'error', error: 'body must be text' });
+  });
+
+  test('message:read - Sends read receipts for participants only', async () => {
+    const reader = await connectAs(tenant);
+    const other = await connectAs(landlord);
+    const stranger = await connectAs(outsider);
+    const conversationId = String(conversation._id);
+
+    await expect(call(stranger, 'message:read', { conversationId }))
+      .resolves.toEqual({ status: 'error', error: 'Conversation not found' });
+    expect(Conversation.findOneAndUpdate).not.toHaveBeenCalled();
+
+    const receipt = nextEvent(other, 'message:read');
+    const ack = await call(reader, 'message:read', { conversationId });
+    expect(ack.status).toBe('success');
+    expect(await receipt).toMatchObject({ conversationId, userId: String(tenant._id) });
+  });
+});
+
+describe('Chat Routes', () => {
+  const app = createApp({ chat: chatRoutes });
+  const conversation = buildConversation();
+  const attachmentId = id();
+  const message = new Message({
+    conversation: conversation._id,
+    sender: landlord._id,
+    body: 'Signed lease attached',
+    attachments: [{ _id: attachmentId, key: `chat/${conversation._id}/${attachmentId}.pdf`, name: 'lease.pdf', contentType: 'application/pdf' }],
+  });
+  const attachmentPath = (messageId, fileId) =>
+    `/api/v1/chat/conversations/${conversation._id}/messages/${messageId}/attachments/${fileId}`;
+
+  beforeEach(() => {
+    stubUsers(users);
+    jest.spyOn(Conversation, 'findById').mockResolvedValue(conversation);
+    jest.spyOn(Message, 'findOne').mockImplementation(async (filter) =>
+      (String(filter._id) === String(message._id) && String(filter.conversation) === String(conversation._id) ? message : null));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('GET /conversations - Lists only the user\'s own conversations', async () => {
+    const find = jest.spyOn(Conversation, 'find').mockReturnValue(query([]));
+    jest.spyOn(Conversation, 'countDocuments').mockResolvedValue(0);
+
+    const res = await request(app).get('/api/v1/chat/conversations?kind=lease').set('Authorization', bearer(tenant));
+
+    expect(res.status).toBe(200);
+    expect(find).toHaveBeenCalledWith({ 'participants.user': tenant._id, kind: 'lease' });
+  });
+
+  test('GET /conversations/:id/messages - Refuses users outside the conversation', async () => {
+    const find = jest.spyOn(Message, 'find').mockReturnValue(query([]));
+
+    const outside = await request(app).get(`/api/v1/chat/conversations/${conversation._id}/messages`).set('Authorization', bearer(outsider));
+    const inside = await request(app).get(`/api/v1/chat/conversations/${conversation._id}/messages`).set('Authorization', bearer(tenant));
+
+    expect(outside.status).toBe(404);
+    expect(inside.status).toBe(200);
+    expect(find).toHaveBeenCalledTimes(1);
+  });
+
+  test('GET attachment - Signs a short-lived link for participants', async () => {
+    const res = await request(app).get(attachmentPath(message._id, attachmentId)).set('Authorization', bearer(tenant));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.url).toBe(`https://files.test/chat/${conversation._id}/${attachmentId}.pdf?signed`);
+    expect(getStorage().signedUrl).toHaveBeenCalledWith(message.attachments[0].key, { expiresIn: 300, filename: 'lease.pdf' });
+  });
+
+  test('GET attachment - Refuses outsiders and unknown attachments', async () => {
+    const fetchAs = (user, messageId, fileId) => request(app).get(attachmentPath(messageId, fileId)).set('Authorization', bearer(user));
+
+    expect((await fetchAs(outsider, message._id, attachmentId)).status).toBe(404);
+    expect((await fetchAs(tenant, message._id, id())).body).toEqual({ error: 'Attachment not found' });
+    expect((await fetchAs(tenant, id(), attachmentId)).status).toBe(404);
+  });
+
+  test('GET attachment - Needs a signed-in user', async () => {
+    const res = await request(app).get(attachmentPath(message._id, attachmentId));
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('Chat Unread Emails', () => {
+  const readAt = new Date('2025-03-01T09:00:00Z');
+  let conversation;
+
+  /** Stubs the unread messages the digest finds, newest first */
+  const stubUnread = (messages) => {
+    jest.spyOn(Message, 'countDocuments').mockResolvedValue(messages.length);
+    const find = { populate: () => find, sort: () => find, limit: () => find, lean: async () => messages };
+    jest.spyOn(Message, 'find').mockReturnValue(find);
+  };
+
+  beforeEach(() => {
+    conversation = buildConversation();
+    participantOf(conversation, landlord._id).lastReadAt = readAt;
+    jest.spyOn(Conversation, 'findById').mockImplementation(async () => conversation);
+    jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    stubUsers(users);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendEmail.mockClear();
+  });
+
+  test('sendUnreadDigest - Emails the messages sent since the recipient last read', async () => {
+    stubUnread([
+      { body: 'Second', sender: { name: tenant.name }, createdAt: new Date('2025-03-01T10:05:00Z'), attachments: [] },
+      { body: 'First', sender: { name: tenant.name }, createdAt: new Date('2025-03-01T10:00:00Z'), attachments: [{}] },
+    ]);
+
+    await expect(sendUnreadDigest({ conversationId: conversation._id, userId: landlord._id })).resolves.toEqual({ sent: 2 });
+
+    expect(Message.countDocuments).toHaveBeenCalledWith({
+      conversation: conversation._id,
+      sender: { $ne: landlord._id },
+      createdAt: { $gt: readAt },
+    });
+    const [email] = sendEmail.mock.calls[0];
+    expect(email).toMatchObject({ to: landlord.email, subject: `2 unread messages: ${conversation.title}` });
+    expect(email.templateData.messages.map((entry) => entry.body)).toEqual(['First', 'Second']);
+    expect(Conversation.updateOne.mock.calls[0][1])
+      .toEqual({ $max: { 'participants.$.lastEmailedAt': new Date('2025-03-01T10:05:00Z') } });
+  });
+
+  test('sendUnreadDigest - Counts from the last email when it is newer than the last read', async () => {
+    const emailedAt = new Date('2025-03-01T11:00:00Z');
+    participantOf(conversation, landlord._id).lastEmailedAt = emailedAt;
+    stubUnread([]);
+
+    await expect(sendUnreadDigest({ conversationId: conversation._id, userId: landlord._id }))
+      .resolves.toEqual({ skipped: 'nothing unread' });
+    expect(Message.countDocuments.mock.calls[0][0].createdAt).toEqual({ $gt: emailedAt });
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  test('sendUnreadDigest - Skips users who left the conversation', async () => {
+    await expect(sendUnreadDigest({ conversationId: conversation._id, userId: outsider._id }))
+      .resolves.toEqual({ skipped: 'not a participant' });
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+});
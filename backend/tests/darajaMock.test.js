@@ -0,0 +1,173 @@
+/**
+ * Daraja mock test suite
+ * @module tests/darajaMockTests
+ * @description Drives utils/mpesa against the bundled Daraja simulator and
+ * checks the asynchronous callbacks it fires.
+ */
+
+const express = require('express');
+const axios = require('axios');
+const { createDarajaMock } = require('../mocks/darajaMock');
+
+describe('Daraja Mock', () => {
+  let mock;
+  let receiver;
+  let receiverUrl;
+  let received;
+  let mpesa;
+
+  /**
+   * Resolves once the receiver has seen `count` callbacks
+   * @param {number} count
+   */
+  const waitForCallbacks = (count) => new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = () => {
+      if (received.length >= count) return resolve(received);
+      if (Date.now() - started > 2000) return reject(new Error('Callback not received'));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/callback', (req, res) => {
+      received.push(req.body);
+      res.json({ ResultCode: 0, ResultDesc: 'Success' });
+    });
+    receiver = await new Promise((resolve) => {
+      const server = app.listen(0, () => resolve(server));
+    });
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/callback`;
+
+    mock = createDarajaMock({ callbackDelayMs: 20 });
+    const server = await mock.listen(0);
+
+    process.env.MPESA_API_BASE = `http://127.0.0.1:${server.address().port}`;
+    process.env.MPESA_CALLBACK_URL = receiverUrl;
+    process.env.MPESA_SHORT_CODE = '174379';
+    process.env.MPESA_PASSKEY = 'test-passkey';
+    process.env.MPESA_CONSUMER_KEY = 'key';
+    process.env.MPESA_CONSUMER_SECRET = 'secret';
+    process.env.MPESA_SECURITY_CREDENTIAL = 'encrypted-credential';
+    process.env.MPESA_INITIATOR_NAME = 'testapi';
+    process.env.MPESA_B2C_RESULT_URL = receiverUrl;
+    process.env.MPESA_B2C_TIMEOUT_URL = receiverUrl;
+    process.env.MPESA_REVERSAL_RESULT_URL = receiverUrl;
+    process.env.MPESA_REVERSAL_TIMEOUT_URL = receiverUrl;
+    jest.isolateModules(() => {
+      mpesa = require('../utils/mpesa');
+    });
+  });
+
+  beforeEach(() => {
+    received = [];
+    mock.state.queuedOutcomes = [];
+    mock.state.phoneOutcomes = {};
+  });
+
+  afterAll(async () => {
+    await mock.close();
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  /**
+   * Sends an STK push the way routes/mpesaRoutes does
+   * @param {string} phone
+   */
+  const stkPush = async (phone) => {
+    const token = await mpesa.getAccessToken();
+    const timestamp = '20240101120000';
+    const { data } = await axios.post(
+      `${process.env.MPESA_API_BASE}/mpesa/stkpush/v1/processrequest`,
+      {
+        BusinessShortCode: mpesa.config.shortCode,
+        Password: mpesa.generatePassword(timestamp),
+        Timestamp: timestamp,
+        TransactionType: 'CustomerPayBillOnline',
+        Amount: 100,
+        PartyA: phone,
+        PartyB: mpesa.config.shortCode,
+        PhoneNumber: phone,
+        CallBackURL: mpesa.config.callbackUrl,
+        AccountReference: 'Pandora Gardens',
+        TransactionDesc: 'Test',
+      },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    return data;
+  };
+
+  test('STK push success fires a callback with receipt metadata', async () => {
+    const response = await stkPush('254708374149');
+    expect(response.ResponseCode).toBe('0');
+
+    const [callback] = await waitForCallbacks(1);
+    const update = mpesa.interpretSTKResult(callback.Body.stkCallback);
+    expect(callback.Body.stkCallback.CheckoutRequestID).toBe(response.CheckoutRequestID);
+    expect(update).toMatchObject({ status: 'Completed', paidAmount: 100, payerPhone: '254708374149' });
+    expect(update.mpesaReceiptNumber).toMatch(/^S[A-Z0-9]{9}$/);
+  });
+
+  test('Scripted outcomes produce matching failure callbacks', async () => {
+    mock.setOutcome('cancelled');
+    mock.setOutcome('insufficient_funds', '254711111111');
+
+    await stkPush('254722222222');
+    await stkPush('254711111111');
+    const callbacks = await waitForCallbacks(2);
+
+    const codes = callbacks.map((cb) => cb.Body.stkCallback.ResultCode).sort();
+    expect(codes).toEqual([1, 1032]);
+  });
+
+  test('Lost callbacks can be resolved through STK query', async () => {
+    mock.setOutcome('no_callback');
+    const response = await stkPush('254733333333');
+
+    await expect(mpesa.stkQuery(response.CheckoutRequestID)).rejects.toMatchObject({
+      response: { data: { errorCode: '500.001.1001' } },
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const result = await mpesa.stkQuery(response.CheckoutRequestID);
+    expect(mpesa.interpretSTKResult(result).status).toBe('Completed');
+    expect(received).toHaveLength(0);
+  });
+
+  test('B2C timeouts are delivered to the QueueTimeOutURL', async () => {
+    mock.setOutcome('timeout');
+    const response = await mpesa.b2cPayment({ amount: 500, phone: '254708374149' });
+    expect(response.ResponseCode).toBe('0');
+
+    const [callback] = await waitForCallbacks(1);
+    expect(callback.Result.ConversationID).toBe(response.ConversationID);
+    expect(callback.Result.ResultCode).toBe(1037);
+  });
+
+  test('Reversals report the original transaction in their result', async () => {
+    const response = await mpesa.reverseTransaction({ transactionId: 'NLJ7RT61SV', amount: 1500 });
+    expect(response.ResponseCode).toBe('0');
+
+    const [callback] = await waitForCallbacks(1);
+    expect(callback.Result).toMatchObject({ ConversationID: response.ConversationID, ResultCode: 0 });
+    expect(mpesa.parseResultParameters(callback.Result.ResultParameters)).toMatchObject({
+      OriginalTransactionID: 'NLJ7RT61SV',
+      Amount: 1500,
+    });
+    expect(mpesa.matchConversation(callback.Result)).toEqual({
+      $or: [
+        { conversationId: response.ConversationID },
+        { originatorConversationId: response.OriginatorConversationID },
+      ],
+    });
+  });
+
+  test('Requests without a valid token are rejected', async () => {
+    await expect(
+      axios.post(`${process.env.MPESA_API_BASE}/mpesa/stkpushquery/v1/query`, {})
+    ).rejects.toMatchObject({ response: { status: 401 } });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Lease agreement test suite
+ * @module tests/leasesTests
+ * @description Unit tests for rent escalation, document hashing and drawn
+ * signature checks in utils/leases
+ */
+
+const { rentOn, describeEscalation, hashDocument, decodeSignatureImage } = require('../utils/leases');
+
+const lease = {
+  rent: 20000,
+  startDate: new Date('2025-01-01T00:00:00'),
+  escalation: { type: 'percentage', value: 10, everyMonths: 12 },
+};
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+describe('Leases', () => {
+  test('rentOn - Compounds percentage escalation per completed period', () => {
+    expect(rentOn(lease, new Date('2025-12-31T00:00:00'))).toBe(20000);
+    expect(rentOn(lease, new Date('2026-01-01T00:00:00'))).toBe(22000);
+    expect(rentOn(lease, new Date('2027-06-01T00:00:00'))).toBe(24200);
+  });
+
+  test('rentOn - Adds fixed escalation and ignores dates before the start', () => {
+    const fixed = { ...lease, escalation: { type: 'fixed', value: 1500, everyMonths: 6 } };
+    expect(rentOn(fixed, new Date('2026-01-15T00:00:00'))).toBe(23000);
+    expect(rentOn(fixed, new Date('2024-06-01T00:00:00'))).toBe(20000);
+    expect(rentOn({ rent: 18000, startDate: lease.startDate }, new Date('2030-01-01T00:00:00'))).toBe(18000);
+  });
+
+  test('describeEscalation - Words the rent review terms', () => {
+    expect(describeEscalation(lease.escalation)).toBe('Rent increases by 10% every 12 month(s) from the start date.');
+    expect(describeEscalation({ type: 'none' })).toBe('Rent is fixed for the term of this agreement.');
+  });
+
+  test('hashDocument - Returns the SHA-256 hex digest', () => {
+    expect(hashDocument(Buffer.from('lease'))).toBe('b544a7686d1186680a9d8f24ff542b00d8ae60da4dd2613a38f6292a8337cc37');
+  });
+
+  test('decodeSignatureImage - Accepts PNG data URLs only', () => {
+    expect(decodeSignatureImage(`data:image/png;base64,${PNG.toString('base64')}`)).toEqual(PNG);
+    expect(() => decodeSignatureImage('data:image/jpeg;base64,AAAA')).toThrow('PNG data URL');
+    expect(() => decodeSignatureImage(`data:image/png;base64,${Buffer.from('not a png').toString('base64')}`))
+      .toThrow('PNG data URL');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Listing photo test suite
+ * @module tests/listingPhotosTests
+ * @description Variant rendering, EXIF stripping and gallery ordering in
+ * utils/listingPhotos, and the photo URLs stored when files go to S3
+ */
+
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Property = require('../models/Property');
+const { renderVariants, reorderPhotos, setCoverPhoto } = require('../utils/listingPhotos');
+
+/**
+ * Builds a property with stored photos; save() is stubbed so no database is needed
+ * @param {number} count - Photos in the gallery
+ */
+const buildGallery = (count) => {
+  const property = new Property({
+    title: 'Test Court',
+    propertyType: 'apartment',
+    owner: new mongoose.Types.ObjectId(),
+    address: { city: 'Nairobi' },
+    photos: Array.from({ length: count }, (_, order) => ({ order, isCover: order === 0 })),
+  });
+  property.save = jest.fn(async () => property);
+  return property;
+};
+
+describe('Listing Photos', () => {
+  test('renderVariants - Produces every size in WebP and JPEG without EXIF', async () => {
+    const original = await sharp({ create: { width: 3000, height: 2000, channels: 3, background: '#4a7' } })
+      .jpeg()
+      .withMetadata({ exif: { IFD0: { Copyright: 'Owner' } } })
+      .toBuffer();
+
+    const variants = await renderVariants(original);
+
+    expect(variants.map((v) => `${v.size}.${v.format}`).sort()).toEqual([
+      'large.jpeg', 'large.webp', 'medium.jpeg', 'medium.webp', 'thumb.jpeg', 'thumb.webp',
+    ]);
+    expect(variants.find((v) => v.size === 'thumb')).toMatchObject({ width: 320, height: 213 });
+
+    const metadata = await sharp(variants.find((v) => v.format === 'jpeg').buffer).metadata();
+    expect(metadata.exif).toBeUndefined();
+  });
+
+  test('renderVariants - Does not enlarge small images', async () => {
+    const small = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#000' } }).png().toBuffer();
+    const large = (await renderVariants(small)).find((v) => v.size === 'large');
+    expect(large).toMatchObject({ width: 400, height: 300 });
+  });
+
+  test('renderVariants - Rejects files that are not images', async () => {
+    await expect(renderVariants(Buffer.from('not an image'))).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('reorderPhotos - Applies the new order', async () => {
+    const property = buildGallery(3);
+    const [a, b, c] = property.photos.map((photo) => String(photo._id));
+
+    await reorderPhotos(property, [c, a, b]);
+
+    expect(property.photos.map((photo) => String(photo._id))).toEqual([c, a, b]);
+    expect(property.photos.map((photo) => photo.order)).toEqual([0, 1, 2]);
+  });
+
+  test('reorderPhotos - Requires every photo exactly once', async () => {
+    const property = buildGallery(2);
+    const [a] = property.photos.map((photo) => String(photo._id));
+    await expect(reorderPhotos(property, [a, a])).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('setCoverPhoto - Keeps a single cover', async () => {
+    const property = buildGallery(3);
+    await setCoverPhoto(property, property.photos[2]._id);
+    expect(property.photos.map((photo) => photo.isCover)).toEqual([false, false, true]);
+  });
+
+  test('addPhotos - Stores absolute photo URLs when files go to S3', async () => {
+    const env = { ...process.env };
+    Object.assign(process.env, {
+      STORAGE_DRIVER: 's3',
+      S3_BUCKET: 'pandora',
+      STORAGE_PUBLIC_URL: 'http://localhost:9000/pandora',
+    });
+
+    try {
+      let addPhotos;
+      let buildListing;
+      let send;
+      // Fresh modules so getStorage() builds the S3 driver from the env above
+      jest.isolateModules(() => {
+        const { S3Client } = require('@aws-sdk/client-s3');
+        send = jest.spyOn(S3Client.prototype, 'send').mockResolvedValue({});
+        ({ addPhotos } = require('../utils/listingPhotos'));
+        ({ buildListing } = require('../utils/properties'));
+      });
+
+      const property = buildGallery(0);
+      const image = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#48a' } }).jpeg().toBuffer();
+      await addPhotos(property, [{ buffer: image, originalname: 'front.jpg' }], { _id: property.owner }, `listings/${property._id}`);
+
+      expect(send).toHaveBeenCalledTimes(6);
+      const urls = property.photos[0].variants.map((variant) => variant.url);
+      expect(urls.every((url) => url.startsWith(`http://localhost:9000/pandora/public/listings/${property._id}/`))).toBe(true);
+      expect(buildListing(property).coverUrl).toMatch(/^http:\/\/localhost:9000\/pandora\/public\/.+-medium\.jpg$/);
+    } finally {
+      process.env = env;
+    }
+  });
+});
@@ -0,0 +1,399 @@
+/**
+ * Maintenance ticket test suite
+ * @module tests/maintenanceTests
+ * @description Unit tests for SLA deadlines, the status workflow and breach
+ * detection in utils/maintenance; behaviour tests for who may see, comment
+ * on and assign a ticket, assignment rules, photo limits and SLA escalation,
+ * through the service and routes/maintenanceRoutes. Models, storage and the
+ * email queue are stubbed so no database or Redis is needed.
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const sharp = require('sharp');
+const MaintenanceTicket = require('../models/MaintenanceTicket');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const Vendor = require('../models/Vendor');
+const queueEmail = require('../utils/queueEmail');
+const {
+  slaDeadlines,
+  canTransition,
+  pendingBreaches,
+  getTicketForUser,
+  addTicketPhotos,
+  presentTicket,
+  assignTicket,
+  addComment,
+  escalateBreach,
+  checkSlas,
+} = require('../utils/maintenance');
+const maintenanceRoutes = require('../routes/maintenanceRoutes');
+const { query, stubUsers, bearer, createApp } = require('./support');
+
+jest.mock('../utils/queueEmail', () => jest.fn(async () => {}));
+jest.mock('../storage', () => {
+  const storage = {
+    put: jest.fn(async (key) => ({ key })),
+    remove: jest.fn(async () => {}),
+    signedUrl: jest.fn(async (key) => `https://files.test/${key}`),
+  };
+  return { getStorage: () => storage };
+});
+
+const HOUR = 60 * 60 * 1000;
+const opened = new Date('2025-03-01T08:00:00Z');
+const hoursAfterOpening = (hours) => new Date(opened.getTime() + hours * HOUR);
+
+describe('Maintenance', () => {
+  test('slaDeadlines - Counts response and resolution from when the ticket opened', () => {
+    expect(slaDeadlines('emergency', opened)).toEqual({
+      responseDueAt: hoursAfterOpening(2),
+      resolutionDueAt: hoursAfterOpening(24),
+    });
+    expect(slaDeadlines('unknown', opened)).toEqual(slaDeadlines('medium', opened));
+  });
+
+  test('canTransition - Follows open → assigned → in progress → resolved → closed', () => {
+    expect(canTransition('assigned', 'in_progress')).toBe(true);
+    expect(canTransition('in_progress', 'resolved')).toBe(true);
+    expect(canTransition('resolved', 'closed')).toBe(true);
+    expect(canTransition('resolved', 'in_progress')).toBe(true);
+    expect(canTransition('open', 'resolved')).toBe(false);
+    expect(canTransition('in_progress', 'closed')).toBe(false);
+    expect(canTransition('closed', 'in_progress')).toBe(false);
+  });
+
+  test('pendingBreaches - Flags missed deadlines once', () => {
+    const sla = slaDeadlines('emergency', opened);
+    expect(pendingBreaches({ status: 'open', sla }, hoursAfterOpening(1))).toEqual([]);
+    expect(pendingBreaches({ status: 'open', sla }, hoursAfterOpening(3))).toEqual(['response']);
+    expect(pendingBreaches({ status: 'open', sla: { ...sla, responseBreachedAt: hoursAfterOpening(2.25) } }, hoursAfterOpening(3)))
+      .toEqual([]);
+    expect(pendingBreaches({ status: 'in_progress', sla: { ...sla, respondedAt: hoursAfterOpening(0.5) } }, hoursAfterOpening(40)))
+      .toEqual(['resolution']);
+  });
+
+  test('pendingBreaches - Ignores resolved and closed tickets', () => {
+    const sla = slaDeadlines('low', opened);
+    const monthLater = hoursAfterOpening(31 * 24);
+    expect(pendingBreaches({ status: 'resolved', sla: { ...sla, resolvedAt: hoursAfterOpening(4) } }, monthLater)).toEqual([]);
+    expect(pendingBreaches({ status: 'closed', sla }, monthLater)).toEqual([]);
+  });
+});
+
+const id = () => new mongoose.Types.ObjectId();
+const landlord = { _id: id(), role: 'landlord', name: 'Wanjiku', email: 'landlord@pandora.test' };
+const agent = { _id: id(), role: 'agent', name: 'Otieno', email: 'agent@pandora.test' };
+const outsideAgent = { _id: id(), role: 'agent', name: 'Kamau', email: 'kamau@other.test' };
+const tenant = { _id: id(), role: 'tenant', name: 'Achieng', email: 'tenant@pandora.test' };
+const neighbour = { _id: id(), role: 'tenant', name: 'Mutua', email: 'mutua@pandora.test' };
+const users = [landlord, agent, outsideAgent, tenant, neighbour];
+const property = { _id: id(), title: 'Pandora Court', owner: landlord._id, agents: [agent._id] };
+
+/**
+ * Builds a ticket on the tenant's unit; save() is stubbed so no database is needed
+ * @param {Object} [overrides]
+ */
+const buildTicket = (overrides = {}) => {
+  const ticket = new MaintenanceTicket({
+    tenant: tenant._id,
+    unit: id(),
+    property: property._id,
+    landlord: landlord._id,
+    category: 'plumbing',
+    priority: 'high',
+    title: 'Kitchen tap leaking',
+    description: 'The kitchen tap drips all night',
+    sla: slaDeadlines('high', opened),
+    ...overrides,
+  });
+  ticket.save = jest.fn(async () => ticket);
+  return ticket;
+};
+
+const app = createApp({ maintenance: maintenanceRoutes });
+
+const stubModels = (ticket) => {
+  jest.spyOn(MaintenanceTicket, 'findById').mockResolvedValue(ticket);
+  jest.spyOn(Property, 'findById').mockImplementation(() => query(property));
+  jest.spyOn(Unit, 'findById').mockImplementation(() => query({ unitNumber: 'A4' }));
+  stubUsers(users);
+};
+
+describe('Maintenance Access', () => {
+  let ticket;
+
+  beforeEach(() => {
+    ticket = buildTicket();
+    stubModels(ticket);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueEmail.mockClear();
+  });
+
+  test('GET /:id - Opens the ticket to its reporter and the property\'s staff only', async () => {
+    ticket.populate = jest.fn(async () => ticket);
+    const statusFor = async (user) =>
+      (await request(app).get(`/api/v1/maintenance/${ticket._id}`).set('Authorization', bearer(user))).status;
+
+    expect(await statusFor(tenant)).toBe(200);
+    expect(await statusFor(landlord)).toBe(200);
+    expect(await statusFor(agent)).toBe(200);
+    expect(await statusFor(outsideAgent)).toBe(404);
+    expect(await statusFor(neighbour)).toBe(404);
+  });
+
+  test('GET /:id - Shows internal notes to staff only', async () => {
+    ticket.populate = jest.fn(async () => ticket);
+    ticket.comments.push({ author: agent._id, body: 'Plumber quoted 4,000', internal: true });
+    ticket.comments.push({ author: tenant._id, body: 'Still dripping' });
+    const commentsFor = async (user) =>
+      (await request(app).get(`/api/v1/maintenance/${ticket._id}`).set('Authorization', bearer(user))).body.data.comments;
+
+    expect((await commentsFor(tenant)).map((comment) => comment.body)).toEqual(['Still dripping']);
+    expect(await commentsFor(agent)).toHaveLength(2);
+  });
+
+  test('POST /:id/comments - Refuses users outside the ticket', async () => {
+    const res = await request(app)
+      .post(`/api/v1/maintenance/${ticket._id}/comments`)
+      .set('Authorization', bearer(neighbour))
+      .send({ body: 'Is this fixed yet?' });
+
+    expect(res.status).toBe(404);
+    expect(ticket.save).not.toHaveBeenCalled();
+  });
+
+  test('PATCH /:id/assign - Is for staff only', async () => {
+    const res = await request(app)
+      .patch(`/api/v1/maintenance/${ticket._id}/assign`)
+      .set('Authorization', bearer(tenant))
+      .send({ staffId: String(agent._id) });
+
+    expect(res.status).toBe(403);
+    expect(ticket.save).not.toHaveBeenCalled();
+  });
+
+  test('PATCH /:id/assign - Refuses agents of other properties', async () => {
+    const res = await request(app)
+      .patch(`/api/v1/maintenance/${ticket._id}/assign`)
+      .set('Authorization', bearer(outsideAgent))
+      .send({ staffId: String(outsideAgent._id) });
+
+    expect(res.status).toBe(404);
+    expect(ticket.save).not.toHaveBeenCalled();
+  });
+
+  test('addComment - Keeps internal notes from the tenant', async () => {
+    await addComment(ticket._id, agent, { body: 'Plumber quoted 4,000', internal: true });
+    await addComment(ticket._id, tenant, { body: 'Still dripping', internal: true });
+
+    expect(ticket.comments.map((comment) => comment.internal)).toEqual([true, false]);
+    expect((await presentTicket(ticket, false)).comments.map((comment) => comment.body)).toEqual(['Still dripping']);
+    expect((await presentTicket(ticket, true)).comments).toHaveLength(2);
+    // Only the tenant's comment goes out, to the landlord and agent
+    expect(queueEmail.mock.calls.map(([email]) => email.to).sort()).toEqual([agent.email, landlord.email].sort());
+  });
+
+  test('addComment - Refuses outsiders and closed tickets', async () => {
+    await expect(addComment(ticket._id, neighbour, { body: 'Hello' })).rejects.toMatchObject({ statusCode: 404 });
+    ticket.status = 'closed';
+    await expect(addComment(ticket._id, tenant, { body: 'Hello' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('Maintenance Assignment', () => {
+  let ticket;
+
+  beforeEach(() => {
+    ticket = buildTicket();
+    stubModels(ticket);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueEmail.mockClear();
+  });
+
+  test('assignTicket - Assigns an agent of the property and counts it as the response', async () => {
+    await assignTicket(ticket._id, landlord, { staffId: agent._id, note: 'Please check today' });
+
+    expect(ticket.status).toBe('assigned');
+    expect(ticket.assignee).toMatchObject({ kind: 'staff', user: agent._id, assignedBy: landlord._id });
+    expect(ticket.sla.respondedAt).toBeInstanceOf(Date);
+    expect(queueEmail).toHaveBeenCalledWith(expect.objectContaining({ to: agent.email }));
+  });
+
+  test('assignTicket - Only assigns staff of this property', async () => {
+    await expect(assignTicket(ticket._id, landlord, { staffId: outsideAgent._id }))
+      .rejects.toThrow('The assignee must be the owner or an agent of the property');
+    expect(ticket.save).not.toHaveBeenCalled();
+  });
+
+  test('assignTicket - Only assigns the landlord\'s active vendors', async () => {
+    const plumber = { _id: id(), name: 'Juma Plumbing', email: 'jobs@juma.test' };
+    const findVendor = jest.spyOn(Vendor, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(plumber);
+
+    await expect(assignTicket(ticket._id, agent, { vendorId: id() })).rejects.toMatchObject({ statusCode: 400 });
+    await assignTicket(ticket._id, agent, { vendorId: plumber._id });
+
+    expect(findVendor).toHaveBeenLastCalledWith({ _id: plumber._id, landlord: landlord._id, active: true });
+    expect(ticket.assignee).toMatchObject({ kind: 'vendor', vendor: plumber._id });
+  });
+
+  test('assignTicket - Refuses tenants and finished tickets', async () => {
+    await expect(assignTicket(ticket._id, tenant, { staffId: agent._id })).rejects.toMatchObject({ statusCode: 403 });
+    ticket.status = 'resolved';
+    await expect(assignTicket(ticket._id, landlord, { staffId: agent._id })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('assignTicket - Keeps the status when reassigning work in progress', async () => {
+    ticket.status = 'in_progress';
+    await assignTicket(ticket._id, agent, { staffId: landlord._id });
+
+    expect(ticket.status).toBe('in_progress');
+    expect(ticket.history[ticket.history.length - 1]).toMatchObject({ from: 'in_progress', to: 'in_progress', note: 'Reassigned' });
+  });
+});
+
+describe('Maintenance Photos', () => {
+  let ticket;
+  let jpeg;
+
+  beforeAll(async () => {
+    jpeg = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#888' } }).jpeg().toBuffer();
+  });
+
+  beforeEach(() => {
+    ticket = buildTicket();
+    stubModels(ticket);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('addTicketPhotos - Stores photos privately under the ticket', async () => {
+    await addTicketPhotos(ticket._id, tenant, [{ buffer: jpeg }, { buffer: jpeg }]);
+
+    expect(ticket.photos).toHaveLength(2);
+    expect(ticket.photos[0].key).toMatch(new RegExp(`^maintenance/${ticket._id}/\\w+\\.jpg$`));
+    expect(ticket.photos[0].uploadedBy).toEqual(tenant._id);
+  });
+
+  test('addTicketPhotos - Caps a ticket at 20 photos', async () => {
+    ticket.photos = Array.from({ length: 18 }, (_, index) => ({ key: `maintenance/${ticket._id}/${index}.jpg` }));
+
+    await expect(addTicketPhotos(ticket._id, tenant, [{ buffer: jpeg }, { buffer: jpeg }, { buffer: jpeg }]))
+      .rejects.toThrow('A ticket can have at most 20 photos');
+    expect(ticket.save).not.toHaveBeenCalled();
+  });
+
+  test('addTicketPhotos - Rejects requests without photos and closed tickets', async () => {
+    await expect(addTicketPhotos(ticket._id, tenant, [])).rejects.toMatchObject({ statusCode: 400 });
+    ticket.status = 'closed';
+    await expect(addTicketPhotos(ticket._id, tenant, [{ buffer: jpeg }])).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('addTicketPhotos - Rejects files that are not images', async () => {
+    await expect(addTicketPhotos(ticket._id, tenant, [{ buffer: Buffer.from('not an image') }]))
+      .rejects.toThrow('One of the photos could not be read');
+  });
+});
+
+describe('Maintenance Escalation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueEmail.mockClear();
+  });
+
+  /** Stubs MaintenanceTicket.find(...).cursor() with one batch per call */
+  const cursors = (...batches) => {
+    const find = jest.spyOn(MaintenanceTicket, 'find');
+    batches.forEach((batch) => find.mockReturnValueOnce({
+      cursor: () => (async function* iterate() { yield* batch; })(),
+    }));
+  };
+
+  test('escalateBreach - Emails the staff once and records who was told', async () => {
+    const ticket = buildTicket();
+    stubModels(ticket);
+    jest.spyOn(MaintenanceTicket, 'findOneAndUpdate').mockResolvedValueOnce(ticket).mockResolvedValueOnce(null);
+    const record = jest.spyOn(MaintenanceTicket, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const now = hoursAfterOpening(5);
+
+    await expect(escalateBreach(ticket, 'response', now)).resolves.toBe(true);
+    await expect(escalateBreach(ticket, 'response', now)).resolves.toBe(false);
+
+    expect(MaintenanceTicket.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: ticket._id, 'sla.responseBreachedAt': null },
+      { $set: { 'sla.responseBreachedAt': now } },
+      { new: true }
+    );
+    expect(queueEmail).toHaveBeenCalledTimes(2);
+    expect(record).toHaveBeenCalledTimes(1);
+    expect(record.mock.calls[0][1].$push.escalations).toMatchObject({ kind: 'response', at: now });
+  });
+
+  test('checkSlas - Escalates overdue tickets and closes stale resolved ones', async () => {
+    const overdue = buildTicket({ status: 'open' });
+    const stale = buildTicket({ status: 'resolved', sla: { ...slaDeadlines('high', opened), resolvedAt: hoursAfterOpening(6) } });
+    stubModels(overdue);
+    cursors([overdue], [stale]);
+    jest.spyOn(MaintenanceTicket, 'findOneAndUpdate').mockResolvedValue(overdue);
+    jest.spyOn(MaintenanceTicket, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const summary = await checkSlas({ now: hoursAfterOpening(10 * 24) });
+
+    expect(summary).toEqual({ escalated: 2, closed: 1, failed: 0 });
+    expect(stale.status).toBe('closed');
+    expect(stale.history[stale.history.length - 1].note).toMatch('Closed automatically');
+  });
+
+  test('checkSlas - Counts failures and carries on', async () => {
+    const first = buildTicket({ status: 'open' });
+    const second = buildTicket({ status: 'open' });
+    stubModels(first);
+    cursors([first, second], []);
+    jest.spyOn(MaintenanceTicket, 'findOneAndUpdate')
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValue(second);
+    jest.spyOn(MaintenanceTicket, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const summary = await checkSlas({ now: hoursAfterOpening(9) });
+    expect(summary).toEqual({ escalated: 1, closed: 0, failed: 1 });
+  });
+});
+
+describe('Maintenance Routes', () => {
+  let ticket;
+
+  beforeEach(() => {
+    ticket = buildTicket();
+    stubModels(ticket);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('POST /:id/photos - Limits uploads to 5 images per request', async () => {
+    const upload = request(app).post(`/api/v1/maintenance/${ticket._id}/photos`).set('Authorization', bearer(tenant));
+    for (let index = 0; index < 6; index += 1) {
+      upload.attach('photos', Buffer.from('jpeg'), { filename: `leak-${index}.jpg`, contentType: 'image/jpeg' });
+    }
+    const res = await upload;
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch('at most 5');
+  });
+
+  test('POST /:id/photos - Accepts images only', async () => {
+    const res = await request(app)
+      .post(`/api/v1/maintenance/${ticket._id}/photos`)
+      .set('Authorization', bearer(tenant))
+      .attach('photos', Buffer.from('%PDF-1.4'), { filename: 'quote.pdf', contentType: 'application/pdf' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Photos must be JPEG, PNG, WebP or AVIF images');
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * MPesa helper test suite
+ * @module tests/mpesaTests
+ * @description Unit tests for Daraja payload interpretation and request
+ * timestamps in utils/mpesa
+ */
+
+const axios = require('axios');
+const {
+  darajaTimestamp,
+  generatePassword,
+  stkPush,
+  stkQuery,
+  parseCallbackMetadata,
+  parseTransactionDate,
+  interpretSTKResult,
+  parseResultParameters,
+  toMsisdn,
+} = require('../utils/mpesa');
+const { findMismatch } = require('../utils/mpesaCallbacks');
+
+/**
+ * Sample successful callback as sent by the Daraja sandbox
+ * @constant {Object} successCallback
+ */
+const successCallback = {
+  MerchantRequestID: '29115-34620561-1',
+  CheckoutRequestID: 'ws_CO_191220191020363925',
+  ResultCode: 0,
+  ResultDesc: 'The service request is processed successfully.',
+  CallbackMetadata: {
+    Item: [
+      { Name: 'Amount', Value: 1.0 },
+      { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+      { Name: 'Balance' },
+      { Name: 'TransactionDate', Value: 20191219102115 },
+      { Name: 'PhoneNumber', Value: 254708374149 },
+    ],
+  },
+};
+
+describe('STK Callback Interpretation', () => {
+  test('parseTransactionDate - Parses Daraja timestamps as East Africa Time', () => {
+    expect(parseTransactionDate(20191219102115).toISOString()).toBe('2019-12-19T07:21:15.000Z');
+    expect(parseTransactionDate('20250101020000').toISOString()).toBe('2024-12-31T23:00:00.000Z');
+    expect(parseTransactionDate('not-a-date')).toBeUndefined();
+    expect(parseTransactionDate(20191332102115)).toBeUndefined();
+    expect(parseTransactionDate(undefined)).toBeUndefined();
+  });
+
+  test('parseCallbackMetadata - Flattens metadata items', () => {
+    const parsed = parseCallbackMetadata(successCallback.CallbackMetadata);
+    expect(parsed).toMatchObject({
+      mpesaReceiptNumber: 'NLJ7RT61SV',
+      amount: 1,
+      phone: '254708374149',
+    });
+    expect(parsed.transactionDate).toBeInstanceOf(Date);
+    expect(parseCallbackMetadata(undefined)).toEqual({});
+  });
+
+  test('interpretSTKResult - Success marks payment Completed', () => {
+    const update = interpretSTKResult(successCallback);
+    expect(update).toMatchObject({
+      status: 'Completed',
+      resultCode: 0,
+      mpesaReceiptNumber: 'NLJ7RT61SV',
+      paidAmount: 1,
+      payerPhone: '254708374149',
+    });
+  });
+
+  test('interpretSTKResult - Cancellations and timeouts mark payment Failed', () => {
+    for (const code of [1, 1032, 1037, 2001]) {
+      const update = interpretSTKResult({
+        CheckoutRequestID: 'ws_CO_1',
+        ResultCode: code,
+        ResultDesc: `Result ${code}`,
+      });
+      expect(update).toEqual({
+        status: 'Failed',
+        resultCode: code,
+        resultDesc: `Result ${code}`,
+      });
+    }
+  });
+
+  test('interpretSTKResult - Falls back to known descriptions', () => {
+    const update = interpretSTKResult({ CheckoutRequestID: 'ws_CO_1', ResultCode: '1032' });
+    expect(update.resultDesc).toBe('Request cancelled by user.');
+  });
+});
+
+describe('Daraja Requests', () => {
+  // 21:30 UTC on 1 March is 00:30 on 2 March in Nairobi
+  const now = Date.parse('2025-03-01T21:30:00Z');
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { access_token: 'token', expires_in: '3599' } });
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { ResponseCode: '0' } });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('darajaTimestamp - Uses East Africa Time whatever the server\'s zone', () => {
+    expect(darajaTimestamp()).toBe('20250302003000');
+  });
+
+  test('stkPush and stkQuery - Sign requests with the EAT timestamp', async () => {
+    await stkPush({ phone: '254708374149', amount: 1500 });
+    await stkQuery('ws_CO_191220191020363925');
+
+    for (const [, payload] of axios.post.mock.calls) {
+      expect(payload).toMatchObject({ Timestamp: '20250302003000', Password: generatePassword('20250302003000') });
+    }
+    expect(axios.post).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('B2C Helpers', () => {
+  test('toMsisdn - Normalizes Kenyan phone numbers', () => {
+    expect(toMsisdn('0712345678')).toBe('254712345678');
+    expect(toMsisdn('+254 712 345 678')).toBe('254712345678');
+    expect(toMsisdn('254112345678')).toBe('254112345678');
+    expect(toMsisdn('12345')).toBeNull();
+    expect(toMsisdn(undefined)).toBeNull();
+  });
+
+  test('parseResultParameters - Flattens single and multiple parameters', () => {
+    expect(parseResultParameters({
+      ResultParameter: [
+        { Key: 'TransactionReceipt', Value: 'NLJ41HAY6Q' },
+        { Key: 'ReceiverPartyPublicName', Value: '254708374149 - John Doe' },
+      ],
+    })).toEqual({
+      TransactionReceipt: 'NLJ41HAY6Q',
+      ReceiverPartyPublicName: '254708374149 - John Doe',
+    });
+    expect(parseResultParameters({ ResultParameter: { Key: 'Amount', Value: 10 } })).toEqual({ Amount: 10 });
+    expect(parseResultParameters(undefined)).toEqual({});
+  });
+});
+
+describe('Callback Verification', () => {
+  const payment = { amount: 1500, phone: '254708374149' };
+
+  test('findMismatch - Accepts callbacks matching the payment', () => {
+    expect(findMismatch(payment, { paidAmount: 1500.0, payerPhone: '254708374149' })).toBeNull();
+    expect(findMismatch(payment, { paidAmount: 1500, payerPhone: '2547****149' })).toBeNull();
+  });
+
+  test('findMismatch - Flags amount and phone mismatches', () => {
+    expect(findMismatch(payment, { paidAmount: 1, payerPhone: '254708374149' })).toMatch(/Amount/);
+    expect(findMismatch(payment, { paidAmount: 1500, payerPhone: '254711111111' })).toMatch(/Phone/);
+  });
+});
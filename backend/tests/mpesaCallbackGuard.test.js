@@ -0,0 +1,122 @@
+/**
+ * MPesa callback guard test suite
+ * @module tests/mpesaCallbackGuardTests
+ * @description Unit tests for the token and IP checks in
+ * middleware/mpesaCallbackGuard, and route tests that every callback is
+ * logged whether or not it is let through. The callback log is stubbed so no
+ * database is needed.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const MpesaCallbackLog = require('../models/MpesaCallbackLog');
+const { SAFARICOM_IPS, settings, findRejection, mpesaCallbackGuard } = require('../middleware/mpesaCallbackGuard');
+const { createApp } = require('./support');
+
+const TOKEN = 'cb-5f2a9c';
+
+/** The parts of an Express request the checks read */
+const callback = ({ token, queryToken, ip = SAFARICOM_IPS[0] } = {}) => ({
+  params: { token },
+  query: { token: queryToken },
+  ip,
+});
+
+describe('MPesa Callback Guard', () => {
+  const original = { ...settings };
+  const previousEnv = process.env.NODE_ENV;
+
+  afterEach(() => {
+    Object.assign(settings, original);
+    process.env.NODE_ENV = previousEnv;
+  });
+
+  test('findRejection - Requires the callback token, in the path or query', () => {
+    Object.assign(settings, { token: TOKEN, allowlist: [] });
+
+    expect(findRejection(callback({ token: TOKEN }))).toBeNull();
+    expect(findRejection(callback({ queryToken: TOKEN }))).toBeNull();
+    expect(findRejection(callback())).toBe('Invalid callback token');
+    expect(findRejection(callback({ token: 'cb-5f2a9d' }))).toBe('Invalid callback token');
+    expect(findRejection(callback({ token: `${TOKEN}x` }))).toBe('Invalid callback token');
+  });
+
+  test('findRejection - Refuses everything in production when no token is configured', () => {
+    Object.assign(settings, { token: undefined, allowlist: [] });
+
+    process.env.NODE_ENV = 'production';
+    expect(findRejection(callback({ token: 'anything' }))).toBe('MPESA_CALLBACK_TOKEN is not configured');
+
+    process.env.NODE_ENV = 'development';
+    expect(findRejection(callback())).toBeNull();
+  });
+
+  test('findRejection - Only admits allowlisted source IPs', () => {
+    Object.assign(settings, { token: TOKEN, allowlist: SAFARICOM_IPS });
+
+    expect(findRejection(callback({ token: TOKEN, ip: '196.201.214.200' }))).toBeNull();
+    expect(findRejection(callback({ token: TOKEN, ip: '::ffff:196.201.214.200' }))).toBeNull();
+    expect(findRejection(callback({ token: TOKEN, ip: '41.90.64.10' }))).toBe('Source IP 41.90.64.10 is not allowlisted');
+    // The token is checked first, so a forged callback from Safaricom's range still fails
+    expect(findRejection(callback({ ip: '196.201.214.200' }))).toBe('Invalid callback token');
+  });
+
+  describe('mpesaCallbackGuard', () => {
+    const router = express.Router();
+    router.post('/callback/:token?', mpesaCallbackGuard('stk'), (req, res) => res.json({ ResultCode: 0, ResultDesc: 'Accepted' }));
+    const app = createApp({ mpesa: router });
+
+    const body = { Body: { stkCallback: { CheckoutRequestID: 'ws_CO_191220191020363925', ResultCode: 0 } } };
+    let entries;
+
+    beforeEach(() => {
+      entries = [];
+      jest.spyOn(MpesaCallbackLog, 'create').mockImplementation(async (doc) => {
+        const entry = { ...doc, markProcessed: jest.fn(async () => entry) };
+        entries.push(entry);
+        return entry;
+      });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('Logs every callback, accepted or rejected', async () => {
+      Object.assign(settings, { token: TOKEN, allowlist: ['127.0.0.1'] });
+
+      const accepted = await request(app).post(`/api/v1/mpesa/callback/${TOKEN}`).send(body);
+      const rejected = await request(app).post('/api/v1/mpesa/callback/wrong-token').send(body);
+
+      expect(accepted.status).toBe(200);
+      expect(rejected.status).toBe(403);
+      expect(rejected.body).toEqual({ ResultCode: 1, ResultDesc: 'Rejected' });
+      expect(entries).toHaveLength(2);
+      entries.forEach((entry) => expect(entry).toMatchObject({
+        type: 'stk',
+        reference: 'ws_CO_191220191020363925',
+        ip: '127.0.0.1',
+        path: '/api/v1/mpesa/callback/:token?',
+        body,
+      }));
+      expect(entries[0].markProcessed).not.toHaveBeenCalled();
+      expect(entries[1].markProcessed).toHaveBeenCalledWith({ outcome: 'rejected', reason: 'Invalid callback token' });
+    });
+
+    test('Rejects callbacks from outside the allowlist', async () => {
+      Object.assign(settings, { token: TOKEN, allowlist: SAFARICOM_IPS });
+
+      const res = await request(app).post(`/api/v1/mpesa/callback/${TOKEN}`).send(body);
+
+      expect(res.status).toBe(403);
+      expect(entries[0].markProcessed).toHaveBeenCalledWith({ outcome: 'rejected', reason: 'Source IP 127.0.0.1 is not allowlisted' });
+    });
+
+    test('Still checks and handles the callback when the log cannot be written', async () => {
+      Object.assign(settings, { token: TOKEN, allowlist: [] });
+      MpesaCallbackLog.create.mockRejectedValue(new Error('connection reset'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect((await request(app).post(`/api/v1/mpesa/callback/${TOKEN}`).send(body)).status).toBe(200);
+      expect((await request(app).post('/api/v1/mpesa/callback').send(body)).status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * MPesa route test suite
+ * @module tests/mpesaRoutesTests
+ * @description Route tests for starting an STK push and reading back its
+ * payment through routes/mpesaRoutes. Daraja and the models are stubbed so
+ * no network or database is needed.
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Payment = require('../models/Payment');
+const Unit = require('../models/Unit');
+const { stkPush } = require('../utils/mpesa');
+const mpesaRoutes = require('../routes/mpesaRoutes');
+const { query, stubUsers, bearer, createApp } = require('./support');
+
+jest.mock('../utils/mpesa', () => ({
+  ...jest.requireActual('../utils/mpesa'),
+  stkPush: jest.fn(),
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+const landlord = { _id: id(), role: 'landlord', name: 'Wanjiku' };
+const tenant = { _id: id(), role: 'tenant', name: 'Achieng', landlord: landlord._id };
+const neighbour = { _id: id(), role: 'tenant', name: 'Mutua', landlord: landlord._id };
+const propertyId = id();
+
+/**
+ * Daraja's reply to an accepted STK push
+ * @constant {Object} accepted
+ */
+const accepted = {
+  MerchantRequestID: '29115-34620561-1',
+  CheckoutRequestID: 'ws_CO_191220191020363925',
+  ResponseCode: '0',
+  ResponseDescription: 'Success. Request accepted for processing',
+  CustomerMessage: 'Success. Request accepted for processing',
+};
+
+describe('MPesa Routes', () => {
+  const app = createApp({ mpesa: mpesaRoutes });
+
+  beforeEach(() => {
+    stubUsers([landlord, tenant, neighbour]);
+    jest.spyOn(Unit, 'findOne').mockReturnValue(query({ property: propertyId }));
+    jest.spyOn(Payment, 'create').mockImplementation(async (doc) => new Payment(doc));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    stkPush.mockReset();
+  });
+
+  const push = (body, user = tenant) =>
+    request(app).post('/api/v1/mpesa/stk-push').set('Authorization', bearer(user)).send(body);
+
+  describe('POST /stk-push', () => {
+    test('Records a Pending payment the callback can find', async () => {
+      stkPush.mockResolvedValue(accepted);
+
+      const res = await push({ phone: '254708374149', amount: '1500.75' });
+
+      expect(res.status).toBe(201);
+      expect(stkPush).toHaveBeenCalledWith({ phone: '254708374149', amount: '1500.75' });
+      expect(Payment.create).toHaveBeenCalledWith({
+        user: tenant._id,
+        landlord: landlord._id,
+        property: propertyId,
+        phone: '254708374149',
+        amount: 1500,
+        checkoutRequestId: accepted.CheckoutRequestID,
+        merchantRequestId: accepted.MerchantRequestID,
+      });
+      expect(res.body.data).toMatchObject({
+        checkoutRequestId: accepted.CheckoutRequestID,
+        paymentStatus: 'Pending',
+        customerMessage: accepted.CustomerMessage,
+      });
+    });
+
+    test('Records nothing when Daraja rejects the push', async () => {
+      stkPush.mockResolvedValue({ ResponseCode: '1', ResponseDescription: 'Rejected' });
+
+      const res = await push({ phone: '254708374149', amount: 1500 });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({ error: 'Rejected' });
+      expect(Payment.create).not.toHaveBeenCalled();
+    });
+
+    test('Validates the phone and amount before calling Daraja', async () => {
+      expect((await push({ phone: '0708374149', amount: 1500 })).status).toBe(400);
+      expect((await push({ phone: '254708374149', amount: 0 })).status).toBe(400);
+      expect(stkPush).not.toHaveBeenCalled();
+    });
+
+    test('Needs a signed-in user', async () => {
+      const res = await request(app).post('/api/v1/mpesa/stk-push').send({ phone: '254708374149', amount: 1500 });
+
+      expect(res.status).toBe(401);
+      expect(stkPush).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /payments/:id', () => {
+    const payment = { _id: id(), user: tenant._id, phone: '254708374149', amount: 1500, status: 'Pending' };
+
+    beforeEach(() => {
+      jest.spyOn(Payment, 'findOne').mockImplementation((filter) =>
+        query(String(filter._id) === String(payment._id) && String(filter.user) === String(payment.user) ? payment : null));
+    });
+
+    test('Shows a payment to the tenant who made it', async () => {
+      const res = await request(app).get(`/api/v1/mpesa/payments/${payment._id}`).set('Authorization', bearer(tenant));
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ status: 'Pending', amount: 1500 });
+      expect(Payment.findOne).toHaveBeenCalledWith({ _id: String(payment._id), user: tenant._id });
+    });
+
+    test('Hides it from everyone else', async () => {
+      const res = await request(app).get(`/api/v1/mpesa/payments/${payment._id}`).set('Authorization', bearer(neighbour));
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ status: 'error', message: 'Payment not found' });
+    });
+
+    test('Rejects ids that are not ObjectIds', async () => {
+      const res = await request(app).get('/api/v1/mpesa/payments/not-an-id').set('Authorization', bearer(tenant));
+
+      expect(res.status).toBe(400);
+      expect(Payment.findOne).not.toHaveBeenCalled();
+    });
+  });
+});
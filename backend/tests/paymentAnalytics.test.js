@@ -0,0 +1,357 @@
+/**
+ * Payment analytics test suite
+ * @module tests/paymentAnalyticsTests
+ * @description Tests for the admin report pipelines in utils/paymentAnalytics
+ * and the analytics routes in routes/adminRoutes. Payment.aggregate is backed
+ * by a small in-memory evaluator covering the stages and operators those
+ * pipelines use, so totals, grouping and date ranges are checked against
+ * known fixtures without a database.
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Payment = require('../models/Payment');
+const adminRoutes = require('../routes/adminRoutes');
+const {
+  REPORT_TIMEZONE,
+  INTERVAL_FORMATS,
+  buildAdminPaymentFilter,
+  getPeriodTotals,
+  getSuccessRate,
+  getFailureReasons,
+  getTopPayers,
+} = require('../utils/paymentAnalytics');
+const { stubUsers, bearer, createApp } = require('./support');
+
+const id = () => new mongoose.Types.ObjectId();
+const admin = { _id: id(), role: 'admin', name: 'Admin' };
+const landlord = { _id: id(), role: 'landlord', name: 'Wanjiku' };
+const achieng = { _id: id(), role: 'tenant', name: 'Achieng', email: 'achieng@example.com', phone: '254712345678' };
+const mutua = { _id: id(), role: 'tenant', name: 'Mutua', email: 'mutua@example.com', phone: '254798765432' };
+const users = [admin, landlord, achieng, mutua];
+
+/**
+ * Payments across two Nairobi month ends. Two sit just before midnight UTC
+ * but after midnight in Nairobi, so they land in the next day and month.
+ * @constant {Object[]} payments
+ */
+const payments = [
+  { user: achieng, amount: 5000, paidAmount: 5000, status: 'Completed', receipt: 'SBA1XK2L3M', createdAt: '2025-02-10T09:00:00Z' },
+  { user: achieng, amount: 5000, paidAmount: 4800, status: 'Completed', receipt: 'SBS9QW7E2R', createdAt: '2025-02-28T22:30:00Z' },
+  { user: mutua, amount: 3000, status: 'Failed', resultCode: 1032, resultDesc: 'Request cancelled by user.', createdAt: '2025-03-01T10:00:00Z' },
+  { user: mutua, amount: 3000, status: 'Completed', receipt: 'SC12HJ4K5L', createdAt: '2025-03-01T12:00:00Z' },
+  { user: mutua, amount: 2000, status: 'Failed', resultCode: 1037, resultDesc: 'DS timeout user cannot be reached', createdAt: '2025-03-02T08:00:00Z' },
+  { user: achieng, amount: 1500, status: 'Pending', createdAt: '2025-03-03T07:00:00Z' },
+  { user: achieng, amount: 2500, status: 'Failed', resultCode: 1032, resultDesc: 'Request cancelled by user.', createdAt: '2025-03-15T11:00:00Z' },
+  { user: mutua, amount: 4000, paidAmount: 4000, status: 'Reversed', receipt: 'SCV7BN8M9P', createdAt: '2025-03-31T21:30:00Z' },
+].map(({ user, receipt, createdAt, ...payment }) => ({
+  _id: id(),
+  user: user._id,
+  landlord: landlord._id,
+  phone: user.phone,
+  mpesaReceiptNumber: receipt,
+  createdAt: new Date(createdAt),
+  ...payment,
+}));
+
+/** Collections a $lookup may read from */
+const collections = { users };
+
+const field = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+/**
+ * Formats a date as $dateToString would, in the given time zone
+ * @param {Date} date
+ * @param {string} format - Using %Y, %m and %d only
+ * @param {string} timeZone
+ * @returns {string}
+ */
+const dateToString = (date, format, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(date)
+    .reduce((acc, { type, value }) => ({ ...acc, [type]: value }), {});
+  return format.replace('%Y', parts.year).replace('%m', parts.month).replace('%d', parts.day);
+};
+
+/**
+ * Evaluates an aggregation expression against a document
+ * @param {*} expr
+ * @param {Object} doc
+ * @returns {*}
+ */
+const evaluate = (expr, doc) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) return field(doc, expr.slice(1));
+  if (!expr || typeof expr !== 'object' || expr instanceof Date) return expr;
+  if (expr.$dateToString) {
+    const { format, date, timezone } = expr.$dateToString;
+    return dateToString(evaluate(date, doc), format, timezone);
+  }
+  if (expr.$cond) {
+    const [condition, then, otherwise] = expr.$cond;
+    return evaluate(condition, doc) ? evaluate(then, doc) : evaluate(otherwise, doc);
+  }
+  if (expr.$eq) {
+    const [a, b] = expr.$eq.map((operand) => evaluate(operand, doc));
+    return a === b;
+  }
+  if (expr.$ifNull) {
+    const value = evaluate(expr.$ifNull[0], doc);
+    return value ?? evaluate(expr.$ifNull[1], doc);
+  }
+  return Object.fromEntries(Object.entries(expr).map(([key, value]) => [key, evaluate(value, doc)]));
+};
+
+/**
+ * Whether a document matches a $match filter
+ * @param {Object} doc
+ * @param {Object} filter
+ * @returns {boolean}
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some((branch) => matches(doc, branch));
+  const value = doc[key];
+  if (condition instanceof RegExp) return condition.test(value || '');
+  if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+    return Object.entries(condition).every(([op, operand]) => {
+      if (op === '$in') return operand.includes(value);
+      if (op === '$gte') return value >= operand;
+      if (op === '$lte') return value <= operand;
+      throw new Error(`Unsupported operator ${op}`);
+    });
+  }
+  return String(value) === String(condition);
+});
+
+const accumulate = (op, values) => {
+  if (op === '$sum') return values.reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0);
+  if (op === '$first') return values[0];
+  if (op === '$max') return values.reduce((max, value) => (value > max ? value : max));
+  throw new Error(`Unsupported accumulator ${op}`);
+};
+
+/** Aggregation stages, each taking the documents so far and its spec */
+const stages = {
+  $match: (docs, filter) => docs.filter((doc) => matches(doc, filter)),
+  $group: (docs, { _id, ...fields }) => {
+    const groups = new Map();
+    for (const doc of docs) {
+      const key = evaluate(_id, doc);
+      if (!groups.has(String(key))) groups.set(String(key), { _id: key, rows: [] });
+      groups.get(String(key)).rows.push(doc);
+    }
+    return [...groups.values()].map(({ _id: key, rows }) => ({
+      _id: key,
+      ...Object.fromEntries(Object.entries(fields).map(([name, accumulator]) => {
+        const [[op, expr]] = Object.entries(accumulator);
+        return [name, accumulate(op, rows.map((row) => evaluate(expr, row)))];
+      })),
+    }));
+  },
+  $sort: (docs, spec) => [...docs].sort((a, b) => {
+    for (const [key, direction] of Object.entries(spec)) {
+      if (a[key] < b[key]) return -direction;
+      if (a[key] > b[key]) return direction;
+    }
+    return 0;
+  }),
+  $limit: (docs, limit) => docs.slice(0, limit),
+  $lookup: (docs, { from, localField, foreignField, pipeline = [], as }) => docs.map((doc) => ({
+    ...doc,
+    [as]: runPipeline(collections[from].filter((other) => String(other[foreignField]) === String(doc[localField])), pipeline),
+  })),
+  $unwind: (docs, { path, preserveNullAndEmptyArrays }) => docs.flatMap((doc) => {
+    const key = path.slice(1);
+    if (doc[key].length) return doc[key].map((value) => ({ ...doc, [key]: value }));
+    if (!preserveNullAndEmptyArrays) return [];
+    const { [key]: omitted, ...rest } = doc;
+    return [rest];
+  }),
+  $project: (docs, spec) => docs.map((doc) => {
+    const projected = spec._id === 0 ? {} : { _id: doc._id };
+    for (const [key, value] of Object.entries(spec)) {
+      if (key === '_id' || value === 0) continue;
+      projected[key] = value === 1 ? doc[key] : evaluate(value, doc);
+    }
+    return projected;
+  }),
+};
+
+/**
+ * Runs an aggregation pipeline over in-memory documents
+ * @param {Object[]} docs
+ * @param {Object[]} pipeline
+ * @returns {Object[]}
+ */
+function runPipeline(docs, pipeline) {
+  return pipeline.reduce((current, stage) => {
+    const [[name, spec]] = Object.entries(stage);
+    if (!stages[name]) throw new Error(`Unsupported stage ${name}`);
+    return stages[name](current, spec);
+  }, docs);
+}
+
+/** March in Nairobi, as an explicit range */
+const march = { from: '2025-03-01T00:00:00+03:00', to: '2025-03-31T23:59:59+03:00' };
+
+beforeEach(() => {
+  jest.spyOn(Payment, 'aggregate').mockImplementation(async (pipeline) => runPipeline(payments, pipeline));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Payment Analytics', () => {
+  test('buildAdminPaymentFilter - Casts ids and refuses invalid ones', () => {
+    const filter = buildAdminPaymentFilter({ user: String(achieng._id), landlord: String(landlord._id) });
+
+    expect(filter.user).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(filter.user.equals(achieng._id)).toBe(true);
+    expect(filter.landlord.equals(landlord._id)).toBe(true);
+    expect(() => buildAdminPaymentFilter({ property: 'pandora-court' })).toThrow(
+      expect.objectContaining({ statusCode: 400, message: 'Invalid property id' })
+    );
+  });
+
+  test('buildAdminPaymentFilter - Searches receipts by prefix and phones by subscriber number', () => {
+    const byReceipt = payments.filter((payment) => matches(payment, buildAdminPaymentFilter({ q: 'sbs9' })));
+    const byPhone = payments.filter((payment) => matches(payment, buildAdminPaymentFilter({ q: '0712 345 678' })));
+
+    expect(byReceipt.map((payment) => payment.mpesaReceiptNumber)).toEqual(['SBS9QW7E2R']);
+    expect(byPhone).toHaveLength(4);
+    expect(byPhone.every((payment) => payment.user.equals(achieng._id))).toBe(true);
+  });
+
+  test('getPeriodTotals - Buckets by Nairobi month, oldest first', async () => {
+    const totals = await getPeriodTotals(buildAdminPaymentFilter({}), 'month');
+
+    const { $group } = Payment.aggregate.mock.calls[0][0][1];
+    expect($group._id.$dateToString).toEqual({ format: INTERVAL_FORMATS.month, date: '$createdAt', timezone: REPORT_TIMEZONE });
+    expect(totals).toEqual([
+      { period: '2025-02', count: 1, completed: 1, failed: 0, collected: 5000 },
+      { period: '2025-03', count: 6, completed: 2, failed: 3, collected: 7800 },
+      { period: '2025-04', count: 1, completed: 0, failed: 0, collected: 0 },
+    ]);
+  });
+
+  test('getPeriodTotals - Keeps to the date range and counts what was actually paid', async () => {
+    const totals = await getPeriodTotals(buildAdminPaymentFilter(march), 'day');
+
+    expect(totals).toEqual([
+      // 4800 of 5000 was paid on the first; the failed attempt collects nothing
+      { period: '2025-03-01', count: 3, completed: 2, failed: 1, collected: 7800 },
+      { period: '2025-03-02', count: 1, completed: 0, failed: 1, collected: 0 },
+      { period: '2025-03-03', count: 1, completed: 0, failed: 0, collected: 0 },
+      { period: '2025-03-15', count: 1, completed: 0, failed: 1, collected: 0 },
+    ]);
+  });
+
+  test('getPeriodTotals - A date-only `to` covers the whole day', async () => {
+    const totals = await getPeriodTotals(buildAdminPaymentFilter({ from: '2025-03-02', to: '2025-03-02' }), 'day');
+
+    expect(totals).toEqual([{ period: '2025-03-02', count: 1, completed: 0, failed: 1, collected: 0 }]);
+  });
+
+  test('getSuccessRate - Leaves Pending out and counts reversals as collected', async () => {
+    await expect(getSuccessRate(buildAdminPaymentFilter({}))).resolves.toEqual({
+      total: 8,
+      byStatus: { Completed: 3, Failed: 3, Pending: 1, Reversed: 1 },
+      successRate: 57.14,
+    });
+    await expect(getSuccessRate(buildAdminPaymentFilter({ status: 'Pending' }))).resolves.toEqual({
+      total: 1,
+      byStatus: { Pending: 1 },
+      successRate: null,
+    });
+  });
+
+  test('getFailureReasons - Groups failures by result code, most frequent first', async () => {
+    await expect(getFailureReasons(buildAdminPaymentFilter({}))).resolves.toEqual([
+      { resultCode: 1032, resultDesc: 'Request cancelled by user.', count: 2, amount: 5500 },
+      { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached', count: 1, amount: 2000 },
+    ]);
+  });
+
+  test('getTopPayers - Ranks tenants by completed payments received', async () => {
+    const payers = await getTopPayers(buildAdminPaymentFilter({}));
+
+    expect(payers).toEqual([
+      {
+        user: { _id: achieng._id, name: 'Achieng', email: 'achieng@example.com', phone: '254712345678' },
+        payments: 2,
+        total: 9800,
+        lastPaidAt: new Date('2025-02-28T22:30:00Z'),
+      },
+      {
+        user: { _id: mutua._id, name: 'Mutua', email: 'mutua@example.com', phone: '254798765432' },
+        payments: 1,
+        total: 3000,
+        lastPaidAt: new Date('2025-03-01T12:00:00Z'),
+      },
+    ]);
+    await expect(getTopPayers(buildAdminPaymentFilter(march), 1)).resolves.toMatchObject([{ user: { name: 'Achieng' }, total: 4800 }]);
+  });
+});
+
+describe('Admin Analytics Routes', () => {
+  const app = createApp({ admin: adminRoutes });
+
+  beforeEach(() => stubUsers(users));
+
+  const get = (path, params = {}, user = admin) =>
+    request(app).get(`/api/v1/admin/payments/stats/${path}`).query(params).set('Authorization', bearer(user));
+
+  test('GET /totals - Returns Nairobi month totals', async () => {
+    const res = await get('totals', { interval: 'month' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'success', interval: 'month', timezone: REPORT_TIMEZONE });
+    expect(res.body.data.map(({ period, count, collected }) => [period, count, collected])).toEqual([
+      ['2025-02', 1, 5000],
+      ['2025-03', 6, 7800],
+      ['2025-04', 1, 0],
+    ]);
+  });
+
+  test('GET /totals - Filters by date range, status and tenant', async () => {
+    const res = await get('totals', { ...march, status: 'Completed,Failed', user: String(mutua._id) });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ interval: 'day' });
+    expect(res.body.data).toEqual([
+      { period: '2025-03-01', count: 2, completed: 1, failed: 1, collected: 3000 },
+      { period: '2025-03-02', count: 1, completed: 0, failed: 1, collected: 0 },
+    ]);
+  });
+
+  test('GET /totals - Rejects unknown intervals and invalid filters', async () => {
+    const byInterval = await get('totals', { interval: 'week' });
+    const byDate = await get('totals', { from: 'last-monday' });
+    const byId = await get('totals', { landlord: 'wanjiku' });
+
+    expect(byInterval.status).toBe(400);
+    expect(byInterval.body).toEqual({ error: 'interval must be day or month' });
+    expect(byDate.status).toBe(400);
+    expect(byId.status).toBe(400);
+    expect(Payment.aggregate).not.toHaveBeenCalled();
+  });
+
+  test('GET /success-rate, /failure-reasons and /top-payers - Report over the same filter', async () => {
+    const rate = await get('success-rate', march);
+    const reasons = await get('failure-reasons', { ...march, limit: 1 });
+    const payers = await get('top-payers', march);
+
+    expect(rate.body.data).toEqual({
+      total: 6,
+      byStatus: { Completed: 2, Failed: 3, Pending: 1 },
+      successRate: 40,
+    });
+    expect(reasons.body.data).toEqual([{ resultCode: 1032, resultDesc: 'Request cancelled by user.', count: 2, amount: 5500 }]);
+    expect(payers.body.data.map(({ user, total }) => [user.name, total])).toEqual([['Achieng', 4800], ['Mutua', 3000]]);
+  });
+
+  test('Is for admins only', async () => {
+    const res = await get('totals', {}, landlord);
+
+    expect(res.status).toBe(403);
+    expect(Payment.aggregate).not.toHaveBeenCalled();
+  });
+});
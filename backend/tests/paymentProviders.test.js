@@ -0,0 +1,194 @@
+/**
+ * Payment provider test suite
+ * @module tests/paymentProvidersTests
+ * @description Drives the Airtel Money and card providers against their
+ * bundled simulators: initiation, the callbacks they fire, status queries,
+ * callback verification and refunds.
+ */
+
+const express = require('express');
+
+const { createAirtelMock } = require('../mocks/airtelMock');
+const { createCardGatewayMock } = require('../mocks/cardGatewayMock');
+
+describe('Payment Providers', () => {
+  let airtelMock;
+  let cardMock;
+  let receiver;
+  let receiverUrl;
+  let received;
+  let providers;
+
+  /**
+   * Resolves once the receiver has seen `count` callbacks
+   * @param {number} count
+   */
+  const waitForCallbacks = (count) => new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = () => {
+      if (received.length >= count) return resolve(received);
+      if (Date.now() - started > 2000) return reject(new Error('Callback not received'));
+      setTimeout(poll, 10);
+    };
+    poll();
+  });
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  let paymentCount = 0;
+  const fakePayment = (fields = {}) => ({ _id: `65f0c0ffee00000000000${String(++paymentCount).padStart(3, '0')}`, amount: 1500, ...fields });
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    app.post('/callback', (req, res) => {
+      received.push({ body: req.body, rawBody: req.rawBody, headers: req.headers });
+      res.json({ status: 'ok' });
+    });
+    receiver = await new Promise((resolve) => {
+      const server = app.listen(0, () => resolve(server));
+    });
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/callback`;
+
+    airtelMock = createAirtelMock({ callbackDelayMs: 20, callbackUrl: receiverUrl });
+    cardMock = createCardGatewayMock({ callbackDelayMs: 20, webhookSecret: 'whsec_test' });
+    const airtelServer = await airtelMock.listen(0);
+    const cardServer = await cardMock.listen(0);
+
+    process.env.AIRTEL_API_BASE = `http://127.0.0.1:${airtelServer.address().port}`;
+    process.env.AIRTEL_CLIENT_ID = 'client';
+    process.env.AIRTEL_CLIENT_SECRET = 'secret';
+    process.env.AIRTEL_CALLBACK_TOKEN = 'airtel-token';
+    process.env.CARD_GATEWAY_BASE = `http://127.0.0.1:${cardServer.address().port}`;
+    process.env.CARD_GATEWAY_SECRET_KEY = 'sk_test';
+    process.env.CARD_WEBHOOK_SECRET = 'whsec_test';
+    process.env.CARD_CALLBACK_URL = receiverUrl;
+    jest.isolateModules(() => {
+      providers = require('../providers');
+    });
+  });
+
+  beforeEach(() => {
+    received = [];
+  });
+
+  afterAll(async () => {
+    await airtelMock.close();
+    await cardMock.close();
+    await new Promise((resolve) => receiver.close(resolve));
+  });
+
+  describe('Airtel Money', () => {
+    test('initiate - Sends a USSD push keyed by the payment id', async () => {
+      const payment = fakePayment();
+      const result = await providers.getProvider('airtel').initiate({ payment, phone: '0733123456' });
+
+      expect(result).toMatchObject({
+        channel: 'USSD',
+        reference: { phone: '254733123456', providerReference: payment._id },
+      });
+      expect(airtelMock.state.transactions.get(payment._id)).toMatchObject({ msisdn: '733123456', amount: 1500 });
+
+      const [callback] = await waitForCallbacks(1);
+      expect(callback.body.transaction).toMatchObject({ id: payment._id, status_code: 'TS' });
+    });
+
+    test('query - Stays undecided until the payer answers, then reports the result', async () => {
+      const airtel = providers.getProvider('airtel');
+      airtelMock.setOutcome('insufficient_funds');
+      const payment = fakePayment();
+      const { reference } = await airtel.initiate({ payment, phone: '254733000111' });
+
+      expect(await airtel.query({ ...payment, ...reference })).toBeNull();
+      await wait(50);
+      expect(await airtel.query({ ...payment, ...reference })).toMatchObject({
+        status: 'Failed',
+        resultDesc: expect.stringMatching(/insufficient funds/),
+      });
+    });
+
+    test('handleCallback - Rejects callbacks without the configured token', async () => {
+      const result = await providers.getProvider('airtel').handleCallback({
+        params: { token: 'wrong' },
+        query: {},
+        body: { transaction: { id: 'x', status_code: 'TS' } },
+      });
+      expect(result).toMatchObject({ outcome: 'rejected', statusCode: 403 });
+    });
+
+    test('refund - Completes at once and cannot be repeated', async () => {
+      const airtel = providers.getProvider('airtel');
+      const payment = fakePayment();
+      const { reference } = await airtel.initiate({ payment, phone: '254733000222' });
+      await waitForCallbacks(1);
+      const paid = { ...payment, ...reference, ...(await airtel.query({ ...payment, ...reference })) };
+
+      expect(paid.providerReceipt).toMatch(/^MP/);
+      await expect(airtel.refund(paid, { _id: 'r1', amount: 1500 })).resolves.toMatchObject({ status: 'Completed' });
+      await expect(airtel.refund(paid, { _id: 'r2', amount: 1500 })).rejects.toThrow('Refund not allowed');
+    });
+  });
+
+  describe('Card', () => {
+    test('initiate - Returns the hosted checkout page and a signed webhook follows', async () => {
+      const card = providers.getProvider('card');
+      const result = await card.initiate({ payment: fakePayment(), payer: { email: 'tenant@example.com' } });
+
+      expect(result.channel).toBe('CARD');
+      expect(result.redirectUrl).toMatch(/\/checkout\/cs_/);
+
+      const [webhook] = await waitForCallbacks(1);
+      expect(webhook.body.data.id).toBe(result.reference.providerReference);
+      expect(webhook.headers['x-signature']).toBe(card.signPayload(webhook.rawBody));
+      expect(card.interpretCheckoutSession(webhook.body.data)).toMatchObject({ status: 'Completed', paidAmount: 1500 });
+    });
+
+    test('query - Reports declined cards as failed', async () => {
+      const card = providers.getProvider('card');
+      cardMock.setOutcome('declined');
+      const payment = fakePayment();
+      const { reference } = await card.initiate({ payment });
+
+      expect(await card.query({ ...payment, ...reference })).toBeNull();
+      await waitForCallbacks(1);
+      expect(await card.query({ ...payment, ...reference })).toEqual({
+        status: 'Failed',
+        resultDesc: 'Your card was declined.',
+      });
+    });
+
+    test('handleCallback - Rejects webhooks with a bad signature', async () => {
+      const body = { type: 'checkout.session.succeeded', data: { id: 'cs_forged', status: 'succeeded' } };
+      const result = await providers.getProvider('card').handleCallback({
+        headers: { 'x-signature': 'deadbeef' },
+        rawBody: Buffer.from(JSON.stringify(body)),
+        body,
+      });
+      expect(result).toMatchObject({ outcome: 'rejected', statusCode: 403 });
+    });
+
+    test('refund - Refunds the charge but never more than was paid', async () => {
+      const card = providers.getProvider('card');
+      const payment = fakePayment();
+      const { reference } = await card.initiate({ payment });
+      await waitForCallbacks(1);
+      const paid = { ...payment, ...reference, ...(await card.query({ ...payment, ...reference })) };
+
+      await expect(card.refund(paid, { _id: 'r1', amount: 1000, reason: 'Overpaid' })).resolves.toMatchObject({ status: 'Completed' });
+      await expect(card.refund(paid, { _id: 'r2', amount: 1000, reason: 'Again' })).rejects.toThrow('exceeds');
+    });
+  });
+
+  describe('Registry', () => {
+    test('getProvider - Defaults to M-Pesa and rejects unknown providers', () => {
+      expect(providers.getProvider().name).toBe('mpesa');
+      expect(providers.getProvider(null).name).toBe('mpesa');
+      expect(() => providers.getProvider('paypal')).toThrow('Unknown payment provider');
+    });
+
+    test('listProviders - Only lists configured providers', () => {
+      const names = providers.listProviders().map(({ name }) => name);
+      expect(names).toEqual(expect.arrayContaining(['airtel', 'card']));
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Payment query test suite
+ * @module tests/paymentQueryTests
+ * @description Unit tests for history filters and exports in utils/paymentQuery
+ */
+
+const {
+  buildPaymentFilter,
+  parseSort,
+  paymentsToCsv,
+  paymentsToXlsx,
+} = require('../utils/paymentQuery');
+
+describe('Payment History Filters', () => {
+  test('buildPaymentFilter - Maps every supported filter', () => {
+    const filter = buildPaymentFilter({
+      status: 'Completed,Failed',
+      from: '2025-03-01',
+      to: '2025-03-31',
+      minAmount: '100',
+      maxAmount: '20000',
+      receipt: 'nlj7',
+    });
+
+    expect(filter.status).toEqual({ $in: ['Completed', 'Failed'] });
+    expect(filter.createdAt.$gte.getDate()).toBe(1);
+    expect(filter.createdAt.$lte.getHours()).toBe(23);
+    expect(filter.amount).toEqual({ $gte: 100, $lte: 20000 });
+    expect(filter.mpesaReceiptNumber.test('NLJ7RT61SV')).toBe(true);
+    expect(buildPaymentFilter({})).toEqual({});
+  });
+
+  test('buildPaymentFilter - Treats receipt input literally', () => {
+    const { mpesaReceiptNumber } = buildPaymentFilter({ receipt: '.*' });
+    expect(mpesaReceiptNumber.test('NLJ7RT61SV')).toBe(false);
+  });
+
+  test('parseSort - Accepts known fields and falls back to newest first', () => {
+    expect(parseSort('-amount')).toEqual({ amount: -1, createdAt: -1 });
+    expect(parseSort('createdAt')).toEqual({ createdAt: 1 });
+    expect(parseSort('password')).toEqual({ createdAt: -1 });
+    expect(parseSort(undefined)).toEqual({ createdAt: -1 });
+  });
+});
+
+describe('Payment Exports', () => {
+  const payments = [
+    {
+      createdAt: new Date(2025, 2, 5, 9, 30),
+      amount: 15000,
+      paidAmount: 15000,
+      status: 'Completed',
+      mpesaReceiptNumber: 'NLJ7RT61SV',
+      phone: '254708374149',
+      channel: 'STK',
+      resultDesc: 'Processed, "thanks"',
+    },
+    { createdAt: new Date(2025, 2, 6), amount: 500, status: 'Failed', resultDesc: '=HYPERLINK("x")' },
+    { createdAt: new Date(2025, 2, 7, 12), amount: 2000, paidAmount: 2000, status: 'Completed', providerReceipt: 'ch_3PxQ9z', channel: 'CARD' },
+  ];
+
+  test('paymentsToCsv - Escapes quotes and formulas', () => {
+    const lines = paymentsToCsv(payments).split('\r\n');
+    expect(lines).toHaveLength(4);
+    expect(lines[0]).toBe('Date,Amount (KES),Paid (KES),Status,M-Pesa Receipt,Provider Receipt,Phone,Channel,Description');
+    expect(lines[1]).toBe('2025-03-05 09:30,15000,15000,Completed,NLJ7RT61SV,,254708374149,STK,"Processed, ""thanks"""');
+    expect(lines[2]).toContain('"\'=HYPERLINK(""x"")"');
+    expect(lines[3]).toBe('2025-03-07 12:00,2000,2000,Completed,,ch_3PxQ9z,,CARD,');
+  });
+
+  test('paymentsToXlsx - Produces a workbook', async () => {
+    const buffer = await paymentsToXlsx(payments);
+    expect(buffer.subarray(0, 2).toString()).toBe('PK');
+  });
+});
+
+describe('Admin Payment Filters', () => {
+  const { buildAdminPaymentFilter } = require('../utils/paymentAnalytics');
+
+  test('buildAdminPaymentFilter - Casts ids and rejects invalid ones', () => {
+    const filter = buildAdminPaymentFilter({
+      status: 'Failed',
+      user: '64b7f0c2a1b2c3d4e5f60718',
+    });
+
+    expect(filter.status).toBe('Failed');
+    expect(String(filter.user)).toBe('64b7f0c2a1b2c3d4e5f60718');
+    expect(filter.user).not.toBe('64b7f0c2a1b2c3d4e5f60718');
+    expect(() => buildAdminPaymentFilter({ property: 'not-an-id' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('validatePaymentQuery - Answers 400 for a mistyped id filter', async () => {
+    const { validatePaymentQuery } = require('../middleware/requestValidator');
+    const run = async (query) => {
+      const req = { query };
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      const next = jest.fn();
+      for (const middleware of validatePaymentQuery) {
+        next.mockClear();
+        await middleware(req, res, next);
+        if (!next.mock.calls.length) break;
+      }
+      return { res, passed: next.mock.calls.length > 0 };
+    };
+
+    const rejected = await run({ landlord: '64b7f0c2a1b2c3d4e5f6071' });
+    expect(rejected.passed).toBe(false);
+    expect(rejected.res.status).toHaveBeenCalledWith(400);
+    expect(rejected.res.json.mock.calls[0][0].errors[0]).toMatchObject({ path: 'landlord' });
+
+    await expect(run({ property: '64b7f0c2a1b2c3d4e5f60718' })).resolves.toMatchObject({ passed: true });
+  });
+
+  test('buildAdminPaymentFilter - Searches receipts and any phone format', () => {
+    const { $or } = buildAdminPaymentFilter({ q: '0708374149' });
+    expect($or).toHaveLength(2);
+    expect($or[1].phone.test('254708374149')).toBe(true);
+    expect($or[1].phone.test('254711111111')).toBe(false);
+
+    const receiptOnly = buildAdminPaymentFilter({ q: 'nlj7' });
+    expect(receiptOnly.$or).toHaveLength(1);
+    expect(receiptOnly.$or[0].mpesaReceiptNumber.test('NLJ7RT61SV')).toBe(true);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Payment reconciliation test suite
+ * @module tests/paymentReconciliationTests
+ * @description Behaviour tests for resolving stale Pending payments through
+ * STK Push Query in utils/paymentReconciliation, and for the scheduled job in
+ * jobs/reconciliationWorker. Daraja, the payments collection and BullMQ are
+ * stubbed so no network, database or Redis is needed.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const { stkQuery } = require('../utils/mpesa');
+const { onPaymentCompleted } = require('../utils/paymentEvents');
+const { settings, reconcilePayment, reconcilePendingPayments } = require('../utils/paymentReconciliation');
+const { query } = require('./support');
+
+jest.mock('../utils/mpesa', () => ({
+  ...jest.requireActual('../utils/mpesa'),
+  stkQuery: jest.fn(),
+}));
+jest.mock('../utils/paymentEvents', () => ({ onPaymentCompleted: jest.fn(async () => {}) }));
+
+/** Daraja's reply while the customer has not yet answered the prompt */
+const stillProcessing = () =>
+  Object.assign(new Error('Request failed with status code 500'), {
+    response: { data: { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' } },
+  });
+
+describe('Payment Reconciliation', () => {
+  let payments;
+
+  /** A stale Pending STK payment, stored in the stand-in collection */
+  const pending = (overrides = {}) => {
+    const payment = {
+      _id: new mongoose.Types.ObjectId(),
+      user: new mongoose.Types.ObjectId(),
+      provider: 'mpesa',
+      amount: 1500,
+      status: 'Pending',
+      checkoutRequestId: `ws_CO_${payments.length}`,
+      queryAttempts: 0,
+      ...overrides,
+    };
+    payments.push(payment);
+    return payment;
+  };
+
+  beforeEach(() => {
+    payments = [];
+    // Applies the update only while the guard in the filter still matches
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const payment = payments.find((p) => String(p._id) === String(filter._id) && p.status === filter.status);
+      if (!payment) return null;
+      Object.assign(payment, update.$set);
+      payment.queryAttempts += update.$inc.queryAttempts;
+      return { ...payment };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    stkQuery.mockReset();
+    onPaymentCompleted.mockClear();
+  });
+
+  test('reconcilePayment - Completes a Pending payment Daraja reports as paid', async () => {
+    const payment = pending();
+    stkQuery.mockResolvedValue({ ResultCode: '0', ResultDesc: 'The service request is processed successfully.' });
+
+    await expect(reconcilePayment(payment)).resolves.toBe('Completed');
+
+    expect(stkQuery).toHaveBeenCalledWith(payment.checkoutRequestId);
+    expect(payments[0]).toMatchObject({ status: 'Completed', resultCode: 0, resolvedVia: 'query', queryAttempts: 1 });
+    expect(onPaymentCompleted).toHaveBeenCalledWith(expect.objectContaining({ _id: payment._id, status: 'Completed' }));
+  });
+
+  test('reconcilePayment - Fails a payment the customer cancelled', async () => {
+    const payment = pending();
+    stkQuery.mockResolvedValue({ ResultCode: '1032', ResultDesc: 'Request cancelled by user.' });
+
+    await expect(reconcilePayment(payment)).resolves.toBe('Failed');
+    expect(payments[0]).toMatchObject({ status: 'Failed', resultCode: 1032, resultDesc: 'Request cancelled by user.' });
+  });
+
+  test('reconcilePayment - Keeps asking until maxAttempts, then marks the payment Failed', async () => {
+    const payment = pending({ queryAttempts: settings.maxAttempts - 2 });
+    stkQuery.mockRejectedValue(stillProcessing());
+
+    await expect(reconcilePayment(payment)).resolves.toBe('Pending');
+    expect(payments[0]).toMatchObject({ status: 'Pending', queryAttempts: settings.maxAttempts - 1 });
+
+    await expect(reconcilePayment(payments[0])).resolves.toBe('Failed');
+    expect(payments[0]).toMatchObject({
+      status: 'Failed',
+      resultDesc: `Unresolved after ${settings.maxAttempts} status queries`,
+      resolvedVia: 'query',
+      queryAttempts: settings.maxAttempts,
+    });
+  });
+
+  test('reconcilePayment - Counts failed queries towards maxAttempts', async () => {
+    const payment = pending({ queryAttempts: settings.maxAttempts - 1 });
+    stkQuery.mockRejectedValue(new Error('socket hang up'));
+
+    await expect(reconcilePayment(payment)).resolves.toBe('Failed');
+  });
+
+  test('reconcilePayment - Leaves a payment its callback settled mid-query alone', async () => {
+    const payment = pending();
+    stkQuery.mockImplementation(async () => {
+      // The STK callback lands while the query is in flight
+      Object.assign(payments[0], { status: 'Completed', mpesaReceiptNumber: 'NLJ7RT61SV', resolvedVia: 'callback' });
+      return { ResultCode: '1037', ResultDesc: 'DS timeout user cannot be reached' };
+    });
+
+    await expect(reconcilePayment(payment)).resolves.toBe('Pending');
+
+    expect(Payment.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: payment._id, status: 'Pending' });
+    expect(payments[0]).toMatchObject({ status: 'Completed', mpesaReceiptNumber: 'NLJ7RT61SV', resolvedVia: 'callback' });
+    expect(onPaymentCompleted).not.toHaveBeenCalled();
+  });
+
+  test('reconcilePendingPayments - Queries the stale Pending payments and sums the outcomes', async () => {
+    const paid = pending();
+    const cancelled = pending();
+    const waiting = pending();
+    const find = jest.spyOn(Payment, 'find').mockReturnValue(query([paid, cancelled, waiting]));
+    stkQuery.mockImplementation(async (checkoutRequestId) => {
+      if (checkoutRequestId === paid.checkoutRequestId) return { ResultCode: '0' };
+      if (checkoutRequestId === cancelled.checkoutRequestId) return { ResultCode: '1032' };
+      throw stillProcessing();
+    });
+    const before = Date.now();
+
+    const summary = await reconcilePendingPayments({ staleAfterMinutes: 10, batchSize: 3 });
+
+    expect(summary).toEqual({ checked: 3, completed: 1, failed: 1, pending: 1 });
+    const [filter] = find.mock.calls[0];
+    expect(filter.status).toBe('Pending');
+    expect(filter.createdAt.$lte.getTime()).toBeLessThanOrEqual(before - 10 * 60 * 1000);
+    expect(filter.createdAt.$lte.getTime()).toBeGreaterThan(before - 11 * 60 * 1000);
+  });
+});
+
+describe('Reconciliation Worker', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Schedules the run once and passes job options through', async () => {
+    const processors = [];
+    const upsertJobScheduler = jest.fn(async () => {});
+    const reconcile = jest.fn(async () => ({ checked: 0, completed: 0, failed: 0, pending: 0 }));
+
+    jest.isolateModules(() => {
+      jest.doMock('bullmq', () => ({
+        Worker: jest.fn(function Worker(name, processor) {
+          processors.push({ name, processor });
+          this.on = jest.fn();
+        }),
+      }));
+      jest.doMock('../queues/reconciliationQueue', () => ({ upsertJobScheduler }));
+      jest.doMock('../utils/paymentReconciliation', () => ({ reconcilePendingPayments: reconcile }));
+      jest.spyOn(require('mongoose'), 'connect').mockResolvedValue();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      require('../jobs/reconciliationWorker');
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(processors.map(({ name }) => name)).toEqual(['payment-reconciliation']);
+    await processors[0].processor({ data: { staleAfterMinutes: 15 } });
+    expect(reconcile).toHaveBeenCalledWith({ staleAfterMinutes: 15 });
+    expect(upsertJobScheduler).toHaveBeenCalledWith(
+      'stale-pending-payments',
+      { every: 10 * 60 * 1000 },
+      { name: 'reconcile' }
+    );
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Landlord payout test suite
+ * @module tests/payoutsTests
+ * @description Behaviour tests for requestPayout in utils/payouts: the
+ * balance check, the re-check that catches concurrent payouts, and failing
+ * the payout when Daraja refuses the B2C request. Payments and payouts live
+ * in in-memory stand-ins and Daraja is stubbed.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const { b2cPayment } = require('../utils/mpesa');
+const { RESERVING_STATUSES, getLandlordBalance, requestPayout } = require('../utils/payouts');
+
+jest.mock('../utils/mpesa', () => ({
+  ...jest.requireActual('../utils/mpesa'),
+  b2cPayment: jest.fn(),
+}));
+
+/** Resolves after pending callbacks have run, so concurrent calls interleave */
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Landlord Payouts', () => {
+  const landlord = { _id: new mongoose.Types.ObjectId(), role: 'landlord', phone: '0712345678' };
+  const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  const collected = 10000;
+  let payouts;
+
+  /** Adds a payout to the stand-in collection, as another request would */
+  const existingPayout = (amount, status) => {
+    const payout = new Payout({ landlord: landlord._id, requestedBy: admin._id, amount, phone: '254712345678', status });
+    payouts.push(payout);
+    return payout;
+  };
+
+  beforeEach(() => {
+    payouts = [];
+    jest.spyOn(User, 'findOne').mockResolvedValue(landlord);
+    jest.spyOn(Payment, 'aggregate').mockImplementation(async () => {
+      await tick();
+      return [{ _id: null, total: collected }];
+    });
+    jest.spyOn(Payout, 'aggregate').mockImplementation(async ([{ $match }]) => {
+      await tick();
+      const reserved = payouts.filter((payout) =>
+        String(payout.landlord) === String($match.landlord) && $match.status.$in.includes(payout.status));
+      return reserved.length ? [{ _id: null, total: reserved.reduce((sum, payout) => sum + payout.amount, 0) }] : [];
+    });
+    jest.spyOn(Payout, 'create').mockImplementation(async (doc) => {
+      await tick();
+      const payout = new Payout(doc);
+      payouts.push(payout);
+      return payout;
+    });
+    jest.spyOn(Payout.prototype, 'save').mockImplementation(async function save() {
+      return this;
+    });
+    b2cPayment.mockResolvedValue({
+      ResponseCode: '0',
+      ConversationID: 'AG_20250301_00004e48cf7e3533f581',
+      OriginatorConversationID: '10571-7910404-1',
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    b2cPayment.mockReset();
+  });
+
+  test('getLandlordBalance - Holds back payouts that may have been sent', async () => {
+    existingPayout(2000, 'Completed');
+    existingPayout(1000, 'TimedOut');
+    existingPayout(3000, 'Failed');
+
+    expect(RESERVING_STATUSES).not.toContain('Failed');
+    await expect(getLandlordBalance(landlord._id)).resolves.toEqual({ collected, paidOut: 3000, available: 7000 });
+  });
+
+  test('requestPayout - Submits the B2C request and tracks the conversation', async () => {
+    const payout = await requestPayout({ landlordId: landlord._id, amount: 4000, remarks: 'March rent' }, admin);
+
+    expect(b2cPayment).toHaveBeenCalledWith({
+      amount: 4000,
+      phone: '254712345678',
+      remarks: 'March rent',
+      occasion: `PAYOUT-${payout._id}`,
+    });
+    expect(payout).toMatchObject({
+      status: 'Processing',
+      requestedBy: admin._id,
+      conversationId: 'AG_20250301_00004e48cf7e3533f581',
+      originatorConversationId: '10571-7910404-1',
+    });
+  });
+
+  test('requestPayout - Refuses more than the available balance', async () => {
+    existingPayout(4000, 'Completed');
+
+    await expect(requestPayout({ landlordId: landlord._id, amount: 6001 }, admin)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Insufficient collected balance (available: 6000)',
+    });
+    expect(Payout.create).not.toHaveBeenCalled();
+    expect(b2cPayment).not.toHaveBeenCalled();
+  });
+
+  test('requestPayout - Fails the payout when another one spent the balance after the first check', async () => {
+    // A concurrent payout is written between the balance check and this one
+    Payout.create.mockImplementationOnce(async (doc) => {
+      existingPayout(7000, 'Processing');
+      const payout = new Payout(doc);
+      payouts.push(payout);
+      return payout;
+    });
+
+    await expect(requestPayout({ landlordId: landlord._id, amount: 5000 }, admin)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Insufficient collected balance',
+    });
+
+    expect(payouts[1]).toMatchObject({ amount: 5000, status: 'Failed', resultDesc: 'Insufficient collected balance' });
+    expect(b2cPayment).not.toHaveBeenCalled();
+    await expect(getLandlordBalance(landlord._id)).resolves.toMatchObject({ available: 3000 });
+  });
+
+  test('requestPayout - Never sends more than was collected when requests race', async () => {
+    const results = await Promise.allSettled([
+      requestPayout({ landlordId: landlord._id, amount: 6000 }, admin),
+      requestPayout({ landlordId: landlord._id, amount: 6000 }, landlord),
+    ]);
+
+    expect(results.some((result) => result.status === 'rejected')).toBe(true);
+    const sent = b2cPayment.mock.calls.reduce((sum, [{ amount }]) => sum + amount, 0);
+    expect(sent).toBeLessThanOrEqual(collected);
+    expect(payouts.filter((payout) => payout.status !== 'Processing').every((payout) => payout.status === 'Failed')).toBe(true);
+  });
+
+  test('requestPayout - Fails the payout and frees the balance when Daraja refuses it', async () => {
+    b2cPayment.mockRejectedValue(Object.assign(new Error('Request failed with status code 500'), {
+      response: { data: { errorMessage: 'Bad Request - Invalid Initiator' } },
+    }));
+
+    await expect(requestPayout({ landlordId: landlord._id, amount: 4000 }, admin))
+      .rejects.toMatchObject({ statusCode: 502, message: 'MPesa payout request failed' });
+
+    expect(payouts[0]).toMatchObject({ status: 'Failed', resultDesc: 'Bad Request - Invalid Initiator' });
+    await expect(getLandlordBalance(landlord._id)).resolves.toMatchObject({ available: collected });
+  });
+
+  test('requestPayout - Treats a non-zero ResponseCode as a refusal', async () => {
+    b2cPayment.mockResolvedValue({ ResponseCode: '1', ResponseDescription: 'Insufficient funds in utility account' });
+
+    await expect(requestPayout({ landlordId: landlord._id, amount: 4000 }, admin)).rejects.toMatchObject({ statusCode: 502 });
+    expect(payouts[0]).toMatchObject({ status: 'Failed', resultDesc: 'Insufficient funds in utility account' });
+  });
+});
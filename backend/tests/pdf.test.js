@@ -0,0 +1,90 @@
+/**
+ * PDF rendering test suite
+ * @module tests/pdfTests
+ * @description Browser reuse and the print concurrency limit in utils/pdf,
+ * against a stubbed Puppeteer
+ */
+
+jest.mock('puppeteer', () => ({ launch: jest.fn() }));
+
+const puppeteer = require('puppeteer');
+const { htmlToPdf, closeBrowser } = require('../utils/pdf');
+
+/**
+ * Fake browser whose pages finish printing when release() is called
+ */
+const fakeBrowser = () => {
+  const state = { open: 0, maxOpen: 0, pending: [] };
+  const browser = {
+    on: jest.fn(),
+    close: jest.fn(async () => {}),
+    newPage: jest.fn(async () => {
+      state.open++;
+      state.maxOpen = Math.max(state.maxOpen, state.open);
+      return {
+        setContent: async () => {},
+        pdf: () => new Promise((resolve) => state.pending.push(() => resolve(Buffer.from('%PDF')))),
+        close: async () => { state.open--; },
+      };
+    }),
+  };
+  const release = () => state.pending.splice(0).forEach((finish) => finish());
+  return { browser, state, release };
+};
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('PDF Rendering', () => {
+  afterEach(async () => {
+    await closeBrowser();
+    puppeteer.launch.mockReset();
+  });
+
+  test('htmlToPdf - Shares one browser and opens a page per document', async () => {
+    const { browser, release } = fakeBrowser();
+    puppeteer.launch.mockResolvedValue(browser);
+
+    const printing = Promise.all([htmlToPdf('<p>1</p>'), htmlToPdf('<p>2</p>')]);
+    await flush();
+    release();
+
+    await expect(printing).resolves.toEqual([Buffer.from('%PDF'), Buffer.from('%PDF')]);
+
+    const later = htmlToPdf('<p>3</p>');
+    await flush();
+    release();
+    await later;
+    expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+    expect(browser.newPage).toHaveBeenCalledTimes(3);
+  });
+
+  test('htmlToPdf - Prints at most two documents at once', async () => {
+    const { browser, state, release } = fakeBrowser();
+    puppeteer.launch.mockResolvedValue(browser);
+
+    const printing = Promise.all(Array.from({ length: 5 }, (_, i) => htmlToPdf(`<p>${i}</p>`)));
+    for (let round = 0; round < 5; round++) {
+      await flush();
+      expect(state.open).toBeLessThanOrEqual(2);
+      release();
+    }
+
+    await expect(printing).resolves.toHaveLength(5);
+    expect(state.maxOpen).toBe(2);
+    expect(state.open).toBe(0);
+  });
+
+  test('htmlToPdf - Turns requests away with 503 once the queue is full', async () => {
+    const { browser, release } = fakeBrowser();
+    puppeteer.launch.mockResolvedValue(browser);
+
+    const accepted = Array.from({ length: 22 }, () => htmlToPdf('<p></p>'));
+    await expect(htmlToPdf('<p></p>')).rejects.toMatchObject({ statusCode: 503 });
+
+    for (let round = 0; round < 22; round++) {
+      await flush();
+      release();
+    }
+    await expect(Promise.all(accepted)).resolves.toHaveLength(22);
+  });
+});
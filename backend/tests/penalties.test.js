@@ -0,0 +1,82 @@
+/**
+ * Penalty calculation test suite
+ * @module tests/penaltiesTests
+ * @description Unit tests for grace periods, fee types, daily accrual and caps
+ * in utils/penalties, and applyInvoicePenalty with model calls stubbed
+ */
+
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const PenaltyEvent = require('../models/PenaltyEvent');
+const { calculatePenalty, applyInvoicePenalty } = require('../utils/penalties');
+
+jest.mock('../utils/allocation', () => ({
+  ...jest.requireActual('../utils/allocation'),
+  allocateTenantPayments: jest.fn(async () => {}),
+}));
+
+const invoice = { amount: 20000, amountPaid: 0, dueDate: new Date('2025-03-01T00:00:00') };
+const on = (day) => new Date(`2025-03-${day}T09:00:00`);
+
+describe('Late Payment Penalties', () => {
+  test('calculatePenalty - Charges nothing within the grace period', () => {
+    const rule = { graceDays: 5, feeType: 'flat', amount: 500, accrual: 'once' };
+    expect(calculatePenalty(rule, invoice, on('06'))).toEqual({ amount: 0, daysOverdue: 0, balance: 20000 });
+    expect(calculatePenalty(rule, invoice, on('07')).amount).toBe(500);
+  });
+
+  test('calculatePenalty - Charges a percentage of the outstanding balance', () => {
+    const rule = { graceDays: 0, feeType: 'percentage', amount: 5, accrual: 'once' };
+    expect(calculatePenalty(rule, { ...invoice, amountPaid: 8000 }, on('03')).amount).toBe(600);
+  });
+
+  test('calculatePenalty - Accrues daily up to the cap', () => {
+    const rule = { graceDays: 3, feeType: 'flat', amount: 100, accrual: 'daily', maxAmount: 1000 };
+    expect(calculatePenalty(rule, invoice, on('08'))).toMatchObject({ amount: 400, daysOverdue: 4 });
+    expect(calculatePenalty(rule, invoice, on('31')).amount).toBe(1000);
+  });
+
+  test('calculatePenalty - Caps at a percentage of the invoice amount', () => {
+    const rule = { graceDays: 0, feeType: 'percentage', amount: 1, accrual: 'daily', maxPercent: 10 };
+    expect(calculatePenalty(rule, invoice, on('06')).amount).toBe(1000);
+    expect(calculatePenalty(rule, invoice, on('25')).amount).toBe(2000);
+  });
+
+  test('calculatePenalty - Charges nothing once the invoice is settled', () => {
+    const rule = { graceDays: 0, feeType: 'flat', amount: 500, accrual: 'once' };
+    expect(calculatePenalty(rule, { ...invoice, amountPaid: 20000 }, on('20')).amount).toBe(0);
+  });
+
+  test('calculatePenalty - Keeps accruing at the lower rate after a partial payment', () => {
+    const rule = { graceDays: 0, feeType: 'percentage', amount: 1, accrual: 'daily' };
+    expect(calculatePenalty(rule, invoice, on('06')).amount).toBe(1000);
+
+    // 10,000 paid on the 6th: 100 a day from the 7th on top of the 1,000 already charged
+    const partlyPaid = { ...invoice, amountPaid: 10000 };
+    expect(calculatePenalty(rule, partlyPaid, on('07'), { amount: 1000, days: 5 }).amount).toBe(1100);
+    expect(calculatePenalty(rule, partlyPaid, on('10'), { amount: 1100, days: 6 }).amount).toBe(1400);
+    expect(calculatePenalty(rule, partlyPaid, on('10'), { amount: 1400, days: 9 }).amount).toBe(1400);
+  });
+
+  test('calculatePenalty - Charges a one-off fee only once', () => {
+    const rule = { graceDays: 0, feeType: 'percentage', amount: 5, accrual: 'once' };
+    expect(calculatePenalty(rule, invoice, on('03'), { amount: 1000, days: 1 }).amount).toBe(1000);
+  });
+
+  test('applyInvoicePenalty - Tops up only the days not yet charged for', async () => {
+    const rule = { _id: new mongoose.Types.ObjectId(), graceDays: 0, feeType: 'percentage', amount: 1, accrual: 'daily', invoiceTypes: ['rent'] };
+    const overdue = { ...invoice, _id: new mongoose.Types.ObjectId(), type: 'rent', amountPaid: 10000, invoiceNumber: 'INV-1' };
+    const existing = { _id: new mongoose.Types.ObjectId(), amount: 1000, waivedAmount: 0, penaltyDays: 5, status: 'Open' };
+    jest.spyOn(Invoice, 'findOne').mockResolvedValue(existing);
+    const topUp = jest.spyOn(Invoice, 'findOneAndUpdate').mockResolvedValue({ ...existing, amount: 1200 });
+    const events = jest.spyOn(PenaltyEvent, 'create').mockImplementation(async (doc) => doc);
+
+    const event = await applyInvoicePenalty(overdue, rule, on('08'));
+
+    expect(event).toMatchObject({ amount: 200, totalAfter: 1200, overdueBalance: 10000, daysOverdue: 7 });
+    expect(topUp.mock.calls[0][0]).toMatchObject({ _id: existing._id, amount: 1000 });
+    expect(topUp.mock.calls[0][1][0].$set).toMatchObject({ amount: { $add: ['$amount', 200] }, penaltyDays: 7 });
+    expect(events).toHaveBeenCalledTimes(1);
+    jest.restoreAllMocks();
+  });
+});
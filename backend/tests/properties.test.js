@@ -0,0 +1,247 @@
+/**
+ * Property test suite
+ * @module tests/propertyTests
+ * @description Unit tests for the property access rules in utils/properties;
+ * route tests for who may list, edit, delete and staff a property, and for
+ * unit occupancy while a lease is live, through routes/propertyRoutes.
+ * Models and storage are stubbed so no database is needed.
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Block = require('../models/Block');
+const Lease = require('../models/Lease');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const { managedPropertyFilter, canManageProperty, isPropertyOwner } = require('../utils/properties');
+const propertyRoutes = require('../routes/propertyRoutes');
+const { query, stubUsers, bearer, createApp } = require('./support');
+
+jest.mock('../storage', () => {
+  const storage = { remove: jest.fn(async () => {}) };
+  return { getStorage: () => storage };
+});
+
+const id = () => new mongoose.Types.ObjectId();
+const admin = { _id: id(), role: 'admin', name: 'Admin' };
+const landlord = { _id: id(), role: 'landlord', name: 'Wanjiku' };
+const otherLandlord = { _id: id(), role: 'landlord', name: 'Njoroge' };
+const agent = { _id: id(), role: 'agent', name: 'Otieno' };
+const otherAgent = { _id: id(), role: 'agent', name: 'Kamau' };
+const tenant = { _id: id(), role: 'tenant', name: 'Achieng' };
+const users = [admin, landlord, otherLandlord, agent, otherAgent, tenant];
+
+/** Wanjiku's property, managed day to day by Otieno; save() is stubbed */
+const buildProperty = () => {
+  const property = new Property({
+    title: 'Pandora Court',
+    propertyType: 'apartment',
+    owner: landlord._id,
+    agents: [agent._id],
+    address: { city: 'Nairobi', area: 'Kilimani' },
+  });
+  property.save = jest.fn(async () => property);
+  property.populate = jest.fn(async () => property);
+  property.deleteOne = jest.fn(async () => {});
+  return property;
+};
+
+describe('Property Access', () => {
+  const property = buildProperty();
+
+  test('managedPropertyFilter - Scopes landlords to what they own and agents to what they are assigned', () => {
+    expect(managedPropertyFilter(admin)).toEqual({});
+    expect(managedPropertyFilter(landlord)).toEqual({ owner: landlord._id });
+    expect(managedPropertyFilter(agent)).toEqual({ agents: agent._id });
+    expect(managedPropertyFilter(tenant)).toBeNull();
+  });
+
+  test('canManageProperty - Lets in the owner, assigned agents and admins', () => {
+    expect(canManageProperty(property, landlord)).toBe(true);
+    expect(canManageProperty(property, agent)).toBe(true);
+    expect(canManageProperty(property, admin)).toBe(true);
+    expect(canManageProperty(property, otherLandlord)).toBe(false);
+    expect(canManageProperty(property, otherAgent)).toBe(false);
+    expect(canManageProperty(property, tenant)).toBe(false);
+  });
+
+  test('isPropertyOwner - Leaves out agents', () => {
+    expect(isPropertyOwner(property, landlord)).toBe(true);
+    expect(isPropertyOwner(property, admin)).toBe(true);
+    expect(isPropertyOwner(property, agent)).toBe(false);
+    expect(isPropertyOwner(property, otherLandlord)).toBe(false);
+  });
+});
+
+describe('Property Routes', () => {
+  const app = createApp({ properties: propertyRoutes });
+  let property;
+
+  beforeEach(() => {
+    property = buildProperty();
+    stubUsers(users);
+    jest.spyOn(Property, 'findById').mockImplementation(async (propertyId) =>
+      (String(propertyId) === String(property._id) ? property : null));
+    jest.spyOn(Unit, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('GET /', () => {
+    beforeEach(() => {
+      jest.spyOn(Property, 'find').mockReturnValue(query([property]));
+      jest.spyOn(Property, 'countDocuments').mockResolvedValue(1);
+    });
+
+    test('Lists a landlord\'s own properties, whatever ownerId asks for', async () => {
+      const res = await request(app)
+        .get(`/api/v1/properties?ownerId=${otherLandlord._id}`)
+        .set('Authorization', bearer(landlord));
+
+      expect(res.status).toBe(200);
+      expect(Property.find).toHaveBeenCalledWith({ owner: landlord._id });
+    });
+
+    test('Lists only the properties an agent is assigned to', async () => {
+      const res = await request(app).get('/api/v1/properties').set('Authorization', bearer(agent));
+
+      expect(res.status).toBe(200);
+      expect(Property.find).toHaveBeenCalledWith({ agents: agent._id });
+    });
+
+    test('Refuses tenants', async () => {
+      const res = await request(app).get('/api/v1/properties').set('Authorization', bearer(tenant));
+
+      expect(res.status).toBe(403);
+      expect(Property.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /:id', () => {
+    const rename = (user) => request(app)
+      .patch(`/api/v1/properties/${property._id}`)
+      .set('Authorization', bearer(user))
+      .send({ title: 'Pandora Heights' });
+
+    test('Lets the owner and assigned agents edit', async () => {
+      expect((await rename(landlord)).status).toBe(200);
+      expect((await rename(agent)).status).toBe(200);
+      expect(property.title).toBe('Pandora Heights');
+      expect(property.save).toHaveBeenCalledTimes(2);
+    });
+
+    test('Refuses other landlords and unassigned agents', async () => {
+      const byLandlord = await rename(otherLandlord);
+      const byAgent = await rename(otherAgent);
+
+      expect(byLandlord.status).toBe(403);
+      expect(byAgent.status).toBe(403);
+      expect(byAgent.body).toEqual({ error: 'You do not manage this property' });
+      expect(property.title).toBe('Pandora Court');
+      expect(property.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    beforeEach(() => {
+      jest.spyOn(Unit, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(Unit, 'find').mockReturnValue(query([]));
+      jest.spyOn(Unit, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(Block, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    });
+
+    const remove = (user) => request(app).delete(`/api/v1/properties/${property._id}`).set('Authorization', bearer(user));
+
+    test('Is for the owner only', async () => {
+      const byAgent = await remove(agent);
+      const byLandlord = await remove(otherLandlord);
+
+      expect(byAgent.status).toBe(403);
+      expect(byAgent.body).toEqual({ error: 'Only the owner can delete a property' });
+      expect(byLandlord.status).toBe(403);
+      expect(property.deleteOne).not.toHaveBeenCalled();
+
+      expect((await remove(landlord)).status).toBe(200);
+      expect(property.deleteOne).toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /:id/agents', () => {
+    beforeEach(() => jest.spyOn(User, 'countDocuments').mockResolvedValue(1));
+
+    const assign = (user) => request(app)
+      .put(`/api/v1/properties/${property._id}/agents`)
+      .set('Authorization', bearer(user))
+      .send({ agentIds: [String(otherAgent._id)] });
+
+    test('Is for the owner only', async () => {
+      const byAgent = await assign(agent);
+      const byLandlord = await assign(otherLandlord);
+
+      expect(byAgent.status).toBe(403);
+      expect(byAgent.body).toEqual({ error: 'Only the owner can assign agents' });
+      expect(byLandlord.status).toBe(403);
+      expect(property.save).not.toHaveBeenCalled();
+
+      expect((await assign(landlord)).status).toBe(200);
+      expect(property.agents.map(String)).toEqual([String(otherAgent._id)]);
+    });
+  });
+
+  describe('PATCH /:id/units/:unitId', () => {
+    let unit;
+
+    beforeEach(() => {
+      unit = new Unit({
+        property: property._id,
+        unitNumber: 'A4',
+        unitType: 'bedsitter',
+        rent: 15000,
+        status: 'occupied',
+        tenant: tenant._id,
+      });
+      unit.save = jest.fn(async () => unit);
+      jest.spyOn(Unit, 'findOne').mockResolvedValue(unit);
+      jest.spyOn(User, 'exists').mockResolvedValue({ _id: tenant._id });
+    });
+
+    const update = (changes) => request(app)
+      .patch(`/api/v1/properties/${property._id}/units/${unit._id}`)
+      .set('Authorization', bearer(agent))
+      .send(changes);
+
+    test('Leaves the tenant and status to a live lease', async () => {
+      jest.spyOn(Lease, 'exists').mockResolvedValue({ _id: id() });
+
+      const vacated = await update({ status: 'vacant' });
+      const moved = await update({ tenantId: String(id()) });
+
+      expect(vacated.status).toBe(409);
+      expect(moved.status).toBe(409);
+      expect(Lease.exists).toHaveBeenCalledWith({ unit: unit._id, status: { $in: ['draft', 'pending_signature', 'active'] } });
+      expect(unit.save).not.toHaveBeenCalled();
+      expect(unit).toMatchObject({ status: 'occupied', tenant: tenant._id });
+    });
+
+    test('Still edits other fields under a live lease', async () => {
+      jest.spyOn(Lease, 'exists').mockResolvedValue({ _id: id() });
+
+      const res = await update({ rent: 16000, status: 'occupied', tenantId: String(tenant._id) });
+
+      expect(res.status).toBe(200);
+      expect(unit.rent).toBe(16000);
+      expect(unit.tenant).toEqual(tenant._id);
+    });
+
+    test('Sets the occupant by hand when no lease is live', async () => {
+      jest.spyOn(Lease, 'exists').mockResolvedValue(null);
+
+      const res = await update({ status: 'vacant' });
+
+      expect(res.status).toBe(200);
+      expect(unit.status).toBe('vacant');
+      expect(unit.tenant).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Receipt test suite
+ * @module tests/receiptTests
+ * @description Unit tests for the receipt template data in utils/receipts, and
+ * the unit and balance issueReceipt records (model calls stubbed)
+ */
+
+process.env.EMAIL_USER = process.env.EMAIL_USER || 'test@example.com';
+process.env.EMAIL_PASS = process.env.EMAIL_PASS || 'test-password';
+process.env.EMAIL_FROM = process.env.EMAIL_FROM || 'test@example.com';
+
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Lease = require('../models/Lease');
+const Payment = require('../models/Payment');
+const Receipt = require('../models/Receipt');
+const Unit = require('../models/Unit');
+const { describeUnit, buildReceiptView, issueReceipt } = require('../utils/receipts');
+const { renderTemplate } = require('../utils/pdf');
+
+/**
+ * Stubs a query chain (select/sort/populate/lean) resolving to value
+ * @param {*} value
+ */
+const chain = (value) => {
+  const query = Promise.resolve(value);
+  for (const method of ['select', 'sort', 'populate', 'lean']) query[method] = () => query;
+  return query;
+};
+
+/**
+ * Receipt snapshot as stored by issueReceipt
+ * @constant {Object} receipt
+ */
+const receipt = {
+  receiptNumber: 'RCT-202503-A1B2C3',
+  tenantName: 'Jane Wanjiku',
+  unit: 'Block B, Unit 4',
+  mpesaReceiptNumber: 'NLJ7RT61SV',
+  amount: 15000,
+  balanceAfter: 2500.5,
+  paidAt: new Date(2025, 2, 5, 9, 30),
+  createdAt: new Date(2025, 2, 5, 9, 31),
+};
+
+describe('Payment Receipts', () => {
+  test('buildReceiptView - Formats amounts and dates', () => {
+    expect(buildReceiptView(receipt)).toMatchObject({
+      receiptNumber: 'RCT-202503-A1B2C3',
+      amount: '15,000.00',
+      balance: '2,500.50',
+      inCredit: false,
+      paidOn: '5 Mar 2025, 09:30',
+    });
+  });
+
+  test('buildReceiptView - Shows overpayment as credit', () => {
+    const view = buildReceiptView({ ...receipt, balanceAfter: -1200, mpesaReceiptNumber: undefined });
+    expect(view).toMatchObject({ balance: '1,200.00', inCredit: true, mpesaReceiptNumber: 'N/A' });
+  });
+
+  test('paymentReceipt template - Renders the receipt details', async () => {
+    const html = await renderTemplate('paymentReceipt', buildReceiptView(receipt));
+    expect(html).toContain('RCT-202503-A1B2C3');
+    expect(html).toContain('NLJ7RT61SV');
+    expect(html).toContain('Balance after payment');
+  });
+
+  test('describeUnit - Names the unit, block and property', () => {
+    expect(describeUnit({ unitNumber: 'A12', block: { name: 'B' }, property: { title: 'Pandora Court' } }))
+      .toBe('Unit A12, Block B, Pandora Court');
+    expect(describeUnit({ unitNumber: '4', property: { title: 'Kilimani Flats' } })).toBe('Unit 4, Kilimani Flats');
+    expect(describeUnit(null)).toBe('N/A');
+  });
+
+  describe('issueReceipt', () => {
+    const tenantId = new mongoose.Types.ObjectId();
+    const paidAt = new Date('2025-03-05T06:30:00Z');
+    const payment = (fields) => ({
+      _id: new mongoose.Types.ObjectId(),
+      user: { _id: tenantId, name: 'Jane Wanjiku' },
+      status: 'Completed',
+      amount: 15000,
+      mpesaReceiptNumber: 'NLJ7RT61SV',
+      transactionDate: paidAt,
+      ...fields,
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Receipt, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Receipt, 'create').mockImplementation(async (doc) => doc);
+      jest.spyOn(Lease, 'findOne').mockReturnValue(chain({ unit: 'unit-1' }));
+      jest.spyOn(Unit, 'findOne').mockReturnValue(chain({ unitNumber: 'A12', property: { title: 'Pandora Court' } }));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('Uses the unit leased when the payment was made', async () => {
+      jest.spyOn(Payment, 'findById').mockReturnValue(chain(payment({ balanceAfter: 0 })));
+
+      const issued = await issueReceipt('p1');
+
+      expect(Lease.findOne.mock.calls[0][0]).toMatchObject({ tenant: tenantId, startDate: { $lte: paidAt } });
+      expect(Unit.findOne).toHaveBeenCalledWith({ _id: 'unit-1' });
+      expect(issued.unit).toBe('Unit A12, Pandora Court');
+    });
+
+    test('Keeps the balance recorded when the payment completed', async () => {
+      jest.spyOn(Payment, 'findById').mockReturnValue(chain(payment({ balanceAfter: -1200 })));
+      const invoices = jest.spyOn(Invoice, 'find');
+
+      await expect(issueReceipt('p1')).resolves.toMatchObject({ balanceAfter: -1200, paidAt });
+      expect(invoices).not.toHaveBeenCalled();
+    });
+
+    test('Works out the balance as of the payment for older payments', async () => {
+      jest.spyOn(Payment, 'findById').mockReturnValue(chain(payment()));
+      const invoices = jest.spyOn(Invoice, 'find').mockReturnValue(chain([{ amount: 20000 }]));
+      const payments = jest.spyOn(Payment, 'find').mockReturnValue(chain([{ amount: 15000 }, { amount: 1000, paidAmount: 1000 }]));
+
+      await expect(issueReceipt('p1')).resolves.toMatchObject({ balanceAfter: 4000 });
+      expect(invoices.mock.calls[0][0].createdAt).toEqual({ $lte: paidAt });
+      expect(payments.mock.calls[0][0].$or[0]).toEqual({ transactionDate: { $lte: paidAt } });
+    });
+  });
+});
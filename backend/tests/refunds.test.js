@@ -0,0 +1,207 @@
+/**
+ * Refund test suite
+ * @module tests/refundsTests
+ * @description Behaviour tests for the refund workflow in utils/refunds: the
+ * second-approval threshold, self-approval, and rebuilding the tenant's
+ * allocations once a refund settles. Payments and refunds live in in-memory
+ * stand-ins; Daraja and allocation are stubbed.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { reverseTransaction } = require('../utils/mpesa');
+const { reallocateTenant } = require('../utils/allocation');
+const { getLandlordBalance } = require('../utils/payouts');
+const {
+  settings,
+  requiresSecondApproval,
+  requestRefund,
+  approveRefund,
+  applyReversalResult,
+} = require('../utils/refunds');
+
+jest.mock('../utils/mpesa', () => ({
+  ...jest.requireActual('../utils/mpesa'),
+  reverseTransaction: jest.fn(),
+}));
+jest.mock('../utils/allocation', () => ({
+  ...jest.requireActual('../utils/allocation'),
+  reallocateTenant: jest.fn(async () => {}),
+}));
+jest.mock('../utils/payouts', () => ({
+  ...jest.requireActual('../utils/payouts'),
+  getLandlordBalance: jest.fn(async () => ({ collected: 0, paidOut: 0, available: 0 })),
+}));
+
+/**
+ * Whether a stored document matches the parts of a Mongo filter the service uses
+ * @param {Object} doc
+ * @param {Object} filter
+ * @returns {boolean}
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some((branch) => matches(doc, branch));
+  if (condition && condition.$exists !== undefined) return (doc[key] !== undefined) === condition.$exists;
+  if (condition && condition.$in) return condition.$in.includes(doc[key]);
+  return String(doc[key]) === String(condition);
+});
+
+describe('Refunds', () => {
+  const requester = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  const approver = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+  const tenantId = new mongoose.Types.ObjectId();
+  const landlordId = new mongoose.Types.ObjectId();
+  let payment;
+  let refunds;
+
+  /** Applies an update to a stored document, as findOneAndUpdate would */
+  const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    Object.keys(update.$unset || {}).forEach((key) => { doc[key] = undefined; });
+    return doc;
+  };
+
+  const completedPayment = (amount) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user: tenantId,
+    landlord: landlordId,
+    provider: 'mpesa',
+    amount,
+    paidAmount: amount,
+    mpesaReceiptNumber: 'NLJ7RT61SV',
+    status: 'Completed',
+  });
+
+  beforeEach(() => {
+    payment = completedPayment(3000);
+    refunds = [];
+
+    jest.spyOn(Payment, 'findById').mockImplementation(async (id) => (String(id) === String(payment._id) ? payment : null));
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) =>
+      (matches(payment, filter) ? { ...apply(payment, update) } : null));
+    jest.spyOn(Payment, 'updateOne').mockImplementation(async (filter, update) => {
+      if (matches(payment, filter)) apply(payment, update);
+    });
+
+    jest.spyOn(Refund, 'create').mockImplementation(async (doc) => {
+      const refund = new Refund(doc);
+      refunds.push(refund);
+      return refund;
+    });
+    jest.spyOn(Refund, 'findById').mockImplementation(async (id) => refunds.find((r) => String(r._id) === String(id)) || null);
+    jest.spyOn(Refund, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const refund = refunds.find((r) => matches(r, filter));
+      return refund ? apply(refund, update) : null;
+    });
+    jest.spyOn(Refund, 'deleteOne').mockImplementation(async ({ _id }) => {
+      refunds = refunds.filter((r) => String(r._id) !== String(_id));
+    });
+    jest.spyOn(Refund.prototype, 'save').mockImplementation(async function save() {
+      return this;
+    });
+
+    reverseTransaction.mockResolvedValue({
+      ResponseCode: '0',
+      ConversationID: 'AG_20250301_0000798f5f9a8b0c1d2e',
+      OriginatorConversationID: '29112-3456789-1',
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    reverseTransaction.mockReset();
+    reallocateTenant.mockClear();
+    getLandlordBalance.mockClear();
+  });
+
+  test('requiresSecondApproval - Applies above the threshold only', () => {
+    expect(requiresSecondApproval(settings.approvalThreshold)).toBe(false);
+    expect(requiresSecondApproval(settings.approvalThreshold + 1)).toBe(true);
+  });
+
+  test('requestRefund - Executes refunds up to the threshold straight away', async () => {
+    payment = completedPayment(settings.approvalThreshold);
+
+    const refund = await requestRefund({ paymentId: payment._id, method: 'reversal', reason: 'Paid twice' }, requester);
+
+    expect(refund).toMatchObject({ status: 'Processing', approvedBy: requester._id, conversationId: 'AG_20250301_0000798f5f9a8b0c1d2e' });
+    expect(reverseTransaction).toHaveBeenCalledWith(expect.objectContaining({
+      transactionId: 'NLJ7RT61SV',
+      amount: settings.approvalThreshold,
+    }));
+    expect(payment.refund).toEqual(refund._id);
+  });
+
+  test('requestRefund - Holds larger refunds for a second admin', async () => {
+    payment = completedPayment(settings.approvalThreshold + 1);
+
+    const refund = await requestRefund({ paymentId: payment._id, method: 'reversal', reason: 'Paid twice' }, requester);
+
+    expect(refund.status).toBe('PendingApproval');
+    expect(refund.approvedBy).toBeUndefined();
+    expect(reverseTransaction).not.toHaveBeenCalled();
+    // The payment is claimed all the same, so no second refund can be raised meanwhile
+    await expect(requestRefund({ paymentId: payment._id, method: 'reversal', reason: 'Again' }, approver))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(refunds).toEqual([refund]);
+  });
+
+  test('approveRefund - Refuses the admin who requested it', async () => {
+    payment = completedPayment(settings.approvalThreshold + 1);
+    const refund = await requestRefund({ paymentId: payment._id, method: 'reversal', reason: 'Paid twice' }, requester);
+
+    await expect(approveRefund(refund._id, requester)).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Refunds must be approved by a different admin',
+    });
+    expect(refund.status).toBe('PendingApproval');
+    expect(reverseTransaction).not.toHaveBeenCalled();
+
+    const approved = await approveRefund(refund._id, approver);
+    expect(approved).toMatchObject({ status: 'Processing', approvedBy: approver._id });
+    expect(reverseTransaction).toHaveBeenCalledTimes(1);
+    await expect(approveRefund(refund._id, approver)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('requestRefund - Settles a manual refund and rebuilds the tenant\'s allocations', async () => {
+    const refund = await requestRefund({
+      paymentId: payment._id,
+      method: 'manual',
+      reason: 'Moved out before the lease started',
+      externalReference: 'EFT-20250301-0042',
+    }, requester);
+
+    expect(refund).toMatchObject({ status: 'Completed', method: 'manual' });
+    expect(payment.status).toBe('Refunded');
+    expect(reallocateTenant).toHaveBeenCalledWith(tenantId);
+    expect(getLandlordBalance).toHaveBeenCalledWith(landlordId);
+  });
+
+  test('applyReversalResult - Reverses the payment and reallocates once Safaricom confirms', async () => {
+    const refund = await requestRefund({ paymentId: payment._id, method: 'reversal', reason: 'Paid twice' }, requester);
+    expect(reallocateTenant).not.toHaveBeenCalled();
+
+    await applyReversalResult({
+      ResultCode: 0,
+      ResultDesc: 'The service request is processed successfully.',
+      ConversationID: refund.conversationId,
+      TransactionID: 'NLJ41HAY6Q',
+    });
+
+    expect(refund).toMatchObject({ status: 'Completed', transactionId: 'NLJ41HAY6Q' });
+    expect(payment.status).toBe('Reversed');
+    expect(reallocateTenant).toHaveBeenCalledTimes(1);
+    expect(reallocateTenant).toHaveBeenCalledWith(tenantId);
+  });
+
+  test('applyReversalResult - Releases the payment without reallocating when the reversal fails', async () => {
+    const refund = await requestRefund({ paymentId: payment._id, method: 'reversal', reason: 'Paid twice' }, requester);
+
+    await applyReversalResult({ ResultCode: 2001, ResultDesc: 'The initiator information is invalid.', ConversationID: refund.conversationId });
+
+    expect(refund.status).toBe('Failed');
+    expect(payment).toMatchObject({ status: 'Completed', refund: undefined });
+    expect(reallocateTenant).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Storage driver test suite
+ * @module tests/storageTests
+ * @description Local disk driver round trips and signed links, S3 driver key
+ * layout and presigned URLs (no bucket needed), and driver selection.
+ * Set S3_TEST_ENDPOINT (e.g. http://localhost:9000 for MinIO) to also run a
+ * round trip against a real bucket.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorageDriver = require('../storage/localDriver');
+const S3StorageDriver = require('../storage/s3Driver');
+const { createStorage } = require('../storage');
+
+describe('Storage', () => {
+  let root;
+  let local;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    local = new LocalStorageDriver({
+      publicDir: path.join(root, 'public'),
+      privateDir: path.join(root, 'private'),
+      signingSecret: 'test-secret',
+    });
+  });
+
+  afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('local put - Writes public files where profile photos always lived', async () => {
+    const stored = await local.put('img/users/user-1.jpeg', Buffer.from('photo'));
+
+    expect(stored).toEqual({ key: 'img/users/user-1.jpeg', url: '/uploads/img/users/user-1.jpeg' });
+    expect(fs.readFileSync(path.join(root, 'public/img/users/user-1.jpeg'), 'utf8')).toBe('photo');
+    await expect(local.get('img/users/user-1.jpeg')).resolves.toEqual(Buffer.from('photo'));
+  });
+
+  test('local put - Keeps private files out of the public directory', async () => {
+    const stored = await local.put('leases/l1.pdf', Buffer.from('pdf'), { visibility: 'private' });
+
+    expect(stored.url).toBeUndefined();
+    expect(fs.existsSync(path.join(root, 'public/leases/l1.pdf'))).toBe(false);
+    await expect(local.get('leases/l1.pdf', { visibility: 'private' })).resolves.toEqual(Buffer.from('pdf'));
+  });
+
+  test('local remove - Ignores missing files', async () => {
+    await local.put('a/b.txt', Buffer.from('x'));
+    await local.remove('a/b.txt');
+    await local.remove('a/b.txt');
+    await expect(local.get('a/b.txt')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('local - Rejects keys that leave the storage root', async () => {
+    await expect(local.put('../escape.txt', Buffer.from('x'))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(local.put('a//b.txt', Buffer.from('x'))).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('local signedUrl - Verifies untouched links until they expire', async () => {
+    const url = new URL(await local.signedUrl('leases/l1.pdf', { expiresIn: 60, filename: 'lease.pdf' }), 'http://api');
+    const query = Object.fromEntries(url.searchParams);
+
+    expect(url.pathname).toBe('/api/v1/files/leases/l1.pdf');
+    expect(local.verifySignedUrl('leases/l1.pdf', query)).toBe(true);
+    expect(local.verifySignedUrl('leases/l2.pdf', query)).toBe(false);
+    expect(local.verifySignedUrl('leases/l1.pdf', { ...query, filename: 'other.pdf' })).toBe(false);
+    expect(local.verifySignedUrl('leases/l1.pdf', { ...query, expires: String(Number(query.expires) + 60) })).toBe(false);
+    expect(local.verifySignedUrl('leases/l1.pdf', { ...query, expires: '1000' })).toBe(false);
+  });
+
+  test('s3 - Prefixes keys by visibility and builds path-style URLs', () => {
+    const s3 = new S3StorageDriver({
+      bucket: 'pandora',
+      endpoint: 'http://localhost:9000',
+      forcePathStyle: true,
+      accessKeyId: 'minioadmin',
+      secretAccessKey: 'minioadmin',
+    });
+
+    expect(s3.objectKey('listings/p/1.webp')).toBe('public/listings/p/1.webp');
+    expect(s3.objectKey('leases/l1.pdf', 'private')).toBe('private/leases/l1.pdf');
+    expect(s3.publicUrl('listings/p/1.webp')).toBe('http://localhost:9000/pandora/public/listings/p/1.webp');
+  });
+
+  test('s3 signedUrl - Presigns private reads', async () => {
+    const s3 = new S3StorageDriver({
+      bucket: 'pandora',
+      region: 'eu-west-1',
+      accessKeyId: 'AKIDEXAMPLE',
+      secretAccessKey: 'secret',
+    });
+
+    const url = new URL(await s3.signedUrl('leases/l1.pdf', { expiresIn: 300, filename: 'lease.pdf' }));
+    expect(url.host).toBe('pandora.s3.eu-west-1.amazonaws.com');
+    expect(url.pathname).toBe('/private/leases/l1.pdf');
+    expect(url.searchParams.get('X-Amz-Expires')).toBe('300');
+    expect(url.searchParams.get('response-content-disposition')).toBe('attachment; filename="lease.pdf"');
+  });
+
+  test('createStorage - Selects the driver from STORAGE_DRIVER', () => {
+    expect(createStorage({ JWT_SECRET: 'x' }).name).toBe('local');
+    expect(createStorage({ STORAGE_DRIVER: 's3', S3_BUCKET: 'b' }).name).toBe('s3');
+    expect(() => createStorage({ STORAGE_DRIVER: 'ftp' })).toThrow('Unknown STORAGE_DRIVER');
+  });
+
+  (process.env.S3_TEST_ENDPOINT ? test : test.skip)('s3 - Round trip against S3_TEST_ENDPOINT', async () => {
+    const s3 = new S3StorageDriver({
+      bucket: process.env.S3_TEST_BUCKET || 'pandora',
+      endpoint: process.env.S3_TEST_ENDPOINT,
+      forcePathStyle: true,
+      accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || 'minioadmin',
+      secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || 'minioadmin',
+    });
+
+    await s3.put('tests/round-trip.txt', Buffer.from('hello'), { visibility: 'private', contentType: 'text/plain' });
+    await expect(s3.get('tests/round-trip.txt', { visibility: 'private' })).resolves.toEqual(Buffer.from('hello'));
+    await s3.remove('tests/round-trip.txt', { visibility: 'private' });
+    await expect(s3.get('tests/round-trip.txt', { visibility: 'private' })).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
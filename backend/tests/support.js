@@ -0,0 +1,59 @@
+/**
+ * Shared test helpers
+ * @module tests/support
+ * @description Stubs for Mongoose query chains and the signed-in user, and an
+ * Express app mounting routers at their /api/v1 paths, for suites that run
+ * without a database. Not a test file itself.
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+/**
+ * A query that can be awaited directly or after any of the chained
+ * select/lean/populate/sort/skip/limit calls
+ * @param {*} value - What the query resolves to
+ * @returns {Promise}
+ */
+const query = (value) => {
+  const chain = Promise.resolve(value);
+  for (const method of ['select', 'lean', 'populate', 'sort', 'skip', 'limit']) chain[method] = () => chain;
+  return chain;
+};
+
+/**
+ * Stubs User.findById and User.find({ _id: { $in } }) with a fixed set of users,
+ * which is what authenticateMiddleware and the services look users up with
+ * @param {Object[]} users
+ */
+const stubUsers = (users) => {
+  const byId = (userId) => users.find((user) => String(user._id) === String(userId)) || null;
+  jest.spyOn(User, 'findById').mockImplementation((userId) => query(byId(userId)));
+  jest.spyOn(User, 'find').mockImplementation(({ _id } = {}) =>
+    query(_id && _id.$in ? _id.$in.map(byId).filter(Boolean) : users));
+};
+
+/**
+ * Authorization header for a user, as the client sends after login
+ * @param {Object} user - Needs _id
+ * @returns {string}
+ */
+const bearer = (user) => `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}`;
+
+/**
+ * Builds an app with the given routers mounted under /api/v1, as server.js
+ * mounts them
+ * @param {Object<string, express.Router>} routers - e.g. { maintenance: maintenanceRoutes }
+ * @returns {express.Application}
+ */
+const createApp = (routers) => {
+  const app = express();
+  app.use(express.json());
+  for (const [path, router] of Object.entries(routers)) app.use(`/api/v1/${path}`, router);
+  return app;
+};
+
+module.exports = { query, stubUsers, bearer, createApp };
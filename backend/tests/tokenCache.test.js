@@ -0,0 +1,97 @@
+/**
+ * Token cache test suite
+ * @module tests/tokenCacheTests
+ * @description Single-flight refresh, sharing through the store, waiting on
+ * another process's refresh lock and retrying failed token requests.
+ */
+
+const { createTokenCache, createMemoryStore } = require('../utils/tokenCache');
+
+/**
+ * Token fetcher that counts calls and can be told to fail first
+ * @param {Object} [options]
+ * @param {Error[]} [options.failures] - Errors thrown by the first calls
+ * @param {number} [options.delayMs=20] - Simulated OAuth latency
+ */
+const createFetcher = ({ failures = [], delayMs = 20 } = {}) => {
+  const fetcher = jest.fn(async () => {
+    await new Promise((resolve) => setTimeout(resolve, delayMs));
+    const failure = failures.shift();
+    if (failure) throw failure;
+    return { token: `token-${fetcher.mock.calls.length}`, expiresInSeconds: 3599 };
+  });
+  return fetcher;
+};
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+describe('Token Cache', () => {
+  test('getToken - Concurrent callers share a single refresh', async () => {
+    const fetchToken = createFetcher();
+    const cache = createTokenCache({ key: 'test:token', fetchToken, store: createMemoryStore() });
+
+    const tokens = await Promise.all(Array.from({ length: 5 }, () => cache.getToken()));
+
+    expect(new Set(tokens)).toEqual(new Set(['token-1']));
+    expect(fetchToken).toHaveBeenCalledTimes(1);
+    await expect(cache.getToken()).resolves.toBe('token-1');
+    expect(fetchToken).toHaveBeenCalledTimes(1);
+  });
+
+  test('getToken - Processes sharing a store reuse each other\'s token', async () => {
+    const store = createMemoryStore();
+    const first = createFetcher();
+    const second = createFetcher();
+
+    await createTokenCache({ key: 'test:token', fetchToken: first, store }).getToken();
+    const token = await createTokenCache({ key: 'test:token', fetchToken: second, store }).getToken();
+
+    expect(token).toBe('token-1');
+    expect(second).not.toHaveBeenCalled();
+  });
+
+  test('getToken - Waits for another process holding the refresh lock', async () => {
+    const store = createMemoryStore();
+    const fetchToken = createFetcher();
+    const cache = createTokenCache({ key: 'test:token', fetchToken, store });
+
+    // Another replica is mid-refresh
+    await store.acquire('test:token:lock', 'other-replica', 5000);
+    setTimeout(() => {
+      const entry = { token: 'from-other-replica', fetchedAt: Date.now(), expiresAt: Date.now() + 3599000 };
+      store.set('test:token', JSON.stringify(entry), 3599000);
+    }, 150);
+
+    await expect(cache.getToken()).resolves.toBe('from-other-replica');
+    expect(fetchToken).not.toHaveBeenCalled();
+  });
+
+  test('getToken - Retries network and server errors with backoff', async () => {
+    const fetchToken = createFetcher({ failures: [new Error('socket hang up'), httpError(503)] });
+    const cache = createTokenCache({ key: 'test:token', fetchToken, store: createMemoryStore(), retryDelayMs: 1 });
+
+    await expect(cache.getToken()).resolves.toBe('token-3');
+    expect(fetchToken).toHaveBeenCalledTimes(3);
+  });
+
+  test('getToken - Does not retry rejected credentials', async () => {
+    const fetchToken = createFetcher({ failures: [httpError(400)] });
+    const cache = createTokenCache({ key: 'test:token', fetchToken, store: createMemoryStore(), retryDelayMs: 1 });
+
+    await expect(cache.getToken()).rejects.toThrow('status code 400');
+    expect(fetchToken).toHaveBeenCalledTimes(1);
+  });
+
+  test('getStatus - Reports the cached token\'s age and remaining lifetime', async () => {
+    const cache = createTokenCache({ key: 'test:token', fetchToken: createFetcher(), store: createMemoryStore() });
+    await expect(cache.getStatus()).resolves.toMatchObject({ store: 'memory', cached: false });
+
+    await cache.getToken();
+    const status = await cache.getStatus();
+    expect(status).toMatchObject({ store: 'memory', cached: true, ageSeconds: 0 });
+    expect(status.expiresInSeconds).toBeGreaterThan(3500);
+
+    await cache.invalidate();
+    await expect(cache.getStatus()).resolves.toMatchObject({ cached: false });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Vacancy search test suite
+ * @module tests/unitSearchTests
+ * @description Unit tests for how utils/unitSearch turns query parameters
+ * into Mongo filters, counts and sort orders
+ */
+
+const { buildUnitSearch } = require('../utils/unitSearch');
+
+describe('Unit Search', () => {
+  test('buildUnitSearch - Only returns vacant units of listed properties', () => {
+    const { filter, sort } = buildUnitSearch({});
+    expect(filter).toEqual({ status: 'vacant', 'listing.active': true });
+    expect(sort).toEqual({ createdAt: -1 });
+  });
+
+  test('buildUnitSearch - Applies price, bedroom, type and amenity filters', () => {
+    const { filter } = buildUnitSearch({
+      minRent: '10000',
+      maxRent: '25000',
+      bedrooms: '2',
+      propertyType: 'apartment, Townhouse',
+      amenities: 'parking,borehole',
+    });
+    expect(filter).toMatchObject({
+      rent: { $gte: 10000, $lte: 25000 },
+      bedrooms: { $gte: 2 },
+      'listing.propertyType': { $in: ['apartment', 'townhouse'] },
+      'listing.amenities': { $all: ['parking', 'borehole'] },
+    });
+  });
+
+  test('buildUnitSearch - Sorts text searches by relevance', () => {
+    const { filter, sort, select } = buildUnitSearch({ q: 'kilimani' });
+    expect(filter.$text).toEqual({ $search: 'kilimani' });
+    expect(sort).toEqual({ score: { $meta: 'textScore' } });
+    expect(select.score).toEqual({ $meta: 'textScore' });
+  });
+
+  test('buildUnitSearch - Radius search uses $near but counts with $geoWithin', () => {
+    const { filter, countFilter, sort } = buildUnitSearch({ lat: '-1.29', lng: '36.78', radiusKm: '2' });
+    expect(filter['listing.location'].$near).toEqual({
+      $geometry: { type: 'Point', coordinates: [36.78, -1.29] },
+      $maxDistance: 2000,
+    });
+    expect(countFilter['listing.location'].$geoWithin.$centerSphere[0]).toEqual([36.78, -1.29]);
+    expect(sort).toBeUndefined();
+  });
+
+  test('buildUnitSearch - Text inside a radius avoids $near', () => {
+    const { filter } = buildUnitSearch({ q: 'studio', lat: '-1.29', lng: '36.78', sort: 'distance' });
+    expect(filter['listing.location'].$geoWithin).toBeDefined();
+    expect(filter['listing.location'].$near).toBeUndefined();
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Viewing scheduling test suite
+ * @module tests/viewingsTests
+ * @description Unit tests for splitting availability into slots and timing
+ * reminders in utils/viewings, and behaviour tests for publishing slots and
+ * booking them against in-memory stand-ins for the models
+ */
+
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Lock = require('../models/Lock');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const Viewing = require('../models/Viewing');
+const ViewingSlot = require('../models/ViewingSlot');
+const {
+  splitWindow,
+  reminderTimes,
+  createSlots,
+  cancelSlot,
+  bookViewing,
+  getViewingForUser,
+  recordOutcome,
+} = require('../utils/viewings');
+const { query } = require('./support');
+
+jest.mock('../queues/viewingQueue', () => ({ add: jest.fn(async () => ({})) }));
+
+const at = (time) => new Date(`2025-03-01T${time}:00Z`);
+
+describe('Viewings', () => {
+  test('splitWindow - Cuts a window into back-to-back slots', () => {
+    const slots = splitWindow(at('09:00'), at('10:00'), 30);
+    expect(slots).toEqual([
+      { start: at('09:00'), end: at('09:30') },
+      { start: at('09:30'), end: at('10:00') },
+    ]);
+  });
+
+  test('splitWindow - Drops a remainder shorter than a slot', () => {
+    expect(splitWindow(at('09:00'), at('10:10'), 30)).toHaveLength(2);
+  });
+
+  test('splitWindow - Uses the whole window without a duration', () => {
+    expect(splitWindow(at('09:00'), at('09:45'))).toEqual([{ start: at('09:00'), end: at('09:45') }]);
+  });
+
+  test('splitWindow - Rejects empty and oversized windows', () => {
+    expect(() => splitWindow(at('10:00'), at('09:00'), 30)).toThrow('end must be after start');
+    expect(() => splitWindow(at('09:00'), at('09:20'), 30)).toThrow('shorter than one slot');
+    expect(() => splitWindow(at('00:00'), at('23:59'), 10)).toThrow('At most 50 slots');
+  });
+
+  test('reminderTimes - Only returns reminders still in the future', () => {
+    const viewing = new Date('2025-03-02T10:00:00Z');
+    expect(reminderTimes(viewing, new Date('2025-03-01T08:00:00Z'), [24, 2])).toEqual([
+      { hours: 24, at: new Date('2025-03-01T10:00:00Z') },
+      { hours: 2, at: new Date('2025-03-02T08:00:00Z') },
+    ]);
+    expect(reminderTimes(viewing, new Date('2025-03-01T12:00:00Z'), [24, 2])).toHaveLength(1);
+  });
+});
+
+/** Resolves after pending callbacks have run, so concurrent calls interleave */
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+const overlaps = (slot, filter) =>
+  String(slot.agent) === String(filter.agent)
+  && slot.status !== 'cancelled'
+  && slot.start < filter.start.$lt
+  && slot.end > filter.end.$gt;
+
+describe('Viewing Bookings', () => {
+  const landlord = { _id: new mongoose.Types.ObjectId(), role: 'landlord' };
+  const agent = { _id: new mongoose.Types.ObjectId(), role: 'agent' };
+  const otherAgent = { _id: new mongoose.Types.ObjectId(), role: 'agent' };
+  const tenant = { _id: new mongoose.Types.ObjectId(), role: 'tenant' };
+  const property = { _id: new mongoose.Types.ObjectId(), owner: landlord._id, agents: [agent._id] };
+  const unit = { _id: new mongoose.Types.ObjectId(), property: property._id };
+  const tomorrow = moment().add(1, 'day').startOf('day');
+  const window = (fromHour, toHour) => ({
+    propertyId: property._id,
+    start: tomorrow.clone().hour(fromHour).toDate(),
+    end: tomorrow.clone().hour(toHour).toDate(),
+    durationMinutes: 30,
+  });
+
+  let slots;
+  let locks;
+  let viewings;
+
+  beforeEach(() => {
+    slots = [];
+    locks = new Map();
+    viewings = [];
+
+    jest.spyOn(Property, 'findById').mockImplementation((id) =>
+      query(String(id) === String(property._id) ? property : null));
+    jest.spyOn(Unit, 'findOne').mockReturnValue(query(unit));
+
+    // Slots and locks behave like the collections, one await per round trip
+    jest.spyOn(ViewingSlot, 'findOne').mockImplementation((filter) => ({
+      select: async () => {
+        await tick();
+        return slots.find((slot) => overlaps(slot, filter)) || null;
+      },
+    }));
+    jest.spyOn(ViewingSlot, 'insertMany').mockImplementation(async (docs) => {
+      await tick();
+      const created = docs.map((doc) => ({ _id: new mongoose.Types.ObjectId(), status: 'open', ...doc }));
+      slots.push(...created);
+      return created;
+    });
+    jest.spyOn(ViewingSlot, 'findById').mockImplementation((id) =>
+      query(slots.find((slot) => String(slot._id) === String(id)) || null));
+    jest.spyOn(ViewingSlot, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      await tick();
+      const slot = slots.find((s) => String(s._id) === String(filter._id)
+        && s.status === filter.status && s.start > filter.start.$gt);
+      if (!slot) return null;
+      Object.assign(slot, update.$set);
+      return { ...slot };
+    });
+    jest.spyOn(ViewingSlot, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    jest.spyOn(Lock, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      await tick();
+      const held = locks.get(filter._id);
+      if (held && held.expiresAt > filter.expiresAt.$lte) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      locks.set(filter._id, update.$set);
+    });
+    jest.spyOn(Lock, 'deleteOne').mockImplementation(async ({ _id, owner }) => {
+      if (locks.get(_id)?.owner === owner) locks.delete(_id);
+    });
+
+    jest.spyOn(Viewing, 'exists').mockImplementation(async (filter) => {
+      await tick();
+      return viewings.find((viewing) => String(viewing.tenant) === String(filter.tenant)
+        && viewing.status === filter.status
+        && viewing.scheduledAt < filter.scheduledAt.$lt
+        && viewing.endsAt > filter.endsAt.$gt) || null;
+    });
+    jest.spyOn(Viewing, 'create').mockImplementation(async (doc) => {
+      await tick();
+      const viewing = { _id: new mongoose.Types.ObjectId(), status: 'scheduled', rescheduleCount: 0, ...doc };
+      viewings.push(viewing);
+      return viewing;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('createSlots - Splits the window and assigns the host', async () => {
+    const created = await createSlots(agent, window(9, 10));
+    expect(created).toHaveLength(2);
+    expect(created.every((slot) => slot.agent === agent._id)).toBe(true);
+  });
+
+  test('createSlots - Rejects a window overlapping the host\'s existing slots', async () => {
+    await createSlots(agent, window(9, 10));
+    await expect(createSlots(agent, window(9, 11))).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('createSlots - Lets only one of two simultaneous overlapping requests through', async () => {
+    const results = await Promise.allSettled([
+      createSlots(agent, window(9, 10)),
+      createSlots(landlord, { ...window(9, 11), agentId: agent._id }),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find((result) => result.status === 'rejected').reason.message).toMatch('Overlaps an existing slot');
+    expect(slots).toHaveLength(2);
+    expect(locks.size).toBe(0);
+  });
+
+  test('createSlots - Does not hold up other hosts', async () => {
+    const own = { _id: property._id, owner: landlord._id, agents: [agent._id, otherAgent._id] };
+    Property.findById.mockImplementation(() => query(own));
+
+    await Promise.all([createSlots(agent, window(9, 10)), createSlots(otherAgent, window(9, 10))]);
+    expect(slots).toHaveLength(4);
+  });
+
+  test('createSlots - Only lets the property\'s staff publish, and agents only for themselves', async () => {
+    await expect(createSlots(otherAgent, window(9, 10))).rejects.toMatchObject({ statusCode: 403 });
+    await expect(createSlots(agent, { ...window(9, 10), agentId: landlord._id }))
+      .rejects.toThrow('Agents can only add their own slots');
+    await expect(createSlots(landlord, { ...window(9, 10), agentId: otherAgent._id }))
+      .rejects.toThrow('The host must be the owner or an agent of the property');
+    expect(slots).toHaveLength(0);
+  });
+
+  test('bookViewing - Books a contended slot exactly once', async () => {
+    const [slot] = await createSlots(agent, window(9, 10));
+    const rival = { _id: new mongoose.Types.ObjectId(), role: 'tenant' };
+
+    const results = await Promise.allSettled([
+      bookViewing(tenant, { slotId: slot._id, unitId: unit._id }),
+      bookViewing(rival, { slotId: slot._id, unitId: unit._id }),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find((result) => result.status === 'rejected').reason).toMatchObject({
+      statusCode: 409,
+      message: 'This slot is no longer available',
+    });
+    expect(Viewing.create).toHaveBeenCalledTimes(1);
+    expect(slot.status).toBe('booked');
+  });
+
+  test('bookViewing - Lets a tenant take only one of two simultaneous overlapping slots', async () => {
+    const own = { _id: property._id, owner: landlord._id, agents: [agent._id, otherAgent._id] };
+    Property.findById.mockImplementation(() => query(own));
+    const [first] = await createSlots(agent, window(9, 10));
+    const [second] = await createSlots(otherAgent, window(9, 10));
+
+    const results = await Promise.allSettled([
+      bookViewing(tenant, { slotId: first._id, unitId: unit._id }),
+      bookViewing(tenant, { slotId: second._id, unitId: unit._id }),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find((result) => result.status === 'rejected').reason).toMatchObject({
+      statusCode: 409,
+      message: 'You already have a viewing at that time',
+    });
+    expect(viewings).toHaveLength(1);
+    expect(slots.filter((slot) => slot.status === 'booked')).toHaveLength(1);
+    expect(locks.size).toBe(0);
+  });
+
+  test('cancelSlot - Refuses agents who do not host the slot', async () => {
+    const [slot] = await createSlots(landlord, window(9, 10));
+    await expect(cancelSlot(slot._id, agent)).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('getViewingForUser - Admits the tenant and host but no one else', async () => {
+    const viewing = { _id: new mongoose.Types.ObjectId(), property: property._id, agent: agent._id, tenant: tenant._id };
+    jest.spyOn(Viewing, 'findById').mockResolvedValue(viewing);
+
+    await expect(getViewingForUser(viewing._id, tenant)).resolves.toEqual({ viewing, host: false });
+    await expect(getViewingForUser(viewing._id, landlord)).resolves.toEqual({ viewing, host: true });
+    await expect(getViewingForUser(viewing._id, otherAgent)).rejects.toMatchObject({ statusCode: 403 });
+    await expect(recordOutcome(viewing._id, tenant, 'attended')).rejects.toThrow('Only the host can record the outcome');
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Invoice allocation engine
+ * @module utils/allocation
+ * @description Applies a tenant's completed payments to their open invoices,
+ * oldest due date first. Whatever a payment does not cover stays on the
+ * payment (amount - allocatedAmount) and is the tenant's credit, which is
+ * spent automatically when the next invoice is raised.
+ */
+
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const logger = require('./logger');
+
+/**
+ * Invoice statuses that can still receive money
+ * @constant {string[]} OPEN_STATUSES
+ */
+const OPEN_STATUSES = ['Open', 'PartiallyPaid'];
+
+/**
+ * Rounds to cents so repeated partial allocations do not drift
+ * @param {number} value
+ * @returns {number}
+ */
+const toCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Amount actually received for a payment
+ * @param {Object} payment
+ * @returns {number}
+ */
+const receivedAmount = (payment) => payment.paidAmount ?? payment.amount;
+
+/**
+ * Works out which payment covers which invoice
+ * @function planAllocations
+ * @param {Object[]} payments - Completed payments, oldest first
+ * @param {Object[]} invoices - Open invoices, oldest due date first
+ * @returns {Object[]} Steps: { payment, invoice, amount }
+ *
+ * @example
+ * planAllocations(
+ *   [{ _id: 'p1', amount: 15000, allocatedAmount: 0 }],
+ *   [{ _id: 'i1', amount: 10000, amountPaid: 0 }, { _id: 'i2', amount: 10000, amountPaid: 0 }]
+ * );
+ * // => [{ payment: p1, invoice: i1, amount: 10000 }, { payment: p1, invoice: i2, amount: 5000 }]
+ */
+const planAllocations = (payments, invoices) => {
+  const dues = invoices.map((invoice) => toCents(invoice.amount - (invoice.amountPaid || 0)));
+  const steps = [];
+  let index = 0;
+
+  for (const payment of payments) {
+    let available = toCents(receivedAmount(payment) - (payment.allocatedAmount || 0));
+
+    while (available > 0 && index < invoices.length) {
+      if (dues[index] <= 0) {
+        index += 1;
+        continue;
+      }
+
+      const amount = Math.min(available, dues[index]);
+      steps.push({ payment, invoice: invoices[index], amount });
+      available = toCents(available - amount);
+      dues[index] = toCents(dues[index] - amount);
+    }
+
+    if (index >= invoices.length) break;
+  }
+
+  return steps;
+};
+
+/**
+ * Moves money from a payment onto an invoice
+ * @async
+ * @param {Object} step - { payment, invoice, amount }
+ * @returns {Promise<boolean>} False when a concurrent allocation got there first
+ *
+ * @remarks
+ * Both writes are guarded so neither document can be over-allocated; if the
+ * invoice side loses a race the payment side is rolled back.
+ */
+const applyStep = async ({ payment, invoice, amount }) => {
+  const debited = await Payment.updateOne(
+    {
+      _id: payment._id,
+      status: 'Completed',
+      $expr: {
+        $lte: [{ $add: [{ $ifNull: ['$allocatedAmount', 0] }, amount] }, { $ifNull: ['$paidAmount', '$amount'] }],
+      },
+    },
+    { $inc: { allocatedAmount: amount } }
+  );
+  if (!debited.modifiedCount) return false;
+
+  const credited = await Invoice.updateOne(
+    {
+      _id: invoice._id,
+      status: { $in: OPEN_STATUSES },
+      $expr: { $lte: [{ $add: ['$amountPaid', amount] }, '$amount'] },
+    },
+    [
+      {
+        $set: {
+          amountPaid: { $round: [{ $add: ['$amountPaid', amount] }, 2] },
+          allocations: {
+            $concatArrays: [
+              { $ifNull: ['$allocations', []] },
+              [{ payment: payment._id, amount, allocatedAt: '$$NOW' }],
+            ],
+          },
+        },
+      },
+      {
+        $set: {
+          status: { $cond: [{ $gte: ['$amountPaid', '$amount'] }, 'Paid', 'PartiallyPaid'] },
+        },
+      },
+    ]
+  );
+
+  if (!credited.modifiedCount) {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { allocatedAmount: -amount } });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Applies all of a tenant's unallocated money to their open invoices
+ * @async
+ * @function allocateTenantPayments
+ * @param {string|ObjectId} tenantId - Tenant user id
+ * @returns {Promise<Object>} { allocated, steps, conflicts }
+ *
+ * @example
+ * // After a payment completes or an invoice is raised
+ * await allocateTenantPayments(payment.user);
+ */
+const allocateTenantPayments = async (tenantId) => {
+  const [payments, invoices] = await Promise.all([
+    Payment.find({
+      user: tenantId,
+      status: 'Completed',
+      $expr: { $lt: [{ $ifNull: ['$allocatedAmount', 0] }, { $ifNull: ['$paidAmount', '$amount'] }] },
+    }).sort({ transactionDate: 1, createdAt: 1 }),
+    Invoice.find({ tenant: tenantId, status: { $in: OPEN_STATUSES } }).sort({ dueDate: 1, createdAt: 1 }),
+  ]);
+
+  const summary = { allocated: 0, steps: 0, conflicts: 0 };
+
+  for (const step of planAllocations(payments, invoices)) {
+    if (await applyStep(step)) {
+      summary.allocated = toCents(summary.allocated + step.amount);
+      summary.steps += 1;
+    } else {
+      summary.conflicts += 1;
+    }
+  }
+
+  if (summary.conflicts) {
+    logger.warn(`Allocation for tenant ${tenantId} skipped ${summary.conflicts} step(s) after concurrent updates`);
+  }
+  return summary;
+};
+
+/**
+ * Rebuilds a tenant's allocations from scratch
+ * @async
+ * @function reallocateTenant
+ * @param {string|ObjectId} tenantId - Tenant user id
+ * @returns {Promise<Object>} Summary from allocateTenantPayments
+ *
+ * @remarks
+ * Used when money leaves the ledger (a payment is reversed or an invoice is
+ * voided): every allocation is cleared and the remaining completed payments
+ * are re-applied, so invoice balances and credit reflect only real money.
+ */
+const reallocateTenant = async (tenantId) => {
+  await Promise.all([
+    Invoice.updateMany(
+      { tenant: tenantId, status: { $ne: 'Void' } },
+      { $set: { amountPaid: 0, allocations: [], status: 'Open' } }
+    ),
+    Invoice.updateMany(
+      { tenant: tenantId, status: 'Void' },
+      { $set: { amountPaid: 0, allocations: [] } }
+    ),
+    Payment.updateMany({ user: tenantId }, { $set: { allocatedAmount: 0 } }),
+  ]);
+
+  return allocateTenantPayments(tenantId);
+};
+
+/**
+ * Builds a tenant's account statement
+ * @async
+ * @function getTenantStatement
+ * @param {string|ObjectId} tenantId - Tenant user id
+ * @returns {Promise<Object>} { invoices, payments, totals: { invoiced, paid, outstanding, credit, balance } }
+ *
+ * @remarks
+ * `balance` is what the tenant owes after credit; negative means they are in credit.
+ */
+const getTenantStatement = async (tenantId) => {
+  const [invoices, payments] = await Promise.all([
+    Invoice.find({ tenant: tenantId, status: { $ne: 'Void' } }).sort({ dueDate: 1, createdAt: 1 }),
+    Payment.find({ user: tenantId, status: 'Completed' })
+      .select('amount paidAmount allocatedAmount mpesaReceiptNumber transactionDate channel createdAt')
+      .sort({ transactionDate: 1, createdAt: 1 }),
+  ]);
+
+  const invoiced = toCents(invoices.reduce((sum, invoice) => sum + invoice.amount, 0));
+  const paid = toCents(payments.reduce((sum, payment) => sum + receivedAmount(payment), 0));
+  const outstanding = toCents(invoices.reduce((sum, invoice) => sum + invoice.balance, 0));
+  const credit = toCents(payments.reduce(
+    (sum, payment) => sum + Math.max(0, receivedAmount(payment) - (payment.allocatedAmount || 0)),
+    0
+  ));
+
+  return {
+    invoices,
+    payments,
+    totals: { invoiced, paid, outstanding, credit, balance: toCents(outstanding - credit) },
+  };
+};
+
+/**
+ * Works out what a tenant owed at a point in time
+ * @async
+ * @function getBalanceAsOf
+ * @param {string|ObjectId} tenantId - Tenant user id
+ * @param {Date} at
+ * @returns {Promise<number>} Invoiced minus received up to `at`; negative means credit
+ *
+ * @remarks
+ * For payments completed before their balance was recorded (see
+ * Payment.balanceAfter). Invoices count at their current amount, so a
+ * penalty that kept accruing after `at` is counted in full.
+ */
+const getBalanceAsOf = async (tenantId, at) => {
+  const [invoices, payments] = await Promise.all([
+    Invoice.find({ tenant: tenantId, status: { $ne: 'Void' }, createdAt: { $lte: at } }).select('amount'),
+    Payment.find({
+      user: tenantId,
+      status: 'Completed',
+      $or: [
+        { transactionDate: { $lte: at } },
+        { transactionDate: null, createdAt: { $lte: at } },
+      ],
+    }).select('amount paidAmount'),
+  ]);
+
+  const invoiced = invoices.reduce((sum, invoice) => sum + invoice.amount, 0);
+  const paid = payments.reduce((sum, payment) => sum + receivedAmount(payment), 0);
+  return toCents(invoiced - paid);
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  planAllocations,
+  allocateTenantPayments,
+  reallocateTenant,
+  getTenantStatement,
+  getBalanceAsOf,
+};
@@ -0,0 +1,647 @@
+/**
+ * Rental applications
+ * @module utils/applications
+ * @description Takes a prospective tenant from application to lease:
+ * submission with income, references and ID documents, screening against the
+ * landlord's checklist, requests for more information, and the decision.
+ * Approving reserves the unit and starts a draft lease.
+ * @see {@link module:models/ScreeningChecklist} for how screening is configured
+ */
+
+const path = require('path');
+const moment = require('moment');
+const mongoose = require('mongoose');
+const Lease = require('../models/Lease');
+const Property = require('../models/Property');
+const RentalApplication = require('../models/RentalApplication');
+const ScreeningChecklist = require('../models/ScreeningChecklist');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const AppError = require('./appError');
+const logger = require('./logger');
+const queueEmail = require('./queueEmail');
+const { canManageProperty, isPropertyOwner, managedPropertyFilter } = require('./properties');
+const { getStorage } = require('../storage');
+
+const OPEN_STATUSES = ['submitted', 'info_requested'];
+const MAX_DOCUMENTS = 10;
+const DEFAULT_LEASE_MONTHS = 12;
+
+/**
+ * Checklist used until a landlord configures their own
+ * @constant {Object}
+ */
+const DEFAULT_CHECKLIST = {
+  incomeMultiple: 3,
+  minReferences: 2,
+  requiredDocuments: ['national_id', 'passport'],
+  items: [
+    { key: 'income', label: 'Income covers the rent', type: 'income', weight: 3, required: false },
+    { key: 'references', label: 'Enough references given', type: 'references', weight: 1, required: false },
+    { key: 'id_document', label: 'ID document attached', type: 'documents', weight: 2, required: true },
+    { key: 'id_verified', label: 'ID checked against the applicant', type: 'manual', weight: 2, required: true },
+    { key: 'employment_verified', label: 'Employment confirmed', type: 'manual', weight: 2, required: false },
+    { key: 'references_contacted', label: 'References contacted', type: 'manual', weight: 2, required: false },
+  ],
+};
+
+/**
+ * Works out one automatic checklist item from the application
+ * @param {Object} item - Checklist item of type income, references or documents
+ * @param {Object} application
+ * @param {Object} checklist
+ * @param {number} rent - Monthly rent of the unit
+ * @returns {{ passed: boolean, note: string }}
+ */
+const evaluateAutomaticItem = (item, application, checklist, rent) => {
+  if (item.type === 'income') {
+    const income = (application.employment?.monthlyIncome || 0) + (application.employment?.otherIncome || 0);
+    const multiple = rent > 0 ? income / rent : Infinity;
+    return {
+      passed: multiple >= checklist.incomeMultiple,
+      note: rent > 0 ? `Income is ${multiple.toFixed(1)}× rent (needs ${checklist.incomeMultiple}×)` : 'No rent set',
+    };
+  }
+  if (item.type === 'references') {
+    const count = application.references?.length || 0;
+    return { passed: count >= checklist.minReferences, note: `${count} of ${checklist.minReferences} references` };
+  }
+  const types = (application.documents || []).map((document) => document.type);
+  const found = checklist.requiredDocuments.filter((type) => types.includes(type));
+  return {
+    passed: found.length > 0,
+    note: found.length ? `Has ${found.join(', ')}` : `Needs one of ${checklist.requiredDocuments.join(', ')}`,
+  };
+};
+
+/**
+ * Screens an application against a checklist
+ * @function evaluateScreening
+ * @param {Object} application - With employment, references, documents and any earlier screening
+ * @param {Object} checklist
+ * @param {number} rent - Monthly rent of the unit
+ * @param {Date} [now=new Date()]
+ * @returns {Object} { screening, score, screeningComplete }
+ *
+ * @remarks
+ * Manual results already recorded are kept when the checklist still has the
+ * item. The score is the weighted share of items passed, 0-100; unchecked
+ * manual items count as not passed until someone checks them.
+ *
+ * @example
+ * evaluateScreening(application, DEFAULT_CHECKLIST, 25000);
+ * // => { screening: [{ key: 'income', passed: true, ... }, ...], score: 45, screeningComplete: false }
+ */
+const evaluateScreening = (application, checklist, rent, now = new Date()) => {
+  const previous = new Map((application.screening || []).map((result) => [result.key, result]));
+
+  const screening = checklist.items.map((item) => {
+    const base = { key: item.key, label: item.label, type: item.type, weight: item.weight, required: item.required };
+    if (item.type !== 'manual') {
+      return { ...base, ...evaluateAutomaticItem(item, application, checklist, rent), checkedAt: now };
+    }
+
+    const earlier = previous.get(item.key);
+    return earlier && earlier.type === 'manual'
+      ? { ...base, passed: earlier.passed, note: earlier.note, checkedBy: earlier.checkedBy, checkedAt: earlier.checkedAt }
+      : { ...base, passed: null };
+  });
+
+  const totalWeight = screening.reduce((sum, result) => sum + result.weight, 0);
+  const passedWeight = screening.filter((result) => result.passed).reduce((sum, result) => sum + result.weight, 0);
+
+  return {
+    screening,
+    score: totalWeight ? Math.round((passedWeight / totalWeight) * 100) : 0,
+    screeningComplete: screening.every((result) => result.passed !== null),
+  };
+};
+
+/**
+ * Finds the checklist for a property: its own, else the landlord's default
+ * @async
+ * @function findChecklist
+ * @param {string|ObjectId} landlordId
+ * @param {string|ObjectId} propertyId
+ * @returns {Promise<Object>} Checklist document, or DEFAULT_CHECKLIST
+ */
+const findChecklist = async (landlordId, propertyId) => {
+  const checklists = await ScreeningChecklist.find({ landlord: landlordId, property: { $in: [propertyId, null] } }).lean();
+  return checklists.find((checklist) => String(checklist.property) === String(propertyId))
+    || checklists.find((checklist) => !checklist.property)
+    || DEFAULT_CHECKLIST;
+};
+
+/**
+ * Recalculates an application's screening and score in place
+ * @async
+ * @param {mongoose.Document} application
+ * @param {Object} [checklist] - Looked up when not given
+ * @returns {Promise<mongoose.Document>} The application, unsaved
+ */
+const rescreen = async (application, checklist) => {
+  const unit = await Unit.findById(application.unit).select('rent').lean();
+  const list = checklist || await findChecklist(application.landlord, application.property);
+  Object.assign(application, evaluateScreening(application, list, unit?.rent || 0));
+  return application;
+};
+
+/**
+ * Re-scores open applications after a checklist is saved or deleted
+ * @async
+ * @function rescreenOpenApplications
+ * @param {string|ObjectId} landlordId
+ * @param {string|ObjectId} [propertyId] - Only this property's applications
+ * @returns {Promise<number>} Applications updated
+ */
+const rescreenOpenApplications = async (landlordId, propertyId) => {
+  const filter = { landlord: landlordId, status: { $in: OPEN_STATUSES } };
+  if (propertyId) filter.property = propertyId;
+
+  let updated = 0;
+  for await (const application of RentalApplication.find(filter).cursor()) {
+    await rescreen(application);
+    await application.save();
+    updated += 1;
+  }
+  return updated;
+};
+
+/**
+ * Emails the landlord, or the applicant, about an application
+ * @param {Object} application
+ * @param {string} recipient - landlord | applicant
+ * @param {string} subject
+ * @param {string} text
+ */
+const notifyParty = async (application, recipient, subject, text) => {
+  const user = await User.findById(application[recipient]).select('email').lean();
+  await queueEmail({ to: user?.email, subject, text });
+};
+
+/**
+ * Builds the filter for the applications a user can list
+ * @async
+ * @function applicationScope
+ * @param {Object} user
+ * @returns {Promise<Object>} Mongo filter
+ */
+const applicationScope = async (user) => {
+  if (user.role === 'tenant') return { applicant: user._id };
+  if (user.role === 'admin') return {};
+  if (user.role === 'landlord') return { landlord: user._id };
+
+  const properties = await Property.find(managedPropertyFilter(user)).distinct('_id');
+  return { property: { $in: properties } };
+};
+
+/**
+ * Loads an application the user made or may review
+ * @async
+ * @function getApplicationForUser
+ * @param {string} applicationId
+ * @param {Object} user
+ * @returns {Promise<{ application: mongoose.Document, property: Object, reviewer: boolean }>}
+ * @throws {AppError} 404 unknown, or neither made by nor reviewable by the user
+ */
+const getApplicationForUser = async (applicationId, user) => {
+  const application = await RentalApplication.findById(applicationId);
+  if (!application) throw new AppError('Application not found', 404);
+
+  const property = await Property.findById(application.property).select('title owner agents');
+  const reviewer = Boolean(property) && canManageProperty(property, user);
+  if (!reviewer && String(application.applicant) !== String(user._id)) {
+    throw new AppError('Application not found', 404);
+  }
+  return { application, property, reviewer };
+};
+
+/**
+ * Throws unless the user is the applicant and the application is still open
+ * @param {Object} application
+ * @param {Object} user
+ */
+const assertApplicantCanEdit = (application, user) => {
+  if (String(application.applicant) !== String(user._id)) throw new AppError('Only the applicant can do this', 403);
+  if (!OPEN_STATUSES.includes(application.status)) throw new AppError(`Application is ${application.status}`, 409);
+};
+
+/**
+ * Throws unless the application is still waiting for a decision
+ * @param {Object} application
+ */
+const assertOpen = (application) => {
+  if (!OPEN_STATUSES.includes(application.status)) throw new AppError(`Application is ${application.status}`, 409);
+};
+
+/**
+ * Submits an application for a vacant unit
+ * @async
+ * @function submitApplication
+ * @param {Object} applicant
+ * @param {Object} input - unitId, employment, references, moveInDate, occupants, message
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404 unit not available, 409 already applied
+ */
+const submitApplication = async (applicant, input) => {
+  const unit = await Unit.findOne({ _id: input.unitId, status: 'vacant', 'listing.active': true }).select('property');
+  if (!unit) throw new AppError('Unit is not available to apply for', 404);
+  const property = await Property.findById(unit.property).select('owner title');
+  if (!property) throw new AppError('Unit is not available to apply for', 404);
+
+  const existing = await RentalApplication.exists({
+    applicant: applicant._id,
+    unit: unit._id,
+    status: { $in: OPEN_STATUSES },
+  });
+  if (existing) throw new AppError('You already have an open application for this unit', 409);
+
+  const application = new RentalApplication({
+    applicant: applicant._id,
+    unit: unit._id,
+    property: property._id,
+    landlord: property.owner,
+    employment: input.employment,
+    references: input.references,
+    moveInDate: input.moveInDate,
+    occupants: input.occupants,
+    message: input.message,
+  });
+  await rescreen(application);
+  await application.save();
+
+  logger.info(`Application ${application._id} submitted by ${applicant._id} for unit ${unit._id}`);
+  await notifyParty(
+    application,
+    'landlord',
+    `New rental application: ${property.title}`,
+    `${applicant.name || 'A prospective tenant'} has applied for a unit at ${property.title}. Screening score: ${application.score}/100.`
+  );
+  return application;
+};
+
+/**
+ * Updates the applicant's details while the application is open
+ * @async
+ * @function updateApplication
+ * @param {string} applicationId
+ * @param {Object} user - The applicant
+ * @param {Object} changes - employment, references, moveInDate, occupants, message
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404/403 application, 409 decided or withdrawn
+ */
+const updateApplication = async (applicationId, user, changes) => {
+  const { application } = await getApplicationForUser(applicationId, user);
+  assertApplicantCanEdit(application, user);
+
+  for (const field of ['references', 'moveInDate', 'occupants', 'message']) {
+    if (changes[field] !== undefined) application[field] = changes[field];
+  }
+  if (changes.employment) {
+    application.employment = { ...application.employment.toObject(), ...changes.employment };
+  }
+
+  await rescreen(application);
+  return application.save();
+};
+
+/**
+ * Picks a file extension from an uploaded document's MIME type
+ * @param {Object} file
+ * @returns {string}
+ */
+const documentExtension = (file) =>
+  ({ 'application/pdf': '.pdf', 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp' }[file.mimetype]
+    || path.extname(file.originalname || '').toLowerCase()
+    || '');
+
+/**
+ * Stores supporting documents privately and attaches them
+ * @async
+ * @function addDocuments
+ * @param {string} applicationId
+ * @param {Object} user - The applicant
+ * @param {Object[]} files - Multer memory files
+ * @param {string} type - Document type for all files
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 400 no files or too many, 404/403 application, 409 not open
+ */
+const addDocuments = async (applicationId, user, files, type) => {
+  if (!files?.length) throw new AppError('Attach at least one file in the documents field', 400);
+  const { application } = await getApplicationForUser(applicationId, user);
+  assertApplicantCanEdit(application, user);
+  if (application.documents.length + files.length > MAX_DOCUMENTS) {
+    throw new AppError(`An application can have at most ${MAX_DOCUMENTS} documents`, 400);
+  }
+
+  const added = [];
+  try {
+    for (const file of files) {
+      const documentId = new mongoose.Types.ObjectId();
+      const { key } = await getStorage().put(
+        `applications/${application._id}/${documentId}${documentExtension(file)}`,
+        file.buffer,
+        { contentType: file.mimetype, visibility: 'private' }
+      );
+      added.push({
+        _id: documentId,
+        type,
+        key,
+        originalName: file.originalname?.slice(0, 255),
+        contentType: file.mimetype,
+        bytes: file.size,
+      });
+    }
+
+    application.documents.push(...added);
+    await rescreen(application);
+    return await application.save();
+  } catch (error) {
+    await Promise.allSettled(added.map((document) => getStorage().remove(document.key, { visibility: 'private' })));
+    throw error;
+  }
+};
+
+/**
+ * Removes a supporting document while the application is open
+ * @async
+ * @function removeDocument
+ * @param {string} applicationId
+ * @param {Object} user - The applicant
+ * @param {string} documentId
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404 unknown document
+ */
+const removeDocument = async (applicationId, user, documentId) => {
+  const { application } = await getApplicationForUser(applicationId, user);
+  assertApplicantCanEdit(application, user);
+  const document = application.documents.id(documentId);
+  if (!document) throw new AppError('Document not found', 404);
+
+  const { key } = document;
+  application.documents.pull(document._id);
+  await rescreen(application);
+  await application.save();
+
+  await getStorage().remove(key, { visibility: 'private' })
+    .catch((error) => logger.warn(`Application document cleanup failed: ${error.message}`));
+  return application;
+};
+
+/**
+ * Creates a short-lived download link for a supporting document
+ * @async
+ * @function documentUrl
+ * @param {string} applicationId
+ * @param {Object} user - The applicant or a reviewer
+ * @param {string} documentId
+ * @returns {Promise<string>}
+ * @throws {AppError} 404 unknown document
+ */
+const documentUrl = async (applicationId, user, documentId) => {
+  const { application } = await getApplicationForUser(applicationId, user);
+  const document = application.documents.id(documentId);
+  if (!document) throw new AppError('Document not found', 404);
+
+  return getStorage().signedUrl(document.key, { expiresIn: 300, filename: document.originalName });
+};
+
+/**
+ * Asks the applicant for more information
+ * @async
+ * @function requestInfo
+ * @param {string} applicationId
+ * @param {Object} user - A reviewer
+ * @param {string} message
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 403 not a reviewer, 409 decided or withdrawn
+ */
+const requestInfo = async (applicationId, user, message) => {
+  const { application, property, reviewer } = await getApplicationForUser(applicationId, user);
+  if (!reviewer) throw new AppError('Only the landlord or agent can request information', 403);
+  assertOpen(application);
+
+  application.infoRequests.push({ message, requestedBy: user._id });
+  application.status = 'info_requested';
+  await application.save();
+
+  await notifyParty(
+    application,
+    'applicant',
+    `More information needed: ${property.title}`,
+    `The landlord has a question about your application:\n\n${message}\n\nReply from your applications page.`
+  );
+  return application;
+};
+
+/**
+ * Answers the latest open information request
+ * @async
+ * @function respondToInfoRequest
+ * @param {string} applicationId
+ * @param {Object} user - The applicant
+ * @param {string} response
+ * @returns {Promise<mongoose.Document>} Back in the submitted state
+ * @throws {AppError} 409 nothing to answer
+ */
+const respondToInfoRequest = async (applicationId, user, response) => {
+  const { application, property } = await getApplicationForUser(applicationId, user);
+  assertApplicantCanEdit(application, user);
+  const request = [...application.infoRequests].reverse().find((item) => !item.respondedAt);
+  if (!request) throw new AppError('There is no open request for information', 409);
+
+  request.response = response;
+  request.respondedAt = new Date();
+  if (application.infoRequests.every((item) => item.respondedAt)) application.status = 'submitted';
+  await rescreen(application);
+  await application.save();
+
+  await notifyParty(
+    application,
+    'landlord',
+    `Applicant replied: ${property.title}`,
+    `The applicant has answered your question:\n\n${response}`
+  );
+  return application;
+};
+
+/**
+ * Records a reviewer's result for a manual checklist item
+ * @async
+ * @function checkScreeningItem
+ * @param {string} applicationId
+ * @param {Object} user - A reviewer
+ * @param {string} key - Checklist item key
+ * @param {Object} result
+ * @param {boolean|null} result.passed - Null clears the result
+ * @param {string} [result.note]
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 403 not a reviewer, 404 unknown item, 400 automatic item, 409 not open
+ */
+const checkScreeningItem = async (applicationId, user, key, { passed, note }) => {
+  const { application, reviewer } = await getApplicationForUser(applicationId, user);
+  if (!reviewer) throw new AppError('Only the landlord or agent can screen applications', 403);
+  assertOpen(application);
+
+  await rescreen(application);
+  const item = application.screening.find((result) => result.key === key);
+  if (!item) throw new AppError('Checklist item not found', 404);
+  if (item.type !== 'manual') throw new AppError('This item is checked automatically', 400);
+
+  item.passed = passed;
+  item.note = note;
+  item.checkedBy = passed === null ? undefined : user._id;
+  item.checkedAt = passed === null ? undefined : new Date();
+  await rescreen(application);
+  return application.save();
+};
+
+/**
+ * Approves an application: reserves the unit and starts a draft lease
+ * @async
+ * @function approveApplication
+ * @param {string} applicationId
+ * @param {Object} user - The property owner or an admin
+ * @param {Object} [terms]
+ * @param {Date} [terms.startDate] - Defaults to the requested move-in date, else today
+ * @param {number} [terms.months=12] - Fixed term; 0 for a periodic tenancy
+ * @param {number} [terms.rent] - Defaults to the unit's rent
+ * @param {number} [terms.deposit] - Defaults to the unit's deposit
+ * @param {string} [terms.reason]
+ * @returns {Promise<{ application: mongoose.Document, lease: mongoose.Document }>}
+ * @throws {AppError} 403 not the owner, 409 not open, required checks failing or unit taken
+ *
+ * @remarks
+ * The unit is reserved with a guarded update (vacant → reserved), so two
+ * approvals for the same unit cannot both succeed. If the lease cannot be
+ * written the reservation is undone.
+ */
+const approveApplication = async (applicationId, user, terms = {}) => {
+  const { application, property } = await getApplicationForUser(applicationId, user);
+  if (!property || !isPropertyOwner(property, user)) {
+    throw new AppError('Only the landlord can approve applications', 403);
+  }
+  assertOpen(application);
+
+  await rescreen(application);
+  const failing = application.screening.filter((result) => result.required && result.passed !== true);
+  if (failing.length) {
+    throw new AppError(`Required checks not passed: ${failing.map((result) => result.label).join(', ')}`, 409);
+  }
+
+  const unit = await Unit.findOneAndUpdate(
+    { _id: application.unit, status: 'vacant' },
+    { $set: { status: 'reserved' } },
+    { new: true }
+  );
+  if (!unit) throw new AppError('The unit is no longer vacant', 409);
+
+  let lease;
+  try {
+    const startDate = moment(terms.startDate || application.moveInDate || new Date()).startOf('day');
+    const months = terms.months ?? DEFAULT_LEASE_MONTHS;
+    lease = await Lease.create({
+      tenant: application.applicant,
+      landlord: property.owner,
+      property: property._id,
+      unit: unit._id,
+      application: application._id,
+      startDate: startDate.toDate(),
+      endDate: months ? startDate.clone().add(months, 'months').subtract(1, 'day').toDate() : undefined,
+      rent: terms.rent ?? unit.rent,
+      deposit: terms.deposit ?? unit.deposit,
+      billingDay: Math.min(startDate.date(), 28),
+      createdBy: user._id,
+    });
+  } catch (error) {
+    await Unit.updateOne({ _id: unit._id, status: 'reserved' }, { $set: { status: 'vacant' } });
+    throw error;
+  }
+
+  application.status = 'approved';
+  application.lease = lease._id;
+  application.decidedBy = user._id;
+  application.decidedAt = new Date();
+  application.decisionReason = terms.reason;
+  await application.save();
+
+  logger.info(`Application ${application._id} approved; unit ${unit._id} reserved, lease ${lease._id} drafted`);
+  await notifyParty(
+    application,
+    'applicant',
+    `Application approved: ${property.title}`,
+    `Good news: your application for ${property.title} has been approved and the unit is reserved for you. `
+      + 'Your lease will be ready to review and sign shortly.'
+  );
+  return { application, lease };
+};
+
+/**
+ * Rejects an application
+ * @async
+ * @function rejectApplication
+ * @param {string} applicationId
+ * @param {Object} user - The property owner or an admin
+ * @param {string} [reason] - Shared with the applicant
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 403 not the owner, 409 not open
+ */
+const rejectApplication = async (applicationId, user, reason) => {
+  const { application, property } = await getApplicationForUser(applicationId, user);
+  if (!property || !isPropertyOwner(property, user)) {
+    throw new AppError('Only the landlord can reject applications', 403);
+  }
+  assertOpen(application);
+
+  application.status = 'rejected';
+  application.decidedBy = user._id;
+  application.decidedAt = new Date();
+  application.decisionReason = reason;
+  await application.save();
+
+  await notifyParty(
+    application,
+    'applicant',
+    `Application update: ${property.title}`,
+    `Your application for ${property.title} was not successful.${reason ? `\n\nReason: ${reason}` : ''}`
+  );
+  return application;
+};
+
+/**
+ * Withdraws the applicant's own open application
+ * @async
+ * @function withdrawApplication
+ * @param {string} applicationId
+ * @param {Object} user - The applicant
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 403 not the applicant, 409 not open
+ */
+const withdrawApplication = async (applicationId, user) => {
+  const { application } = await getApplicationForUser(applicationId, user);
+  assertApplicantCanEdit(application, user);
+
+  application.status = 'withdrawn';
+  return application.save();
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  DEFAULT_CHECKLIST,
+  evaluateScreening,
+  findChecklist,
+  rescreenOpenApplications,
+  applicationScope,
+  getApplicationForUser,
+  submitApplication,
+  updateApplication,
+  addDocuments,
+  removeDocument,
+  documentUrl,
+  requestInfo,
+  respondToInfoRequest,
+  checkScreeningItem,
+  approveApplication,
+  rejectApplication,
+  withdrawApplication,
+};
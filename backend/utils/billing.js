@@ -0,0 +1,283 @@
+/**
+ * Lease-driven rent billing
+ * @module utils/billing
+ * @description Raises each active lease's rent invoice on its billing day and
+ * works out which reminders are due, according to the landlord's
+ * BillingSettings (per property, else the landlord default). Invoices are
+ * keyed by lease and month, so a run can be repeated or catch up on missed
+ * days and months without billing anyone twice.
+ * @see {@link module:utils/billingNotices} which sends the reminders
+ */
+
+const moment = require('moment');
+const Lease = require('../models/Lease');
+const Invoice = require('../models/Invoice');
+const BillingSettings = require('../models/BillingSettings');
+const logger = require('./logger');
+const { OPEN_STATUSES, allocateTenantPayments } = require('./allocation');
+const { rentOn } = require('./leases');
+
+/**
+ * Finds the settings for a lease: the property's own, else the landlord default
+ * @async
+ * @function findSettings
+ * @param {string|ObjectId} landlordId
+ * @param {string|ObjectId} [propertyId]
+ * @returns {Promise<mongoose.Document>} Stored settings, or unsaved defaults when the landlord has none
+ */
+const findSettings = async (landlordId, propertyId) => {
+  const settings = await BillingSettings.find({
+    landlord: landlordId,
+    property: { $in: propertyId ? [propertyId, null] : [null] },
+  });
+  return settings.find((entry) => entry.property && String(entry.property) === String(propertyId))
+    || settings.find((entry) => !entry.property)
+    || new BillingSettings({ landlord: landlordId });
+};
+
+/**
+ * Works out the billing and due dates of a lease for the month of a day
+ * @function billingDates
+ * @param {Object} lease - billingDay
+ * @param {Object} settings - dueDays
+ * @param {Date} [asOf=new Date()]
+ * @returns {Object} { period: 'YYYY-MM', billingDate, dueDate }
+ *
+ * @example
+ * billingDates({ billingDay: 5 }, { dueDays: 5 }, new Date('2025-03-20'));
+ * // => { period: '2025-03', billingDate: 2025-03-05, dueDate: 2025-03-10 }
+ */
+const billingDates = (lease, settings, asOf = new Date()) => {
+  const billingDate = moment(asOf).startOf('month').date(lease.billingDay || 1);
+  return {
+    period: billingDate.format('YYYY-MM'),
+    billingDate: billingDate.toDate(),
+    dueDate: billingDate.clone().add(settings.dueDays || 0, 'days').toDate(),
+  };
+};
+
+/**
+ * Checks whether a lease should be billed for the month of a day
+ * @function isBillable
+ * @param {Object} lease - startDate, endDate
+ * @param {Date} billingDate - This month's billing date
+ * @param {Date} [asOf=new Date()]
+ * @returns {boolean} True once the billing day has come, within the lease term
+ */
+const isBillable = (lease, billingDate, asOf = new Date()) => {
+  const day = moment(billingDate);
+  return day.isSameOrBefore(moment(asOf), 'day')
+    && day.isSameOrAfter(moment(lease.startDate), 'day')
+    && (!lease.endDate || day.isSameOrBefore(moment(lease.endDate), 'day'));
+};
+
+/**
+ * Lists the reminder days of a settings document, relative to the due date
+ * @function reminderOffsets
+ * @param {Object} settings - remindBefore, remindAfter
+ * @returns {number[]} Negative before the due date, positive after, ascending
+ *
+ * @example
+ * reminderOffsets({ remindBefore: [3, 1], remindAfter: [1, 7] });
+ * // => [-3, -1, 1, 7]
+ */
+const reminderOffsets = (settings) =>
+  [...new Set([
+    ...(settings.remindBefore || []).map((days) => -days),
+    ...(settings.remindAfter || []),
+  ])].sort((a, b) => a - b);
+
+/**
+ * Days from an invoice's due date to a day
+ * @function daysFromDue
+ * @param {Date} dueDate
+ * @param {Date} [asOf=new Date()]
+ * @returns {number} Negative before the due date
+ */
+const daysFromDue = (dueDate, asOf = new Date()) =>
+  moment(asOf).startOf('day').diff(moment(dueDate).startOf('day'), 'days');
+
+/**
+ * Lists the months a lease still has to be billed for
+ * @function unbilledPeriods
+ * @param {Object} lease - billingDay, startDate, endDate, fullySignedAt
+ * @param {Object} settings - dueDays
+ * @param {string} [lastPeriod] - Last month billed on the agreement ('YYYY-MM')
+ * @param {Date} [asOf=new Date()]
+ * @returns {Object[]} billingDates() of each month whose billing day has come, oldest first
+ *
+ * @remarks
+ * Starts the month after lastPeriod. A lease never billed starts from the
+ * month it began or was signed, whichever is later, so a lease entered long
+ * after it started is not billed for the months before.
+ *
+ * @example
+ * unbilledPeriods({ billingDay: 28, startDate }, settings, '2025-02', new Date('2025-04-01'));
+ * // => [{ period: '2025-03', ... }]
+ */
+const unbilledPeriods = (lease, settings, lastPeriod, asOf = new Date()) => {
+  const from = lastPeriod
+    ? moment(lastPeriod, 'YYYY-MM').add(1, 'month')
+    : moment.max(moment(lease.startDate), moment(lease.fullySignedAt || lease.createdAt || lease.startDate));
+
+  const periods = [];
+  for (const month = from.clone().startOf('month'); month.isSameOrBefore(asOf, 'month'); month.add(1, 'month')) {
+    const dates = billingDates(lease, settings, month.toDate());
+    if (isBillable(lease, dates.billingDate, asOf)) periods.push(dates);
+  }
+  return periods;
+};
+
+/**
+ * Raises the rent invoices a lease is owed, from the month after its last one
+ * @async
+ * @function billLease
+ * @param {Object} lease - Active lease
+ * @param {Object} settings - Settings that apply to it
+ * @param {Date} [asOf=new Date()]
+ * @returns {Promise<mongoose.Document[]>} The invoices raised, oldest first
+ *
+ * @remarks
+ * The last invoice is looked up across every version of the agreement, so a
+ * lease amended during the month is not billed again for it.
+ */
+const billLease = async (lease, settings, asOf = new Date()) => {
+  const versions = await Lease.find({ agreement: lease.agreement }).distinct('_id');
+  const last = await Invoice.findOne({ lease: { $in: versions }, type: 'rent' })
+    .sort({ period: -1 })
+    .select('period')
+    .lean();
+
+  const invoices = [];
+  for (const { period, billingDate, dueDate } of unbilledPeriods(lease, settings, last?.period, asOf)) {
+    const amount = rentOn(lease, billingDate);
+    if (!amount) continue;
+
+    let invoice;
+    try {
+      invoice = await Invoice.create({
+        tenant: lease.tenant,
+        landlord: lease.landlord,
+        property: lease.property,
+        lease: lease._id,
+        type: 'rent',
+        amount,
+        dueDate,
+        period,
+        description: `Rent for ${moment(billingDate).format('MMMM YYYY')}`,
+      });
+    } catch (error) {
+      if (error.code === 11000) continue;  // A concurrent run raised it first
+      throw error;
+    }
+
+    invoices.push(invoice);
+    logger.info(`Rent invoice ${invoice.invoiceNumber} (KES ${amount}, ${period}) raised for lease ${lease._id}`);
+  }
+
+  if (invoices.length) await allocateTenantPayments(lease.tenant);
+  return invoices;
+};
+
+/**
+ * Raises the rent invoices that are due from every active lease
+ * @async
+ * @function generateRentInvoices
+ * @param {Object} [options]
+ * @param {Date|string} [options.asOf=new Date()] - Day being evaluated
+ * @param {string} [options.landlordId] - Only this landlord's leases
+ * @returns {Promise<Object>} Summary: { checked, invoiced, amount, failed }
+ *
+ * @remarks
+ * Every month since a lease's last invoice whose billing day has passed is
+ * billed, so missed runs (even across a month end) and leases signed late in
+ * the month catch up.
+ *
+ * @example
+ * await generateRentInvoices();
+ * // => { checked: 40, invoiced: 6, amount: 93000, failed: 0 }
+ */
+const generateRentInvoices = async ({ asOf = new Date(), landlordId } = {}) => {
+  const day = moment(asOf).toDate();
+  const filter = { status: 'active' };
+  if (landlordId) filter.landlord = landlordId;
+
+  const settingsCache = new Map();  // landlord:property => settings, per run
+  const summary = { checked: 0, invoiced: 0, amount: 0, failed: 0 };
+
+  for await (const lease of Lease.find(filter).cursor()) {
+    summary.checked += 1;
+
+    const key = `${lease.landlord}:${lease.property}`;
+    if (!settingsCache.has(key)) settingsCache.set(key, await findSettings(lease.landlord, lease.property));
+    const settings = settingsCache.get(key);
+    if (!settings.autoInvoice) continue;
+
+    try {
+      for (const invoice of await billLease(lease, settings, day)) {
+        summary.invoiced += 1;
+        summary.amount += invoice.amount;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      logger.error(`Billing lease ${lease._id} failed: ${error.message}`);
+    }
+  }
+
+  logger.info(`Billing run: ${JSON.stringify(summary)}`);
+  return summary;
+};
+
+/**
+ * Finds the lease invoices that are owed a reminder on a day
+ * @async
+ * @function findDueReminders
+ * @param {Object} [options]
+ * @param {Date|string} [options.asOf=new Date()]
+ * @param {string} [options.landlordId]
+ * @returns {Promise<Object[]>} [{ invoice, offset, settings }]
+ *
+ * @remarks
+ * Only unpaid invoices are considered, so tenants who have already paid
+ * (including from credit) are never reminded. An offset already recorded in
+ * remindersSent is not sent again.
+ */
+const findDueReminders = async ({ asOf = new Date(), landlordId } = {}) => {
+  const day = moment(asOf).startOf('day');
+  const filter = {
+    lease: { $exists: true },
+    type: 'rent',
+    status: { $in: OPEN_STATUSES },
+    dueDate: { $gte: day.clone().subtract(60, 'days').toDate(), $lt: day.clone().add(29, 'days').toDate() },
+  };
+  if (landlordId) filter.landlord = landlordId;
+
+  const settingsCache = new Map();
+  const due = [];
+
+  for await (const invoice of Invoice.find(filter).cursor()) {
+    const key = `${invoice.landlord}:${invoice.property || ''}`;
+    if (!settingsCache.has(key)) settingsCache.set(key, await findSettings(invoice.landlord, invoice.property));
+    const settings = settingsCache.get(key);
+
+    const offset = daysFromDue(invoice.dueDate, day);
+    if (!reminderOffsets(settings).includes(offset)) continue;
+    if ((invoice.remindersSent || []).some((sent) => sent.offset === offset)) continue;
+
+    due.push({ invoice, offset, settings });
+  }
+
+  return due;
+};
+
+module.exports = {
+  findSettings,
+  billingDates,
+  isBillable,
+  reminderOffsets,
+  daysFromDue,
+  unbilledPeriods,
+  billLease,
+  generateRentInvoices,
+  findDueReminders,
+};
@@ -0,0 +1,149 @@
+/**
+ * Rent reminders
+ * @module utils/billingNotices
+ * @description Emails and texts tenants before and after their rent is due,
+ * with the amount outstanding and how to pay it. Runs in the billing worker,
+ * which is why it can load the email and SMS clients eagerly.
+ * @see {@link module:utils/billing} which decides who is owed a reminder
+ */
+
+const moment = require('moment');
+const Invoice = require('../models/Invoice');
+const logger = require('./logger');
+const sendEmail = require('./email');
+const { sendSMS } = require('./sms');
+const { config, toMsisdn } = require('./mpesa');
+const { OPEN_STATUSES } = require('./allocation');
+const { findDueReminders } = require('./billing');
+
+/**
+ * Writes the reminder SMS
+ * @function buildRentReminderSms
+ * @param {Object} details
+ * @param {number} details.balance - KES outstanding
+ * @param {string} details.period - YYYY-MM
+ * @param {Date} details.dueDate
+ * @param {number} details.offset - Days from the due date; negative before it
+ * @param {string} [details.paybill] - M-Pesa Paybill number
+ * @param {string} [details.accountNumber] - Tenant's account number
+ * @returns {string} At most 160 characters
+ *
+ * @example
+ * buildRentReminderSms({ balance: 15000, period: '2025-03', dueDate, offset: -3, paybill: '174379', accountNumber: 'PG1A2B3C' });
+ * // => 'Rent reminder: KES 15,000 for Mar 2025 is due on 5 Mar. Pay via M-Pesa Paybill 174379, account PG1A2B3C.'
+ */
+const buildRentReminderSms = ({ balance, period, dueDate, offset, paybill, accountNumber }) => {
+  const amount = `KES ${Math.round(balance).toLocaleString('en-US')}`;
+  const month = moment(period, 'YYYY-MM').format('MMM YYYY');
+  const due = moment(dueDate).format('D MMM');
+
+  let text;
+  if (offset < 0) text = `Rent reminder: ${amount} for ${month} is due on ${due}.`;
+  else if (offset === 0) text = `Rent reminder: ${amount} for ${month} is due today.`;
+  else text = `Rent overdue: ${amount} for ${month} was due on ${due}.`;
+
+  if (paybill && accountNumber) text += ` Pay via M-Pesa Paybill ${paybill}, account ${accountNumber}.`;
+  return text.length > 160 ? `${text.slice(0, 159)}…` : text;
+};
+
+/**
+ * Sends one reminder by the channels the settings allow
+ * @async
+ * @function sendRentReminder
+ * @param {Object} invoice - Unpaid lease invoice
+ * @param {number} offset - Days from the due date
+ * @param {Object} settings - BillingSettings that apply
+ * @returns {Promise<Object|null>} { sent, failed }, or null when another run already sent it
+ *
+ * @remarks
+ * The offset is recorded before sending, so overlapping runs cannot send the
+ * same reminder twice. A failed delivery is logged and not retried; the next
+ * reminder day goes out as usual.
+ */
+const sendRentReminder = async (invoice, offset, settings) => {
+  const claimed = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: { $in: OPEN_STATUSES }, 'remindersSent.offset': { $ne: offset } },
+    { $push: { remindersSent: { offset, sentAt: new Date() } } },
+    { new: true }
+  )
+    .populate('tenant', 'name email phone accountNumber')
+    .populate('property', 'title');
+  if (!claimed) return null;
+
+  const { tenant } = claimed;
+  const balance = claimed.amount - (claimed.amountPaid || 0);
+  const paybill = config.shortCode;
+  const deliveries = [];
+
+  if (settings.channels?.email !== false && tenant?.email) {
+    deliveries.push(sendEmail({
+      to: tenant.email,
+      subject: offset > 0 ? `Rent overdue: ${claimed.invoiceNumber}` : `Rent reminder: ${claimed.invoiceNumber}`,
+      templateName: 'rentReminder',
+      templateData: {
+        name: tenant.name,
+        overdue: offset > 0,
+        daysOverdue: offset,
+        invoiceNumber: claimed.invoiceNumber,
+        month: moment(claimed.period, 'YYYY-MM').format('MMMM YYYY'),
+        property: claimed.property?.title,
+        amount: claimed.amount.toLocaleString('en-US'),
+        balance: balance.toLocaleString('en-US'),
+        dueDate: moment(claimed.dueDate).format('D MMMM YYYY'),
+        paybill,
+        accountNumber: tenant.accountNumber,
+      },
+    }));
+  }
+
+  const msisdn = settings.channels?.sms !== false && toMsisdn(tenant?.phone);
+  if (msisdn) {
+    deliveries.push(sendSMS({
+      to: `+${msisdn}`,
+      message: buildRentReminderSms({
+        balance,
+        period: claimed.period,
+        dueDate: claimed.dueDate,
+        offset,
+        paybill,
+        accountNumber: tenant.accountNumber,
+      }),
+    }));
+  }
+
+  const results = await Promise.allSettled(deliveries);
+  const failed = results.filter((result) => result.status === 'rejected');
+  failed.forEach((result) => logger.error(`Rent reminder for ${claimed.invoiceNumber} failed: ${result.reason.message}`));
+
+  return { sent: deliveries.length - failed.length, failed: failed.length };
+};
+
+/**
+ * Sends every reminder due on a day
+ * @async
+ * @function sendRentReminders
+ * @param {Object} [options]
+ * @param {Date|string} [options.asOf=new Date()]
+ * @param {string} [options.landlordId] - Only this landlord's tenants
+ * @returns {Promise<Object>} Summary: { due, reminded, failed }
+ */
+const sendRentReminders = async (options = {}) => {
+  const summary = { due: 0, reminded: 0, failed: 0 };
+
+  for (const { invoice, offset, settings } of await findDueReminders(options)) {
+    summary.due += 1;
+    try {
+      const result = await sendRentReminder(invoice, offset, settings);
+      if (result?.sent) summary.reminded += 1;
+      if (result?.failed) summary.failed += 1;
+    } catch (error) {
+      summary.failed += 1;
+      logger.error(`Rent reminder for ${invoice.invoiceNumber} failed: ${error.message}`);
+    }
+  }
+
+  logger.info(`Rent reminders: ${JSON.stringify(summary)}`);
+  return summary;
+};
+
+module.exports = { buildRentReminderSms, sendRentReminder, sendRentReminders };
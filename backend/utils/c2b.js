@@ -0,0 +1,286 @@
+/**
+ * C2B Paybill service
+ * @module utils/c2b
+ * @description Matches Paybill payments to tenants by BillRefNumber, records
+ * them as Payments, and parks unmatched ones in the suspense queue.
+ */
+
+const Payment = require('../models/Payment');
+const SuspensePayment = require('../models/SuspensePayment');
+const User = require('../models/User');
+const AppError = require('./appError');
+const logger = require('./logger');
+const { parseTransactionDate } = require('./mpesa');
+const { onPaymentCompleted } = require('./paymentEvents');
+const { findTenantProperty } = require('./properties');
+
+/**
+ * Daraja C2B validation responses
+ * @constant {Object} C2B_RESPONSES
+ * @see {@link https://developer.safaricom.co.ke/APIs/CustomerToBusinessRegisterURL|Daraja C2B}
+ */
+const C2B_RESPONSES = {
+  ACCEPTED: { ResultCode: '0', ResultDesc: 'Accepted' },
+  INVALID_ACCOUNT: { ResultCode: 'C2B00012', ResultDesc: 'Invalid Account Number' },
+  INVALID_AMOUNT: { ResultCode: 'C2B00013', ResultDesc: 'Invalid Amount' },
+};
+
+/**
+ * Normalizes what payers type as the account number ("pg 7a2-f9c" => "PG7A2F9C")
+ * @function normalizeAccountNumber
+ * @param {string} value - Raw BillRefNumber
+ * @returns {string}
+ */
+const normalizeAccountNumber = (value) =>
+  String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Finds the tenant a BillRefNumber belongs to
+ * @async
+ * @function findAccountHolder
+ * @param {string} billRefNumber - Raw BillRefNumber
+ * @returns {Promise<mongoose.Document|null>} Tenant or null
+ */
+const findAccountHolder = async (billRefNumber) => {
+  const accountNumber = normalizeAccountNumber(billRefNumber);
+  if (!accountNumber) return null;
+  return User.findOne({ accountNumber, role: 'tenant' });
+};
+
+/**
+ * Decides whether Safaricom should accept a Paybill payment
+ * @async
+ * @function validateC2BPayment
+ * @param {Object} body - C2B validation request body
+ * @returns {Promise<Object>} One of C2B_RESPONSES
+ */
+const validateC2BPayment = async (body) => {
+  if (!(Number(body.TransAmount) > 0)) return C2B_RESPONSES.INVALID_AMOUNT;
+
+  const tenant = await findAccountHolder(body.BillRefNumber);
+  return tenant ? C2B_RESPONSES.ACCEPTED : C2B_RESPONSES.INVALID_ACCOUNT;
+};
+
+/**
+ * Records a confirmed Paybill payment
+ * @async
+ * @function recordC2BConfirmation
+ * @param {Object} body - C2B confirmation request body
+ * @returns {Promise<Object>} { type: 'payment'|'suspense'|'duplicate', record }
+ *
+ * @remarks
+ * Confirmations are retried by Safaricom, so TransID is checked on both
+ * collections before anything is written. Two retries arriving together can
+ * both pass that check; the unique TransID indexes let only one write, and
+ * the other is reported as a duplicate.
+ */
+const recordC2BConfirmation = async (body) => {
+  const transId = String(body.TransID);
+
+  const [existingPayment, existingSuspense] = await Promise.all([
+    Payment.findOne({ mpesaReceiptNumber: transId }),
+    SuspensePayment.findOne({ transId }),
+  ]);
+  if (existingPayment || existingSuspense) {
+    return { type: 'duplicate', record: existingPayment || existingSuspense };
+  }
+
+  const amount = Number(body.TransAmount);
+  const transactionDate = parseTransactionDate(body.TransTime);
+  const tenant = await findAccountHolder(body.BillRefNumber);
+
+  if (!tenant) {
+    let suspense;
+    try {
+      suspense = await SuspensePayment.create({
+        transId,
+        transTime: transactionDate,
+        amount,
+        billRefNumber: body.BillRefNumber,
+        msisdn: body.MSISDN,
+        payerName: [body.FirstName, body.MiddleName, body.LastName].filter(Boolean).join(' '),
+        shortCode: body.BusinessShortCode,
+        raw: body,
+      });
+    } catch (error) {
+      if (error.code === 11000) return { type: 'duplicate', record: await SuspensePayment.findOne({ transId }) };
+      throw error;
+    }
+    logger.warn(`C2B payment ${transId} parked in suspense (account "${body.BillRefNumber}")`);
+    return { type: 'suspense', record: suspense };
+  }
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      user: tenant._id,
+      landlord: tenant.landlord,
+      property: await findTenantProperty(tenant._id),
+      phone: String(body.MSISDN || tenant.phone),
+      amount,
+      paidAmount: amount,
+      payerPhone: body.MSISDN,
+      channel: 'C2B',
+      billRefNumber: body.BillRefNumber,
+      mpesaReceiptNumber: transId,
+      transactionDate,
+      status: 'Completed',
+      resultCode: 0,
+      resultDesc: 'C2B payment confirmed',
+      resolvedVia: 'callback',
+      resolvedAt: new Date(),
+    });
+  } catch (error) {
+    // A concurrent retry of the same confirmation recorded it first
+    if (error.code === 11000) {
+      return { type: 'duplicate', record: await Payment.findOne({ mpesaReceiptNumber: transId }) };
+    }
+    throw error;
+  }
+  return { type: 'payment', record: payment };
+};
+
+/**
+ * Allocates a suspense payment to a tenant, creating its Payment
+ * @async
+ * @function allocateSuspensePayment
+ * @param {string} suspenseId - SuspensePayment id
+ * @param {Object} allocation
+ * @param {string} [allocation.userId] - Tenant id
+ * @param {string} [allocation.accountNumber] - Tenant account number (alternative to userId)
+ * @param {string} [allocation.note] - Reason for the allocation
+ * @param {mongoose.Document} admin - Admin performing the allocation
+ * @returns {Promise<Object>} { suspense, payment }
+ * @throws {AppError} 404 unknown suspense/tenant, 409 already allocated
+ */
+const allocateSuspensePayment = async (suspenseId, { userId, accountNumber, note }, admin) => {
+  const suspense = await SuspensePayment.findById(suspenseId);
+  if (!suspense) throw new AppError('Suspense payment not found', 404);
+  if (suspense.status === 'Allocated') throw new AppError('Suspense payment already allocated', 409);
+
+  const tenant = userId
+    ? await User.findOne({ _id: userId, role: 'tenant' })
+    : await findAccountHolder(accountNumber);
+  if (!tenant) throw new AppError('Tenant not found', 404);
+
+  // Claim the record first so two admins cannot allocate it twice
+  const claimed = await SuspensePayment.findOneAndUpdate(
+    { _id: suspense._id, status: 'Unallocated' },
+    {
+      $set: {
+        status: 'Allocated',
+        allocatedTo: tenant._id,
+        allocatedBy: admin._id,
+        allocatedAt: new Date(),
+        note,
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) throw new AppError('Suspense payment already allocated', 409);
+
+  try {
+    const payment = await Payment.create({
+      user: tenant._id,
+      landlord: tenant.landlord,
+      property: await findTenantProperty(tenant._id),
+      phone: String(suspense.msisdn || tenant.phone),
+      amount: suspense.amount,
+      paidAmount: suspense.amount,
+      payerPhone: suspense.msisdn,
+      channel: 'C2B',
+      billRefNumber: suspense.billRefNumber,
+      mpesaReceiptNumber: suspense.transId,
+      transactionDate: suspense.transTime,
+      status: 'Completed',
+      resultCode: 0,
+      resultDesc: 'Allocated from suspense',
+      resolvedVia: 'callback',
+      resolvedAt: new Date(),
+    });
+
+    claimed.payment = payment._id;
+    await claimed.save();
+    await onPaymentCompleted(payment);
+    return { suspense: claimed, payment };
+  } catch (error) {
+    // Release the claim so the allocation can be retried
+    await SuspensePayment.updateOne(
+      { _id: suspense._id },
+      { $set: { status: 'Unallocated' }, $unset: { allocatedTo: 1, allocatedBy: 1, allocatedAt: 1 } }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Tags Paybill payments recorded without a property with the tenant's
+ * current property
+ * @async
+ * @function backfillC2BProperties
+ * @returns {Promise<number>} Payments updated
+ *
+ * @remarks
+ * Paybill payments were recorded without a property until they were tagged
+ * like STK pushes, leaving them out of the property filter and analytics.
+ * Tenants without an occupied unit are left as they are.
+ */
+const backfillC2BProperties = async () => {
+  const tenantIds = await Payment.distinct('user', { channel: 'C2B', property: null });
+
+  let updated = 0;
+  for (const tenantId of tenantIds) {
+    const property = await findTenantProperty(tenantId);
+    if (!property) continue;
+
+    const result = await Payment.updateMany(
+      { user: tenantId, channel: 'C2B', property: null },
+      { $set: { property } }
+    );
+    updated += result.modifiedCount;
+  }
+  return updated;
+};
+
+/**
+ * Gives tenants created before account numbers existed their own
+ * @async
+ * @function backfillAccountNumbers
+ * @returns {Promise<number>} Tenants updated
+ *
+ * @remarks
+ * New tenants get one when first saved; older ones had none, so their
+ * Paybill payments failed validation. A generated number that is already
+ * taken is retried with a new one.
+ */
+const backfillAccountNumbers = async () => {
+  const tenants = await User.find({ role: 'tenant', accountNumber: null }).select('_id').lean();
+
+  let updated = 0;
+  for (const tenant of tenants) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await User.updateOne(
+          { _id: tenant._id, accountNumber: null },
+          { $set: { accountNumber: User.generateAccountNumber() } }
+        );
+        updated += result.modifiedCount;
+        break;
+      } catch (error) {
+        if (error.code !== 11000 || attempt === 5) throw error;
+      }
+    }
+  }
+  return updated;
+};
+
+module.exports = {
+  C2B_RESPONSES,
+  normalizeAccountNumber,
+  findAccountHolder,
+  validateC2BPayment,
+  recordC2BConfirmation,
+  allocateSuspensePayment,
+  backfillC2BProperties,
+  backfillAccountNumbers,
+};
@@ -0,0 +1,400 @@
+/**
+ * Chat
+ * @module utils/chat
+ * @description Conversations between tenants, landlords and agents, tied to
+ * a lease or a property, and the messages in them. Used by both the REST
+ * routes and the socket handlers, which broadcast what these functions
+ * return. Read receipts are each participant's lastReadAt; unread messages
+ * are emailed after a delay by the chat worker.
+ * @see {@link module:sockets} for the real-time side
+ */
+
+const path = require('path');
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const AppError = require('./appError');
+const logger = require('./logger');
+const { canManageProperty } = require('./properties');
+const { getLeaseForUser } = require('./leases');
+const { getStorage } = require('../storage');
+
+const UNREAD_EMAIL_DELAY_MINUTES = parseInt(process.env.CHAT_UNREAD_EMAIL_DELAY_MINUTES) || 15;
+const MAX_PAGE = 100;
+
+/**
+ * Builds the key that keeps one conversation per lease, or per person asking about a property
+ * @function conversationKey
+ * @param {Object} subject
+ * @param {string} [subject.leaseId]
+ * @param {string} [subject.propertyId]
+ * @param {string} [subject.userId] - The tenant or enquirer, for property threads
+ * @returns {string}
+ *
+ * @example
+ * conversationKey({ propertyId: 'p1', userId: 'u1' }); // => 'property:p1:u1'
+ */
+const conversationKey = ({ leaseId, propertyId, userId }) =>
+  (leaseId ? `lease:${leaseId}` : `property:${propertyId}:${userId}`);
+
+/**
+ * Finds a user's entry in a conversation's participants
+ * @function participantOf
+ * @param {Object} conversation
+ * @param {string|ObjectId} userId
+ * @returns {Object|undefined}
+ */
+const participantOf = (conversation, userId) =>
+  conversation.participants.find((participant) => String(participant.user._id || participant.user) === String(userId));
+
+/**
+ * Shortens a message for inbox previews and emails
+ * @function previewText
+ * @param {string} body
+ * @param {number} [length=200]
+ * @returns {string}
+ */
+const previewText = (body = '', length = 200) => {
+  const text = body.replace(/\s+/g, ' ').trim();
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+};
+
+/**
+ * Lists the participants a conversation should have
+ * @param {Object} property - owner and agents
+ * @param {string|ObjectId} tenantId - The tenant or enquirer
+ * @returns {Promise<Object[]>} [{ user, role }]
+ */
+const buildParticipants = async (property, tenantId) => {
+  const ids = [tenantId, property.owner, ...(property.agents || [])];
+  const users = await User.find({ _id: { $in: ids } }).select('role').lean();
+  return users.map((user) => ({ user: user._id, role: user.role }));
+};
+
+/**
+ * Opens the conversation for a lease or a property, or returns the existing one
+ * @async
+ * @function startConversation
+ * @param {Object} user
+ * @param {Object} subject
+ * @param {string} [subject.leaseId] - Lease thread: tenant, landlord and the property's agents
+ * @param {string} [subject.propertyId] - Property thread with the owner and agents
+ * @param {string} [subject.tenantId] - For staff starting a property thread with a tenant
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404 unknown or inaccessible lease or property, 400 tenantId missing, 403 not staff or a tenant
+ *
+ * @remarks
+ * Agents added to the property since the thread started are added to it.
+ */
+const startConversation = async (user, { leaseId, propertyId, tenantId }) => {
+  let property;
+  let participantId;
+  let title;
+
+  if (leaseId) {
+    const { lease } = await getLeaseForUser(leaseId, user);
+    property = await Property.findById(lease.property).select('title owner agents');
+    if (!property) throw new AppError('Property not found', 404);
+    participantId = lease.tenant;
+    title = `Lease: ${property.title}`;
+  } else {
+    property = await Property.findById(propertyId).select('title owner agents');
+    if (!property) throw new AppError('Property not found', 404);
+    if (canManageProperty(property, user)) {
+      if (!tenantId) throw new AppError('Choose the tenant to message', 400);
+      const tenant = await User.exists({ _id: tenantId, role: 'tenant' });
+      if (!tenant) throw new AppError('Tenant not found', 404);
+      participantId = tenantId;
+    } else {
+      if (user.role !== 'tenant') throw new AppError('You do not manage this property', 403);
+      participantId = user._id;
+    }
+    title = property.title;
+  }
+
+  const key = conversationKey({ leaseId, propertyId: property._id, userId: participantId });
+  const participants = await buildParticipants(property, participantId);
+
+  let conversation;
+  try {
+    conversation = await Conversation.findOneAndUpdate(
+      { key },
+      {
+        $setOnInsert: {
+          kind: leaseId ? 'lease' : 'property',
+          property: property._id,
+          ...(leaseId ? { lease: leaseId } : {}),
+          title,
+          participants,
+          createdBy: user._id,
+        },
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    conversation = await Conversation.findOne({ key });  // Started at the same moment by someone else
+  }
+
+  const missing = participants.filter((participant) => !participantOf(conversation, participant.user));
+  if (missing.length) {
+    conversation = await Conversation.findOneAndUpdate(
+      { _id: conversation._id },
+      { $push: { participants: { $each: missing } } },
+      { new: true }
+    );
+  }
+  return conversation;
+};
+
+/**
+ * Builds the filter for the conversations a user is in
+ * @function conversationScope
+ * @param {Object} user
+ * @returns {Object} Mongo filter
+ */
+const conversationScope = (user) => ({ 'participants.user': user._id });
+
+/**
+ * Loads a conversation the user takes part in
+ * @async
+ * @function getConversationForUser
+ * @param {string} conversationId
+ * @param {Object} user
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404 unknown or not a participant
+ */
+const getConversationForUser = async (conversationId, user) => {
+  const conversation = mongoose.isValidObjectId(conversationId) && await Conversation.findById(conversationId);
+  if (!conversation || !participantOf(conversation, user._id)) throw new AppError('Conversation not found', 404);
+  return conversation;
+};
+
+/**
+ * Counts the messages a participant has not read
+ * @async
+ * @function countUnread
+ * @param {Object} conversation
+ * @param {string|ObjectId} userId
+ * @returns {Promise<number>}
+ */
+const countUnread = async (conversation, userId) => {
+  const participant = participantOf(conversation, userId);
+  const filter = { conversation: conversation._id, sender: { $ne: userId } };
+  if (participant?.lastReadAt) filter.createdAt = { $gt: participant.lastReadAt };
+  return Message.countDocuments(filter);
+};
+
+/**
+ * Picks a file extension from an attachment's MIME type
+ * @param {Object} file
+ * @returns {string}
+ */
+const attachmentExtension = (file) =>
+  ({ 'application/pdf': '.pdf', 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp' }[file.mimetype]
+    || path.extname(file.originalname || '').toLowerCase()
+    || '');
+
+/**
+ * Queues the delayed email for each recipient of a new message
+ * @param {Object} conversation
+ * @param {Object[]} recipients - Participants other than the sender
+ *
+ * @remarks
+ * The job id is per conversation and recipient, so a burst of messages
+ * queues a single email. The worker only sends it if something is still
+ * unread when it runs.
+ */
+const queueUnreadEmails = async (conversation, recipients) => {
+  // Required lazily so the API does not open a Redis connection until needed
+  const chatQueue = require('../queues/chatQueue');
+  await Promise.all(recipients.map((participant) =>
+    chatQueue
+      .add(
+        'unread',
+        { conversationId: String(conversation._id), userId: String(participant.user) },
+        {
+          jobId: `unread-${conversation._id}-${participant.user}`,
+          delay: UNREAD_EMAIL_DELAY_MINUTES * 60 * 1000,
+          removeOnComplete: true,
+          removeOnFail: true,
+        }
+      )
+      .catch((error) => logger.error(`Queueing unread email for ${participant.user} failed: ${error.message}`))
+  ));
+};
+
+/**
+ * Sends a message, storing any attachments privately
+ * @async
+ * @function sendMessage
+ * @param {string} conversationId
+ * @param {Object} user - A participant
+ * @param {Object} input
+ * @param {string} [input.body]
+ * @param {Object[]} [input.files] - Multer memory files
+ * @returns {Promise<{ conversation: mongoose.Document, message: mongoose.Document }>}
+ * @throws {AppError} 404 conversation, 400 empty message
+ *
+ * @remarks
+ * Sending counts as reading everything before it.
+ */
+const sendMessage = async (conversationId, user, { body = '', files = [] }) => {
+  const conversation = await getConversationForUser(conversationId, user);
+  const text = String(body || '').trim();
+  if (!text && !files.length) throw new AppError('Write a message or attach a file', 400);
+
+  const message = new Message({ conversation: conversation._id, sender: user._id, body: text });
+  const stored = [];
+  try {
+    for (const file of files) {
+      const attachmentId = new mongoose.Types.ObjectId();
+      const { key } = await getStorage().put(
+        `chat/${conversation._id}/${attachmentId}${attachmentExtension(file)}`,
+        file.buffer,
+        { contentType: file.mimetype, visibility: 'private' }
+      );
+      stored.push({
+        _id: attachmentId,
+        key,
+        name: file.originalname?.slice(0, 255),
+        contentType: file.mimetype,
+        bytes: file.size,
+      });
+    }
+    message.attachments = stored;
+    await message.save();
+  } catch (error) {
+    await Promise.allSettled(stored.map((attachment) => getStorage().remove(attachment.key, { visibility: 'private' })));
+    throw error;
+  }
+
+  const updated = await Conversation.findOneAndUpdate(
+    { _id: conversation._id, 'participants.user': user._id },
+    {
+      $set: {
+        lastMessage: { body: previewText(text), sender: user._id, attachments: stored.length },
+        lastMessageAt: message.createdAt,
+      },
+      $max: { 'participants.$.lastReadAt': message.createdAt },
+    },
+    { new: true }
+  );
+
+  await queueUnreadEmails(updated, updated.participants.filter((participant) => String(participant.user) !== String(user._id)));
+  return { conversation: updated, message };
+};
+
+/**
+ * Marks a conversation read up to a time
+ * @async
+ * @function markRead
+ * @param {string} conversationId
+ * @param {Object} user - A participant
+ * @param {Date} [at=new Date()] - Never moves the read marker back
+ * @returns {Promise<{ conversation: mongoose.Document, readAt: Date }>}
+ */
+const markRead = async (conversationId, user, at = new Date()) => {
+  const conversation = await getConversationForUser(conversationId, user);
+  const readAt = at > new Date() ? new Date() : at;
+
+  const updated = await Conversation.findOneAndUpdate(
+    { _id: conversation._id, 'participants.user': user._id },
+    { $max: { 'participants.$.lastReadAt': readAt } },
+    { new: true }
+  );
+  return { conversation: updated, readAt: participantOf(updated, user._id).lastReadAt };
+};
+
+/**
+ * Pages backwards through a conversation's messages
+ * @async
+ * @function listMessages
+ * @param {string} conversationId
+ * @param {Object} user - A participant
+ * @param {Object} [options]
+ * @param {string} [options.before] - Message id; returns messages older than it
+ * @param {number} [options.limit=30]
+ * @returns {Promise<{ data: Object[], hasMore: boolean }>} Newest first
+ *
+ * @remarks
+ * Paged by cursor rather than page number so new messages arriving while
+ * someone scrolls back do not shift the pages.
+ */
+const listMessages = async (conversationId, user, { before, limit = 30 } = {}) => {
+  const conversation = await getConversationForUser(conversationId, user);
+  const size = Math.min(Math.max(parseInt(limit) || 30, 1), MAX_PAGE);
+
+  const filter = { conversation: conversation._id };
+  if (before) {
+    const cursor = mongoose.isValidObjectId(before)
+      && await Message.findOne({ _id: before, conversation: conversation._id }).select('createdAt');
+    if (!cursor) throw new AppError('Unknown message in before', 400);
+    filter.$or = [
+      { createdAt: { $lt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+    ];
+  }
+
+  const messages = await Message.find(filter)
+    .select('-attachments.key')
+    .populate('sender', 'name role')
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(size + 1)
+    .lean();
+
+  return { data: messages.slice(0, size), hasMore: messages.length > size };
+};
+
+/**
+ * Creates a short-lived link to a message attachment
+ * @async
+ * @function attachmentUrl
+ * @param {string} conversationId
+ * @param {Object} user - A participant
+ * @param {string} messageId
+ * @param {string} attachmentId
+ * @returns {Promise<string>}
+ * @throws {AppError} 404 unknown message or attachment
+ */
+const attachmentUrl = async (conversationId, user, messageId, attachmentId) => {
+  const conversation = await getConversationForUser(conversationId, user);
+  const message = mongoose.isValidObjectId(messageId)
+    && await Message.findOne({ _id: messageId, conversation: conversation._id });
+  const attachment = message && message.attachments.id(attachmentId);
+  if (!attachment) throw new AppError('Attachment not found', 404);
+
+  return getStorage().signedUrl(attachment.key, { expiresIn: 300, filename: attachment.name });
+};
+
+/**
+ * Shapes a message for clients, without storage keys
+ * @function presentMessage
+ * @param {Object} message
+ * @param {Object} [sender] - { _id, name, role }, when not populated
+ * @returns {Object}
+ */
+const presentMessage = (message, sender) => {
+  const data = typeof message.toObject === 'function' ? message.toObject() : { ...message };
+  data.attachments = (data.attachments || []).map(({ key, ...attachment }) => attachment);
+  if (sender) data.sender = { _id: sender._id, name: sender.name, role: sender.role };
+  return data;
+};
+
+module.exports = {
+  UNREAD_EMAIL_DELAY_MINUTES,
+  conversationKey,
+  participantOf,
+  previewText,
+  startConversation,
+  conversationScope,
+  getConversationForUser,
+  countUnread,
+  sendMessage,
+  markRead,
+  listMessages,
+  attachmentUrl,
+  presentMessage,
+};
@@ -0,0 +1,74 @@
+/**
+ * Unread chat emails
+ * @module utils/chatNotices
+ * @description Emails a participant the chat messages they have not read a
+ * while after they were sent. Runs in the chat worker, which is why it can
+ * load the email client eagerly.
+ * @see {@link module:utils/chat} which queues these emails
+ */
+
+const moment = require('moment');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const sendEmail = require('./email');
+const { participantOf, previewText } = require('./chat');
+
+const MAX_MESSAGES = 10;
+
+/**
+ * Emails one participant the messages still unread in a conversation
+ * @async
+ * @function sendUnreadDigest
+ * @param {Object} data - Job data
+ * @param {string} data.conversationId
+ * @param {string} data.userId - Recipient
+ * @returns {Promise<Object>} { sent } or { skipped }
+ *
+ * @remarks
+ * Messages read since the job was queued, or already included in an
+ * earlier email, are left out; if nothing is left no email is sent.
+ */
+const sendUnreadDigest = async ({ conversationId, userId }) => {
+  const conversation = await Conversation.findById(conversationId);
+  const participant = conversation && participantOf(conversation, userId);
+  if (!participant) return { skipped: 'not a participant' };
+
+  const since = [participant.lastReadAt, participant.lastEmailedAt].filter(Boolean).sort((a, b) => b - a)[0];
+  const filter = { conversation: conversation._id, sender: { $ne: participant.user } };
+  if (since) filter.createdAt = { $gt: since };
+
+  const [unread, messages, user] = await Promise.all([
+    Message.countDocuments(filter),
+    Message.find(filter).populate('sender', 'name').sort({ createdAt: -1 }).limit(MAX_MESSAGES).lean(),
+    User.findById(participant.user).select('name email').lean(),
+  ]);
+  if (!unread) return { skipped: 'nothing unread' };
+  if (!user?.email) return { skipped: 'no email address' };
+
+  await sendEmail({
+    to: user.email,
+    subject: `${unread} unread message${unread === 1 ? '' : 's'}: ${conversation.title}`,
+    templateName: 'chatUnread',
+    templateData: {
+      name: user.name,
+      title: conversation.title,
+      unread,
+      more: unread > messages.length ? unread - messages.length : 0,
+      messages: messages.reverse().map((message) => ({
+        sender: message.sender?.name || 'Someone',
+        at: moment(message.createdAt).format('ddd D MMM, HH:mm'),
+        body: previewText(message.body, 500),
+        attachments: message.attachments.length,
+      })),
+    },
+  });
+
+  await Conversation.updateOne(
+    { _id: conversation._id, 'participants.user': participant.user },
+    { $max: { 'participants.$.lastEmailedAt': messages[messages.length - 1].createdAt } }
+  );
+  return { sent: unread };
+};
+
+module.exports = { sendUnreadDigest };
@@ -78,6 +78,11 @@ const sendEmail = async (options) => {
       throw new AppError('Email must include either template or text content.', 400);
     }
 
+    // Nodemailer attachment objects, e.g. { filename, content, contentType }
+    if (options.attachments) {
+      mailOptions.attachments = options.attachments;
+    }
+
     await transporter.sendMail(mailOptions);
     console.log(`✅ Email sent to ${options.to}`);
   } catch (err) {
@@ -0,0 +1,17 @@
+/**
+ * RegExp escaping
+ * @module utils/escapeRegex
+ * @description Escapes user input (receipt numbers, phone digits, city
+ * names) before it is matched with a RegExp, so search terms cannot inject
+ * patterns.
+ */
+
+/**
+ * Escapes the RegExp special characters in a string
+ * @function escapeRegex
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,92 @@
+/**
+ * Invoice issuing
+ * @module utils/invoices
+ * @description Raises and voids tenant invoices, keeping allocations in step.
+ * @see {@link module:utils/allocation} for how payments are applied
+ */
+
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const AppError = require('./appError');
+const logger = require('./logger');
+const { allocateTenantPayments, reallocateTenant } = require('./allocation');
+const { findTenantProperty } = require('./properties');
+
+/**
+ * Checks that a user may bill or manage a tenant
+ * @param {Object} tenant - Tenant user
+ * @param {Object} actor - Acting user (landlord or admin)
+ * @returns {boolean}
+ */
+const canManageTenant = (tenant, actor) =>
+  actor.role === 'admin' || (actor.role === 'landlord' && String(tenant.landlord) === String(actor._id));
+
+/**
+ * Raises an invoice and applies any credit the tenant already holds
+ * @async
+ * @function createInvoice
+ * @param {Object} details
+ * @param {string} details.tenantId - Tenant user id
+ * @param {string} details.type - rent | deposit | utilities | penalty
+ * @param {number} details.amount - Amount due (KES)
+ * @param {Date|string} details.dueDate - Due date
+ * @param {string} [details.period] - Billing month (YYYY-MM)
+ * @param {string} [details.description]
+ * @param {mongoose.Document} creator - Landlord or admin raising the invoice
+ * @returns {Promise<mongoose.Document>} The invoice after credit was applied
+ * @throws {AppError} 404 unknown tenant, 403 tenant belongs to another landlord
+ *
+ * @example
+ * await createInvoice({ tenantId, type: 'rent', amount: 15000, dueDate: '2025-03-05', period: '2025-03' }, req.user);
+ */
+const createInvoice = async ({ tenantId, type, amount, dueDate, period, description }, creator) => {
+  const tenant = await User.findOne({ _id: tenantId, role: 'tenant' });
+  if (!tenant) throw new AppError('Tenant not found', 404);
+  if (!canManageTenant(tenant, creator)) throw new AppError('You do not manage this tenant', 403);
+
+  const invoice = await Invoice.create({
+    tenant: tenant._id,
+    landlord: tenant.landlord,
+    property: await findTenantProperty(tenant._id),
+    type,
+    amount,
+    dueDate,
+    period,
+    description,
+    createdBy: creator._id,
+  });
+
+  await allocateTenantPayments(tenant._id);
+  logger.info(`Invoice ${invoice.invoiceNumber} (${type}, KES ${amount}) raised for tenant ${tenant._id}`);
+
+  return Invoice.findById(invoice._id);
+};
+
+/**
+ * Voids an invoice and returns the money allocated to it to the tenant's credit
+ * @async
+ * @function voidInvoice
+ * @param {string} invoiceId - Invoice id
+ * @param {mongoose.Document} actor - Landlord or admin
+ * @returns {Promise<mongoose.Document>} The voided invoice
+ * @throws {AppError} 404 unknown invoice, 403 not the tenant's landlord, 409 already void
+ */
+const voidInvoice = async (invoiceId, actor) => {
+  const invoice = await Invoice.findById(invoiceId).populate('tenant', 'landlord');
+  if (!invoice) throw new AppError('Invoice not found', 404);
+  if (!canManageTenant(invoice.tenant, actor)) throw new AppError('You do not manage this tenant', 403);
+
+  const voided = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: { $ne: 'Void' } },
+    { $set: { status: 'Void' } },
+    { new: true }
+  );
+  if (!voided) throw new AppError('Invoice is already void', 409);
+
+  await reallocateTenant(invoice.tenant._id);
+  logger.info(`Invoice ${invoice.invoiceNumber} voided by ${actor._id}`);
+
+  return Invoice.findById(invoice._id);
+};
+
+module.exports = { canManageTenant, createInvoice, voidInvoice };
@@ -0,0 +1,598 @@
+/**
+ * Lease agreements
+ * @module utils/leases
+ * @description Drafts leases, renders them to PDF from the lease templates,
+ * and collects both parties' in-app signatures. Each signature records the
+ * SHA-256 of the exact PDF signed, when, and from which IP. A fully signed
+ * lease is locked; changing it means signing an amendment, which becomes the
+ * next version of the same agreement.
+ * @see {@link module:models/Lease} for the stored shape
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const Lease = require('../models/Lease');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const AppError = require('./appError');
+const logger = require('./logger');
+const queueEmail = require('./queueEmail');
+const { renderPdf } = require('./pdf');
+const { canManageProperty, managedPropertyFilter } = require('./properties');
+const { getStorage } = require('../storage');
+
+const LIVE_STATUSES = ['draft', 'pending_signature', 'active'];
+const MAX_SIGNATURE_BYTES = 200 * 1024;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Terms the landlord can set, on a draft or in an amendment
+ * @constant {string[]}
+ */
+const TERM_FIELDS = ['template', 'startDate', 'endDate', 'rent', 'deposit', 'billingDay', 'escalation', 'noticePeriodDays', 'clauses'];
+
+/**
+ * Lease templates: heading and standard clauses; all share leaseAgreement.hbs
+ * @constant {Object<string, Object>}
+ */
+const LEASE_TEMPLATES = {
+  residential: {
+    title: 'Residential Tenancy Agreement',
+    clauses: [
+      'The premises shall be used as a private residence only.',
+      'The tenant shall keep the premises clean and in good repair, fair wear and tear excepted, and report any damage promptly.',
+      'The tenant shall not sublet or assign the premises without the landlord\'s written consent.',
+      'The landlord may inspect the premises at reasonable times after giving at least 24 hours\' notice.',
+      'The deposit is refundable at the end of the tenancy, less any rent owed and the cost of repairing damage beyond fair wear and tear.',
+    ],
+  },
+  commercial: {
+    title: 'Commercial Lease Agreement',
+    clauses: [
+      'The premises shall be used only for the lawful business stated to the landlord.',
+      'The tenant is responsible for business licences, permits and any fit-out, which must be approved by the landlord in writing.',
+      'The tenant shall not sublet or assign the premises without the landlord\'s written consent.',
+      'The tenant shall insure their stock, fixtures and public liability.',
+      'The deposit is refundable at the end of the lease, less any rent owed and the cost of reinstating the premises.',
+    ],
+  },
+};
+
+/**
+ * Formats a KES amount for the lease document
+ * @param {number} value
+ * @returns {string} e.g. "25,000.00"
+ */
+const formatKes = (value) =>
+  Number(value || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Works out the monthly rent in force on a date, after escalation
+ * @function rentOn
+ * @param {Object} lease - rent, startDate and escalation
+ * @param {Date} [date=new Date()]
+ * @returns {number} KES, rounded to cents
+ *
+ * @example
+ * // 10% every 12 months from 1 Jan 2025
+ * rentOn({ rent: 20000, startDate: '2025-01-01', escalation: { type: 'percentage', value: 10, everyMonths: 12 } }, '2026-03-01');
+ * // => 22000
+ */
+const rentOn = (lease, date = new Date()) => {
+  const { type = 'none', value = 0, everyMonths = 12 } = lease.escalation || {};
+  const months = moment(date).startOf('day').diff(moment(lease.startDate).startOf('day'), 'months');
+  const steps = type === 'none' || months < 0 ? 0 : Math.floor(months / everyMonths);
+
+  const rent = type === 'percentage'
+    ? lease.rent * (1 + value / 100) ** steps
+    : lease.rent + (type === 'fixed' ? value * steps : 0);
+  return Math.round(rent * 100) / 100;
+};
+
+/**
+ * Describes the escalation terms in words
+ * @function describeEscalation
+ * @param {Object} [escalation]
+ * @returns {string}
+ */
+const describeEscalation = (escalation) => {
+  if (!escalation || escalation.type === 'none' || !escalation.value) return 'Rent is fixed for the term of this agreement.';
+  const increase = escalation.type === 'percentage' ? `${escalation.value}%` : `KES ${formatKes(escalation.value)}`;
+  return `Rent increases by ${increase} every ${escalation.everyMonths} month(s) from the start date.`;
+};
+
+/**
+ * SHA-256 of a document, as recorded with signatures
+ * @function hashDocument
+ * @param {Buffer} buffer
+ * @returns {string} Hex digest
+ */
+const hashDocument = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Builds the template context for a lease PDF
+ * @function buildLeaseView
+ * @param {Object} lease - With tenant, landlord, property and unit populated
+ * @param {Object} [signatureImages] - Data URLs of drawn signatures, by party
+ * @returns {Object} Template data
+ */
+const buildLeaseView = (lease, signatureImages = {}) => {
+  const template = LEASE_TEMPLATES[lease.template] || LEASE_TEMPLATES.residential;
+  const { street, area, city } = lease.property?.address || {};
+
+  return {
+    title: template.title,
+    reference: `${String(lease.agreement || lease._id).slice(-8).toUpperCase()}-v${lease.version}`,
+    version: lease.version,
+    isAmendment: lease.version > 1,
+    amendmentReason: lease.amendmentReason,
+    landlordName: lease.landlord?.name,
+    tenantName: lease.tenant?.name,
+    tenantEmail: lease.tenant?.email,
+    premises: [lease.unit && `Unit ${lease.unit.unitNumber}`, lease.property?.title, street, area, city]
+      .filter(Boolean)
+      .join(', '),
+    startDate: moment(lease.startDate).format('D MMMM YYYY'),
+    endDate: lease.endDate ? moment(lease.endDate).format('D MMMM YYYY') : null,
+    rent: formatKes(lease.rent),
+    deposit: formatKes(lease.deposit),
+    billingDay: moment().date(lease.billingDay).format('Do'),
+    escalation: describeEscalation(lease.escalation),
+    noticePeriodDays: lease.noticePeriodDays,
+    clauses: [...template.clauses, ...(lease.clauses || [])],
+    signatures: (lease.signatures || []).map((signature) => ({
+      party: signature.party === 'tenant' ? 'Tenant' : 'Landlord',
+      typedName: signature.typedName,
+      image: signatureImages[signature.party],
+      signedAt: moment(signature.signedAt).format('D MMM YYYY, HH:mm:ss'),
+      ip: signature.ip,
+      documentHash: signature.documentHash,
+    })),
+    documentHash: lease.document?.hash,
+  };
+};
+
+/**
+ * Renders a lease to PDF and stores it privately
+ * @async
+ * @param {mongoose.Document} lease
+ * @param {string} name - File name suffix, e.g. "v1" or "v1-signed"
+ * @param {Object} [signatureImages]
+ * @returns {Promise<Object>} { key, hash, bytes, generatedAt } for Lease.document
+ */
+const storeLeasePdf = async (lease, name, signatureImages) => {
+  await lease.populate([
+    { path: 'tenant', select: 'name email' },
+    { path: 'landlord', select: 'name email' },
+    { path: 'property', select: 'title address' },
+    { path: 'unit', select: 'unitNumber' },
+  ]);
+  const pdf = await renderPdf('leaseAgreement', buildLeaseView(lease, signatureImages));
+  lease.depopulate();
+
+  const { key } = await getStorage().put(`leases/${lease.agreement}/${lease._id}-${name}.pdf`, pdf, {
+    contentType: 'application/pdf',
+    visibility: 'private',
+  });
+  return { key, hash: hashDocument(pdf), bytes: pdf.length, generatedAt: new Date() };
+};
+
+/**
+ * Builds the filter for the leases a user can list
+ * @async
+ * @function leaseScope
+ * @param {Object} user
+ * @returns {Promise<Object>} Mongo filter
+ */
+const leaseScope = async (user) => {
+  if (user.role === 'tenant') return { tenant: user._id };
+  if (user.role === 'admin') return {};
+  if (user.role === 'landlord') return { landlord: user._id };
+
+  const properties = await Property.find(managedPropertyFilter(user)).distinct('_id');
+  return { property: { $in: properties } };
+};
+
+/**
+ * Loads a lease the user is a party to or manages
+ * @async
+ * @function getLeaseForUser
+ * @param {string} leaseId
+ * @param {Object} user
+ * @returns {Promise<{ lease: mongoose.Document, manager: boolean, party: string|null }>}
+ *   party is tenant or landlord when the user signs this lease
+ * @throws {AppError} 404 unknown or not visible to the user
+ */
+const getLeaseForUser = async (leaseId, user) => {
+  const lease = await Lease.findById(leaseId);
+  if (!lease) throw new AppError('Lease not found', 404);
+
+  const property = await Property.findById(lease.property).select('owner agents');
+  const manager = Boolean(property) && canManageProperty(property, user);
+  const party = String(lease.tenant) === String(user._id) ? 'tenant'
+    : String(lease.landlord) === String(user._id) ? 'landlord'
+      : null;
+  if (!manager && !party) throw new AppError('Lease not found', 404);
+  return { lease, manager, party };
+};
+
+/**
+ * Throws unless the user manages the lease's property
+ * @param {boolean} manager
+ */
+const assertManager = (manager) => {
+  if (!manager) throw new AppError('Only the landlord or their agent can do this', 403);
+};
+
+/**
+ * Copies the lease terms present in the input
+ * @param {Object} source
+ * @returns {Object}
+ */
+const pickTerms = (source) =>
+  TERM_FIELDS.reduce((terms, key) => {
+    if (source[key] !== undefined) terms[key] = source[key];
+    return terms;
+  }, {});
+
+/**
+ * Checks whether a unit has a lease that is drafted, out for signature or active
+ * @async
+ * @function hasLiveLease
+ * @param {string|ObjectId} unitId
+ * @returns {Promise<boolean>}
+ */
+const hasLiveLease = async (unitId) => Boolean(await Lease.exists({ unit: unitId, status: { $in: LIVE_STATUSES } }));
+
+/**
+ * Drafts a lease for a unit
+ * @async
+ * @function createLease
+ * @param {Object} user - Landlord, agent or admin managing the property
+ * @param {Object} input - unitId, tenantId and the terms
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404 unit or tenant, 403 not managed, 409 the unit already has a live lease
+ */
+const createLease = async (user, input) => {
+  const unit = await Unit.findById(input.unitId);
+  if (!unit) throw new AppError('Unit not found', 404);
+  const property = await Property.findById(unit.property).select('owner agents');
+  if (!property || !canManageProperty(property, user)) throw new AppError('You do not manage this property', 403);
+
+  const tenant = await User.findOne({ _id: input.tenantId, role: 'tenant' }).select('_id');
+  if (!tenant) throw new AppError('Tenant not found', 404);
+
+  if (await hasLiveLease(unit._id)) throw new AppError('This unit already has a lease in progress', 409);
+
+  const terms = pickTerms(input);
+  return Lease.create({
+    rent: unit.rent,
+    deposit: unit.deposit,
+    billingDay: Math.min(moment(terms.startDate).date(), 28),
+    ...terms,
+    tenant: tenant._id,
+    landlord: property.owner,
+    property: property._id,
+    unit: unit._id,
+    createdBy: user._id,
+  });
+};
+
+/**
+ * Changes the terms of an unsigned lease
+ * @async
+ * @function updateLease
+ * @param {string} leaseId
+ * @param {Object} user - A manager
+ * @param {Object} changes - Terms
+ * @returns {Promise<mongoose.Document>} Back in draft; an issued PDF must be issued again
+ * @throws {AppError} 409 once anyone has signed
+ */
+const updateLease = async (leaseId, user, changes) => {
+  const { lease, manager } = await getLeaseForUser(leaseId, user);
+  assertManager(manager);
+  if (!['draft', 'pending_signature'].includes(lease.status)) throw new AppError(`Lease is ${lease.status}`, 409);
+  if (lease.signatures.length) throw new AppError('Signing has started; cancel this lease or amend it once signed', 409);
+
+  Object.assign(lease, pickTerms(changes));
+  if (lease.document) {
+    await getStorage().remove(lease.document.key, { visibility: 'private' })
+      .catch((error) => logger.warn(`Lease document cleanup failed: ${error.message}`));
+    lease.document = undefined;
+  }
+  lease.status = 'draft';
+  return lease.save();
+};
+
+/**
+ * Renders the lease PDF and opens it for signing
+ * @async
+ * @function issueLease
+ * @param {string} leaseId
+ * @param {Object} user - A manager
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 409 not a draft
+ */
+const issueLease = async (leaseId, user) => {
+  const { lease, manager } = await getLeaseForUser(leaseId, user);
+  assertManager(manager);
+  if (lease.status !== 'draft') throw new AppError(`Lease is ${lease.status}`, 409);
+
+  lease.document = await storeLeasePdf(lease, `v${lease.version}`);
+  lease.status = 'pending_signature';
+  await lease.save();
+
+  const tenant = await User.findById(lease.tenant).select('email name').lean();
+  await queueEmail({
+    to: tenant?.email,
+    subject: lease.version > 1 ? 'Your lease amendment is ready to sign' : 'Your lease is ready to sign',
+    text: `Hi ${tenant?.name || ''},\n\nYour ${lease.version > 1 ? 'lease amendment' : 'lease'} is ready. `
+      + 'Review and sign it from your leases page.',
+  });
+  return lease;
+};
+
+/**
+ * Decodes a drawn signature sent as a PNG data URL
+ * @function decodeSignatureImage
+ * @param {string} dataUrl - data:image/png;base64,...
+ * @returns {Buffer}
+ * @throws {AppError} 400 not a PNG or too large
+ */
+const decodeSignatureImage = (dataUrl) => {
+  const match = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+  if (!match) throw new AppError('A drawn signature must be a PNG data URL', 400);
+
+  const buffer = Buffer.from(match[1], 'base64');
+  if (buffer.length > MAX_SIGNATURE_BYTES) throw new AppError('Signature image is too large', 400);
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) throw new AppError('A drawn signature must be a PNG data URL', 400);
+  return buffer;
+};
+
+/**
+ * Signs a lease as the tenant or the landlord
+ * @async
+ * @function signLease
+ * @param {string} leaseId
+ * @param {Object} user - The tenant or landlord on the lease
+ * @param {Object} input
+ * @param {string} input.method - typed | drawn
+ * @param {string} input.typedName - Full name as signed
+ * @param {string} [input.image] - PNG data URL for drawn signatures
+ * @param {string} input.documentHash - Hash of the PDF the signer reviewed
+ * @param {Object} context - { ip, userAgent } of the request
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 403 not a party, 409 not open for signing, already signed or stale document
+ *
+ * @remarks
+ * The signature is only accepted for the current document: if the lease was
+ * changed and reissued after the signer downloaded it, the hash differs and
+ * they must review the new one. The second signature locks the lease.
+ */
+const signLease = async (leaseId, user, input, context) => {
+  const { lease, party } = await getLeaseForUser(leaseId, user);
+  if (!party) throw new AppError('Only the tenant and landlord can sign', 403);
+  if (lease.status !== 'pending_signature') throw new AppError(`Lease is ${lease.status}`, 409);
+  if (lease.document?.hash !== input.documentHash) {
+    throw new AppError('The lease document has changed; review the latest version before signing', 409);
+  }
+  if (lease.signatures.some((signature) => signature.party === party)) {
+    throw new AppError('You have already signed this lease', 409);
+  }
+
+  let imageKey;
+  if (input.method === 'drawn') {
+    const image = decodeSignatureImage(input.image);
+    ({ key: imageKey } = await getStorage().put(
+      `leases/${lease.agreement}/${lease._id}-${party}-signature.png`,
+      image,
+      { contentType: 'image/png', visibility: 'private' }
+    ));
+  }
+
+  const signature = {
+    party,
+    user: user._id,
+    method: input.method,
+    typedName: input.typedName,
+    imageKey,
+    documentHash: lease.document.hash,
+    ip: context.ip,
+    userAgent: context.userAgent?.slice(0, 300),
+    signedAt: new Date(),
+  };
+
+  // Guarded so a concurrent reissue or a double submit cannot add a signature
+  const signed = await Lease.findOneAndUpdate(
+    { _id: lease._id, status: 'pending_signature', 'document.hash': input.documentHash, 'signatures.party': { $ne: party } },
+    { $push: { signatures: signature } },
+    { new: true }
+  );
+  if (!signed) throw new AppError('The lease changed while signing; reload and try again', 409);
+
+  logger.info(`Lease ${signed._id} signed by the ${party} (${user._id}) from ${context.ip}`);
+  return signed.signatures.length === 2 ? finalizeLease(signed) : signed;
+};
+
+/**
+ * Loads drawn signature images as data URLs for the signed copy
+ * @param {Object} lease
+ * @returns {Promise<Object>} Data URL by party
+ */
+const loadSignatureImages = async (lease) => {
+  const images = {};
+  for (const signature of lease.signatures.filter((item) => item.imageKey)) {
+    const buffer = await getStorage().get(signature.imageKey, { visibility: 'private' });
+    images[signature.party] = `data:image/png;base64,${buffer.toString('base64')}`;
+  }
+  return images;
+};
+
+/**
+ * Locks a lease once both parties have signed, and puts it into effect
+ * @async
+ * @param {mongoose.Document} lease - With both signatures
+ * @returns {Promise<mongoose.Document>}
+ *
+ * @remarks
+ * An amendment supersedes the version before it. A first version lets the
+ * unit to the tenant. The signed copy (with a signature page carrying each
+ * signer's hash, time and IP) is best effort: the signatures themselves are
+ * the record, and the copy can be regenerated.
+ */
+const finalizeLease = async (lease) => {
+  const active = await Lease.findOneAndUpdate(
+    { _id: lease._id, status: 'pending_signature', fullySignedAt: { $exists: false } },
+    { $set: { status: 'active', fullySignedAt: new Date() } },
+    { new: true }
+  );
+  if (!active) return Lease.findById(lease._id);
+
+  if (active.previousVersion) {
+    await Lease.updateOne(
+      { _id: active.previousVersion, status: 'active' },
+      { $set: { status: 'superseded', supersededBy: active._id } }
+    );
+  } else {
+    await Unit.updateOne(
+      { _id: active.unit, status: { $in: ['vacant', 'reserved'] } },
+      { $set: { status: 'occupied', tenant: active.tenant } }
+    );
+    await User.updateOne({ _id: active.tenant, role: 'tenant' }, { $set: { landlord: active.landlord } });
+  }
+  logger.info(`Lease ${active._id} (v${active.version}) fully signed and active`);
+
+  try {
+    const signedDocument = await storeLeasePdf(active, `v${active.version}-signed`, await loadSignatureImages(active));
+    await Lease.updateOne({ _id: active._id }, { $set: { signedDocument } });
+    active.signedDocument = signedDocument;
+  } catch (error) {
+    logger.error(`Signed copy of lease ${active._id} failed: ${error.message}`);
+  }
+
+  const parties = await User.find({ _id: { $in: [active.tenant, active.landlord] } }).select('email').lean();
+  for (const party of parties) {
+    await queueEmail({
+      to: party.email,
+      subject: 'Lease signed',
+      text: 'Both parties have signed the lease. Download the signed copy from your leases page.',
+    });
+  }
+  return active;
+};
+
+/**
+ * Starts an amendment: a new draft version of a signed lease
+ * @async
+ * @function amendLease
+ * @param {string} leaseId - The active version
+ * @param {Object} user - A manager
+ * @param {Object} changes - Terms that change
+ * @param {string} reason - Shown on the amendment
+ * @returns {Promise<mongoose.Document>} The new version, in draft
+ * @throws {AppError} 409 not active, or an amendment is already in progress
+ *
+ * @remarks
+ * The signed version stays in force until the amendment is signed by both
+ * parties, then it is marked superseded.
+ */
+const amendLease = async (leaseId, user, changes, reason) => {
+  const { lease, manager } = await getLeaseForUser(leaseId, user);
+  assertManager(manager);
+  if (lease.status !== 'active') throw new AppError('Only an active lease can be amended', 409);
+
+  const pending = await Lease.exists({ previousVersion: lease._id, status: { $in: ['draft', 'pending_signature'] } });
+  if (pending) throw new AppError('An amendment to this lease is already in progress', 409);
+
+  const current = lease.toObject();
+  try {
+    return await Lease.create({
+      ...pickTerms(current),
+      ...pickTerms(changes),
+      tenant: current.tenant,
+      landlord: current.landlord,
+      property: current.property,
+      unit: current.unit,
+      application: current.application,
+      agreement: current.agreement,
+      version: current.version + 1,
+      previousVersion: current._id,
+      amendmentReason: reason,
+      createdBy: user._id,
+    });
+  } catch (error) {
+    if (error.code === 11000) throw new AppError('An amendment to this lease is already in progress', 409);
+    throw error;
+  }
+};
+
+/**
+ * Cancels a lease that has not been fully signed
+ * @async
+ * @function cancelLease
+ * @param {string} leaseId
+ * @param {Object} user - A manager
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 409 already signed or closed
+ *
+ * @remarks
+ * Cancelling a first version releases a unit reserved for it.
+ */
+const cancelLease = async (leaseId, user) => {
+  const { lease, manager } = await getLeaseForUser(leaseId, user);
+  assertManager(manager);
+  if (!['draft', 'pending_signature'].includes(lease.status)) throw new AppError(`Lease is ${lease.status}`, 409);
+
+  lease.status = 'cancelled';
+  await lease.save();
+
+  if (lease.version === 1) {
+    const otherLive = await Lease.exists({ unit: lease.unit, status: { $in: LIVE_STATUSES } });
+    if (!otherLive) await Unit.updateOne({ _id: lease.unit, status: 'reserved' }, { $set: { status: 'vacant' } });
+  }
+  return lease;
+};
+
+/**
+ * Creates a short-lived download link for a lease PDF
+ * @async
+ * @function leaseDocumentUrl
+ * @param {string} leaseId
+ * @param {Object} user - A party or manager
+ * @param {boolean} [signed=false] - The signed copy instead of the issued document
+ * @returns {Promise<{ url: string, hash: string }>}
+ * @throws {AppError} 404 not generated yet
+ */
+const leaseDocumentUrl = async (leaseId, user, signed = false) => {
+  const { lease } = await getLeaseForUser(leaseId, user);
+  const document = signed ? lease.signedDocument : lease.document;
+  if (!document?.key) throw new AppError(signed ? 'The signed copy is not available' : 'The lease has not been issued', 404);
+
+  const suffix = signed ? '-signed' : '';
+  const url = await getStorage().signedUrl(document.key, {
+    expiresIn: 300,
+    filename: `lease-${String(lease.agreement).slice(-8)}-v${lease.version}${suffix}.pdf`,
+  });
+  return { url, hash: document.hash };
+};
+
+module.exports = {
+  LEASE_TEMPLATES,
+  TERM_FIELDS,
+  rentOn,
+  describeEscalation,
+  hashDocument,
+  buildLeaseView,
+  decodeSignatureImage,
+  leaseScope,
+  getLeaseForUser,
+  hasLiveLease,
+  createLease,
+  updateLease,
+  issueLease,
+  signLease,
+  amendLease,
+  cancelLease,
+  leaseDocumentUrl,
+};
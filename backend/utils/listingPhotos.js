@@ -0,0 +1,252 @@
+/**
+ * Listing photos
+ * @module utils/listingPhotos
+ * @description Turns uploaded images into responsive variants and manages the
+ * photo galleries embedded in properties and units: order, cover photo and
+ * deletion of every stored variant.
+ * @see {@link module:models/photoSchema} for the stored shape
+ */
+
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const AppError = require('./appError');
+const logger = require('./logger');
+const { getStorage } = require('../storage');
+
+/**
+ * Longest edge in pixels for each variant; smaller originals are not enlarged
+ * @constant {Object<string, number>}
+ */
+const VARIANTS = { thumb: 320, medium: 960, large: 1920 };
+
+const FORMATS = {
+  webp: (image) => image.webp({ quality: 80 }),
+  jpeg: (image) => image.jpeg({ quality: 82, mozjpeg: true }),
+};
+
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';  // Keys are never reused
+const MAX_PHOTOS = parseInt(process.env.LISTING_MAX_PHOTOS) || 30;
+
+/**
+ * Renders every size and format of one image
+ * @async
+ * @function renderVariants
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object[]>} [{ size, format, width, height, buffer }]
+ * @throws {AppError} 400 when the file is not a readable image
+ *
+ * @remarks
+ * rotate() applies the EXIF orientation before Sharp drops all metadata
+ * (EXIF, GPS, ICC comments) from the output, so photos stay upright without
+ * leaking where they were taken.
+ */
+const renderVariants = async (buffer) => {
+  try {
+    await sharp(buffer, { failOn: 'error' }).metadata();
+  } catch (error) {
+    throw new AppError('File is not a supported image', 400);
+  }
+
+  const jobs = [];
+  for (const [size, edge] of Object.entries(VARIANTS)) {
+    for (const [format, encode] of Object.entries(FORMATS)) {
+      const image = sharp(buffer).rotate().resize(edge, edge, { fit: 'inside', withoutEnlargement: true });
+      jobs.push(
+        encode(image)
+          .toBuffer({ resolveWithObject: true })
+          .then(({ data, info }) => ({ size, format, width: info.width, height: info.height, buffer: data }))
+      );
+    }
+  }
+  return Promise.all(jobs);
+};
+
+/**
+ * Deletes every stored variant of the given photos
+ * @async
+ * @function removePhotoFiles
+ * @param {Object[]} photos
+ * @returns {Promise<void>}
+ */
+const removePhotoFiles = async (photos) => {
+  const keys = photos.flatMap((photo) => photo.variants.map((variant) => variant.key));
+  const results = await Promise.allSettled(keys.map((key) => getStorage().remove(key)));
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => logger.warn(`Photo file cleanup failed: ${result.reason.message}`));
+};
+
+/**
+ * Makes order contiguous (0..n-1) and guarantees a single cover
+ * @param {Object} doc - Property or unit
+ */
+const normalizeGallery = (doc) => {
+  doc.photos.sort((a, b) => a.order - b.order);
+  doc.photos.forEach((photo, index) => { photo.order = index; });
+  if (doc.photos.length && !doc.photos.some((photo) => photo.isCover)) doc.photos[0].isCover = true;
+};
+
+/**
+ * Processes uploads and appends them to a property or unit gallery
+ * @async
+ * @function addPhotos
+ * @param {mongoose.Document} doc - Property or unit with a photos array
+ * @param {Object[]} files - Multer memory files
+ * @param {Object} uploader - Acting user
+ * @param {string} folder - Storage folder, e.g. listings/<propertyId>
+ * @returns {Promise<Object[]>} The new photos
+ * @throws {AppError} 400 no files, too many photos or an unreadable image
+ *
+ * @remarks
+ * The gallery is only saved once every file has been processed; if one
+ * fails, the variants already written are removed and nothing is added.
+ */
+const addPhotos = async (doc, files, uploader, folder) => {
+  if (!files?.length) throw new AppError('Attach at least one photo in the photos field', 400);
+  if (doc.photos.length + files.length > MAX_PHOTOS) {
+    throw new AppError(`A listing can have at most ${MAX_PHOTOS} photos`, 400);
+  }
+
+  const added = [];
+  try {
+    for (const file of files) {
+      const photoId = new mongoose.Types.ObjectId();
+      const variants = [];
+
+      for (const variant of await renderVariants(file.buffer)) {
+        const { key, url } = await getStorage().put(
+          `${folder}/${photoId}-${variant.size}.${variant.format === 'jpeg' ? 'jpg' : variant.format}`,
+          variant.buffer,
+          { contentType: `image/${variant.format}`, cacheControl: CACHE_CONTROL }
+        );
+        variants.push({
+          size: variant.size,
+          format: variant.format,
+          width: variant.width,
+          height: variant.height,
+          bytes: variant.buffer.length,
+          key,
+          url,
+        });
+      }
+
+      added.push({
+        _id: photoId,
+        variants,
+        order: doc.photos.length + added.length,
+        originalName: file.originalname?.slice(0, 255),
+        uploadedBy: uploader._id,
+      });
+    }
+  } catch (error) {
+    await removePhotoFiles(added);
+    throw error;
+  }
+
+  doc.photos.push(...added);
+  normalizeGallery(doc);
+  try {
+    await doc.save();
+  } catch (error) {
+    await removePhotoFiles(added);
+    throw error;
+  }
+
+  logger.info(`${added.length} photo(s) added to ${folder}`);
+  return doc.photos.filter((photo) => added.some((a) => a._id.equals(photo._id)));
+};
+
+/**
+ * Sets the display order of a gallery
+ * @function reorderPhotos
+ * @param {mongoose.Document} doc
+ * @param {string[]} photoIds - Every photo id, in the new order
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 400 when the ids are not exactly the gallery's photos
+ */
+const reorderPhotos = async (doc, photoIds) => {
+  const ids = photoIds.map(String);
+  const current = doc.photos.map((photo) => String(photo._id));
+  if (ids.length !== current.length || new Set(ids).size !== ids.length || !ids.every((id) => current.includes(id))) {
+    throw new AppError('photoIds must list every photo exactly once', 400);
+  }
+
+  doc.photos.forEach((photo) => { photo.order = ids.indexOf(String(photo._id)); });
+  normalizeGallery(doc);
+  return doc.save();
+};
+
+/**
+ * Makes one photo the cover
+ * @function setCoverPhoto
+ * @param {mongoose.Document} doc
+ * @param {string} photoId
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404 unknown photo
+ */
+const setCoverPhoto = async (doc, photoId) => {
+  const cover = doc.photos.id(photoId);
+  if (!cover) throw new AppError('Photo not found', 404);
+
+  doc.photos.forEach((photo) => { photo.isCover = photo._id.equals(cover._id); });
+  return doc.save();
+};
+
+/**
+ * Removes a photo and all of its stored variants
+ * @async
+ * @function deletePhoto
+ * @param {mongoose.Document} doc
+ * @param {string} photoId
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404 unknown photo
+ *
+ * @remarks
+ * The record is removed first: a failed file delete leaves an orphaned file,
+ * never a photo pointing at missing files. Deleting the cover promotes the
+ * next photo.
+ */
+const deletePhoto = async (doc, photoId) => {
+  const photo = doc.photos.id(photoId);
+  if (!photo) throw new AppError('Photo not found', 404);
+
+  const removed = photo.toObject();
+  doc.photos.pull(photo._id);
+  normalizeGallery(doc);
+  await doc.save();
+
+  await removePhotoFiles([removed]);
+  return doc;
+};
+
+/**
+ * Finds the URL of a photo variant
+ * @function variantUrl
+ * @param {Object} [photo]
+ * @param {string} [size='medium']
+ * @param {string} [format='jpeg']
+ * @returns {string|undefined}
+ */
+const variantUrl = (photo, size = 'medium', format = 'jpeg') =>
+  photo?.variants.find((variant) => variant.size === size && variant.format === format)?.url;
+
+/**
+ * Returns a gallery's cover photo
+ * @function coverPhoto
+ * @param {Object[]} [photos]
+ * @returns {Object|undefined}
+ */
+const coverPhoto = (photos = []) => photos.find((photo) => photo.isCover) || photos[0];
+
+module.exports = {
+  VARIANTS,
+  MAX_PHOTOS,
+  renderVariants,
+  addPhotos,
+  reorderPhotos,
+  setCoverPhoto,
+  deletePhoto,
+  removePhotoFiles,
+  variantUrl,
+  coverPhoto,
+};
@@ -0,0 +1,85 @@
+/**
+ * Named locks in MongoDB
+ * @module utils/locks
+ * @description Serialises check-then-write sequences that a unique index
+ * cannot express (e.g. "no overlapping slots for this host") across every API
+ * replica, without needing a replica set for transactions. A lock is taken
+ * with a conditional upsert: it matches only an expired lock document, so
+ * while one is held the upsert collides on _id and fails.
+ */
+
+const crypto = require('crypto');
+const Lock = require('../models/Lock');
+const AppError = require('./appError');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Tries once to take a lock
+ * @async
+ * @function acquireLock
+ * @param {string} name
+ * @param {string} owner - Token identifying the holder
+ * @param {number} ttlMs - How long the lock holds if never released
+ * @returns {Promise<boolean>} False while someone else holds it
+ */
+const acquireLock = async (name, owner, ttlMs) => {
+  const now = new Date();
+  try {
+    await Lock.findOneAndUpdate(
+      { _id: name, expiresAt: { $lte: now } },
+      { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Releases a lock, if still held by this owner
+ * @async
+ * @function releaseLock
+ * @param {string} name
+ * @param {string} owner
+ * @returns {Promise<void>}
+ */
+const releaseLock = async (name, owner) => {
+  await Lock.deleteOne({ _id: name, owner });
+};
+
+/**
+ * Runs a function while holding a named lock
+ * @async
+ * @function withLock
+ * @param {string} name - e.g. viewing-slots:<agentId>
+ * @param {Function} fn - async () => result
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs=15000] - Upper bound on how long fn may hold the lock
+ * @param {number} [options.waitMs=5000] - How long to wait for another holder
+ * @param {number} [options.retryMs=100] - Delay between attempts while waiting
+ * @returns {Promise<*>} What fn returns
+ * @throws {AppError} 409 when the lock stays busy for waitMs
+ *
+ * @example
+ * await withLock(`viewing-slots:${agentId}`, () => insertIfFree(slots));
+ */
+const withLock = async (name, fn, { ttlMs = 15000, waitMs = 5000, retryMs = 100 } = {}) => {
+  const owner = crypto.randomUUID();
+  const deadline = Date.now() + waitMs;
+
+  while (!(await acquireLock(name, owner, ttlMs))) {
+    if (Date.now() >= deadline) throw new AppError('Another update is in progress; try again', 409);
+    await sleep(retryMs);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(name, owner).catch(() => {});
+  }
+};
+
+module.exports = { acquireLock, releaseLock, withLock };
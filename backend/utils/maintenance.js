@@ -0,0 +1,623 @@
+/**
+ * Maintenance tickets
+ * @module utils/maintenance
+ * @description Tenants report problems with their unit; staff (the landlord
+ * and the property's agents) assign them to one of themselves or to a
+ * vendor and work them through open → assigned → in_progress → resolved →
+ * closed. Each priority has response and resolution SLAs; the SLA job
+ * escalates breaches to the landlord and agents and closes resolved tickets
+ * the tenant has not reopened.
+ * @see {@link module:jobs/maintenanceWorker} which runs the SLA checks
+ */
+
+const moment = require('moment');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const MaintenanceTicket = require('../models/MaintenanceTicket');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const User = require('../models/User');
+const Vendor = require('../models/Vendor');
+const AppError = require('./appError');
+const logger = require('./logger');
+const queueEmail = require('./queueEmail');
+const { canManageProperty, managedPropertyFilter } = require('./properties');
+const { getStorage } = require('../storage');
+
+/**
+ * Hours to first response and to resolution, per priority
+ * @constant {Object<string, { response: number, resolution: number }>}
+ */
+const SLA_HOURS = {
+  emergency: { response: 2, resolution: 24 },
+  high: { response: 8, resolution: 72 },
+  medium: { response: 24, resolution: 168 },
+  low: { response: 72, resolution: 336 },
+};
+
+/**
+ * Status changes allowed through changeStatus; assignment moves open → assigned
+ * @constant {Object<string, string[]>}
+ */
+const TRANSITIONS = {
+  open: [],
+  assigned: ['in_progress'],
+  in_progress: ['resolved'],
+  resolved: ['closed', 'in_progress'],
+  closed: [],
+};
+
+const ACTIVE_STATUSES = ['open', 'assigned', 'in_progress'];
+const MAX_PHOTOS = 20;
+const AUTO_CLOSE_DAYS = parseInt(process.env.MAINTENANCE_AUTO_CLOSE_DAYS) || 7;
+
+/**
+ * Works out a ticket's SLA deadlines
+ * @function slaDeadlines
+ * @param {string} priority - low | medium | high | emergency
+ * @param {Date} openedAt
+ * @returns {Object} { responseDueAt, resolutionDueAt }
+ *
+ * @example
+ * slaDeadlines('emergency', new Date('2025-03-01T08:00:00Z'));
+ * // => { responseDueAt: 2025-03-01T10:00:00Z, resolutionDueAt: 2025-03-02T08:00:00Z }
+ */
+const slaDeadlines = (priority, openedAt) => {
+  const hours = SLA_HOURS[priority] || SLA_HOURS.medium;
+  return {
+    responseDueAt: moment(openedAt).add(hours.response, 'hours').toDate(),
+    resolutionDueAt: moment(openedAt).add(hours.resolution, 'hours').toDate(),
+  };
+};
+
+/**
+ * Checks whether a status change is allowed
+ * @function canTransition
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Lists the SLAs a ticket has missed that have not been escalated yet
+ * @function pendingBreaches
+ * @param {Object} ticket - status and sla
+ * @param {Date} [now=new Date()]
+ * @returns {string[]} Some of: response, resolution
+ */
+const pendingBreaches = (ticket, now = new Date()) => {
+  const sla = ticket.sla || {};
+  const breaches = [];
+  if (!sla.respondedAt && !sla.responseBreachedAt && sla.responseDueAt && sla.responseDueAt < now
+    && ['open', 'assigned'].includes(ticket.status)) {
+    breaches.push('response');
+  }
+  if (!sla.resolvedAt && !sla.resolutionBreachedAt && sla.resolutionDueAt && sla.resolutionDueAt < now
+    && ACTIVE_STATUSES.includes(ticket.status)) {
+    breaches.push('resolution');
+  }
+  return breaches;
+};
+
+/**
+ * Builds the filter for the tickets a user can list
+ * @async
+ * @function ticketScope
+ * @param {Object} user
+ * @returns {Promise<Object>} Mongo filter
+ */
+const ticketScope = async (user) => {
+  if (user.role === 'tenant') return { tenant: user._id };
+  if (user.role === 'admin') return {};
+  if (user.role === 'landlord') return { landlord: user._id };
+
+  const properties = await Property.find(managedPropertyFilter(user)).distinct('_id');
+  return { property: { $in: properties } };
+};
+
+/**
+ * Loads a ticket the user reported or may work on
+ * @async
+ * @function getTicketForUser
+ * @param {string} ticketId
+ * @param {Object} user
+ * @returns {Promise<{ ticket: mongoose.Document, property: Object, staff: boolean }>}
+ * @throws {AppError} 404 unknown, or neither reported by nor managed by the user
+ */
+const getTicketForUser = async (ticketId, user) => {
+  const ticket = await MaintenanceTicket.findById(ticketId);
+  if (!ticket) throw new AppError('Ticket not found', 404);
+
+  const property = await Property.findById(ticket.property).select('title owner agents');
+  const staff = Boolean(property) && canManageProperty(property, user);
+  if (!staff && String(ticket.tenant) !== String(user._id)) throw new AppError('Ticket not found', 404);
+  return { ticket, property, staff };
+};
+
+/**
+ * Emails the landlord and the property's agents
+ * @param {Object} property - owner and agents
+ * @param {string} subject
+ * @param {string} text
+ * @param {string|ObjectId} [exceptId] - User who caused the email
+ * @returns {Promise<ObjectId[]>} Users emailed
+ */
+const notifyStaff = async (property, subject, text, exceptId) => {
+  const ids = [property.owner, ...(property.agents || [])].filter((id) => String(id) !== String(exceptId));
+  const users = await User.find({ _id: { $in: ids } }).select('email').lean();
+  await Promise.all(users.map((user) => queueEmail({ to: user.email, subject, text })));
+  return users.map((user) => user._id);
+};
+
+/**
+ * Emails the tenant who reported a ticket
+ * @param {Object} ticket
+ * @param {string} subject
+ * @param {string} text
+ */
+const notifyTenant = async (ticket, subject, text) => {
+  const tenant = await User.findById(ticket.tenant).select('email').lean();
+  await queueEmail({ to: tenant?.email, subject, text });
+};
+
+/**
+ * Stamps the first response by staff, for the response SLA
+ * @param {mongoose.Document} ticket
+ */
+const markResponded = (ticket) => {
+  if (!ticket.sla.respondedAt) ticket.sla.respondedAt = new Date();
+};
+
+/**
+ * Moves a ticket to a status and records it in the history
+ * @param {mongoose.Document} ticket
+ * @param {string} to
+ * @param {Object} [user] - Unset for automatic changes
+ * @param {string} [note]
+ */
+const moveTo = (ticket, to, user, note) => {
+  ticket.history.push({ from: ticket.status, to, by: user?._id, note });
+  ticket.status = to;
+};
+
+/**
+ * Re-encodes photos and stores them privately
+ * @async
+ * @param {mongoose.Document} ticket
+ * @param {Object[]} files - Multer memory files
+ * @param {Object} user - Uploader
+ * @returns {Promise<Object[]>} Photo entries, not yet attached
+ *
+ * @remarks
+ * Photos are rotated upright and re-encoded as JPEG, which also drops EXIF
+ * data such as where the photo was taken.
+ */
+const storePhotos = async (ticket, files, user) => {
+  if (ticket.photos.length + files.length > MAX_PHOTOS) {
+    throw new AppError(`A ticket can have at most ${MAX_PHOTOS} photos`, 400);
+  }
+
+  const stored = [];
+  try {
+    for (const file of files) {
+      const photoId = new mongoose.Types.ObjectId();
+      const buffer = await sharp(file.buffer)
+        .rotate()
+        .resize(1920, 1920, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 82 })
+        .toBuffer();
+      const { key } = await getStorage().put(
+        `maintenance/${ticket._id}/${photoId}.jpg`,
+        buffer,
+        { contentType: 'image/jpeg', visibility: 'private' }
+      );
+      stored.push({ _id: photoId, key, bytes: buffer.length, uploadedBy: user._id });
+    }
+  } catch (error) {
+    await Promise.allSettled(stored.map((photo) => getStorage().remove(photo.key, { visibility: 'private' })));
+    if (error.isOperational) throw error;
+    throw new AppError('One of the photos could not be read', 400);
+  }
+  return stored;
+};
+
+/**
+ * Opens a ticket on the tenant's unit
+ * @async
+ * @function openTicket
+ * @param {Object} tenant
+ * @param {Object} input - unitId, category, priority, title, description
+ * @param {Object[]} [files] - Photos
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 403 not the tenant of the unit
+ */
+const openTicket = async (tenant, input, files = []) => {
+  const unit = await Unit.findOne({ _id: input.unitId, tenant: tenant._id }).select('property unitNumber');
+  if (!unit) throw new AppError('You can only report problems with a unit you rent', 403);
+  const property = await Property.findById(unit.property).select('title owner agents');
+  if (!property) throw new AppError('Property not found', 404);
+
+  const openedAt = new Date();
+  const ticket = new MaintenanceTicket({
+    tenant: tenant._id,
+    unit: unit._id,
+    property: property._id,
+    landlord: property.owner,
+    category: input.category,
+    priority: input.priority,
+    title: input.title,
+    description: input.description,
+    history: [{ to: 'open', by: tenant._id, at: openedAt }],
+  });
+  ticket.sla = slaDeadlines(ticket.priority, openedAt);
+  ticket.photos = await storePhotos(ticket, files, tenant);
+
+  try {
+    await ticket.save();
+  } catch (error) {
+    await Promise.allSettled(ticket.photos.map((photo) => getStorage().remove(photo.key, { visibility: 'private' })));
+    throw error;
+  }
+
+  logger.info(`Maintenance ticket ${ticket._id} (${ticket.priority}) opened by ${tenant._id} for unit ${unit._id}`);
+  await notifyStaff(
+    property,
+    `New ${ticket.priority} maintenance request: ${property.title}`,
+    `${tenant.name || 'A tenant'} reported a ${ticket.category.replace('_', ' ')} problem in unit ${unit.unitNumber}:\n\n`
+      + `${ticket.title}\n${ticket.description}\n\n`
+      + `Respond by ${moment(ticket.sla.responseDueAt).format('ddd D MMM, HH:mm')}.`
+  );
+  return ticket;
+};
+
+/**
+ * Attaches more photos, e.g. of the finished repair
+ * @async
+ * @function addTicketPhotos
+ * @param {string} ticketId
+ * @param {Object} user - The reporter or staff
+ * @param {Object[]} files
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 400 no files or too many, 409 closed
+ */
+const addTicketPhotos = async (ticketId, user, files) => {
+  if (!files?.length) throw new AppError('Attach at least one photo in the photos field', 400);
+  const { ticket } = await getTicketForUser(ticketId, user);
+  if (ticket.status === 'closed') throw new AppError('Ticket is closed', 409);
+
+  const added = await storePhotos(ticket, files, user);
+  ticket.photos.push(...added);
+  try {
+    return await ticket.save();
+  } catch (error) {
+    await Promise.allSettled(added.map((photo) => getStorage().remove(photo.key, { visibility: 'private' })));
+    throw error;
+  }
+};
+
+/**
+ * Adds short-lived links to a ticket's photos and hides internal comments from the tenant
+ * @async
+ * @function presentTicket
+ * @param {mongoose.Document} ticket
+ * @param {boolean} staff - Whether the viewer is staff
+ * @returns {Promise<Object>} Plain ticket for the response
+ */
+const presentTicket = async (ticket, staff) => {
+  const data = ticket.toObject();
+  data.photos = await Promise.all(data.photos.map(async ({ key, ...photo }) => ({
+    ...photo,
+    url: await getStorage().signedUrl(key, { expiresIn: 900 }),
+  })));
+  if (!staff) data.comments = data.comments.filter((comment) => !comment.internal);
+  return data;
+};
+
+/**
+ * Assigns a ticket to a staff member or a vendor
+ * @async
+ * @function assignTicket
+ * @param {string} ticketId
+ * @param {Object} user - Staff
+ * @param {Object} target
+ * @param {string} [target.staffId] - Owner or an agent of the property
+ * @param {string} [target.vendorId] - One of the landlord's active vendors
+ * @param {string} [target.note]
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 403 not staff, 400 invalid assignee, 409 resolved or closed
+ *
+ * @remarks
+ * Reassigning keeps the status (an in-progress ticket stays in progress).
+ * The first assignment counts as the response for the SLA.
+ */
+const assignTicket = async (ticketId, user, { staffId, vendorId, note }) => {
+  const { ticket, property, staff } = await getTicketForUser(ticketId, user);
+  if (!staff) throw new AppError('Only the landlord or agent can assign tickets', 403);
+  if (!ACTIVE_STATUSES.includes(ticket.status)) throw new AppError(`Ticket is ${ticket.status}`, 409);
+
+  let assignee;
+  let recipient;
+  if (vendorId) {
+    const vendor = await Vendor.findOne({ _id: vendorId, landlord: ticket.landlord, active: true });
+    if (!vendor) throw new AppError('Vendor not found', 400);
+    assignee = { kind: 'vendor', vendor: vendor._id };
+    recipient = { email: vendor.email, name: vendor.name };
+  } else {
+    const isStaff = String(property.owner) === String(staffId)
+      || property.agents.some((id) => String(id) === String(staffId));
+    if (!isStaff) throw new AppError('The assignee must be the owner or an agent of the property', 400);
+    const member = await User.findById(staffId).select('name email').lean();
+    if (!member) throw new AppError('Staff member not found', 400);
+    assignee = { kind: 'staff', user: member._id };
+    recipient = member;
+  }
+
+  ticket.assignee = { ...assignee, assignedBy: user._id, assignedAt: new Date() };
+  if (ticket.status === 'open') moveTo(ticket, 'assigned', user, note);
+  else ticket.history.push({ from: ticket.status, to: ticket.status, by: user._id, note: note || 'Reassigned' });
+  markResponded(ticket);
+  await ticket.save();
+
+  const unit = await Unit.findById(ticket.unit).select('unitNumber').lean();
+  await queueEmail({
+    to: recipient.email,
+    subject: `Maintenance job (${ticket.priority}): ${property.title}`,
+    text: `Hi ${recipient.name},\n\nYou have been assigned a ${ticket.category.replace('_', ' ')} job in unit `
+      + `${unit?.unitNumber} at ${property.title}:\n\n${ticket.title}\n${ticket.description}\n\n`
+      + `${note ? `Note: ${note}\n\n` : ''}Please resolve it by ${moment(ticket.sla.resolutionDueAt).format('ddd D MMM, HH:mm')}.`,
+  });
+  await notifyTenant(ticket, `Maintenance request assigned: ${ticket.title}`,
+    `Your request "${ticket.title}" has been assigned to ${assignee.kind === 'vendor' ? 'a contractor' : recipient.name}.`);
+  return ticket;
+};
+
+/**
+ * Moves a ticket along its workflow
+ * @async
+ * @function changeStatus
+ * @param {string} ticketId
+ * @param {Object} user
+ * @param {Object} change
+ * @param {string} change.status - in_progress | resolved | closed
+ * @param {string} [change.note]
+ * @param {string} [change.resolution] - What was done; required to resolve
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 409 transition not allowed, 403 not allowed for the user, 400 resolution missing
+ *
+ * @remarks
+ * Staff start and resolve work. A resolved ticket is closed by the tenant
+ * confirming it (or by staff), or reopened by the tenant, which puts it back
+ * in progress.
+ */
+const changeStatus = async (ticketId, user, { status, note, resolution }) => {
+  const { ticket, property, staff } = await getTicketForUser(ticketId, user);
+  if (!canTransition(ticket.status, status)) {
+    throw new AppError(`A ${ticket.status} ticket cannot move to ${status}`, 409);
+  }
+  const reporter = String(ticket.tenant) === String(user._id);
+  const reopening = ticket.status === 'resolved' && status === 'in_progress';
+  if (!staff && !(reporter && (status === 'closed' || reopening))) {
+    throw new AppError('Only the landlord or agent can do this', 403);
+  }
+
+  const now = new Date();
+  if (status === 'resolved') {
+    if (!resolution) throw new AppError('Describe what was done to resolve the ticket', 400);
+    ticket.resolution = resolution;
+    ticket.sla.resolvedAt = now;
+  }
+  if (status === 'closed') ticket.sla.closedAt = now;
+  if (reopening) ticket.sla.resolvedAt = undefined;
+  if (staff) markResponded(ticket);
+  moveTo(ticket, status, user, note);
+  await ticket.save();
+
+  if (status === 'resolved') {
+    await notifyTenant(ticket, `Maintenance request resolved: ${ticket.title}`,
+      `Your request "${ticket.title}" has been resolved:\n\n${resolution}\n\n`
+        + `If the problem is not fixed, reopen it within ${AUTO_CLOSE_DAYS} days from your maintenance page.`);
+  } else if (reopening && !staff) {
+    await notifyStaff(property, `Maintenance request reopened: ${ticket.title}`,
+      `The tenant reopened "${ticket.title}" at ${property.title}${note ? `:\n\n${note}` : '.'}`, user._id);
+  }
+  return ticket;
+};
+
+/**
+ * Changes a ticket's category or priority
+ * @async
+ * @function updateTicket
+ * @param {string} ticketId
+ * @param {Object} user - Staff
+ * @param {Object} changes - category, priority
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 403 not staff, 409 closed
+ *
+ * @remarks
+ * A new priority moves the SLA deadlines, counted from when the ticket was
+ * opened. Breaches already escalated stay on record.
+ */
+const updateTicket = async (ticketId, user, { category, priority }) => {
+  const { ticket, staff } = await getTicketForUser(ticketId, user);
+  if (!staff) throw new AppError('Only the landlord or agent can change a ticket', 403);
+  if (ticket.status === 'closed') throw new AppError('Ticket is closed', 409);
+
+  if (category) ticket.category = category;
+  if (priority && priority !== ticket.priority) {
+    ticket.history.push({ from: ticket.status, to: ticket.status, by: user._id, note: `Priority ${ticket.priority} → ${priority}` });
+    ticket.priority = priority;
+    Object.assign(ticket.sla, slaDeadlines(priority, ticket.createdAt));
+  }
+  return ticket.save();
+};
+
+/**
+ * Comments on a ticket
+ * @async
+ * @function addComment
+ * @param {string} ticketId
+ * @param {Object} user
+ * @param {Object} comment
+ * @param {string} comment.body
+ * @param {boolean} [comment.internal] - Staff only; hidden from the tenant
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 409 closed
+ */
+const addComment = async (ticketId, user, { body, internal }) => {
+  const { ticket, property, staff } = await getTicketForUser(ticketId, user);
+  if (ticket.status === 'closed') throw new AppError('Ticket is closed', 409);
+
+  const hidden = staff && Boolean(internal);
+  ticket.comments.push({ author: user._id, body, internal: hidden });
+  if (staff && !hidden) markResponded(ticket);
+  await ticket.save();
+
+  if (hidden) return ticket;
+  if (staff) {
+    await notifyTenant(ticket, `New comment on your maintenance request: ${ticket.title}`, body);
+  } else {
+    await notifyStaff(property, `Tenant comment: ${ticket.title}`, `${user.name || 'The tenant'} wrote:\n\n${body}`, user._id);
+  }
+  return ticket;
+};
+
+/**
+ * Escalates one missed SLA to the landlord and the property's agents
+ * @async
+ * @function escalateBreach
+ * @param {Object} ticket
+ * @param {string} kind - response | resolution
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<boolean>} False when another run escalated it first
+ */
+const escalateBreach = async (ticket, kind, now = new Date()) => {
+  const field = kind === 'response' ? 'sla.responseBreachedAt' : 'sla.resolutionBreachedAt';
+  const claimed = await MaintenanceTicket.findOneAndUpdate(
+    { _id: ticket._id, [field]: null },
+    { $set: { [field]: now } },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  const property = await Property.findById(ticket.property).select('title owner agents').lean();
+  const due = kind === 'response' ? ticket.sla.responseDueAt : ticket.sla.resolutionDueAt;
+  const notified = property ? await notifyStaff(
+    property,
+    `SLA breached (${ticket.priority}): ${ticket.title}`,
+    `The ${kind} deadline for "${ticket.title}" at ${property.title} passed on `
+      + `${moment(due).format('ddd D MMM, HH:mm')}. The ticket is ${ticket.status.replace('_', ' ')}.`
+  ) : [];
+
+  await MaintenanceTicket.updateOne({ _id: ticket._id }, { $push: { escalations: { kind, notified, at: now } } });
+  logger.warn(`Maintenance ticket ${ticket._id}: ${kind} SLA breached, escalated to ${notified.length} staff`);
+  return true;
+};
+
+/**
+ * Escalates missed SLAs and closes resolved tickets left alone
+ * @async
+ * @function checkSlas
+ * @param {Object} [options]
+ * @param {Date|string} [options.now=new Date()]
+ * @returns {Promise<Object>} Summary: { escalated, closed, failed }
+ */
+const checkSlas = async ({ now = new Date() } = {}) => {
+  const at = moment(now).toDate();
+  const summary = { escalated: 0, closed: 0, failed: 0 };
+
+  const overdue = MaintenanceTicket.find({
+    status: { $in: ACTIVE_STATUSES },
+    $or: [
+      { 'sla.responseDueAt': { $lt: at }, 'sla.respondedAt': null, 'sla.responseBreachedAt': null },
+      { 'sla.resolutionDueAt': { $lt: at }, 'sla.resolutionBreachedAt': null },
+    ],
+  });
+  for await (const ticket of overdue.cursor()) {
+    for (const kind of pendingBreaches(ticket, at)) {
+      try {
+        if (await escalateBreach(ticket, kind, at)) summary.escalated += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.error(`Escalating ticket ${ticket._id} failed: ${error.message}`);
+      }
+    }
+  }
+
+  const stale = MaintenanceTicket.find({
+    status: 'resolved',
+    'sla.resolvedAt': { $lt: moment(at).subtract(AUTO_CLOSE_DAYS, 'days').toDate() },
+  });
+  for await (const ticket of stale.cursor()) {
+    try {
+      moveTo(ticket, 'closed', null, `Closed automatically after ${AUTO_CLOSE_DAYS} days`);
+      ticket.sla.closedAt = at;
+      await ticket.save();
+      summary.closed += 1;
+    } catch (error) {
+      summary.failed += 1;
+      logger.error(`Closing ticket ${ticket._id} failed: ${error.message}`);
+    }
+  }
+
+  logger.info(`Maintenance SLA check: ${JSON.stringify(summary)}`);
+  return summary;
+};
+
+/**
+ * Response and resolution times against the SLAs, per priority
+ * @async
+ * @function slaReport
+ * @param {Object} filter - Mongo filter limiting the tickets
+ * @returns {Promise<Object[]>} [{ priority, tickets, avgResponseHours, avgResolutionHours, responseBreaches, resolutionBreaches }]
+ */
+const slaReport = async (filter) => {
+  const hours = (from, to) => ({ $divide: [{ $subtract: [to, from] }, 3600000] });
+  const rows = await MaintenanceTicket.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: '$priority',
+        tickets: { $sum: 1 },
+        avgResponseHours: { $avg: { $cond: ['$sla.respondedAt', hours('$createdAt', '$sla.respondedAt'), null] } },
+        avgResolutionHours: { $avg: { $cond: ['$sla.resolvedAt', hours('$createdAt', '$sla.resolvedAt'), null] } },
+        responseBreaches: { $sum: { $cond: ['$sla.responseBreachedAt', 1, 0] } },
+        resolutionBreaches: { $sum: { $cond: ['$sla.resolutionBreachedAt', 1, 0] } },
+      },
+    },
+  ]);
+
+  return Object.keys(SLA_HOURS).map((priority) => {
+    const row = rows.find((entry) => entry._id === priority) || {};
+    const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+    return {
+      priority,
+      slaHours: SLA_HOURS[priority],
+      tickets: row.tickets || 0,
+      avgResponseHours: round(row.avgResponseHours),
+      avgResolutionHours: round(row.avgResolutionHours),
+      responseBreaches: row.responseBreaches || 0,
+      resolutionBreaches: row.resolutionBreaches || 0,
+    };
+  });
+};
+
+module.exports = {
+  SLA_HOURS,
+  TRANSITIONS,
+  slaDeadlines,
+  canTransition,
+  pendingBreaches,
+  ticketScope,
+  getTicketForUser,
+  openTicket,
+  addTicketPhotos,
+  presentTicket,
+  assignTicket,
+  changeStatus,
+  updateTicket,
+  addComment,
+  escalateBreach,
+  checkSlas,
+  slaReport,
+};
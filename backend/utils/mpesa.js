@@ -0,0 +1,513 @@
+/**
+ * MPesa Daraja helpers
+ * @module utils/mpesa
+ * @description Daraja client (token, password, STK query) and helpers for
+ * interpreting Daraja payloads. Kept free of Express and Mongoose so they can
+ * be shared by routes, background jobs and tests.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const moment = require('moment');
+const { createTokenCache, createMemoryStore, createRedisStore } = require('./tokenCache');
+const { getRedisClient } = require('./redis');
+
+/**
+ * Daraja configuration
+ * @constant {Object} config
+ * @property {string} shortCode - Business shortcode (Paybill/Till)
+ * @property {string} passkey - Lipa Na MPesa Online passkey
+ * @property {string} consumerKey - Daraja app consumer key
+ * @property {string} consumerSecret - Daraja app consumer secret
+ * @property {string} baseUrl - Daraja API base URL (sandbox or production)
+ * @property {string} callbackUrl - Public STK callback URL
+ * @property {string} c2bValidationUrl - Public C2B validation URL
+ * @property {string} c2bConfirmationUrl - Public C2B confirmation URL
+ * @property {string} b2cShortCode - Disbursement shortcode (defaults to shortCode)
+ * @property {string} initiatorName - API operator used for B2C/reversal
+ * @property {string} initiatorPassword - Plain initiator password (encrypted per request)
+ * @property {string} certPath - Safaricom public certificate (sandbox or production)
+ * @property {string} securityCredential - Pre-encrypted credential, overrides the above
+ * @property {string} b2cResultUrl - Public B2C ResultURL
+ * @property {string} b2cTimeoutUrl - Public B2C QueueTimeOutURL
+ * @property {string} reversalResultUrl - Public Reversal ResultURL
+ * @property {string} reversalTimeoutUrl - Public Reversal QueueTimeOutURL
+ * @property {number} tokenTTL - Seconds an OAuth token is reused (Daraja issues 3599s)
+ * @property {string} tokenStore - MPESA_TOKEN_STORE: redis (shared, default) or memory (tests)
+ * @property {number} tokenRetries - Retries after a failed OAuth request
+ */
+const config = {
+  shortCode: process.env.MPESA_SHORT_CODE,
+  passkey: process.env.MPESA_PASSKEY,
+  consumerKey: process.env.MPESA_CONSUMER_KEY,
+  consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+  baseUrl: process.env.MPESA_API_BASE,
+  callbackUrl: process.env.MPESA_CALLBACK_URL,
+  c2bValidationUrl: process.env.MPESA_C2B_VALIDATION_URL,
+  c2bConfirmationUrl: process.env.MPESA_C2B_CONFIRMATION_URL,
+  b2cShortCode: process.env.MPESA_B2C_SHORT_CODE || process.env.MPESA_SHORT_CODE,
+  initiatorName: process.env.MPESA_INITIATOR_NAME,
+  initiatorPassword: process.env.MPESA_INITIATOR_PASSWORD,
+  certPath: process.env.MPESA_CERT_PATH,
+  securityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
+  b2cResultUrl: process.env.MPESA_B2C_RESULT_URL,
+  b2cTimeoutUrl: process.env.MPESA_B2C_TIMEOUT_URL,
+  reversalResultUrl: process.env.MPESA_REVERSAL_RESULT_URL,
+  reversalTimeoutUrl: process.env.MPESA_REVERSAL_TIMEOUT_URL,
+  tokenTTL: 3500,
+  tokenStore: process.env.MPESA_TOKEN_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'redis'),
+  tokenRetries: parseInt(process.env.MPESA_TOKEN_RETRIES) || 3,
+};
+
+// ==================== Token Management ====================
+let tokenStore = null;
+
+/**
+ * Store behind the token cache, created on first use so importing this module
+ * never opens a Redis connection
+ * @returns {Object}
+ */
+const getTokenStore = () => {
+  if (!tokenStore) {
+    tokenStore = config.tokenStore === 'memory' ? createMemoryStore() : createRedisStore(getRedisClient());
+  }
+  return tokenStore;
+};
+
+/**
+ * Daraja OAuth token, shared through Redis by every API replica and worker
+ * @constant {Object} tokenCache
+ */
+const tokenCache = createTokenCache({
+  // Keyed per Daraja app without putting the consumer key itself in Redis
+  key: `mpesa:token:${crypto.createHash('sha256').update(String(config.consumerKey)).digest('hex').slice(0, 16)}`,
+  store: getTokenStore,
+  fetchToken: async () => {
+    const authString = Buffer.from(
+      `${config.consumerKey}:${config.consumerSecret}`
+    ).toString('base64');
+
+    const { data } = await axios.get(
+      `${config.baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
+      {
+        headers: { Authorization: `Basic ${authString}` },
+        timeout: 10000,
+      }
+    );
+
+    return {
+      token: data.access_token,
+      expiresInSeconds: Math.min(Number(data.expires_in) || config.tokenTTL, config.tokenTTL),
+    };
+  },
+  retries: config.tokenRetries,
+});
+
+/**
+ * Returns a valid OAuth access token, refreshing the shared one when expired
+ * @async
+ * @function getAccessToken
+ * @returns {Promise<string>} Bearer token
+ * @throws {Error} When the OAuth endpoint cannot be reached after retries
+ *
+ * @remarks
+ * Concurrent callers share a single refresh, and across processes a Redis
+ * lock lets one replica refresh while the rest wait for its token.
+ */
+const getAccessToken = async () => {
+  try {
+    return await tokenCache.getToken();
+  } catch (error) {
+    throw new Error('MPesa service unavailable');
+  }
+};
+
+/**
+ * Describes the cached token (used by health checks)
+ * @async
+ * @function getTokenStatus
+ * @returns {Promise<Object>} { store, cached, ageSeconds, expiresInSeconds }
+ */
+const getTokenStatus = () => tokenCache.getStatus();
+
+/**
+ * UTC offset of Daraja timestamps in minutes, which are East Africa Time
+ * whatever the server's zone
+ * @constant {number} DARAJA_UTC_OFFSET
+ */
+const DARAJA_UTC_OFFSET = 180;
+
+/**
+ * Formats the current time as a Daraja request timestamp
+ * @function darajaTimestamp
+ * @returns {string} YYYYMMDDHHmmss in EAT
+ */
+const darajaTimestamp = () => moment().utcOffset(DARAJA_UTC_OFFSET).format('YYYYMMDDHHmmss');
+
+/**
+ * Builds the Lipa Na MPesa Online password for a timestamp
+ * @function generatePassword
+ * @param {string} timestamp - YYYYMMDDHHmmss
+ * @returns {string} base64(shortCode + passkey + timestamp)
+ */
+const generatePassword = (timestamp) =>
+  Buffer.from(`${config.shortCode}${config.passkey}${timestamp}`).toString('base64');
+
+/**
+ * Sends an STK push (M-Pesa Express) prompt to the customer's phone
+ * @async
+ * @function stkPush
+ * @param {Object} options
+ * @param {string} options.phone - MSISDN (2547XXXXXXXX)
+ * @param {number} options.amount - Whole shillings
+ * @param {string} [options.accountReference='Pandora Gardens'] - Shown on the prompt (max 12 chars)
+ * @param {string} [options.description='Payment for services'] - Transaction description
+ * @returns {Promise<Object>} Daraja response (CheckoutRequestID, MerchantRequestID, ResponseCode, ...)
+ * @throws {Error} Axios error; `error.response.data` holds Daraja's error body
+ */
+const stkPush = async ({ phone, amount, accountReference, description }) => {
+  const accessToken = await getAccessToken();
+  const timestamp = darajaTimestamp();
+
+  const { data } = await axios.post(
+    `${config.baseUrl}/mpesa/stkpush/v1/processrequest`,
+    {
+      BusinessShortCode: config.shortCode,
+      Password: generatePassword(timestamp),
+      Timestamp: timestamp,
+      TransactionType: 'CustomerPayBillOnline',
+      Amount: parseInt(amount),
+      PartyA: phone,
+      PartyB: config.shortCode,
+      PhoneNumber: phone,
+      CallBackURL: config.callbackUrl,
+      AccountReference: accountReference || 'Pandora Gardens',
+      TransactionDesc: description || 'Payment for services',
+    },
+    {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: 15000,
+    }
+  );
+  return data;
+};
+
+/**
+ * Queries the status of an STK push
+ * @async
+ * @function stkQuery
+ * @param {string} checkoutRequestId - CheckoutRequestID returned by STK push
+ * @returns {Promise<Object>} Daraja response (ResultCode, ResultDesc, ...)
+ * @throws {Error} Axios error; `error.response.data.errorCode` is set by Daraja
+ */
+const stkQuery = async (checkoutRequestId) => {
+  const accessToken = await getAccessToken();
+  const timestamp = darajaTimestamp();
+
+  const { data } = await axios.post(
+    `${config.baseUrl}/mpesa/stkpushquery/v1/query`,
+    {
+      BusinessShortCode: config.shortCode,
+      Password: generatePassword(timestamp),
+      Timestamp: timestamp,
+      CheckoutRequestID: checkoutRequestId,
+    },
+    {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: 15000,
+    }
+  );
+  return data;
+};
+
+/**
+ * Registers the C2B validation and confirmation URLs for the shortcode
+ * @async
+ * @function registerC2BUrls
+ * @returns {Promise<Object>} Daraja response (ResponseDescription, ...)
+ *
+ * @remarks
+ * ResponseType 'Cancelled' makes Safaricom reject the payment when our
+ * validation URL cannot be reached, so unknown accounts never get through.
+ */
+const registerC2BUrls = async () => {
+  const accessToken = await getAccessToken();
+
+  const { data } = await axios.post(
+    `${config.baseUrl}/mpesa/c2b/v1/registerurl`,
+    {
+      ShortCode: config.shortCode,
+      ResponseType: 'Cancelled',
+      ConfirmationURL: config.c2bConfirmationUrl,
+      ValidationURL: config.c2bValidationUrl,
+    },
+    {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: 15000,
+    }
+  );
+  return data;
+};
+
+// ==================== Initiator Credentials ====================
+let securityCredentialCache = null;
+
+/**
+ * Builds the SecurityCredential for initiator-based APIs (B2C, reversal)
+ * @function generateSecurityCredential
+ * @returns {string} base64 RSA (PKCS#1 v1.5) encryption of the initiator password
+ * @throws {Error} When neither a credential nor password + certificate is configured
+ *
+ * @remarks
+ * The plain password never leaves the process; only the encrypted value is
+ * sent. Prefer MPESA_SECURITY_CREDENTIAL in production so the password does
+ * not have to live in the environment at all.
+ */
+const generateSecurityCredential = () => {
+  if (config.securityCredential) return config.securityCredential;
+  if (securityCredentialCache) return securityCredentialCache;
+
+  if (!config.initiatorPassword || !config.certPath) {
+    throw new Error('MPesa initiator credentials are not configured');
+  }
+
+  const certificate = fs.readFileSync(config.certPath);
+  securityCredentialCache = crypto.publicEncrypt(
+    { key: certificate, padding: crypto.constants.RSA_PKCS1_PADDING },
+    Buffer.from(config.initiatorPassword)
+  ).toString('base64');
+  return securityCredentialCache;
+};
+
+/**
+ * Normalizes Kenyan phone numbers to the MSISDN format Daraja expects
+ * @function toMsisdn
+ * @param {string} phone - e.g. 0712345678, +254712345678, 254712345678
+ * @returns {string|null} 2547XXXXXXXX / 2541XXXXXXXX, or null when invalid
+ */
+const toMsisdn = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  const msisdn = digits.startsWith('0') ? `254${digits.slice(1)}` : digits;
+  return /^254(7\d{8}|1\d{8})$/.test(msisdn) ? msisdn : null;
+};
+
+/**
+ * Sends a B2C disbursement request
+ * @async
+ * @function b2cPayment
+ * @param {Object} options
+ * @param {number} options.amount - Whole shillings
+ * @param {string} options.phone - Recipient MSISDN
+ * @param {string} [options.remarks] - Shown on the statement (max 100 chars)
+ * @param {string} [options.occasion] - Free-text reference
+ * @returns {Promise<Object>} Daraja response (ConversationID, OriginatorConversationID, ...)
+ */
+const b2cPayment = async ({ amount, phone, remarks, occasion }) => {
+  const accessToken = await getAccessToken();
+
+  const { data } = await axios.post(
+    `${config.baseUrl}/mpesa/b2c/v1/paymentrequest`,
+    {
+      InitiatorName: config.initiatorName,
+      SecurityCredential: generateSecurityCredential(),
+      CommandID: 'BusinessPayment',
+      Amount: Math.floor(amount),
+      PartyA: config.b2cShortCode,
+      PartyB: phone,
+      Remarks: (remarks || 'Rent payout').slice(0, 100),
+      QueueTimeOutURL: config.b2cTimeoutUrl,
+      ResultURL: config.b2cResultUrl,
+      Occasion: occasion || '',
+    },
+    {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: 15000,
+    }
+  );
+  return data;
+};
+
+/**
+ * Requests reversal of a completed M-Pesa transaction
+ * @async
+ * @function reverseTransaction
+ * @param {Object} options
+ * @param {string} options.transactionId - M-Pesa receipt number to reverse
+ * @param {number} options.amount - Amount of the original transaction
+ * @param {string} [options.remarks] - Statement remarks (max 100 chars)
+ * @param {string} [options.occasion] - Reference echoed back in the result
+ * @returns {Promise<Object>} Daraja acknowledgement with ConversationID
+ *
+ * @remarks
+ * Like B2C, the outcome arrives later on the ResultURL or QueueTimeOutURL.
+ */
+const reverseTransaction = async ({ transactionId, amount, remarks, occasion }) => {
+  const accessToken = await getAccessToken();
+
+  const { data } = await axios.post(
+    `${config.baseUrl}/mpesa/reversal/v1/request`,
+    {
+      Initiator: config.initiatorName,
+      SecurityCredential: generateSecurityCredential(),
+      CommandID: 'TransactionReversal',
+      TransactionID: transactionId,
+      Amount: Math.floor(amount),
+      ReceiverParty: config.shortCode,
+      RecieverIdentifierType: '11',  // Misspelt in Daraja's own API
+      ResultURL: config.reversalResultUrl,
+      QueueTimeOutURL: config.reversalTimeoutUrl,
+      Remarks: (remarks || 'Payment reversal').slice(0, 100),
+      Occasion: occasion || '',
+    },
+    {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: 15000,
+    }
+  );
+  return data;
+};
+
+/**
+ * Builds the filter locating the record an initiator API Result belongs to.
+ * Only ids Safaricom actually sent are used, so a missing id never matches
+ * records that have none.
+ * @function matchConversation
+ * @param {Object} result - Body.Result from Safaricom
+ * @returns {Object} Mongo filter on conversationId / originatorConversationId
+ */
+const matchConversation = (result) => {
+  const ids = [];
+  if (result.ConversationID) ids.push({ conversationId: result.ConversationID });
+  if (result.OriginatorConversationID) ids.push({ originatorConversationId: result.OriginatorConversationID });
+  return ids.length ? { $or: ids } : { _id: null };
+};
+
+/**
+ * Flattens Result.ResultParameters.ResultParameter of initiator API results
+ * @function parseResultParameters
+ * @param {Object} [parameters] - Result.ResultParameters
+ * @returns {Object} Key/value map (e.g. { TransactionReceipt: 'NLJ41HAY6Q' })
+ */
+const parseResultParameters = (parameters) => {
+  const items = parameters?.ResultParameter;
+  const list = Array.isArray(items) ? items : items ? [items] : [];
+  return list.reduce((acc, { Key, Value }) => {
+    if (Key) acc[Key] = Value;
+    return acc;
+  }, {});
+};
+
+/**
+ * Known STK Push result codes
+ * @constant {Object<number, string>} STK_RESULT_CODES
+ * @see {@link https://developer.safaricom.co.ke/APIs/MpesaExpressSimulate|Daraja STK Push}
+ */
+const STK_RESULT_CODES = {
+  0: 'The service request is processed successfully.',
+  1: 'The balance is insufficient for the transaction.',
+  1001: 'Unable to lock subscriber, a transaction is already in process for the current subscriber.',
+  1019: 'Transaction has expired.',
+  1025: 'An error occurred while sending a push request.',
+  1032: 'Request cancelled by user.',
+  1037: 'DS timeout user cannot be reached.',
+  2001: 'The initiator information is invalid.',
+  9999: 'An error occurred while sending a push request.',
+};
+
+/**
+ * Converts a Daraja timestamp (YYYYMMDDHHmmss in EAT, sent as a number) to a Date
+ * @function parseTransactionDate
+ * @param {number|string} value - Daraja transaction date
+ * @returns {Date|undefined} Parsed date, or undefined when missing/invalid
+ *
+ * @example
+ * parseTransactionDate(20191219102115).toISOString(); // => '2019-12-19T07:21:15.000Z'
+ */
+const parseTransactionDate = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const parsed = moment.utc(String(value), 'YYYYMMDDHHmmss', true).utcOffset(DARAJA_UTC_OFFSET, true);
+  return parsed.isValid() ? parsed.toDate() : undefined;
+};
+
+/**
+ * Flattens the CallbackMetadata.Item array of an STK callback
+ * @function parseCallbackMetadata
+ * @param {Object} [metadata] - stkCallback.CallbackMetadata
+ * @returns {Object} Parsed fields
+ * @property {string} [mpesaReceiptNumber] - Safaricom receipt (e.g. NLJ7RT61SV)
+ * @property {number} [amount] - Amount actually paid
+ * @property {Date} [transactionDate] - When Safaricom completed the transaction
+ * @property {string} [phone] - Paying MSISDN (2547XXXXXXXX)
+ *
+ * @example
+ * parseCallbackMetadata({ Item: [{ Name: 'Amount', Value: 1 }] });
+ * // => { amount: 1 }
+ */
+const parseCallbackMetadata = (metadata) => {
+  const items = Array.isArray(metadata?.Item) ? metadata.Item : [];
+  const values = items.reduce((acc, { Name, Value }) => {
+    if (Name) acc[Name] = Value;
+    return acc;
+  }, {});
+
+  const parsed = {};
+  if (values.MpesaReceiptNumber) parsed.mpesaReceiptNumber = String(values.MpesaReceiptNumber);
+  if (values.Amount !== undefined) parsed.amount = Number(values.Amount);
+  const transactionDate = parseTransactionDate(values.TransactionDate);
+  if (transactionDate) parsed.transactionDate = transactionDate;
+  if (values.PhoneNumber !== undefined) parsed.phone = String(values.PhoneNumber);
+  return parsed;
+};
+
+/**
+ * Maps an STK result to the Payment model fields it should set
+ * @function interpretSTKResult
+ * @param {Object} callback - Body.stkCallback from Safaricom
+ * @returns {Object} Update for the Payment document
+ *
+ * @remarks
+ * - ResultCode 0 marks the payment Completed and copies the metadata
+ * - Any other code (1032 cancelled, 1037 timeout, 2001 wrong PIN, ...) marks it Failed
+ */
+const interpretSTKResult = (callback) => {
+  const resultCode = Number(callback.ResultCode);
+  const update = {
+    resultCode,
+    resultDesc: callback.ResultDesc || STK_RESULT_CODES[resultCode] || 'Unknown result',
+  };
+
+  if (resultCode === 0) {
+    const metadata = parseCallbackMetadata(callback.CallbackMetadata);
+    update.status = 'Completed';
+    if (metadata.mpesaReceiptNumber) update.mpesaReceiptNumber = metadata.mpesaReceiptNumber;
+    if (metadata.transactionDate) update.transactionDate = metadata.transactionDate;
+    if (metadata.amount !== undefined) update.paidAmount = metadata.amount;
+    if (metadata.phone) update.payerPhone = metadata.phone;
+  } else {
+    update.status = 'Failed';
+  }
+
+  return update;
+};
+
+module.exports = {
+  config,
+  getAccessToken,
+  getTokenStatus,
+  darajaTimestamp,
+  generatePassword,
+  stkPush,
+  stkQuery,
+  registerC2BUrls,
+  generateSecurityCredential,
+  toMsisdn,
+  b2cPayment,
+  reverseTransaction,
+  matchConversation,
+  parseResultParameters,
+  STK_RESULT_CODES,
+  parseTransactionDate,
+  parseCallbackMetadata,
+  interpretSTKResult,
+};
@@ -0,0 +1,259 @@
+/**
+ * MPesa callback processors
+ * @module utils/mpesaCallbacks
+ * @description One processor per Safaricom-facing endpoint. Each takes the raw
+ * request body and returns what happened plus the response Safaricom expects,
+ * so routes and the admin replay endpoint run exactly the same logic.
+ *
+ * @typedef {Object} CallbackResult
+ * @property {string} outcome - applied | duplicate | unknown | mismatch | rejected | invalid
+ * @property {string} [reason] - Why the callback was not applied
+ * @property {Object} [payment] - Payment touched by the callback
+ * @property {Object} [payout] - Payout touched by the callback
+ * @property {Object} [refund] - Refund touched by the callback
+ * @property {Object} response - JSON body to send back to Safaricom
+ */
+
+const Payment = require('../models/Payment');
+const logger = require('./logger');
+const { config, interpretSTKResult, toMsisdn } = require('./mpesa');
+const { C2B_RESPONSES, validateC2BPayment, recordC2BConfirmation } = require('./c2b');
+const { applyB2CResult, applyB2CTimeout } = require('./payouts');
+const { onPaymentCompleted } = require('./paymentEvents');
+const { applyReversalResult, applyReversalTimeout } = require('./refunds');
+
+const ACK = { ResultCode: 0, ResultDesc: 'Success' };
+const REJECT = { ResultCode: 1, ResultDesc: 'Rejected' };
+
+/**
+ * Extracts the Safaricom reference a callback body refers to
+ * @function extractReference
+ * @param {string} type - Callback type
+ * @param {Object} body - Raw body
+ * @returns {string|undefined}
+ */
+const extractReference = (type, body) => {
+  if (type === 'stk') return body?.Body?.stkCallback?.CheckoutRequestID;
+  if (type.startsWith('c2b')) return body?.TransID;
+  return body?.Result?.ConversationID;
+};
+
+/**
+ * Compares a successful STK callback with the payment we initiated
+ * @function findMismatch
+ * @param {Object} payment - Pending payment
+ * @param {Object} update - Output of interpretSTKResult
+ * @returns {string|null} Description of the mismatch, null when consistent
+ */
+const findMismatch = (payment, update) => {
+  if (update.paidAmount !== undefined && Math.round(update.paidAmount) !== Math.round(payment.amount)) {
+    return `Amount ${update.paidAmount} does not match expected ${payment.amount}`;
+  }
+
+  // Masked numbers (2547****149) cannot be compared and are not treated as a mismatch
+  const reported = toMsisdn(update.payerPhone);
+  const expected = toMsisdn(payment.phone);
+  if (reported && expected && reported !== expected) {
+    return `Phone ${update.payerPhone} does not match expected ${payment.phone}`;
+  }
+
+  return null;
+};
+
+/**
+ * Processes an STK Push callback
+ * @async
+ * @function processSTKCallback
+ * @param {Object} body - { Body: { stkCallback } }
+ * @returns {Promise<CallbackResult>}
+ *
+ * @remarks
+ * A success whose amount or phone disagrees with the payment is not applied:
+ * the payment is flagged and left Pending so reconciliation asks Safaricom
+ * directly for the real status.
+ */
+const processSTKCallback = async (body) => {
+  const callback = body?.Body?.stkCallback;
+  if (!callback?.CheckoutRequestID) {
+    return { outcome: 'invalid', reason: 'Missing Body.stkCallback.CheckoutRequestID', response: REJECT };
+  }
+
+  const payment = await Payment.findOne({ checkoutRequestId: callback.CheckoutRequestID });
+  if (!payment) {
+    logger.warn(`STK callback for unknown CheckoutRequestID ${callback.CheckoutRequestID}`);
+    return { outcome: 'unknown', reason: 'No payment with this CheckoutRequestID', response: ACK };
+  }
+
+  const update = interpretSTKResult(callback);
+
+  if (update.status === 'Completed') {
+    const mismatch = findMismatch(payment, update);
+    if (mismatch) {
+      await Payment.updateOne(
+        { _id: payment._id, status: 'Pending' },
+        { $set: { flagged: true, flagReason: mismatch } }
+      );
+      logger.warn(`STK callback for payment ${payment._id} flagged: ${mismatch}`);
+      return { outcome: 'mismatch', reason: mismatch, payment, response: ACK };
+    }
+  }
+
+  // Only Pending payments (or ones resolved by a status query, which carries no
+  // receipt) are updated, so Safaricom retries are no-ops
+  const updated = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      $or: [
+        { status: 'Pending' },
+        { resolvedVia: 'query', mpesaReceiptNumber: { $exists: false } },
+      ],
+    },
+    { $set: { ...update, resolvedVia: 'callback', resolvedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!updated) return { outcome: 'duplicate', payment, response: ACK };
+
+  logger.info(`Payment ${updated._id} marked ${updated.status}: ${updated.resultDesc}`);
+  await onPaymentCompleted(updated);
+  return { outcome: 'applied', payment: updated, response: ACK };
+};
+
+/**
+ * Rejects C2B requests addressed to a shortcode other than ours
+ * @function checkShortCode
+ * @param {Object} body - C2B body
+ * @returns {string|null} Rejection reason
+ */
+const checkShortCode = (body) =>
+  config.shortCode && body.BusinessShortCode && String(body.BusinessShortCode) !== String(config.shortCode)
+    ? `Unexpected BusinessShortCode ${body.BusinessShortCode}`
+    : null;
+
+/**
+ * Processes a C2B validation request
+ * @async
+ * @function processC2BValidation
+ * @param {Object} body - C2B validation body
+ * @returns {Promise<CallbackResult>}
+ */
+const processC2BValidation = async (body) => {
+  const wrongShortCode = checkShortCode(body || {});
+  if (wrongShortCode) {
+    return { outcome: 'rejected', reason: wrongShortCode, response: C2B_RESPONSES.INVALID_ACCOUNT };
+  }
+
+  const response = await validateC2BPayment(body);
+  return response.ResultCode === '0'
+    ? { outcome: 'applied', response }
+    : { outcome: 'rejected', reason: response.ResultDesc, response };
+};
+
+/**
+ * Processes a C2B confirmation
+ * @async
+ * @function processC2BConfirmation
+ * @param {Object} body - C2B confirmation body
+ * @returns {Promise<CallbackResult>}
+ */
+const processC2BConfirmation = async (body) => {
+  if (!body?.TransID) return { outcome: 'invalid', reason: 'Missing TransID', response: REJECT };
+
+  const wrongShortCode = checkShortCode(body);
+  if (wrongShortCode) return { outcome: 'rejected', reason: wrongShortCode, response: ACK };
+
+  const { type, record } = await recordC2BConfirmation(body);
+  if (type === 'duplicate') return { outcome: 'duplicate', response: ACK };
+  if (type === 'payment') await onPaymentCompleted(record);
+
+  return {
+    outcome: 'applied',
+    reason: type === 'suspense' ? 'Parked in suspense' : undefined,
+    payment: type === 'payment' ? record : undefined,
+    response: ACK,
+  };
+};
+
+/**
+ * Processes a B2C ResultURL callback
+ * @async
+ * @function processB2CResult
+ * @param {Object} body - { Result }
+ * @returns {Promise<CallbackResult>}
+ */
+const processB2CResult = async (body) => {
+  if (!body?.Result) return { outcome: 'invalid', reason: 'Missing Result', response: REJECT };
+
+  const payout = await applyB2CResult(body.Result);
+  return payout
+    ? { outcome: 'applied', payout, response: ACK }
+    : { outcome: 'duplicate', reason: 'Unknown or already final payout', response: ACK };
+};
+
+/**
+ * Processes a B2C QueueTimeOutURL callback
+ * @async
+ * @function processB2CTimeout
+ * @param {Object} body - { Result }
+ * @returns {Promise<CallbackResult>}
+ */
+const processB2CTimeout = async (body) => {
+  if (!body?.Result) return { outcome: 'invalid', reason: 'Missing Result', response: REJECT };
+
+  const payout = await applyB2CTimeout(body.Result);
+  return payout
+    ? { outcome: 'applied', payout, response: ACK }
+    : { outcome: 'duplicate', reason: 'Unknown or already final payout', response: ACK };
+};
+
+/**
+ * Processes a Reversal ResultURL callback
+ * @async
+ * @function processReversalResult
+ * @param {Object} body - { Result }
+ * @returns {Promise<CallbackResult>}
+ */
+const processReversalResult = async (body) => {
+  if (!body?.Result) return { outcome: 'invalid', reason: 'Missing Result', response: REJECT };
+
+  const refund = await applyReversalResult(body.Result);
+  return refund
+    ? { outcome: 'applied', refund, payment: refund.payment, response: ACK }
+    : { outcome: 'duplicate', reason: 'Unknown or already final refund', response: ACK };
+};
+
+/**
+ * Processes a Reversal QueueTimeOutURL callback
+ * @async
+ * @function processReversalTimeout
+ * @param {Object} body - { Result }
+ * @returns {Promise<CallbackResult>}
+ */
+const processReversalTimeout = async (body) => {
+  if (!body?.Result) return { outcome: 'invalid', reason: 'Missing Result', response: REJECT };
+
+  const refund = await applyReversalTimeout(body.Result);
+  return refund
+    ? { outcome: 'applied', refund, payment: refund.payment, response: ACK }
+    : { outcome: 'duplicate', reason: 'Unknown or already final refund', response: ACK };
+};
+
+/**
+ * Processors keyed by MpesaCallbackLog type
+ * @constant {Object<string, Function>} callbackProcessors
+ */
+const callbackProcessors = {
+  stk: processSTKCallback,
+  c2b_validation: processC2BValidation,
+  c2b_confirmation: processC2BConfirmation,
+  b2c_result: processB2CResult,
+  b2c_timeout: processB2CTimeout,
+  reversal_result: processReversalResult,
+  reversal_timeout: processReversalTimeout,
+};
+
+module.exports = {
+  callbackProcessors,
+  extractReference,
+  findMismatch,
+};
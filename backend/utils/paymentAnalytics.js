@@ -0,0 +1,198 @@
+/**
+ * Payment analytics
+ * @module utils/paymentAnalytics
+ * @description Aggregation pipelines behind the admin payments console:
+ * period totals, success rate, failure reasons and top payers. Every report
+ * takes the same match filter as the payments list, so numbers always agree
+ * with what the console shows.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const AppError = require('./appError');
+const { buildPaymentFilter } = require('./paymentQuery');
+const escapeRegex = require('./escapeRegex');
+
+/**
+ * Time zone reports are bucketed in (REPORT_TIMEZONE)
+ * @constant {string} REPORT_TIMEZONE
+ */
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Africa/Nairobi';
+
+/**
+ * Date formats per reporting interval
+ * @constant {Object<string, string>} INTERVAL_FORMATS
+ */
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  month: '%Y-%m',
+};
+
+/**
+ * Amount actually received, as an aggregation expression
+ * @constant {Object} RECEIVED
+ */
+const RECEIVED = { $ifNull: ['$paidAmount', '$amount'] };
+
+/**
+ * Builds the admin payment filter: history filters plus user, landlord,
+ * property and free-text search
+ * @function buildAdminPaymentFilter
+ * @param {Object} query - req.query checked by validatePaymentQuery
+ * @param {string} [query.user] - Tenant id
+ * @param {string} [query.landlord] - Landlord id
+ * @param {string} [query.property] - Property id
+ * @param {string} [query.q] - Receipt number prefix or phone number
+ * @returns {Object} Mongo filter with ObjectIds cast (safe for $match)
+ * @throws {AppError} 400 for an invalid id, which is never dropped from the filter
+ */
+const buildAdminPaymentFilter = (query = {}) => {
+  const filter = buildPaymentFilter(query);
+
+  for (const field of ['user', 'landlord', 'property']) {
+    if (!query[field]) continue;
+    if (!mongoose.isValidObjectId(query[field])) throw new AppError(`Invalid ${field} id`, 400);
+    filter[field] = new mongoose.Types.ObjectId(String(query[field]));
+  }
+
+  const search = String(query.q || '').trim();
+  if (search) {
+    const digits = search.replace(/\D/g, '');
+    const conditions = [{ mpesaReceiptNumber: new RegExp(`^${escapeRegex(search.toUpperCase())}`) }];
+    // Match on the subscriber part so 07..., 2547... and +2547... all hit
+    if (digits.length >= 6) {
+      conditions.push({ phone: new RegExp(`${escapeRegex(digits.slice(-9))}$`) });
+    }
+    filter.$or = conditions;
+  }
+
+  return filter;
+};
+
+/**
+ * Payment counts and amounts per day or month
+ * @async
+ * @function getPeriodTotals
+ * @param {Object} filter - Output of buildAdminPaymentFilter
+ * @param {string} [interval='day'] - day | month
+ * @returns {Promise<Object[]>} [{ period, count, completed, failed, collected }] oldest first
+ *
+ * @example
+ * await getPeriodTotals(buildAdminPaymentFilter({ from: '2025-01-01' }), 'month');
+ * // => [{ period: '2025-01', count: 320, completed: 301, failed: 19, collected: 4515000 }, ...]
+ */
+const getPeriodTotals = async (filter, interval = 'day') => {
+  const format = INTERVAL_FORMATS[interval] || INTERVAL_FORMATS.day;
+
+  return Payment.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: { $dateToString: { format, date: '$createdAt', timezone: REPORT_TIMEZONE } },
+        count: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'Completed'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$status', 'Failed'] }, 1, 0] } },
+        collected: { $sum: { $cond: [{ $eq: ['$status', 'Completed'] }, RECEIVED, 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: '$_id', count: 1, completed: 1, failed: 1, collected: 1 } },
+  ]);
+};
+
+/**
+ * Share of finished payments that succeeded
+ * @async
+ * @function getSuccessRate
+ * @param {Object} filter - Output of buildAdminPaymentFilter
+ * @returns {Promise<Object>} { total, byStatus: { Completed, Failed, ... }, successRate }
+ *
+ * @remarks
+ * Pending payments are excluded from the rate since they have no outcome yet;
+ * reversed and refunded payments count as successful collections.
+ */
+const getSuccessRate = async (filter) => {
+  const rows = await Payment.aggregate([
+    { $match: filter },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+
+  const byStatus = Object.fromEntries(rows.map(({ _id, count }) => [_id, count]));
+  const total = rows.reduce((sum, { count }) => sum + count, 0);
+  const succeeded = (byStatus.Completed || 0) + (byStatus.Reversed || 0) + (byStatus.Refunded || 0);
+  const finished = succeeded + (byStatus.Failed || 0);
+
+  return {
+    total,
+    byStatus,
+    successRate: finished ? Math.round((succeeded / finished) * 10000) / 100 : null,
+  };
+};
+
+/**
+ * Most common reasons payments failed
+ * @async
+ * @function getFailureReasons
+ * @param {Object} filter - Output of buildAdminPaymentFilter
+ * @param {number} [limit=10]
+ * @returns {Promise<Object[]>} [{ resultCode, resultDesc, count, amount }] most frequent first
+ */
+const getFailureReasons = async (filter, limit = 10) =>
+  Payment.aggregate([
+    { $match: { ...filter, status: 'Failed' } },
+    {
+      $group: {
+        _id: '$resultCode',
+        resultDesc: { $first: '$resultDesc' },
+        count: { $sum: 1 },
+        amount: { $sum: '$amount' },
+      },
+    },
+    { $sort: { count: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, resultCode: '$_id', resultDesc: 1, count: 1, amount: 1 } },
+  ]);
+
+/**
+ * Tenants who paid the most
+ * @async
+ * @function getTopPayers
+ * @param {Object} filter - Output of buildAdminPaymentFilter
+ * @param {number} [limit=10]
+ * @returns {Promise<Object[]>} [{ user: { _id, name, email, phone }, payments, total, lastPaidAt }]
+ */
+const getTopPayers = async (filter, limit = 10) =>
+  Payment.aggregate([
+    { $match: { ...filter, status: 'Completed' } },
+    {
+      $group: {
+        _id: '$user',
+        payments: { $sum: 1 },
+        total: { $sum: RECEIVED },
+        lastPaidAt: { $max: '$createdAt' },
+      },
+    },
+    { $sort: { total: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [{ $project: { name: 1, email: 1, phone: 1 } }],
+        as: 'user',
+      },
+    },
+    { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+    { $project: { _id: 0, user: { $ifNull: ['$user', { _id: '$_id' }] }, payments: 1, total: 1, lastPaidAt: 1 } },
+  ]);
+
+module.exports = {
+  REPORT_TIMEZONE,
+  INTERVAL_FORMATS,
+  buildAdminPaymentFilter,
+  getPeriodTotals,
+  getSuccessRate,
+  getFailureReasons,
+  getTopPayers,
+};
@@ -0,0 +1,82 @@
+/**
+ * Payment lifecycle hooks
+ * @module utils/paymentEvents
+ * @description Follow-up work for payments that have just completed, shared
+ * by every path that can complete one (STK callback, status query, C2B
+ * confirmation and suspense allocation, and the other providers' callbacks).
+ */
+
+const Payment = require('../models/Payment');
+const logger = require('./logger');
+const { allocateTenantPayments, getTenantStatement } = require('./allocation');
+
+/**
+ * Applies a completed payment to the tenant's invoices, records the balance
+ * it left and queues its receipt
+ * @async
+ * @function onPaymentCompleted
+ * @param {Object} payment - Payment that just became Completed
+ * @returns {Promise<void>}
+ *
+ * @remarks
+ * Never throws: the payment itself is already recorded. Failed allocations are
+ * picked up the next time the tenant's ledger is touched, and the receipt job
+ * id is the payment id so retries never queue a second receipt. The balance
+ * is kept on the payment because the receipt can be issued much later.
+ */
+const onPaymentCompleted = async (payment) => {
+  if (!payment || payment.status !== 'Completed' || !payment.user) return;
+  const tenantId = payment.user._id || payment.user;
+
+  try {
+    await allocateTenantPayments(tenantId);
+  } catch (error) {
+    logger.error(`Allocation after payment ${payment._id} failed: ${error.message}`);
+  }
+
+  try {
+    const { totals } = await getTenantStatement(tenantId);
+    await Payment.updateOne({ _id: payment._id }, { $set: { balanceAfter: totals.balance } });
+  } catch (error) {
+    logger.error(`Recording the balance after payment ${payment._id} failed: ${error.message}`);
+  }
+
+  // Required lazily so modules that only read payments do not open a Redis
+  // connection. Not awaited: an unreachable Redis must not hold up the
+  // Safaricom response, and receipts can be issued on demand.
+  const receiptQueue = require('../queues/receiptQueue');
+  receiptQueue
+    .add(
+      'issue',
+      { paymentId: String(payment._id) },
+      { jobId: `receipt-${payment._id}`, attempts: 5, backoff: { type: 'exponential', delay: 60000 } }
+    )
+    .catch((error) => logger.error(`Queueing receipt for payment ${payment._id} failed: ${error.message}`));
+};
+
+/**
+ * Applies a provider's final result to a Pending payment
+ * @async
+ * @function resolvePayment
+ * @param {Object} filter - Locates the payment (e.g. { providerReference })
+ * @param {Object} update - Fields to set, including status
+ * @param {string} via - callback | query
+ * @returns {Promise<mongoose.Document|null>} Updated payment, null when unknown or already final
+ *
+ * @remarks
+ * Guarded on Pending so provider retries and late queries are no-ops.
+ */
+const resolvePayment = async (filter, update, via) => {
+  const payment = await Payment.findOneAndUpdate(
+    { ...filter, status: 'Pending' },
+    { $set: { ...update, resolvedVia: via, resolvedAt: new Date() } },
+    { new: true }
+  );
+  if (!payment) return null;
+
+  logger.info(`Payment ${payment._id} marked ${payment.status} via ${payment.provider} ${via}`);
+  await onPaymentCompleted(payment);
+  return payment;
+};
+
+module.exports = { onPaymentCompleted, resolvePayment };
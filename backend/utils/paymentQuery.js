@@ -0,0 +1,150 @@
+/**
+ * Payment listing helpers
+ * @module utils/paymentQuery
+ * @description Turns validated query-string filters into Mongo queries and
+ * exports payment lists as CSV or Excel.
+ */
+
+const moment = require('moment');
+const ExcelJS = require('exceljs');
+const escapeRegex = require('./escapeRegex');
+
+/**
+ * Fields payment lists may be sorted by
+ * @constant {string[]} SORTABLE_FIELDS
+ */
+const SORTABLE_FIELDS = ['createdAt', 'transactionDate', 'amount', 'status'];
+
+/**
+ * Upper bound on rows in a single export
+ * @constant {number} MAX_EXPORT_ROWS
+ */
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * Builds a payment filter from query parameters
+ * @function buildPaymentFilter
+ * @param {Object} query - Validated req.query
+ * @param {string} [query.status] - One status or a comma-separated list
+ * @param {string} [query.from] - Earliest createdAt (ISO date)
+ * @param {string} [query.to] - Latest createdAt; a bare date includes the whole day
+ * @param {string} [query.minAmount] - Minimum amount (KES)
+ * @param {string} [query.maxAmount] - Maximum amount (KES)
+ * @param {string} [query.receipt] - M-Pesa receipt number or its prefix
+ * @returns {Object} Mongo filter (without any ownership scope)
+ *
+ * @example
+ * buildPaymentFilter({ status: 'Completed,Failed', from: '2025-03-01', to: '2025-03-31' });
+ */
+const buildPaymentFilter = (query = {}) => {
+  const filter = {};
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map((s) => s.trim()).filter(Boolean);
+    filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = moment(query.from).toDate();
+    if (query.to) {
+      const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(query.to);
+      filter.createdAt.$lte = isDateOnly ? moment(query.to).endOf('day').toDate() : moment(query.to).toDate();
+    }
+  }
+
+  if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+    filter.amount = {};
+    if (query.minAmount !== undefined) filter.amount.$gte = parseFloat(query.minAmount);
+    if (query.maxAmount !== undefined) filter.amount.$lte = parseFloat(query.maxAmount);
+  }
+
+  if (query.receipt) {
+    filter.mpesaReceiptNumber = new RegExp(`^${escapeRegex(String(query.receipt).trim().toUpperCase())}`);
+  }
+
+  return filter;
+};
+
+/**
+ * Parses a sort parameter such as "-amount"
+ * @function parseSort
+ * @param {string} [sort] - Field name, prefixed with "-" for descending
+ * @param {string[]} [allowed=SORTABLE_FIELDS] - Permitted fields
+ * @returns {Object} Mongo sort; newest first when missing or not allowed
+ */
+const parseSort = (sort, allowed = SORTABLE_FIELDS) => {
+  const value = String(sort || '');
+  const field = value.replace(/^-/, '');
+  if (!allowed.includes(field)) return { createdAt: -1 };
+
+  const direction = value.startsWith('-') ? -1 : 1;
+  return field === 'createdAt' ? { createdAt: direction } : { [field]: direction, createdAt: -1 };
+};
+
+/**
+ * Export columns: header and how to read the value from a payment
+ * @constant {Object[]} EXPORT_COLUMNS
+ */
+const EXPORT_COLUMNS = [
+  { header: 'Date', key: 'date', width: 20, value: (p) => moment(p.createdAt).format('YYYY-MM-DD HH:mm') },
+  { header: 'Amount (KES)', key: 'amount', width: 14, value: (p) => p.amount },
+  { header: 'Paid (KES)', key: 'paid', width: 14, value: (p) => p.paidAmount ?? '' },
+  { header: 'Status', key: 'status', width: 12, value: (p) => p.status },
+  { header: 'M-Pesa Receipt', key: 'receipt', width: 16, value: (p) => p.mpesaReceiptNumber || '' },
+  { header: 'Provider Receipt', key: 'providerReceipt', width: 24, value: (p) => p.providerReceipt || '' },
+  { header: 'Phone', key: 'phone', width: 16, value: (p) => p.phone || '' },
+  { header: 'Channel', key: 'channel', width: 10, value: (p) => p.channel || '' },
+  { header: 'Description', key: 'description', width: 40, value: (p) => p.resultDesc || '' },
+];
+
+/**
+ * Quotes a CSV cell and neutralises spreadsheet formulas
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text) && typeof value !== 'number') text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialises payments as CSV
+ * @function paymentsToCsv
+ * @param {Object[]} payments
+ * @returns {string}
+ */
+const paymentsToCsv = (payments) => [
+  EXPORT_COLUMNS.map((column) => toCsvCell(column.header)).join(','),
+  ...payments.map((payment) => EXPORT_COLUMNS.map((column) => toCsvCell(column.value(payment))).join(',')),
+].join('\r\n');
+
+/**
+ * Serialises payments as an Excel workbook
+ * @async
+ * @function paymentsToXlsx
+ * @param {Object[]} payments
+ * @returns {Promise<Buffer>}
+ */
+const paymentsToXlsx = async (payments) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Payments');
+  sheet.columns = EXPORT_COLUMNS.map(({ header, key, width }) => ({ header, key, width }));
+  sheet.getRow(1).font = { bold: true };
+
+  payments.forEach((payment) => {
+    sheet.addRow(Object.fromEntries(EXPORT_COLUMNS.map((column) => [column.key, column.value(payment)])));
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  MAX_EXPORT_ROWS,
+  buildPaymentFilter,
+  parseSort,
+  paymentsToCsv,
+  paymentsToXlsx,
+};
@@ -0,0 +1,111 @@
+/**
+ * Payment reconciliation service
+ * @module utils/paymentReconciliation
+ * @description Resolves payments stuck in Pending (lost callbacks) by asking
+ * their provider for the status: STK Push Query for M-Pesa, transaction
+ * lookups for Airtel Money and card checkout sessions.
+ */
+
+const Payment = require('../models/Payment');
+const logger = require('./logger');
+const { onPaymentCompleted } = require('./paymentEvents');
+const { getProvider } = require('../providers');
+
+/**
+ * Reconciliation settings
+ * @constant {Object} settings
+ * @property {number} staleAfterMinutes - Age before a Pending payment is queried
+ * @property {number} batchSize - Maximum payments queried per run
+ * @property {number} maxAttempts - Queries before a payment is given up as Failed
+ */
+const settings = {
+  staleAfterMinutes: parseInt(process.env.MPESA_RECONCILE_AFTER_MINUTES) || 5,
+  batchSize: parseInt(process.env.MPESA_RECONCILE_BATCH_SIZE) || 50,
+  maxAttempts: parseInt(process.env.MPESA_RECONCILE_MAX_ATTEMPTS) || 5,
+};
+
+/**
+ * Queries the payment's provider and applies the result
+ * @async
+ * @function reconcilePayment
+ * @param {mongoose.Document} payment - Pending payment
+ * @returns {Promise<string>} Outcome: 'Completed', 'Failed' or 'Pending'
+ */
+const reconcilePayment = async (payment) => {
+  const attempts = payment.queryAttempts + 1;
+  let update = null;
+
+  try {
+    const result = await getProvider(payment.provider).query(payment);
+    if (result) update = { ...result, resolvedVia: 'query', resolvedAt: new Date() };
+  } catch (error) {
+    logger.warn(`Status query failed for payment ${payment._id} (${payment.provider || 'mpesa'}): ${error.message}`);
+  }
+
+  // Still undecided (or the query failed): give up once out of attempts
+  if (!update) {
+    update = attempts >= settings.maxAttempts
+      ? {
+        status: 'Failed',
+        resultDesc: `Unresolved after ${attempts} status queries`,
+        resolvedVia: 'query',
+        resolvedAt: new Date(),
+      }
+      : {};
+  }
+
+  // Guard on status so a callback that lands mid-query wins
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'Pending' },
+    {
+      $set: { ...update, lastQueriedAt: new Date() },
+      $inc: { queryAttempts: 1 },
+    },
+    { new: true }
+  );
+
+  if (!updated) return 'Pending';
+
+  await onPaymentCompleted(updated);
+  return updated.status;
+};
+
+/**
+ * Reconciles a batch of stale Pending payments
+ * @async
+ * @function reconcilePendingPayments
+ * @param {Object} [options]
+ * @param {number} [options.staleAfterMinutes] - Override the staleness window
+ * @param {number} [options.batchSize] - Override the batch size
+ * @returns {Promise<Object>} Summary: { checked, completed, failed, pending }
+ *
+ * @example
+ * const summary = await reconcilePendingPayments({ staleAfterMinutes: 10 });
+ * // => { checked: 3, completed: 1, failed: 1, pending: 1 }
+ */
+const reconcilePendingPayments = async (options = {}) => {
+  const staleAfterMinutes = options.staleAfterMinutes ?? settings.staleAfterMinutes;
+  const batchSize = options.batchSize ?? settings.batchSize;
+  const cutoff = new Date(Date.now() - staleAfterMinutes * 60 * 1000);
+
+  const payments = await Payment.find({
+    status: 'Pending',
+    $or: [{ checkoutRequestId: { $exists: true } }, { providerReference: { $exists: true } }],
+    createdAt: { $lte: cutoff },
+  })
+    .sort({ createdAt: 1 })
+    .limit(batchSize);
+
+  const summary = { checked: payments.length, completed: 0, failed: 0, pending: 0 };
+
+  // Sequential on purpose: Daraja (and the other gateways) throttle bursts of queries
+  for (const payment of payments) {
+    const outcome = await reconcilePayment(payment);
+    summary[outcome.toLowerCase()] += 1;
+  }
+
+  logger.info(`Reconciliation run: ${JSON.stringify(summary)}`);
+  return summary;
+};
+
+module.exports = { settings, reconcilePayment, reconcilePendingPayments };
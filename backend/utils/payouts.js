@@ -0,0 +1,175 @@
+/**
+ * Landlord payout service
+ * @module utils/payouts
+ * @description Disburses collected rent to landlords over Daraja B2C and
+ * tracks each payout until Safaricom reports its result.
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const User = require('../models/User');
+const AppError = require('./appError');
+const logger = require('./logger');
+const { b2cPayment, toMsisdn, parseResultParameters, matchConversation } = require('./mpesa');
+
+/**
+ * Payout statuses that hold back part of the landlord's balance.
+ * TimedOut is included because the money may still have been sent.
+ * @constant {string[]} RESERVING_STATUSES
+ */
+const RESERVING_STATUSES = ['Pending', 'Processing', 'Completed', 'TimedOut'];
+
+/**
+ * Computes how much collected rent a landlord can still withdraw
+ * @async
+ * @function getLandlordBalance
+ * @param {string|ObjectId} landlordId
+ * @returns {Promise<Object>} { collected, paidOut, available }
+ */
+const getLandlordBalance = async (landlordId) => {
+  const landlord = new mongoose.Types.ObjectId(String(landlordId));
+
+  const [[collected], [paidOut]] = await Promise.all([
+    Payment.aggregate([
+      { $match: { landlord, status: 'Completed' } },
+      { $group: { _id: null, total: { $sum: { $ifNull: ['$paidAmount', '$amount'] } } } },
+    ]),
+    Payout.aggregate([
+      { $match: { landlord, status: { $in: RESERVING_STATUSES } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } },
+    ]),
+  ]);
+
+  const balance = {
+    collected: collected?.total || 0,
+    paidOut: paidOut?.total || 0,
+  };
+  balance.available = balance.collected - balance.paidOut;
+  return balance;
+};
+
+/**
+ * Requests a B2C payout to a landlord's registered phone
+ * @async
+ * @function requestPayout
+ * @param {Object} options
+ * @param {string} options.landlordId - Landlord to pay
+ * @param {number} options.amount - Whole shillings
+ * @param {string} [options.remarks] - Statement remarks
+ * @param {mongoose.Document} requester - Admin or the landlord themselves
+ * @returns {Promise<mongoose.Document>} Payout in Processing state
+ * @throws {AppError} 400 invalid/insufficient, 404 unknown landlord, 502 Daraja failure
+ *
+ * @remarks
+ * The payout is written before the balance is re-checked, so two concurrent
+ * requests cannot both spend the same shillings: whichever pushes the balance
+ * below zero is failed before it reaches Daraja.
+ */
+const requestPayout = async ({ landlordId, amount, remarks }, requester) => {
+  const landlord = await User.findOne({ _id: landlordId, role: 'landlord' });
+  if (!landlord) throw new AppError('Landlord not found', 404);
+
+  const phone = toMsisdn(landlord.phone);
+  if (!phone) throw new AppError('Landlord phone number is not a valid M-Pesa number', 400);
+
+  const { available } = await getLandlordBalance(landlord._id);
+  if (available < amount) {
+    throw new AppError(`Insufficient collected balance (available: ${available})`, 400);
+  }
+
+  const payout = await Payout.create({
+    landlord: landlord._id,
+    requestedBy: requester._id,
+    amount,
+    phone,
+    remarks,
+  });
+
+  const balance = await getLandlordBalance(landlord._id);
+  if (balance.available < 0) {
+    payout.status = 'Failed';
+    payout.resultDesc = 'Insufficient collected balance';
+    await payout.save();
+    throw new AppError('Insufficient collected balance', 400);
+  }
+
+  try {
+    const response = await b2cPayment({
+      amount,
+      phone,
+      remarks,
+      occasion: `PAYOUT-${payout._id}`,
+    });
+
+    if (response.ResponseCode !== '0') {
+      throw new Error(response.ResponseDescription || 'B2C request rejected');
+    }
+
+    payout.status = 'Processing';
+    payout.conversationId = response.ConversationID;
+    payout.originatorConversationId = response.OriginatorConversationID;
+    await payout.save();
+    return payout;
+  } catch (error) {
+    const reason = error.response?.data?.errorMessage || error.message;
+    logger.error(`B2C payout ${payout._id} failed to submit: ${reason}`);
+
+    payout.status = 'Failed';
+    payout.resultDesc = reason;
+    await payout.save();
+    throw new AppError('MPesa payout request failed', 502);
+  }
+};
+
+/**
+ * Applies a B2C ResultURL callback to its payout
+ * @async
+ * @function applyB2CResult
+ * @param {Object} result - Body.Result from Safaricom
+ * @returns {Promise<mongoose.Document|null>} Updated payout, null if unknown or already final
+ */
+const applyB2CResult = async (result) => {
+  const resultCode = Number(result.ResultCode);
+  const params = parseResultParameters(result.ResultParameters);
+
+  const update = {
+    resultCode,
+    resultDesc: result.ResultDesc,
+    status: resultCode === 0 ? 'Completed' : 'Failed',
+  };
+  if (resultCode === 0) {
+    update.transactionId = result.TransactionID || params.TransactionReceipt;
+    update.receiverName = params.ReceiverPartyPublicName;
+    update.completedAt = new Date();
+  }
+
+  // TimedOut payouts may still receive their real result later
+  return Payout.findOneAndUpdate(
+    { ...matchConversation(result), status: { $in: ['Processing', 'TimedOut'] } },
+    { $set: update },
+    { new: true }
+  );
+};
+
+/**
+ * Applies a B2C QueueTimeOutURL callback to its payout
+ * @async
+ * @function applyB2CTimeout
+ * @param {Object} result - Body.Result from Safaricom
+ * @returns {Promise<mongoose.Document|null>}
+ */
+const applyB2CTimeout = async (result) =>
+  Payout.findOneAndUpdate(
+    { ...matchConversation(result), status: 'Processing' },
+    { $set: { status: 'TimedOut', resultDesc: result.ResultDesc || 'Request timed out in queue' } },
+    { new: true }
+  );
+
+module.exports = {
+  RESERVING_STATUSES,
+  getLandlordBalance,
+  requestPayout,
+  applyB2CResult,
+  applyB2CTimeout,
+};
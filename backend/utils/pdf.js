@@ -0,0 +1,153 @@
+/**
+ * PDF rendering
+ * @module utils/pdf
+ * @description Renders Handlebars documents from emails/templates and prints
+ * them to PDF with headless Chromium, so documents and emails share one set
+ * of templates.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const Handlebars = require('handlebars');
+const puppeteer = require('puppeteer');
+const AppError = require('./appError');
+
+const TEMPLATE_DIR = path.resolve(__dirname, '../emails/templates');
+const compiled = new Map();
+
+/**
+ * Renders a template to HTML
+ * @async
+ * @function renderTemplate
+ * @param {string} name - Template file name without .hbs
+ * @param {Object} data - Template context
+ * @returns {Promise<string>} HTML
+ */
+const renderTemplate = async (name, data) => {
+  if (!compiled.has(name)) {
+    const source = await fs.readFile(path.join(TEMPLATE_DIR, `${name}.hbs`), 'utf8');
+    compiled.set(name, Handlebars.compile(source));
+  }
+  return compiled.get(name)(data);
+};
+
+/**
+ * Pages printing at once (PDF_CONCURRENCY); more requests wait their turn
+ * @constant {number} MAX_CONCURRENT
+ */
+const MAX_CONCURRENT = parseInt(process.env.PDF_CONCURRENCY) || 2;
+
+/**
+ * Requests allowed to wait for a page (PDF_MAX_QUEUED) before new ones are turned away
+ * @constant {number} MAX_QUEUED
+ */
+const MAX_QUEUED = parseInt(process.env.PDF_MAX_QUEUED) || 20;
+
+let browserPromise = null;
+let active = 0;
+const waiting = [];
+
+/**
+ * Returns the shared Chromium, launching it on first use or after a crash
+ * @async
+ * @returns {Promise<Browser>}
+ */
+const getBrowser = () => {
+  if (!browserPromise) {
+    browserPromise = puppeteer.launch({
+      headless: true,
+      executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+      args: process.env.PUPPETEER_NO_SANDBOX === 'true' ? ['--no-sandbox', '--disable-setuid-sandbox'] : [],
+    }).then((browser) => {
+      browser.on('disconnected', () => { browserPromise = null; });
+      return browser;
+    }).catch((error) => {
+      browserPromise = null;
+      throw error;
+    });
+  }
+  return browserPromise;
+};
+
+/**
+ * Waits for a free page slot
+ * @returns {Promise<void>}
+ * @throws {AppError} 503 when too many requests are already waiting
+ */
+const acquireSlot = () => {
+  if (active < MAX_CONCURRENT) {
+    active++;
+    return Promise.resolve();
+  }
+  if (waiting.length >= MAX_QUEUED) {
+    return Promise.reject(new AppError('Too many documents are being generated, try again shortly', 503));
+  }
+  return new Promise((resolve) => waiting.push(resolve));
+};
+
+/**
+ * Hands the slot to the next waiting request, or frees it
+ */
+const releaseSlot = () => {
+  const next = waiting.shift();
+  if (next) next();
+  else active--;
+};
+
+/**
+ * Prints HTML to a PDF buffer
+ * @async
+ * @function htmlToPdf
+ * @param {string} html - Complete HTML document
+ * @param {Object} [options] - Puppeteer page.pdf options (format defaults to A4)
+ * @returns {Promise<Buffer>}
+ * @throws {AppError} 503 when the print queue is full
+ *
+ * @remarks
+ * One Chromium is shared by the whole process and each document gets its
+ * own page, at most PDF_CONCURRENCY at a time, so download requests cannot
+ * start a browser each. PUPPETEER_EXECUTABLE_PATH selects a system Chromium;
+ * containers usually need PUPPETEER_NO_SANDBOX=true as well.
+ */
+const htmlToPdf = async (html, options = {}) => {
+  await acquireSlot();
+  let page;
+  try {
+    page = await (await getBrowser()).newPage();
+    await page.setContent(html, { waitUntil: 'load' });
+    const pdf = await page.pdf({ format: 'A4', printBackground: true, ...options });
+    return Buffer.from(pdf);
+  } finally {
+    if (page) await page.close().catch(() => {});
+    releaseSlot();
+  }
+};
+
+/**
+ * Closes the shared Chromium, if one was started
+ * @async
+ * @function closeBrowser
+ * @returns {Promise<void>}
+ */
+const closeBrowser = async () => {
+  const pending = browserPromise;
+  browserPromise = null;
+  const browser = pending && await pending.catch(() => null);
+  if (browser) await browser.close();
+};
+
+/**
+ * Renders a template straight to PDF
+ * @async
+ * @function renderPdf
+ * @param {string} name - Template file name without .hbs
+ * @param {Object} data - Template context
+ * @param {Object} [options] - Puppeteer page.pdf options
+ * @returns {Promise<Buffer>}
+ *
+ * @example
+ * const pdf = await renderPdf('paymentReceipt', view, { format: 'A5' });
+ */
+const renderPdf = async (name, data, options) => htmlToPdf(await renderTemplate(name, data), options);
+
+module.exports = { renderTemplate, htmlToPdf, renderPdf, closeBrowser };
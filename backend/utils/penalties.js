@@ -0,0 +1,316 @@
+/**
+ * Late payment penalties
+ * @module utils/penalties
+ * @description Charges penalty invoices on overdue balances according to each
+ * landlord's PenaltyRule, and lets landlords waive them. Every overdue
+ * invoice gets at most one penalty invoice, which daily accrual tops up;
+ * each charge and waiver is written to the PenaltyEvent audit trail.
+ */
+
+const moment = require('moment');
+const Invoice = require('../models/Invoice');
+const PenaltyRule = require('../models/PenaltyRule');
+const PenaltyEvent = require('../models/PenaltyEvent');
+const AppError = require('./appError');
+const logger = require('./logger');
+const { OPEN_STATUSES, allocateTenantPayments, reallocateTenant } = require('./allocation');
+const { canManageTenant } = require('./invoices');
+
+/**
+ * Rounds to whole shillings
+ * @param {number} value
+ * @returns {number}
+ */
+const toShillings = (value) => Math.round(value);
+
+/**
+ * Works out the total penalty an overdue invoice should carry
+ * @function calculatePenalty
+ * @param {Object} rule - PenaltyRule
+ * @param {Object} invoice - Overdue invoice (amount, amountPaid, dueDate)
+ * @param {Date} [asOf=new Date()] - Day being evaluated
+ * @param {Object} [charged] - What the penalty invoice already carries
+ * @param {number} [charged.amount=0] - Charged so far, waivers included
+ * @param {number} [charged.days=0] - Days overdue already charged for
+ * @returns {Object} { amount, daysOverdue, balance }; amount is what was charged already within the grace period
+ *
+ * @remarks
+ * Daily accrual only adds the days not yet charged for, at the fee on
+ * today's balance, so a tenant who pays part of the rent keeps accruing at
+ * the lower rate from then on. Totals never go down: callers only ever top
+ * a penalty up to this amount.
+ *
+ * @example
+ * calculatePenalty(
+ *   { graceDays: 5, feeType: 'flat', amount: 100, accrual: 'daily', maxAmount: 1500 },
+ *   { amount: 15000, amountPaid: 0, dueDate: new Date('2025-03-01') },
+ *   new Date('2025-03-10')
+ * );
+ * // => { amount: 400, daysOverdue: 4, balance: 15000 }
+ */
+const calculatePenalty = (rule, invoice, asOf = new Date(), charged = {}) => {
+  const chargedAmount = charged.amount || 0;
+  const chargedDays = charged.days || 0;
+  const balance = Math.max(0, invoice.amount - (invoice.amountPaid || 0));
+  const graceEnds = moment(invoice.dueDate).startOf('day').add(rule.graceDays || 0, 'days');
+  const daysOverdue = Math.max(0, moment(asOf).startOf('day').diff(graceEnds, 'days'));
+
+  if (!daysOverdue || !balance) return { amount: chargedAmount, daysOverdue, balance };
+
+  const fee = rule.feeType === 'percentage' ? (balance * rule.amount) / 100 : rule.amount;
+  const increment = rule.accrual === 'daily'
+    ? fee * Math.max(0, daysOverdue - chargedDays)
+    : (chargedDays ? 0 : fee);
+  let amount = chargedAmount + increment;
+
+  if (rule.maxAmount !== undefined && rule.maxAmount !== null) amount = Math.min(amount, rule.maxAmount);
+  if (rule.maxPercent !== undefined && rule.maxPercent !== null) {
+    amount = Math.min(amount, (invoice.amount * rule.maxPercent) / 100);
+  }
+
+  return { amount: toShillings(Math.max(amount, chargedAmount)), daysOverdue, balance };
+};
+
+/**
+ * Days overdue a penalty invoice has been charged for
+ * @async
+ * @param {Object} penalty - Penalty invoice
+ * @returns {Promise<number>}
+ *
+ * @remarks
+ * Penalties charged before penaltyDays was recorded fall back to the days
+ * overdue of their last charge in the audit trail.
+ */
+const chargedDays = async (penalty) => {
+  if (penalty.penaltyDays !== undefined && penalty.penaltyDays !== null) return penalty.penaltyDays;
+  const last = await PenaltyEvent.findOne({ penaltyInvoice: penalty._id, action: 'applied' })
+    .sort({ createdAt: -1 })
+    .select('daysOverdue')
+    .lean();
+  return last?.daysOverdue || 0;
+};
+
+/**
+ * Finds the rule for an invoice: the property's own, else the landlord default
+ * @async
+ * @function findRule
+ * @param {string|ObjectId} landlordId
+ * @param {string|ObjectId} [propertyId]
+ * @returns {Promise<mongoose.Document|null>} Active rule, or null when the landlord charges none
+ */
+const findRule = async (landlordId, propertyId) => {
+  const rules = await PenaltyRule.find({
+    landlord: landlordId,
+    property: { $in: propertyId ? [propertyId, null] : [null] },
+    active: true,
+  });
+  return rules.find((rule) => rule.property && String(rule.property) === String(propertyId))
+    || rules.find((rule) => !rule.property)
+    || null;
+};
+
+/**
+ * Charges or tops up the penalty for one overdue invoice
+ * @async
+ * @function applyInvoicePenalty
+ * @param {Object} invoice - Open or partially paid invoice
+ * @param {Object} rule - Rule that applies to it
+ * @param {Date} [asOf=new Date()]
+ * @returns {Promise<mongoose.Document|null>} The PenaltyEvent, or null when nothing was due
+ *
+ * @remarks
+ * Idempotent per day: re-running only charges the days not yet charged for
+ * (waived amounts count as charged). A penalty waived in full is never
+ * charged again.
+ */
+const applyInvoicePenalty = async (invoice, rule, asOf = new Date()) => {
+  if (!rule.invoiceTypes.includes(invoice.type)) return null;
+
+  const existing = await Invoice.findOne({ penaltyFor: invoice._id });
+  if (existing?.status === 'Void') return null;
+
+  const charged = existing
+    ? { amount: existing.amount + (existing.waivedAmount || 0), days: await chargedDays(existing) }
+    : { amount: 0, days: 0 };
+  const { amount: due, daysOverdue, balance } = calculatePenalty(rule, invoice, asOf, charged);
+  const increment = toShillings(due - charged.amount);
+  if (increment <= 0) return null;
+
+  let penalty;
+  if (!existing) {
+    try {
+      penalty = await Invoice.create({
+        tenant: invoice.tenant,
+        landlord: invoice.landlord,
+        property: invoice.property,
+        type: 'penalty',
+        amount: increment,
+        dueDate: asOf,
+        period: invoice.period,
+        description: `Late payment penalty on ${invoice.invoiceNumber}`,
+        penaltyFor: invoice._id,
+        penaltyRule: rule._id,
+        penaltyDays: daysOverdue,
+      });
+    } catch (error) {
+      if (error.code === 11000) return null;  // A concurrent run charged it first
+      throw error;
+    }
+  } else {
+    // Guarded on the amount we read so concurrent runs cannot both top up
+    penalty = await Invoice.findOneAndUpdate(
+      { _id: existing._id, amount: existing.amount, status: { $ne: 'Void' } },
+      [
+        { $set: { amount: { $add: ['$amount', increment] }, penaltyRule: rule._id, penaltyDays: daysOverdue } },
+        {
+          $set: {
+            status: {
+              $cond: [
+                { $gte: ['$amountPaid', '$amount'] },
+                'Paid',
+                { $cond: [{ $gt: ['$amountPaid', 0] }, 'PartiallyPaid', 'Open'] },
+              ],
+            },
+          },
+        },
+      ],
+      { new: true }
+    );
+    if (!penalty) return null;
+  }
+
+  const event = await PenaltyEvent.create({
+    action: 'applied',
+    invoice: invoice._id,
+    penaltyInvoice: penalty._id,
+    rule: rule._id,
+    tenant: invoice.tenant,
+    landlord: invoice.landlord,
+    property: invoice.property,
+    amount: increment,
+    totalAfter: penalty.amount,
+    overdueBalance: balance,
+    daysOverdue,
+  });
+
+  await allocateTenantPayments(invoice.tenant);
+  logger.info(`Penalty KES ${increment} charged on ${invoice.invoiceNumber} (${penalty.invoiceNumber})`);
+  return event;
+};
+
+/**
+ * Charges penalties on every overdue invoice
+ * @async
+ * @function applyPenalties
+ * @param {Object} [options]
+ * @param {Date} [options.asOf=new Date()] - Day being evaluated
+ * @param {string} [options.landlordId] - Only this landlord's tenants
+ * @returns {Promise<Object>} Summary: { checked, charged, amount, failed }
+ *
+ * @example
+ * await applyPenalties();
+ * // => { checked: 42, charged: 7, amount: 2100, failed: 0 }
+ */
+const applyPenalties = async ({ asOf = new Date(), landlordId } = {}) => {
+  const filter = {
+    status: { $in: OPEN_STATUSES },
+    type: { $ne: 'penalty' },
+    dueDate: { $lt: moment(asOf).startOf('day').toDate() },
+  };
+  if (landlordId) filter.landlord = landlordId;
+
+  const rules = new Map();  // landlord:property => rule, per run
+  const summary = { checked: 0, charged: 0, amount: 0, failed: 0 };
+
+  for await (const invoice of Invoice.find(filter).sort({ dueDate: 1 }).cursor()) {
+    summary.checked += 1;
+
+    const ruleKey = `${invoice.landlord}:${invoice.property || ''}`;
+    if (!rules.has(ruleKey)) rules.set(ruleKey, await findRule(invoice.landlord, invoice.property));
+    const rule = rules.get(ruleKey);
+    if (!rule) continue;
+
+    try {
+      const event = await applyInvoicePenalty(invoice, rule, asOf);
+      if (event) {
+        summary.charged += 1;
+        summary.amount += event.amount;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      logger.error(`Penalty for invoice ${invoice.invoiceNumber} failed: ${error.message}`);
+    }
+  }
+
+  logger.info(`Penalty run: ${JSON.stringify(summary)}`);
+  return summary;
+};
+
+/**
+ * Waives all or part of a penalty invoice
+ * @async
+ * @function waivePenalty
+ * @param {string} penaltyInvoiceId - Invoice of type penalty
+ * @param {Object} waiver
+ * @param {string} waiver.reason - Why it is waived (kept in the audit trail)
+ * @param {number} [waiver.amount] - Part to waive; the whole remaining penalty when omitted
+ * @param {mongoose.Document} actor - Landlord or admin
+ * @returns {Promise<mongoose.Document>} The penalty invoice after the waiver
+ * @throws {AppError} 404 unknown invoice, 400 not a penalty or amount too large, 403 not the tenant's landlord, 409 already void
+ *
+ * @remarks
+ * A full waiver voids the penalty invoice and stops further accrual on the
+ * overdue invoice. A partial waiver lowers the amount; accrual continues but
+ * the waived part is never charged again. Money already applied to the
+ * penalty goes back to the tenant's credit.
+ */
+const waivePenalty = async (penaltyInvoiceId, { reason, amount }, actor) => {
+  const penalty = await Invoice.findById(penaltyInvoiceId).populate('tenant', 'landlord');
+  if (!penalty) throw new AppError('Invoice not found', 404);
+  if (penalty.type !== 'penalty' || !penalty.penaltyFor) throw new AppError('Only penalty invoices can be waived', 400);
+  if (!canManageTenant(penalty.tenant, actor)) throw new AppError('You do not manage this tenant', 403);
+  if (penalty.status === 'Void') throw new AppError('Penalty has already been waived', 409);
+
+  const waived = amount === undefined || amount === null ? penalty.amount : toShillings(amount);
+  if (waived <= 0 || waived > penalty.amount) {
+    throw new AppError(`Waiver must be between 1 and ${penalty.amount}`, 400);
+  }
+
+  const full = waived === penalty.amount;
+  const updated = await Invoice.findOneAndUpdate(
+    { _id: penalty._id, amount: penalty.amount, status: { $ne: 'Void' } },
+    full
+      ? { $set: { status: 'Void' }, $inc: { waivedAmount: waived } }
+      : { $inc: { amount: -waived, waivedAmount: waived } },
+    { new: true }
+  );
+  if (!updated) throw new AppError('Penalty changed while waiving; try again', 409);
+
+  await PenaltyEvent.create({
+    action: 'waived',
+    invoice: penalty.penaltyFor,
+    penaltyInvoice: penalty._id,
+    rule: penalty.penaltyRule,
+    tenant: penalty.tenant._id,
+    landlord: penalty.landlord,
+    property: penalty.property,
+    amount: waived,
+    totalAfter: full ? 0 : updated.amount,
+    reason,
+    actor: actor._id,
+  });
+
+  // Allocations were made against the old amount
+  await reallocateTenant(penalty.tenant._id);
+  logger.info(`Penalty ${penalty.invoiceNumber}: KES ${waived} waived by ${actor._id} (${reason})`);
+
+  return Invoice.findById(penalty._id);
+};
+
+module.exports = {
+  calculatePenalty,
+  findRule,
+  applyInvoicePenalty,
+  applyPenalties,
+  waivePenalty,
+};
@@ -0,0 +1,195 @@
+/**
+ * Property access and housekeeping
+ * @module utils/properties
+ * @description Who may manage a property, and the checks that keep the
+ * Property → Block → Unit tree consistent when parts of it are removed.
+ * Landlords manage the properties they own, agents the ones they are
+ * assigned to, and admins everything.
+ */
+
+const Property = require('../models/Property');
+const Block = require('../models/Block');
+const Unit = require('../models/Unit');
+const AppError = require('./appError');
+const logger = require('./logger');
+const { coverPhoto, variantUrl, removePhotoFiles } = require('./listingPhotos');
+
+/**
+ * Builds the query filter for the properties a user manages
+ * @function managedPropertyFilter
+ * @param {Object} user - Acting user
+ * @returns {Object|null} Mongo filter, or null when the role manages none
+ */
+const managedPropertyFilter = (user) => {
+  if (user.role === 'admin') return {};
+  if (user.role === 'landlord') return { owner: user._id };
+  if (user.role === 'agent') return { agents: user._id };
+  return null;
+};
+
+/**
+ * Checks that a user may edit a property, its blocks and units
+ * @function canManageProperty
+ * @param {Object} property
+ * @param {Object} user
+ * @returns {boolean}
+ */
+const canManageProperty = (property, user) =>
+  user.role === 'admin'
+  || (user.role === 'landlord' && String(property.owner) === String(user._id))
+  || (user.role === 'agent' && property.agents.some((agent) => String(agent) === String(user._id)));
+
+/**
+ * Checks that a user may delete a property or change its agents
+ * @function isPropertyOwner
+ * @param {Object} property
+ * @param {Object} user
+ * @returns {boolean} True for the owning landlord and admins
+ */
+const isPropertyOwner = (property, user) =>
+  user.role === 'admin' || (user.role === 'landlord' && String(property.owner) === String(user._id));
+
+/**
+ * Builds the search snapshot a unit keeps of its property
+ * @function buildListing
+ * @param {Object} property
+ * @param {string[]} [unitAmenities=[]] - The unit's own amenities
+ * @returns {Object} Value for Unit.listing
+ */
+const buildListing = (property, unitAmenities = []) => {
+  const { street, area, city, county } = property.address || {};
+  const hasLocation = property.location?.coordinates?.length === 2;
+  const cover = coverPhoto(property.photos);
+
+  return {
+    title: property.title,
+    description: property.description,
+    propertyType: property.propertyType,
+    city,
+    area,
+    locationText: [street, area, city, county].filter(Boolean).join(', '),
+    amenities: [...new Set([...(property.amenities || []), ...unitAmenities])],
+    location: hasLocation ? { type: 'Point', coordinates: [...property.location.coordinates] } : undefined,
+    active: property.active !== false,
+    coverThumbUrl: variantUrl(cover, 'thumb'),
+    coverUrl: variantUrl(cover, 'medium'),
+  };
+};
+
+/**
+ * Refreshes the search snapshot on every unit of a property
+ * @async
+ * @function syncUnitListings
+ * @param {Object} property - Property after an update
+ * @returns {Promise<number>} Units updated
+ *
+ * @remarks
+ * Amenities are merged per unit inside the update so each unit keeps its own.
+ */
+const syncUnitListings = async (property) => {
+  const { amenities, location, ...listing } = buildListing(property);
+  // $literal so user text starting with $ is not read as a field path
+  const set = Object.fromEntries(
+    Object.entries(listing).map(([key, value]) => [`listing.${key}`, { $literal: value ?? null }])
+  );
+
+  const result = await Unit.updateMany({ property: property._id }, [
+    {
+      $set: {
+        ...set,
+        'listing.amenities': { $setUnion: [{ $literal: amenities }, { $ifNull: ['$amenities', []] }] },
+        'listing.location': location ? { $literal: location } : '$$REMOVE',
+      },
+    },
+  ]);
+  return result.modifiedCount;
+};
+
+/**
+ * Loads a property the user manages
+ * @async
+ * @function getManagedProperty
+ * @param {string} propertyId
+ * @param {Object} user
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404 unknown property, 403 not managed by the user
+ */
+const getManagedProperty = async (propertyId, user) => {
+  const property = await Property.findById(propertyId);
+  if (!property) throw new AppError('Property not found', 404);
+  if (!canManageProperty(property, user)) throw new AppError('You do not manage this property', 403);
+  return property;
+};
+
+/**
+ * Deletes a property with its blocks, units and their photos
+ * @async
+ * @function deleteProperty
+ * @param {mongoose.Document} property
+ * @returns {Promise<void>}
+ * @throws {AppError} 409 when a unit is occupied or reserved
+ */
+const deleteProperty = async (property) => {
+  const letUnits = await Unit.countDocuments({ property: property._id, status: { $ne: 'vacant' } });
+  if (letUnits) throw new AppError(`${letUnits} unit(s) are occupied or reserved`, 409);
+
+  const units = await Unit.find({ property: property._id }).select('photos');
+  await Unit.deleteMany({ property: property._id });
+  await Block.deleteMany({ property: property._id });
+  await property.deleteOne();
+  await removePhotoFiles([...property.photos, ...units.flatMap((unit) => unit.photos)]);
+  logger.info(`Property ${property._id} (${property.title}) deleted`);
+};
+
+/**
+ * Deletes a block once it has no units
+ * @async
+ * @function deleteBlock
+ * @param {mongoose.Document} block
+ * @returns {Promise<void>}
+ * @throws {AppError} 409 when units still belong to the block
+ */
+const deleteBlock = async (block) => {
+  const units = await Unit.countDocuments({ block: block._id });
+  if (units) throw new AppError(`Move or delete the block's ${units} unit(s) first`, 409);
+  await block.deleteOne();
+};
+
+/**
+ * Deletes a unit nobody occupies or has reserved
+ * @async
+ * @function deleteUnit
+ * @param {mongoose.Document} unit
+ * @returns {Promise<void>}
+ * @throws {AppError} 409 when the unit is occupied or reserved
+ */
+const deleteUnit = async (unit) => {
+  if (unit.status !== 'vacant') throw new AppError(`Unit is ${unit.status}`, 409);
+  await unit.deleteOne();
+  await removePhotoFiles(unit.photos);
+};
+
+/**
+ * Finds the property a tenant lives in, for tagging their payments
+ * @async
+ * @function findTenantProperty
+ * @param {string|ObjectId} tenantId
+ * @returns {Promise<ObjectId|null>} Property of the tenant's occupied unit
+ */
+const findTenantProperty = async (tenantId) => {
+  const unit = await Unit.findOne({ tenant: tenantId, status: 'occupied' }).select('property').lean();
+  return unit ? unit.property : null;
+};
+
+module.exports = {
+  managedPropertyFilter,
+  canManageProperty,
+  isPropertyOwner,
+  getManagedProperty,
+  buildListing,
+  syncUnitListings,
+  deleteProperty,
+  deleteBlock,
+  deleteUnit,
+  findTenantProperty,
+};
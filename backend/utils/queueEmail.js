@@ -0,0 +1,35 @@
+/**
+ * Queued email
+ * @module utils/queueEmail
+ * @description Hands an email to the email worker instead of sending it in
+ * the request, so a slow or failing mail server never fails an API call.
+ * @see {@link module:jobs/emailWorker} which sends it with utils/email
+ */
+
+const logger = require('./logger');
+
+/**
+ * Queues an email for the email worker
+ * @async
+ * @function queueEmail
+ * @param {Object} options - sendEmail options: to, subject, and text or templateName/templateData
+ * @returns {Promise<void>}
+ *
+ * @remarks
+ * Never throws: failures are logged. Emails without a recipient are skipped.
+ * Attachments must be JSON-serialisable, so send download links rather than
+ * buffers.
+ */
+const queueEmail = async (options) => {
+  if (!options.to) return;
+
+  // Required lazily so the API does not open a Redis connection until needed
+  const emailQueue = require('../queues/emailQueue');
+  try {
+    await emailQueue.add('send', options, { attempts: 3, backoff: { type: 'exponential', delay: 60000 } });
+  } catch (error) {
+    logger.error(`Queueing email "${options.subject}" failed: ${error.message}`);
+  }
+};
+
+module.exports = queueEmail;
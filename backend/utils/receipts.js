@@ -0,0 +1,186 @@
+/**
+ * Payment receipts
+ * @module utils/receipts
+ * @description Issues a numbered receipt for each completed payment, renders
+ * it to PDF from emails/templates/paymentReceipt.hbs and emails it to the tenant.
+ */
+
+const moment = require('moment');
+const Payment = require('../models/Payment');
+const Receipt = require('../models/Receipt');
+const Lease = require('../models/Lease');
+const Unit = require('../models/Unit');
+const AppError = require('./appError');
+const logger = require('./logger');
+const sendEmail = require('./email');
+const { renderPdf } = require('./pdf');
+const { getBalanceAsOf } = require('./allocation');
+const { getProvider } = require('../providers');
+
+/**
+ * Formats a KES amount for display
+ * @param {number} value
+ * @returns {string} e.g. "15,000.00"
+ */
+const formatKes = (value) =>
+  Number(value || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Names a unit for the receipt
+ * @function describeUnit
+ * @param {Object} [unit] - With property and block populated
+ * @returns {string} e.g. "Unit A12, Block B, Pandora Court"
+ */
+const describeUnit = (unit) => {
+  if (!unit) return 'N/A';
+  return [`Unit ${unit.unitNumber}`, unit.block?.name && `Block ${unit.block.name}`, unit.property?.title]
+    .filter(Boolean)
+    .join(', ');
+};
+
+/**
+ * Finds the unit a payment was for: the one leased when it was paid, else
+ * the unit the tenant occupies now
+ * @async
+ * @param {string|ObjectId} tenantId
+ * @param {Date} paidAt
+ * @returns {Promise<Object|null>} Unit with property and block populated
+ */
+const findPaidUnit = async (tenantId, paidAt) => {
+  const lease = await Lease.findOne({
+    tenant: tenantId,
+    status: { $in: ['active', 'superseded', 'ended'] },
+    startDate: { $lte: paidAt },
+    $or: [{ endDate: null }, { endDate: { $gte: paidAt } }],
+  }).sort({ startDate: -1 }).select('unit').lean();
+
+  return Unit.findOne(lease ? { _id: lease.unit } : { tenant: tenantId, status: 'occupied' })
+    .select('unitNumber property block')
+    .populate('property', 'title')
+    .populate('block', 'name')
+    .lean();
+};
+
+/**
+ * Builds the template context shared by the PDF and the email
+ * @function buildReceiptView
+ * @param {Object} receipt - Receipt document
+ * @returns {Object} Template data
+ */
+const buildReceiptView = (receipt) => {
+  const balance = receipt.balanceAfter || 0;
+  return {
+    receiptNumber: receipt.receiptNumber,
+    tenantName: receipt.tenantName,
+    unit: receipt.unit,
+    paymentMethod: receipt.paymentMethod || 'M-Pesa',
+    mpesaReceiptNumber: receipt.mpesaReceiptNumber || receipt.providerReceipt || 'N/A',
+    amount: formatKes(receipt.amount),
+    balance: formatKes(Math.abs(balance)),
+    inCredit: balance < 0,
+    paidOn: moment(receipt.paidAt).format('D MMM YYYY, HH:mm'),
+    issuedOn: moment(receipt.createdAt).format('D MMM YYYY'),
+  };
+};
+
+/**
+ * Returns the receipt for a payment, issuing it on first call
+ * @async
+ * @function issueReceipt
+ * @param {string|ObjectId} paymentId - Completed payment id
+ * @returns {Promise<mongoose.Document>} Receipt
+ * @throws {AppError} 404 unknown payment, 409 payment not completed
+ *
+ * @remarks
+ * Safe to call concurrently: the unique payment index means the loser of a
+ * race simply reads the winner's receipt.
+ */
+const issueReceipt = async (paymentId) => {
+  const existing = await Receipt.findOne({ payment: paymentId });
+  if (existing) return existing;
+
+  const payment = await Payment.findById(paymentId).populate('user', 'name email');
+  if (!payment) throw new AppError('Payment not found', 404);
+  if (payment.status !== 'Completed') throw new AppError('Receipts are only issued for completed payments', 409);
+
+  const paidAt = payment.transactionDate || payment.resolvedAt || payment.updatedAt;
+  const [unit, balanceAfter] = await Promise.all([
+    findPaidUnit(payment.user._id, paidAt),
+    // Payments completed before the balance was recorded work it out as of payment
+    payment.balanceAfter ?? getBalanceAsOf(payment.user._id, paidAt),
+  ]);
+
+  try {
+    return await Receipt.create({
+      payment: payment._id,
+      tenant: payment.user._id,
+      landlord: payment.landlord,
+      tenantName: payment.user.name,
+      unit: describeUnit(unit),
+      mpesaReceiptNumber: payment.mpesaReceiptNumber,
+      paymentMethod: getProvider(payment.provider).label,
+      providerReceipt: payment.providerReceipt,
+      amount: payment.paidAmount ?? payment.amount,
+      balanceAfter,
+      paidAt,
+    });
+  } catch (error) {
+    if (error.code === 11000) return Receipt.findOne({ payment: payment._id });
+    throw error;
+  }
+};
+
+/**
+ * Renders a receipt to PDF
+ * @async
+ * @function renderReceiptPdf
+ * @param {Object} receipt - Receipt document
+ * @returns {Promise<Buffer>}
+ */
+const renderReceiptPdf = (receipt) => renderPdf('paymentReceipt', buildReceiptView(receipt), { format: 'A5' });
+
+/**
+ * Emails a receipt to its tenant with the PDF attached
+ * @async
+ * @function emailReceipt
+ * @param {Object} receipt - Receipt document
+ * @returns {Promise<mongoose.Document>} Receipt with emailedAt set
+ * @throws {Error} When sending fails (recorded on the receipt as emailError first)
+ */
+const emailReceipt = async (receipt) => {
+  await receipt.populate('tenant', 'email');
+  const to = receipt.tenant.email;
+  receipt.depopulate('tenant');
+
+  try {
+    await sendEmail({
+      to,
+      subject: `Payment receipt ${receipt.receiptNumber}`,
+      templateName: 'paymentReceiptEmail',
+      templateData: buildReceiptView(receipt),
+      attachments: [{
+        filename: `${receipt.receiptNumber}.pdf`,
+        content: await renderReceiptPdf(receipt),
+        contentType: 'application/pdf',
+      }],
+    });
+  } catch (error) {
+    receipt.emailError = error.message;
+    await receipt.save();
+    logger.error(`Receipt ${receipt.receiptNumber} email failed: ${error.message}`);
+    throw error;
+  }
+
+  receipt.emailedAt = new Date();
+  receipt.emailError = undefined;
+  return receipt.save();
+};
+
+module.exports = {
+  formatKes,
+  describeUnit,
+  buildReceiptView,
+  issueReceipt,
+  renderReceiptPdf,
+  emailReceipt,
+};
@@ -0,0 +1,48 @@
+/**
+ * Shared Redis connection
+ * @module utils/redis
+ * @description One lazily created ioredis client per process for small shared
+ * state (OAuth tokens, locks). BullMQ queues keep their own connections.
+ */
+
+const Redis = require('ioredis');
+const logger = require('./logger');
+
+let client = null;
+
+/**
+ * Returns the shared client, connecting on first use
+ * @function getRedisClient
+ * @returns {Redis}
+ *
+ * @remarks
+ * Commands are retried once across a reconnect and then rejected, so callers
+ * fail fast while Redis is down and are expected to degrade gracefully.
+ */
+const getRedisClient = () => {
+  if (client) return client;
+
+  client = new Redis({
+    host: process.env.REDIS_HOST || '127.0.0.1',
+    port: parseInt(process.env.REDIS_PORT) || 6379,
+    password: process.env.REDIS_PASSWORD || undefined,
+    maxRetriesPerRequest: 1,
+  });
+  client.on('error', (err) => logger.warn(`Redis error: ${err.message}`));
+  return client;
+};
+
+/**
+ * Closes the shared client (graceful shutdown, tests)
+ * @async
+ * @function closeRedisClient
+ * @returns {Promise<void>}
+ */
+const closeRedisClient = async () => {
+  if (!client) return;
+  const closing = client;
+  client = null;
+  await closing.quit().catch(() => closing.disconnect());
+};
+
+module.exports = { getRedisClient, closeRedisClient };
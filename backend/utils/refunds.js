@@ -0,0 +1,296 @@
+/**
+ * Payment refund and reversal service
+ * @module utils/refunds
+ * @description Undoes completed payments. Admins request a refund; amounts
+ * above the approval threshold need a second admin. Approved refunds either
+ * go back through the provider that took the payment (the Daraja Reversal
+ * API, whose result arrives by callback, or the Airtel/card refund APIs) or,
+ * for money returned by other means, are recorded as manual refunds. Once final,
+ * the payment leaves the ledger and the tenant's allocations are rebuilt.
+ */
+
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const AppError = require('./appError');
+const logger = require('./logger');
+const { matchConversation, parseResultParameters } = require('./mpesa');
+const { reallocateTenant } = require('./allocation');
+const { getLandlordBalance } = require('./payouts');
+const { getProvider } = require('../providers');
+
+/**
+ * Refund settings
+ * @constant {Object} settings
+ * @property {number} approvalThreshold - REFUND_APPROVAL_THRESHOLD; larger refunds need a second admin
+ */
+const settings = {
+  approvalThreshold: parseFloat(process.env.REFUND_APPROVAL_THRESHOLD) || 5000,
+};
+
+/**
+ * Whether a refund amount needs a second admin's approval
+ * @function requiresSecondApproval
+ * @param {number} amount
+ * @returns {boolean}
+ */
+const requiresSecondApproval = (amount) => amount > settings.approvalThreshold;
+
+/**
+ * Releases a payment's refund claim so a new refund can be requested
+ * @async
+ * @param {Object} refund
+ * @returns {Promise<void>}
+ */
+const releasePayment = async (refund) => {
+  await Payment.updateOne({ _id: refund.payment, refund: refund._id }, { $unset: { refund: 1 } });
+};
+
+/**
+ * Takes a refunded payment off the ledger and rebuilds the tenant's allocations
+ * @async
+ * @param {Object} refund - Completed refund
+ * @param {string} status - Reversed | Refunded
+ * @returns {Promise<mongoose.Document|null>} Updated payment
+ */
+const settlePayment = async (refund, status) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: refund.payment, refund: refund._id, status: 'Completed' },
+    { $set: { status } },
+    { new: true }
+  );
+  if (!payment) return null;
+
+  await reallocateTenant(payment.user);
+
+  if (payment.landlord) {
+    const { available } = await getLandlordBalance(payment.landlord);
+    if (available < 0) {
+      logger.warn(`Landlord ${payment.landlord} balance is ${available} after refund ${refund._id}`);
+    }
+  }
+
+  logger.info(`Payment ${payment._id} marked ${status} by refund ${refund._id}`);
+  return payment;
+};
+
+/**
+ * Carries out an approved refund
+ * @async
+ * @param {mongoose.Document} refund - Refund in Processing state
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 502 when the provider rejects the refund request
+ */
+const executeRefund = async (refund) => {
+  if (refund.method === 'manual') {
+    refund.status = 'Completed';
+    refund.completedAt = new Date();
+    await refund.save();
+    await settlePayment(refund, 'Refunded');
+    return refund;
+  }
+
+  const payment = await Payment.findById(refund.payment);
+  const provider = getProvider(payment.provider);
+
+  try {
+    const result = await provider.refund(payment, refund);
+
+    refund.conversationId = result.conversationId;
+    refund.originatorConversationId = result.originatorConversationId;
+    if (result.status === 'Completed') {
+      refund.status = 'Completed';
+      refund.transactionId = result.transactionId;
+      refund.resultDesc = result.resultDesc;
+      refund.completedAt = new Date();
+    }
+    await refund.save();
+
+    // Airtel and card refunds are final immediately; M-Pesa's arrive by callback
+    if (refund.status === 'Completed') await settlePayment(refund, 'Refunded');
+    return refund;
+  } catch (error) {
+    const reason = error.response?.data?.errorMessage || error.message;
+    logger.error(`${provider.label} refund ${refund._id} failed to submit: ${reason}`);
+
+    refund.status = 'Failed';
+    refund.resultDesc = reason;
+    await refund.save();
+    await releasePayment(refund);
+    throw new AppError(`${provider.label} refund request failed`, 502);
+  }
+};
+
+/**
+ * Requests a refund of a completed payment
+ * @async
+ * @function requestRefund
+ * @param {Object} options
+ * @param {string} options.paymentId - Completed payment
+ * @param {string} options.method - reversal | manual
+ * @param {string} options.reason - Why the payment is being undone
+ * @param {string} [options.externalReference] - Required for manual refunds
+ * @param {mongoose.Document} admin - Requesting admin
+ * @returns {Promise<mongoose.Document>} Refund; PendingApproval above the threshold, otherwise already executed
+ * @throws {AppError} 400 invalid request, 404 unknown payment, 409 not refundable, 502 provider failure
+ *
+ * @example
+ * await requestRefund({ paymentId, method: 'reversal', reason: 'Paid twice' }, req.user);
+ */
+const requestRefund = async ({ paymentId, method, reason, externalReference }, admin) => {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) throw new AppError('Payment not found', 404);
+  if (payment.status !== 'Completed') throw new AppError('Only completed payments can be refunded', 409);
+  if (method === 'reversal' && !(payment.mpesaReceiptNumber || payment.providerReceipt)) {
+    throw new AppError('Payment has no provider receipt to reverse', 400);
+  }
+  if (method === 'manual' && !externalReference) {
+    throw new AppError('externalReference is required for manual refunds', 400);
+  }
+
+  const amount = payment.paidAmount ?? payment.amount;
+  const refund = await Refund.create({
+    payment: payment._id,
+    tenant: payment.user,
+    amount,
+    method,
+    reason,
+    externalReference,
+    requestedBy: admin._id,
+  });
+
+  // Claim the payment so it cannot be refunded twice
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'Completed', refund: { $exists: false } },
+    { $set: { refund: refund._id } }
+  );
+  if (!claimed) {
+    await Refund.deleteOne({ _id: refund._id });
+    throw new AppError('A refund is already in progress for this payment', 409);
+  }
+
+  logger.info(`Refund ${refund._id} (${method}, KES ${amount}) requested by ${admin._id}`);
+
+  if (requiresSecondApproval(amount)) return refund;
+
+  refund.status = 'Processing';
+  refund.approvedBy = admin._id;
+  refund.approvedAt = new Date();
+  await refund.save();
+  return executeRefund(refund);
+};
+
+/**
+ * Approves a refund awaiting a second admin and executes it
+ * @async
+ * @function approveRefund
+ * @param {string} refundId
+ * @param {mongoose.Document} admin - Approving admin; must not be the requester
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404 unknown refund, 403 self-approval, 409 not awaiting approval, 502 provider failure
+ */
+const approveRefund = async (refundId, admin) => {
+  const refund = await Refund.findById(refundId);
+  if (!refund) throw new AppError('Refund not found', 404);
+  if (refund.status !== 'PendingApproval') throw new AppError('Refund is not awaiting approval', 409);
+  if (String(refund.requestedBy) === String(admin._id)) {
+    throw new AppError('Refunds must be approved by a different admin', 403);
+  }
+
+  const approved = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: 'PendingApproval' },
+    { $set: { status: 'Processing', approvedBy: admin._id, approvedAt: new Date() } },
+    { new: true }
+  );
+  if (!approved) throw new AppError('Refund is not awaiting approval', 409);
+
+  logger.info(`Refund ${refund._id} approved by ${admin._id}`);
+  return executeRefund(approved);
+};
+
+/**
+ * Rejects a refund awaiting approval
+ * @async
+ * @function rejectRefund
+ * @param {string} refundId
+ * @param {mongoose.Document} admin
+ * @param {string} [reason]
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404 unknown refund, 409 not awaiting approval
+ */
+const rejectRefund = async (refundId, admin, reason) => {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: 'PendingApproval' },
+    { $set: { status: 'Rejected', rejectedBy: admin._id, rejectionReason: reason } },
+    { new: true }
+  );
+  if (!refund) {
+    throw (await Refund.exists({ _id: refundId }))
+      ? new AppError('Refund is not awaiting approval', 409)
+      : new AppError('Refund not found', 404);
+  }
+
+  await releasePayment(refund);
+  return refund;
+};
+
+/**
+ * Applies a Reversal ResultURL callback
+ * @async
+ * @function applyReversalResult
+ * @param {Object} result - Body.Result from Safaricom
+ * @returns {Promise<mongoose.Document|null>} Updated refund, null if unknown or already final
+ */
+const applyReversalResult = async (result) => {
+  const resultCode = Number(result.ResultCode);
+
+  const update = {
+    resultCode,
+    resultDesc: result.ResultDesc,
+    status: resultCode === 0 ? 'Completed' : 'Failed',
+  };
+  if (resultCode === 0) {
+    update.transactionId = result.TransactionID || parseResultParameters(result.ResultParameters).TransactionReceipt;
+    update.completedAt = new Date();
+  }
+
+  // TimedOut reversals may still receive their real result later
+  const refund = await Refund.findOneAndUpdate(
+    { ...matchConversation(result), status: { $in: ['Processing', 'TimedOut'] } },
+    { $set: update },
+    { new: true }
+  );
+  if (!refund) return null;
+
+  if (refund.status === 'Completed') await settlePayment(refund, 'Reversed');
+  else await releasePayment(refund);
+
+  return refund;
+};
+
+/**
+ * Applies a Reversal QueueTimeOutURL callback
+ * @async
+ * @function applyReversalTimeout
+ * @param {Object} result - Body.Result from Safaricom
+ * @returns {Promise<mongoose.Document|null>}
+ *
+ * @remarks
+ * The payment stays claimed: the reversal may still have gone through, so an
+ * admin must confirm with Safaricom before requesting another.
+ */
+const applyReversalTimeout = async (result) =>
+  Refund.findOneAndUpdate(
+    { ...matchConversation(result), status: 'Processing' },
+    { $set: { status: 'TimedOut', resultDesc: result.ResultDesc || 'Request timed out in queue' } },
+    { new: true }
+  );
+
+module.exports = {
+  settings,
+  requiresSecondApproval,
+  requestRefund,
+  approveRefund,
+  rejectRefund,
+  applyReversalResult,
+  applyReversalTimeout,
+};
@@ -0,0 +1,22 @@
+/**
+ * Constant-time string comparison
+ * @module utils/safeEqual
+ * @description Compares secrets (callback tokens, webhook and link
+ * signatures) without leaking how much of them matched.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compares two strings in constant time (hashes first so lengths always match)
+ * @function safeEqual
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(String(a)).digest(),
+  crypto.createHash('sha256').update(String(b)).digest()
+);
+
+module.exports = safeEqual;
@@ -0,0 +1,226 @@
+/**
+ * Shared OAuth token cache
+ * @module utils/tokenCache
+ * @description Caches a bearer token where every API replica and worker can
+ * see it (Redis), with single-flight refresh: concurrent callers in one
+ * process share a single fetch, and across processes a short Redis lock lets
+ * one of them refresh while the others wait for its result. Token fetches
+ * are retried with exponential backoff.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * In-process store, used when Redis is disabled (tests, single-process dev)
+ * @function createMemoryStore
+ * @returns {Object} Store with get/set/acquire/release/del
+ */
+const createMemoryStore = () => {
+  const values = new Map();
+
+  const read = (key) => {
+    const entry = values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      values.delete(key);
+      return null;
+    }
+    return entry.value;
+  };
+
+  return {
+    name: 'memory',
+    get: async (key) => read(key),
+    set: async (key, value, ttlMs) => {
+      values.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    acquire: async (key, owner, ttlMs) => {
+      if (read(key)) return false;
+      values.set(key, { value: owner, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+    release: async (key, owner) => {
+      if (read(key) === owner) values.delete(key);
+    },
+    del: async (key) => {
+      values.delete(key);
+    },
+  };
+};
+
+// Deletes the lock only if we still own it (it may have expired and been re-taken)
+const RELEASE_SCRIPT = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+
+/**
+ * Redis-backed store
+ * @function createRedisStore
+ * @param {Redis} client - ioredis client
+ * @returns {Object} Store with get/set/acquire/release/del
+ */
+const createRedisStore = (client) => ({
+  name: 'redis',
+  get: (key) => client.get(key),
+  set: (key, value, ttlMs) => client.set(key, value, 'PX', ttlMs),
+  acquire: async (key, owner, ttlMs) => (await client.set(key, owner, 'PX', ttlMs, 'NX')) === 'OK',
+  release: (key, owner) => client.eval(RELEASE_SCRIPT, 1, key, owner),
+  del: (key) => client.del(key),
+});
+
+/**
+ * Whether a failed token request is worth retrying
+ * @function isRetryable
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network errors, timeouts, 429 and 5xx
+ */
+const isRetryable = (error) => {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates a token cache
+ * @function createTokenCache
+ * @param {Object} options
+ * @param {string} options.key - Cache key, e.g. mpesa:token:<consumerKey>
+ * @param {Function} options.fetchToken - async () => ({ token, expiresInSeconds })
+ * @param {Object|Function} options.store - Store, or a function returning one (resolved lazily)
+ * @param {number} [options.refreshMarginSeconds=60] - Refresh this long before expiry
+ * @param {number} [options.retries=3] - Extra attempts after a failed fetch
+ * @param {number} [options.retryDelayMs=500] - First backoff delay; doubles each attempt
+ * @param {number} [options.lockTtlMs=10000] - How long a refresh may hold the lock
+ * @returns {Object} { getToken, getStatus, invalidate }
+ *
+ * @example
+ * const cache = createTokenCache({ key: 'mpesa:token', fetchToken, store: createMemoryStore() });
+ * const token = await cache.getToken();
+ */
+const createTokenCache = ({
+  key,
+  fetchToken,
+  store,
+  refreshMarginSeconds = 60,
+  retries = 3,
+  retryDelayMs = 500,
+  lockTtlMs = 10000,
+}) => {
+  const lockKey = `${key}:lock`;
+  let inflight = null;
+  let local = null;  // Last token seen, so a Redis outage does not force a refetch
+
+  const resolveStore = () => (typeof store === 'function' ? store() : store);
+
+  const isFresh = (entry) => Boolean(entry && entry.expiresAt - refreshMarginSeconds * 1000 > Date.now());
+
+  const readShared = async () => {
+    try {
+      const raw = await resolveStore().get(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      logger.warn(`Token cache read failed for ${key}: ${error.message}`);
+      return null;
+    }
+  };
+
+  const fetchWithRetry = async () => {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        const { token, expiresInSeconds } = await fetchToken();
+        return { token, fetchedAt: Date.now(), expiresAt: Date.now() + expiresInSeconds * 1000 };
+      } catch (error) {
+        if (attempt >= retries || !isRetryable(error)) throw error;
+        const delay = retryDelayMs * 2 ** attempt + crypto.randomInt(Math.max(retryDelayMs, 1));
+        logger.warn(`Token fetch for ${key} failed (${error.message}); retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  const refresh = async () => {
+    const shared = await readShared();
+    if (isFresh(shared)) return shared;
+
+    const owner = crypto.randomUUID();
+    let locked = false;
+    try {
+      locked = await resolveStore().acquire(lockKey, owner, lockTtlMs);
+    } catch (error) {
+      // Without Redis every process refreshes for itself
+      locked = true;
+    }
+
+    if (!locked) {
+      // Another process is refreshing: wait for its token, up to the lock TTL
+      const deadline = Date.now() + lockTtlMs;
+      while (Date.now() < deadline) {
+        await sleep(100);
+        const entry = await readShared();
+        if (isFresh(entry)) return entry;
+      }
+    }
+
+    try {
+      const entry = await fetchWithRetry();
+      await resolveStore()
+        .set(key, JSON.stringify(entry), Math.max(entry.expiresAt - Date.now(), 1000))
+        .catch((error) => logger.warn(`Token cache write failed for ${key}: ${error.message}`));
+      return entry;
+    } finally {
+      if (locked) await Promise.resolve(resolveStore().release(lockKey, owner)).catch(() => {});
+    }
+  };
+
+  /**
+   * Returns a valid token, refreshing it at most once across concurrent callers
+   * @returns {Promise<string>}
+   */
+  const getToken = async () => {
+    if (isFresh(local)) return local.token;
+
+    if (!inflight) {
+      inflight = refresh()
+        .then((entry) => {
+          local = entry;
+          return entry;
+        })
+        .finally(() => {
+          inflight = null;
+        });
+    }
+    return (await inflight).token;
+  };
+
+  /**
+   * Describes the cached token for health checks
+   * @returns {Promise<Object>} { store, cached, ageSeconds, expiresInSeconds }
+   */
+  const getStatus = async () => {
+    const entry = (await readShared()) || local;
+    const storeName = resolveStore().name;
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return { store: storeName, cached: false, ageSeconds: null, expiresInSeconds: null };
+    }
+    return {
+      store: storeName,
+      cached: true,
+      ageSeconds: Math.floor((Date.now() - entry.fetchedAt) / 1000),
+      expiresInSeconds: Math.floor((entry.expiresAt - Date.now()) / 1000),
+    };
+  };
+
+  /**
+   * Forgets the token, e.g. after the API rejects it
+   * @returns {Promise<void>}
+   */
+  const invalidate = async () => {
+    local = null;
+    await Promise.resolve(resolveStore().del(key)).catch(() => {});
+  };
+
+  return { getToken, getStatus, invalidate };
+};
+
+module.exports = { createTokenCache, createMemoryStore, createRedisStore, isRetryable };
@@ -0,0 +1,126 @@
+/**
+ * Public vacancy search
+ * @module utils/unitSearch
+ * @description Turns search query parameters into a Mongo query over vacant
+ * units. Units carry a copy of their property's details (Unit.listing), so
+ * text, filters and radius search all run as one indexed query.
+ * @see {@link module:middleware/paginate} which runs the query
+ */
+
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 5;
+const MAX_RADIUS_KM = 100;
+
+/**
+ * Sort orders clients can ask for; relevance and distance depend on q and lat/lng
+ * @constant {Object<string, Object>}
+ */
+const SORTS = {
+  newest: { createdAt: -1 },
+  rent: { rent: 1, _id: 1 },
+  '-rent': { rent: -1, _id: 1 },
+  bedrooms: { bedrooms: -1, rent: 1 },
+};
+
+const SORT_OPTIONS = [...Object.keys(SORTS), 'relevance', 'distance'];
+
+/**
+ * Splits a comma separated query value into trimmed, lower-case items
+ * @param {string|string[]} [value]
+ * @returns {string[]}
+ */
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Builds the search query for vacant, listed units
+ * @function buildUnitSearch
+ * @param {Object} query - Validated request query
+ * @param {string} [query.q] - Free text over title, location and description
+ * @param {number} [query.minRent]
+ * @param {number} [query.maxRent]
+ * @param {number} [query.bedrooms] - Minimum bedrooms
+ * @param {string} [query.propertyType] - Comma separated property types
+ * @param {string} [query.unitType] - Comma separated unit types
+ * @param {string} [query.amenities] - Comma separated; units must have all of them
+ * @param {number} [query.lat] - Centre of a radius search (with lng)
+ * @param {number} [query.lng]
+ * @param {number} [query.radiusKm=5]
+ * @param {string} [query.sort] - One of SORT_OPTIONS
+ * @returns {Object} { filter, countFilter, sort, select } for paginateResults
+ *
+ * @remarks
+ * Mongo cannot combine $text with $near, so a text search inside a radius
+ * matches with $geoWithin and orders by relevance rather than distance.
+ * countDocuments does not accept $near either, so countFilter always uses
+ * $geoWithin.
+ *
+ * @example
+ * buildUnitSearch({ q: 'kilimani', maxRent: 30000, bedrooms: 2 });
+ * // => { filter: { status: 'vacant', 'listing.active': true, $text: {...}, rent: {...}, ... }, ... }
+ */
+const buildUnitSearch = (query = {}) => {
+  const filter = { status: 'vacant', 'listing.active': true };
+  const q = String(query.q || '').trim();
+
+  if (q) filter.$text = { $search: q };
+
+  const minRent = parseFloat(query.minRent);
+  const maxRent = parseFloat(query.maxRent);
+  if (!Number.isNaN(minRent) || !Number.isNaN(maxRent)) {
+    filter.rent = {};
+    if (!Number.isNaN(minRent)) filter.rent.$gte = minRent;
+    if (!Number.isNaN(maxRent)) filter.rent.$lte = maxRent;
+  }
+
+  const bedrooms = parseInt(query.bedrooms);
+  if (!Number.isNaN(bedrooms)) filter.bedrooms = { $gte: bedrooms };
+
+  const propertyTypes = toList(query.propertyType);
+  if (propertyTypes.length) filter['listing.propertyType'] = { $in: propertyTypes };
+
+  const unitTypes = toList(query.unitType);
+  if (unitTypes.length) filter.unitType = { $in: unitTypes };
+
+  const amenities = toList(query.amenities);
+  if (amenities.length) filter['listing.amenities'] = { $all: amenities };
+
+  const countFilter = { ...filter };
+  const lat = parseFloat(query.lat);
+  const lng = parseFloat(query.lng);
+  const geo = !Number.isNaN(lat) && !Number.isNaN(lng);
+
+  if (geo) {
+    const radiusKm = Math.min(parseFloat(query.radiusKm) || DEFAULT_RADIUS_KM, MAX_RADIUS_KM);
+    const within = { $geoWithin: { $centerSphere: [[lng, lat], radiusKm / EARTH_RADIUS_KM] } };
+    countFilter['listing.location'] = within;
+    filter['listing.location'] = q
+      ? within
+      : { $near: { $geometry: { type: 'Point', coordinates: [lng, lat] }, $maxDistance: radiusKm * 1000 } };
+  }
+
+  // Defaults: best match for text, nearest for radius, newest otherwise
+  let requested = query.sort || (q ? 'relevance' : geo ? 'distance' : 'newest');
+  if (requested === 'distance' && q) requested = 'relevance';
+  const select = { tenant: 0 };
+  let sort;
+
+  if (requested === 'relevance' && q) {
+    select.score = { $meta: 'textScore' };
+    sort = { score: { $meta: 'textScore' } };
+  } else if (requested === 'distance' && geo && !q) {
+    sort = undefined;  // $near already returns nearest first
+  } else {
+    sort = SORTS[requested] || SORTS.newest;
+  }
+
+  return { filter, countFilter, sort, select };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  MAX_RADIUS_KM,
+  buildUnitSearch,
+};
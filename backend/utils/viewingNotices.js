@@ -0,0 +1,135 @@
+/**
+ * Viewing notifications
+ * @module utils/viewingNotices
+ * @description Emails and texts the tenant and the host when a viewing is
+ * booked, rescheduled or cancelled, and before it starts. Runs in the viewing
+ * worker, which is why it can load the email and SMS clients eagerly.
+ * @see {@link module:utils/viewings} which queues these notices
+ */
+
+const moment = require('moment');
+const Viewing = require('../models/Viewing');
+const logger = require('./logger');
+const sendEmail = require('./email');
+const { sendSMS } = require('./sms');
+const { toMsisdn } = require('./mpesa');
+
+const SUBJECTS = {
+  booked: 'Viewing confirmed',
+  rescheduled: 'Viewing rescheduled',
+  cancelled: 'Viewing cancelled',
+  reminder: 'Viewing reminder',
+};
+
+/**
+ * Describes the unit being viewed, e.g. "Unit A4, Riverside Court"
+ * @param {Object} viewing - With unit and property populated
+ * @returns {string}
+ */
+const describeUnit = (viewing) =>
+  [viewing.unit && `Unit ${viewing.unit.unitNumber}`, viewing.property?.title].filter(Boolean).join(', ');
+
+/**
+ * Writes the SMS for one recipient
+ * @function buildViewingSms
+ * @param {string} event - booked | rescheduled | cancelled | reminder
+ * @param {Object} details
+ * @param {string} details.unit
+ * @param {string} details.when
+ * @param {string} [details.withName] - The other party
+ * @returns {string} At most 160 characters
+ */
+const buildViewingSms = (event, { unit, when, withName }) => {
+  const lead = {
+    booked: 'Viewing confirmed',
+    rescheduled: 'Viewing rescheduled',
+    cancelled: 'Viewing cancelled',
+    reminder: 'Reminder: viewing',
+  }[event];
+  const text = `${lead}: ${unit}, ${when}${withName ? ` with ${withName}` : ''}.`;
+  return text.length > 160 ? `${text.slice(0, 159)}…` : text;
+};
+
+/**
+ * Sends one event's email and SMS to the tenant and the host
+ * @async
+ * @function sendViewingNotice
+ * @param {Object} data - Job data
+ * @param {string} data.viewingId
+ * @param {string} data.event - booked | rescheduled | cancelled | reminder
+ * @param {string} [data.scheduledAt] - For reminders, the time they were queued for
+ * @returns {Promise<Object>} { sent, failed } or { skipped }
+ * @throws {Error} When every delivery failed, so the job is retried
+ *
+ * @remarks
+ * Reminders for a viewing that was cancelled, already held or moved to
+ * another time are skipped. Partial failures are only logged: retrying would
+ * repeat the messages that did go out.
+ */
+const sendViewingNotice = async ({ viewingId, event, scheduledAt }) => {
+  const viewing = await Viewing.findById(viewingId)
+    .populate('tenant', 'name email phone')
+    .populate('agent', 'name email phone')
+    .populate('property', 'title address')
+    .populate('unit', 'unitNumber');
+  if (!viewing) return { skipped: 'viewing not found' };
+
+  if (event === 'reminder'
+    && (viewing.status !== 'scheduled' || viewing.scheduledAt.toISOString() !== scheduledAt)) {
+    return { skipped: 'viewing changed' };
+  }
+
+  const unit = describeUnit(viewing);
+  const when = moment(viewing.scheduledAt).format('ddd D MMM YYYY, HH:mm');
+  const address = [viewing.property?.address?.street, viewing.property?.address?.area, viewing.property?.address?.city]
+    .filter(Boolean)
+    .join(', ');
+  const recipients = [
+    { user: viewing.tenant, other: viewing.agent, role: 'tenant' },
+    { user: viewing.agent, other: viewing.tenant, role: 'host' },
+  ].filter(({ user }) => user);
+
+  const deliveries = [];
+  for (const { user, other, role } of recipients) {
+    if (user.email) {
+      deliveries.push(sendEmail({
+        to: user.email,
+        subject: `${SUBJECTS[event]}: ${unit}`,
+        templateName: 'viewingNotice',
+        templateData: {
+          name: user.name,
+          heading: SUBJECTS[event],
+          event,
+          [event]: true,
+          unit,
+          when,
+          address,
+          otherParty: other?.name,
+          otherPhone: other?.phone,
+          isHost: role === 'host',
+          notes: role === 'host' ? viewing.notes : undefined,
+          reason: viewing.cancellationReason,
+        },
+      }));
+    }
+
+    const msisdn = toMsisdn(user.phone);
+    if (msisdn) {
+      deliveries.push(sendSMS({
+        to: `+${msisdn}`,
+        message: buildViewingSms(event, { unit, when, withName: other?.name }),
+      }));
+    }
+  }
+
+  const results = await Promise.allSettled(deliveries);
+  const failed = results.filter((result) => result.status === 'rejected');
+  failed.forEach((result) => logger.error(`Viewing ${viewingId} ${event} notice failed: ${result.reason.message}`));
+  if (deliveries.length && failed.length === deliveries.length) {
+    throw new Error(`Every ${event} notice for viewing ${viewingId} failed`);
+  }
+
+  return { sent: deliveries.length - failed.length, failed: failed.length };
+};
+
+module.exports = { buildViewingSms, sendViewingNotice };
@@ -0,0 +1,516 @@
+/**
+ * Viewing appointments
+ * @module utils/viewings
+ * @description Agents publish availability slots for a property; prospective
+ * tenants book one to view a vacant unit, and may reschedule or cancel until
+ * it starts. The host records whether the tenant attended afterwards.
+ * @see {@link module:utils/viewingNotices} for the emails and SMS sent
+ */
+
+const moment = require('moment');
+const Property = require('../models/Property');
+const Unit = require('../models/Unit');
+const Viewing = require('../models/Viewing');
+const ViewingSlot = require('../models/ViewingSlot');
+const AppError = require('./appError');
+const logger = require('./logger');
+const { withLock } = require('./locks');
+const { canManageProperty } = require('./properties');
+
+const MAX_SLOTS_PER_REQUEST = 50;
+const OUTCOMES = ['attended', 'no_show'];
+
+/**
+ * Hours before a viewing that reminders go out, e.g. "24,2"
+ * @constant {number[]}
+ */
+const REMINDER_HOURS = String(process.env.VIEWING_REMINDER_HOURS || '24,2')
+  .split(',')
+  .map((hours) => parseFloat(hours))
+  .filter((hours) => hours > 0);
+
+/**
+ * Cuts an availability window into back-to-back slots
+ * @function splitWindow
+ * @param {Date|string} start
+ * @param {Date|string} end
+ * @param {number} [durationMinutes] - Slot length; the whole window when omitted
+ * @returns {Object[]} [{ start, end }]; a remainder shorter than a slot is dropped
+ * @throws {AppError} 400 when the window is empty or yields too many slots
+ *
+ * @example
+ * splitWindow('2025-03-01T09:00Z', '2025-03-01T10:00Z', 30);
+ * // => [{ start: 09:00, end: 09:30 }, { start: 09:30, end: 10:00 }]
+ */
+const splitWindow = (start, end, durationMinutes) => {
+  const from = moment(start);
+  const to = moment(end);
+  if (!from.isValid() || !to.isValid() || !from.isBefore(to)) {
+    throw new AppError('end must be after start', 400);
+  }
+
+  const minutes = durationMinutes || to.diff(from, 'minutes');
+  const slots = [];
+  for (let cursor = from.clone(); !cursor.clone().add(minutes, 'minutes').isAfter(to); cursor.add(minutes, 'minutes')) {
+    slots.push({ start: cursor.toDate(), end: cursor.clone().add(minutes, 'minutes').toDate() });
+    if (slots.length > MAX_SLOTS_PER_REQUEST) {
+      throw new AppError(`At most ${MAX_SLOTS_PER_REQUEST} slots can be added at once`, 400);
+    }
+  }
+  if (!slots.length) throw new AppError('The window is shorter than one slot', 400);
+  return slots;
+};
+
+/**
+ * Works out when reminders for a viewing are due
+ * @function reminderTimes
+ * @param {Date} scheduledAt
+ * @param {Date} [now=new Date()]
+ * @param {number[]} [hoursBefore=REMINDER_HOURS]
+ * @returns {Object[]} [{ hours, at }] for reminders still in the future
+ */
+const reminderTimes = (scheduledAt, now = new Date(), hoursBefore = REMINDER_HOURS) =>
+  hoursBefore
+    .map((hours) => ({ hours, at: moment(scheduledAt).subtract(hours, 'hours').toDate() }))
+    .filter(({ at }) => at > now);
+
+/**
+ * Checks that a user hosts a viewing or slot, or manages its property
+ * @param {Object} record - Viewing or slot, with property populated or loaded
+ * @param {Object} property
+ * @param {Object} user
+ * @returns {boolean}
+ */
+const isHost = (record, property, user) =>
+  String(record.agent) === String(user._id) || (user.role !== 'agent' && canManageProperty(property, user));
+
+/**
+ * Queues the confirmation for a viewing event, plus reminders for new times
+ * @param {Object} viewing
+ * @param {string} event - booked | rescheduled | cancelled
+ *
+ * @remarks
+ * Never throws: the booking is already saved and Redis being down must not
+ * fail the request. Reminder job ids include the viewing time, so a
+ * reschedule queues fresh ones; the worker skips reminders whose time no
+ * longer matches.
+ */
+const queueNotices = async (viewing, event) => {
+  // Required lazily so the API does not open a Redis connection until needed
+  const viewingQueue = require('../queues/viewingQueue');
+  const id = String(viewing._id);
+  const options = { attempts: 3, backoff: { type: 'exponential', delay: 60000 } };
+
+  try {
+    await viewingQueue.add(
+      'notify',
+      { viewingId: id, event },
+      { ...options, jobId: `viewing-${id}-${event}-${viewing.rescheduleCount}` }
+    );
+
+    if (event === 'cancelled') return;
+    const at = viewing.scheduledAt.getTime();
+    for (const reminder of reminderTimes(viewing.scheduledAt)) {
+      await viewingQueue.add(
+        'notify',
+        { viewingId: id, event: 'reminder', scheduledAt: viewing.scheduledAt.toISOString() },
+        { ...options, jobId: `viewing-${id}-${at}-reminder-${reminder.hours}h`, delay: reminder.at - Date.now() }
+      );
+    }
+  } catch (error) {
+    logger.error(`Queueing ${event} notices for viewing ${id} failed: ${error.message}`);
+  }
+};
+
+/**
+ * Publishes availability slots for a property
+ * @async
+ * @function createSlots
+ * @param {Object} user - Agent, landlord or admin managing the property
+ * @param {Object} input
+ * @param {string} input.propertyId
+ * @param {string} [input.unitId] - Limit the slots to one unit
+ * @param {string} [input.agentId] - Host, for landlords and admins; defaults to the user
+ * @param {Date} input.start
+ * @param {Date} input.end
+ * @param {number} [input.durationMinutes] - Split the window into slots of this length
+ * @param {string} [input.location] - Meeting point
+ * @returns {Promise<mongoose.Document[]>}
+ * @throws {AppError} 404/403 property, 400 bad unit, host or window, 409 overlap
+ *
+ * @remarks
+ * A host cannot be in two places at once: new slots may not overlap any of
+ * their open or booked slots, on any property. Slot creation is serialised
+ * per host (see utils/locks) so concurrent requests cannot both slip in.
+ */
+const createSlots = async (user, input) => {
+  const property = await Property.findById(input.propertyId);
+  if (!property) throw new AppError('Property not found', 404);
+  if (!canManageProperty(property, user)) throw new AppError('You do not manage this property', 403);
+
+  let agent = user._id;
+  if (input.agentId && String(input.agentId) !== String(user._id)) {
+    if (user.role === 'agent') throw new AppError('Agents can only add their own slots', 403);
+    const isStaff = String(property.owner) === String(input.agentId)
+      || property.agents.some((id) => String(id) === String(input.agentId));
+    if (!isStaff) throw new AppError('The host must be the owner or an agent of the property', 400);
+    agent = input.agentId;
+  }
+
+  if (input.unitId) {
+    const unit = await Unit.exists({ _id: input.unitId, property: property._id });
+    if (!unit) throw new AppError('Unit not found in this property', 400);
+  }
+
+  const slots = splitWindow(input.start, input.end, input.durationMinutes);
+  if (slots[0].start <= new Date()) throw new AppError('Slots must start in the future', 400);
+
+  return withLock(`viewing-slots:${agent}`, async () => {
+    const clash = await ViewingSlot.findOne({
+      agent,
+      status: { $ne: 'cancelled' },
+      start: { $lt: slots[slots.length - 1].end },
+      end: { $gt: slots[0].start },
+    }).select('start end');
+    if (clash) {
+      throw new AppError(`Overlaps an existing slot (${moment(clash.start).format('D MMM YYYY, HH:mm')})`, 409);
+    }
+
+    return ViewingSlot.insertMany(slots.map((slot) => ({
+      ...slot,
+      agent,
+      property: property._id,
+      unit: input.unitId || null,
+      location: input.location,
+    })));
+  });
+};
+
+/**
+ * Withdraws a slot, cancelling the viewing booked into it
+ * @async
+ * @function cancelSlot
+ * @param {string} slotId
+ * @param {Object} user
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404 unknown slot, 403 not the host, 409 already past
+ */
+const cancelSlot = async (slotId, user) => {
+  const slot = await ViewingSlot.findById(slotId);
+  if (!slot) throw new AppError('Slot not found', 404);
+  const property = await Property.findById(slot.property).select('owner agents');
+  if (!isHost(slot, property, user)) throw new AppError('You do not host this slot', 403);
+  if (slot.start <= new Date()) throw new AppError('Slot has already started', 409);
+  if (slot.status === 'cancelled') return slot;
+
+  if (slot.viewing) {
+    await cancelViewing(slot.viewing, user, 'The host withdrew this time');
+  }
+  slot.status = 'cancelled';
+  slot.viewing = undefined;
+  return slot.save();
+};
+
+/**
+ * Takes an open future slot, so no one else can book it
+ * @param {string} slotId
+ * @param {Object} unit
+ * @returns {Promise<mongoose.Document>} The slot, now booked
+ * @throws {AppError} 404 unknown slot, 400 wrong unit, 409 taken or past
+ */
+const claimSlot = async (slotId, unit) => {
+  const slot = await ViewingSlot.findById(slotId);
+  if (!slot) throw new AppError('Slot not found', 404);
+  if (String(slot.property) !== String(unit.property) || (slot.unit && String(slot.unit) !== String(unit._id))) {
+    throw new AppError('This slot is not for that unit', 400);
+  }
+
+  // Guarded on open: of two simultaneous bookings only one matches
+  const claimed = await ViewingSlot.findOneAndUpdate(
+    { _id: slot._id, status: 'open', start: { $gt: new Date() } },
+    { $set: { status: 'booked' } },
+    { new: true }
+  );
+  if (!claimed) throw new AppError('This slot is no longer available', 409);
+  return claimed;
+};
+
+/**
+ * Returns a booked slot to the open pool
+ * @param {string|ObjectId} slotId
+ * @param {string|ObjectId} [viewingId] - Only release if still held by this viewing
+ * @returns {Promise<void>}
+ */
+const releaseSlot = async (slotId, viewingId) => {
+  const filter = { _id: slotId, status: 'booked' };
+  if (viewingId) filter.viewing = viewingId;
+  await ViewingSlot.updateOne(filter, { $set: { status: 'open' }, $unset: { viewing: 1 } });
+};
+
+/**
+ * Loads a unit that can be viewed
+ * @param {string} unitId
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404 unknown or no longer vacant
+ */
+const getViewableUnit = async (unitId) => {
+  const unit = await Unit.findOne({ _id: unitId, status: 'vacant', 'listing.active': true }).select('property');
+  if (!unit) throw new AppError('Unit is not available for viewing', 404);
+  return unit;
+};
+
+/**
+ * Throws when the tenant already has a viewing at an overlapping time
+ * @param {Object} tenantId
+ * @param {Object} slot
+ * @param {string|ObjectId} [exceptId] - The viewing being rescheduled
+ */
+const assertTenantFree = async (tenantId, slot, exceptId) => {
+  const filter = {
+    tenant: tenantId,
+    status: 'scheduled',
+    scheduledAt: { $lt: slot.end },
+    endsAt: { $gt: slot.start },
+  };
+  if (exceptId) filter._id = { $ne: exceptId };
+  if (await Viewing.exists(filter)) throw new AppError('You already have a viewing at that time', 409);
+};
+
+/**
+ * Books a viewing of a vacant unit
+ * @async
+ * @function bookViewing
+ * @param {Object} tenant - Prospective tenant
+ * @param {Object} input
+ * @param {string} input.slotId
+ * @param {string} [input.unitId] - Required when the slot covers the whole property
+ * @param {string} [input.notes]
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404 unit or slot, 400 mismatch, 409 slot taken or tenant busy
+ *
+ * @remarks
+ * The slot is claimed with a guarded update before the viewing is written;
+ * if writing fails the slot is released again. A partial unique index on
+ * Viewing.slot backs this up. Bookings are serialised per tenant so two
+ * at once cannot both pass the overlap check.
+ */
+const bookViewing = async (tenant, { slotId, unitId, notes }) => {
+  let targetUnit = unitId;
+  if (!targetUnit) {
+    const slot = await ViewingSlot.findById(slotId).select('unit');
+    if (!slot) throw new AppError('Slot not found', 404);
+    if (!slot.unit) throw new AppError('unitId is required for this slot', 400);
+    targetUnit = slot.unit;
+  }
+
+  const unit = await getViewableUnit(targetUnit);
+  const candidate = await ViewingSlot.findById(slotId).select('start end');
+  if (!candidate) throw new AppError('Slot not found', 404);
+  const { slot, viewing } = await withLock(`viewing-bookings:${tenant._id}`, async () => {
+    await assertTenantFree(tenant._id, candidate);
+
+    const claimed = await claimSlot(slotId, unit);
+    let created;
+    try {
+      created = await Viewing.create({
+        slot: claimed._id,
+        property: claimed.property,
+        unit: unit._id,
+        agent: claimed.agent,
+        tenant: tenant._id,
+        scheduledAt: claimed.start,
+        endsAt: claimed.end,
+        notes,
+      });
+    } catch (error) {
+      await releaseSlot(claimed._id);
+      if (error.code === 11000) throw new AppError('This slot is no longer available', 409);
+      throw error;
+    }
+
+    await ViewingSlot.updateOne({ _id: claimed._id }, { $set: { viewing: created._id } });
+    return { slot: claimed, viewing: created };
+  });
+
+  logger.info(`Viewing ${viewing._id} booked by ${tenant._id} for ${moment(slot.start).format('D MMM YYYY, HH:mm')}`);
+  await queueNotices(viewing, 'booked');
+  return viewing;
+};
+
+/**
+ * Loads a viewing the user booked or hosts
+ * @async
+ * @function getViewingForUser
+ * @param {string} viewingId
+ * @param {Object} user
+ * @returns {Promise<{ viewing: mongoose.Document, host: boolean }>}
+ * @throws {AppError} 404 unknown viewing, 403 not a party to it
+ */
+const getViewingForUser = async (viewingId, user) => {
+  const viewing = await Viewing.findById(viewingId);
+  if (!viewing) throw new AppError('Viewing not found', 404);
+
+  const property = await Property.findById(viewing.property).select('owner agents');
+  const host = Boolean(property) && isHost(viewing, property, user);
+  if (!host && String(viewing.tenant) !== String(user._id)) {
+    throw new AppError('You are not part of this viewing', 403);
+  }
+  return { viewing, host };
+};
+
+/**
+ * Throws unless the viewing is still upcoming
+ * @param {Object} viewing
+ */
+const assertUpcoming = (viewing) => {
+  if (viewing.status !== 'scheduled') throw new AppError(`Viewing is ${viewing.status}`, 409);
+  if (viewing.scheduledAt <= new Date()) throw new AppError('Viewing has already started', 409);
+};
+
+/**
+ * Moves a viewing to another slot
+ * @async
+ * @function rescheduleViewing
+ * @param {string} viewingId
+ * @param {string} slotId - New slot, for the same unit
+ * @param {Object} user - The tenant or the host
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404/403 viewing, 409 not upcoming, slot taken or tenant busy
+ *
+ * @remarks
+ * The new slot is claimed before the old one is released, so a failed
+ * reschedule leaves the original booking in place. Runs under the same
+ * per-tenant lock as bookViewing.
+ */
+const rescheduleViewing = async (viewingId, slotId, user) => {
+  const { viewing } = await getViewingForUser(viewingId, user);
+  assertUpcoming(viewing);
+  if (String(viewing.slot) === String(slotId)) throw new AppError('Viewing is already in this slot', 400);
+
+  const unit = await getViewableUnit(viewing.unit);
+  const candidate = await ViewingSlot.findById(slotId).select('start end');
+  if (!candidate) throw new AppError('Slot not found', 404);
+  const previousSlot = viewing.slot;
+  const { slot, updated } = await withLock(`viewing-bookings:${viewing.tenant}`, async () => {
+    await assertTenantFree(viewing.tenant, candidate, viewing._id);
+
+    const claimed = await claimSlot(slotId, unit);
+    const moved = await Viewing.findOneAndUpdate(
+      { _id: viewing._id, status: 'scheduled', slot: previousSlot },
+      {
+        $set: { slot: claimed._id, agent: claimed.agent, scheduledAt: claimed.start, endsAt: claimed.end },
+        $inc: { rescheduleCount: 1 },
+      },
+      { new: true }
+    );
+    if (!moved) {
+      await releaseSlot(claimed._id);
+      throw new AppError('Viewing changed while rescheduling; try again', 409);
+    }
+
+    await ViewingSlot.updateOne({ _id: claimed._id }, { $set: { viewing: moved._id } });
+    return { slot: claimed, updated: moved };
+  });
+
+  await releaseSlot(previousSlot, updated._id);
+  logger.info(`Viewing ${updated._id} rescheduled to ${moment(slot.start).format('D MMM YYYY, HH:mm')}`);
+  await queueNotices(updated, 'rescheduled');
+  return updated;
+};
+
+/**
+ * Cancels an upcoming viewing and frees its slot
+ * @async
+ * @function cancelViewing
+ * @param {string} viewingId
+ * @param {Object} user - The tenant or the host
+ * @param {string} [reason]
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 404/403 viewing, 409 not upcoming
+ *
+ * @remarks
+ * The slot reopens for others unless the host is the one cancelling, since
+ * that usually means they cannot make it.
+ */
+const cancelViewing = async (viewingId, user, reason) => {
+  const { viewing, host } = await getViewingForUser(viewingId, user);
+  assertUpcoming(viewing);
+
+  const cancelled = await Viewing.findOneAndUpdate(
+    { _id: viewing._id, status: 'scheduled' },
+    { $set: { status: 'cancelled', cancelledBy: user._id, cancellationReason: reason, cancelledAt: new Date() } },
+    { new: true }
+  );
+  if (!cancelled) throw new AppError('Viewing is no longer scheduled', 409);
+
+  if (host) {
+    await ViewingSlot.updateOne(
+      { _id: cancelled.slot, viewing: cancelled._id },
+      { $set: { status: 'cancelled' }, $unset: { viewing: 1 } }
+    );
+  } else {
+    await releaseSlot(cancelled.slot, cancelled._id);
+  }
+
+  logger.info(`Viewing ${cancelled._id} cancelled by ${user._id}`);
+  await queueNotices(cancelled, 'cancelled');
+  return cancelled;
+};
+
+/**
+ * Records whether the tenant turned up
+ * @async
+ * @function recordOutcome
+ * @param {string} viewingId
+ * @param {Object} user - The host
+ * @param {string} outcome - attended | no_show
+ * @returns {Promise<mongoose.Document>}
+ * @throws {AppError} 400 bad outcome, 403 not the host, 409 not yet started or cancelled
+ *
+ * @remarks
+ * Can be corrected later (attended ↔ no_show), but never before the start.
+ */
+const recordOutcome = async (viewingId, user, outcome) => {
+  if (!OUTCOMES.includes(outcome)) throw new AppError(`outcome must be one of ${OUTCOMES.join(', ')}`, 400);
+
+  const { viewing, host } = await getViewingForUser(viewingId, user);
+  if (!host) throw new AppError('Only the host can record the outcome', 403);
+  if (viewing.status === 'cancelled') throw new AppError('Viewing was cancelled', 409);
+  if (viewing.scheduledAt > new Date()) throw new AppError('Viewing has not started yet', 409);
+
+  viewing.status = outcome;
+  viewing.outcomeRecordedBy = user._id;
+  viewing.outcomeRecordedAt = new Date();
+  return viewing.save();
+};
+
+/**
+ * Builds the filter for the viewings a user can list
+ * @async
+ * @function viewingScope
+ * @param {Object} user
+ * @returns {Promise<Object>} Mongo filter
+ */
+const viewingScope = async (user) => {
+  if (user.role === 'admin') return {};
+  if (user.role === 'tenant') return { tenant: user._id };
+  if (user.role === 'agent') return { agent: user._id };
+
+  const properties = await Property.find({ owner: user._id }).distinct('_id');
+  return { $or: [{ agent: user._id }, { property: { $in: properties } }] };
+};
+
+module.exports = {
+  REMINDER_HOURS,
+  OUTCOMES,
+  splitWindow,
+  reminderTimes,
+  createSlots,
+  cancelSlot,
+  bookViewing,
+  getViewingForUser,
+  rescheduleViewing,
+  cancelViewing,
+  recordOutcome,
+  viewingScope,
+};
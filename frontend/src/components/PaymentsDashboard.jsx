@@ -5,11 +5,42 @@ import axios from 'axios';
 import { format, parseISO } from 'date-fns';
 import { TailSpin } from 'react-loader-spinner';
 
+const API_URL = 'http://localhost:5000/api/v1/payments';
+
+/* Filters shown above the table; empty values are not sent to the API */
+const EMPTY_FILTERS = {
+  status: '',
+  from: '',
+  to: '',
+  minAmount: '',
+  maxAmount: '',
+  receipt: '',
+};
+
+const SORT_OPTIONS = [
+  { value: '-createdAt', label: 'Newest first' },
+  { value: 'createdAt', label: 'Oldest first' },
+  { value: '-amount', label: 'Amount: high to low' },
+  { value: 'amount', label: 'Amount: low to high' },
+  { value: 'status', label: 'Status' },
+];
+
+/* Reads the JWT saved at login */
+const authHeaders = () => {
+  const token = localStorage.getItem('authToken') || sessionStorage.getItem('authToken');
+  return { Authorization: `Bearer ${token}` };
+};
+
+/* Drops empty filter values so the query string stays clean */
+const activeParams = (filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+
 /*
   Component to display a status badge based on payment status.
   - 'Completed' -> Green badge
   - 'Pending' -> Yellow badge
   - 'Failed' -> Red badge
+  - 'Reversed' / 'Refunded' -> Gray badge
 */
 const StatusBadge = ({ status }) => (
   <span
@@ -18,6 +49,8 @@ const StatusBadge = ({ status }) => (
         ? 'bg-green-100 text-green-800'
         : status === 'Pending'
         ? 'bg-yellow-100 text-yellow-800'
+        : status === 'Reversed' || status === 'Refunded'
+        ? 'bg-gray-100 text-gray-700'
         : 'bg-red-100 text-red-800'
     }`}
   >
@@ -27,10 +60,10 @@ const StatusBadge = ({ status }) => (
 
 /*
   PaymentsDashboard Component
-  - Fetches and displays payment history for a given phone number
-  - Supports pagination and item limit selection
+  - Fetches and displays the logged-in user's payment history
+  - Supports filters, sorting, pagination and CSV/Excel export
 */
-const PaymentsDashboard = ({ phone }) => {
+const PaymentsDashboard = () => {
   // State variables
   const [payments, setPayments] = useState([]); // Stores payment records
   const [loading, setLoading] = useState(true); // Loading state
@@ -38,63 +71,109 @@ const PaymentsDashboard = ({ phone }) => {
   const [currentPage, setCurrentPage] = useState(1); // Current page number
   const [itemsPerPage, setItemsPerPage] = useState(10); // Items per page
   const [totalItems, setTotalItems] = useState(0); // Total items count
+  const [totalPages, setTotalPages] = useState(1); // Total pages count
+  const [draftFilters, setDraftFilters] = useState(EMPTY_FILTERS); // Filter form values
+  const [filters, setFilters] = useState(EMPTY_FILTERS); // Filters applied to the query
+  const [sort, setSort] = useState('-createdAt'); // Sort order
+  const [exporting, setExporting] = useState(null); // Export format in progress
 
   /*
     Function to fetch payment history from the API
-    - Uses axios to fetch data from the backend
-    - Implements cancel token to prevent memory leaks
+    - Sends the JWT so the server scopes results to the logged-in user
   */
   const fetchPayments = useCallback(
-    async (page, limit) => {
-      if (!phone) {
-        setError('Phone number is required.');
-        setLoading(false);
-        return;
-      }
-
-      const source = axios.CancelToken.source(); // Cancel token to prevent duplicate requests
+    async (page, limit, signal) => {
       try {
         setLoading(true);
-        const { data } = await axios.get(
-          `http://localhost:5000/api/mpesa/history/${phone}`,
-          {
-            params: { page, limit },
-            cancelToken: source.token,
-          }
-        );
+        const { data } = await axios.get(`${API_URL}/me`, {
+          params: { ...activeParams(filters), sort, page, limit },
+          headers: authHeaders(),
+          signal,
+        });
         setPayments(data.data);
         setTotalItems(data.total);
+        setTotalPages(Math.max(data.totalPages, 1));
         setError(null);
       } catch (err) {
-        if (!axios.isCancel(err)) {
-          setError('Failed to load payment history. Please try again later.');
-          console.error('Payment history error:', err);
-        }
+        if (axios.isCancel(err)) return;
+        setError(
+          err.response?.status === 401
+            ? 'Please log in to view your payment history.'
+            : 'Failed to load payment history. Please try again later.'
+        );
+        console.error('Payment history error:', err);
       } finally {
         setLoading(false);
       }
-
-      return () => source.cancel('Request canceled due to component unmount or new request.');
     },
-    [phone]
+    [filters, sort]
   );
 
   /*
-    Effect Hook to fetch data when phone or itemsPerPage changes.
-    - Resets page number to 1 when phone number changes
+    Effect Hook to fetch data whenever the page, page size, filters or sort change.
+    - Aborts the previous request so stale responses never overwrite newer ones
   */
   useEffect(() => {
-    setCurrentPage(1);
-    fetchPayments(1, itemsPerPage);
-  }, [phone, fetchPayments, itemsPerPage]);
+    const controller = new AbortController();
+    fetchPayments(currentPage, itemsPerPage, controller.signal);
+    return () => controller.abort();
+  }, [fetchPayments, currentPage, itemsPerPage]);
 
   /*
     Function to handle page changes
-    - Updates the current page and fetches new data
   */
   const handlePageChange = (newPage) => {
+    if (newPage < 1 || newPage > totalPages) return;
     setCurrentPage(newPage);
-    fetchPayments(newPage, itemsPerPage);
+  };
+
+  /*
+    Applies the filter form and goes back to the first page
+  */
+  const handleApplyFilters = (e) => {
+    e.preventDefault();
+    setCurrentPage(1);
+    setFilters(draftFilters);
+  };
+
+  const handleResetFilters = () => {
+    setDraftFilters(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+    setCurrentPage(1);
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setDraftFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  /*
+    Downloads the filtered history as CSV or Excel
+    - Fetched as a blob because the endpoint needs the Authorization header
+  */
+  const handleExport = async (fileFormat) => {
+    try {
+      setExporting(fileFormat);
+      const response = await axios.get(`${API_URL}/me/export`, {
+        params: { ...activeParams(filters), sort, format: fileFormat },
+        headers: authHeaders(),
+        responseType: 'blob',
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `payments-${format(new Date(), 'yyyyMMdd')}.${fileFormat}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Export failed. Please try again.');
+      console.error('Payment export error:', err);
+    } finally {
+      setExporting(null);
+    }
   };
 
   /*
@@ -108,20 +187,117 @@ const PaymentsDashboard = ({ phone }) => {
     }).format(amount);
 
   return (
-    <div className="max-w-4xl mx-auto p-4 sm:p-6">
+    <div className="max-w-5xl mx-auto p-4 sm:p-6">
       {/* Header Section */}
       <div className="flex flex-col sm:flex-row justify-between items-center mb-6">
         <h1 className="text-2xl sm:text-3xl font-bold mb-4 sm:mb-0">Payment History</h1>
-        <div className="flex items-center gap-4">
+        <div className="flex items-center gap-2">
+          {['csv', 'xlsx'].map((fileFormat) => (
+            <button
+              key={fileFormat}
+              onClick={() => handleExport(fileFormat)}
+              disabled={exporting !== null}
+              className="px-3 py-2 border rounded-md text-sm hover:bg-gray-50 disabled:opacity-50"
+            >
+              {exporting === fileFormat ? 'Exporting…' : `Export ${fileFormat === 'csv' ? 'CSV' : 'Excel'}`}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <form
+        onSubmit={handleApplyFilters}
+        className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6 p-4 bg-gray-50 rounded-lg"
+      >
+        <select
+          name="status"
+          value={draftFilters.status}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border rounded-md"
+          aria-label="Status"
+        >
+          <option value="">All statuses</option>
+          {['Completed', 'Pending', 'Failed', 'Reversed', 'Refunded'].map((status) => (
+            <option key={status} value={status}>{status}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          name="from"
+          value={draftFilters.from}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border rounded-md"
+          aria-label="From date"
+        />
+        <input
+          type="date"
+          name="to"
+          value={draftFilters.to}
+          onChange={handleFilterChange}
+          className="px-3 py-2 border rounded-md"
+          aria-label="To date"
+        />
+        <input
+          type="text"
+          name="receipt"
+          value={draftFilters.receipt}
+          onChange={handleFilterChange}
+          placeholder="Receipt number"
+          className="px-3 py-2 border rounded-md"
+        />
+        <input
+          type="number"
+          min="0"
+          name="minAmount"
+          value={draftFilters.minAmount}
+          onChange={handleFilterChange}
+          placeholder="Min amount"
+          className="px-3 py-2 border rounded-md"
+        />
+        <input
+          type="number"
+          min="0"
+          name="maxAmount"
+          value={draftFilters.maxAmount}
+          onChange={handleFilterChange}
+          placeholder="Max amount"
+          className="px-3 py-2 border rounded-md"
+        />
+        <button type="submit" className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">
+          Apply
+        </button>
+        <button type="button" onClick={handleResetFilters} className="px-3 py-2 border rounded-md hover:bg-gray-100">
+          Reset
+        </button>
+      </form>
+
+      {/* Sort and page size */}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <div className="flex items-center gap-2">
+          <label htmlFor="sort" className="text-sm text-gray-600">Sort by:</label>
+          <select
+            id="sort"
+            value={sort}
+            onChange={(e) => {
+              setSort(e.target.value);
+              setCurrentPage(1);
+            }}
+            className="px-3 py-2 border rounded-md"
+          >
+            {SORT_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center gap-2">
           <label htmlFor="itemsPerPage" className="text-sm text-gray-600">Items per page:</label>
           <select
             id="itemsPerPage"
             value={itemsPerPage}
             onChange={(e) => {
-              const newLimit = Number(e.target.value);
-              setItemsPerPage(newLimit);
+              setItemsPerPage(Number(e.target.value));
               setCurrentPage(1);
-              fetchPayments(1, newLimit);
             }}
             className="px-3 py-2 border rounded-md"
           >
@@ -151,7 +327,7 @@ const PaymentsDashboard = ({ phone }) => {
           <TailSpin color="#3B82F6" height={40} width={40} />
         </div>
       ) : payments.length === 0 ? (
-        <div className="text-center p-8 bg-gray-50 rounded-lg">No payments found for this account</div>
+        <div className="text-center p-8 bg-gray-50 rounded-lg">No payments match these filters</div>
       ) : (
         <>
           {/* Payments Table */}
@@ -185,6 +361,29 @@ const PaymentsDashboard = ({ phone }) => {
               </tbody>
             </table>
           </div>
+
+          {/* Pagination */}
+          <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+            <span>
+              {totalItems} payment{totalItems === 1 ? '' : 's'} · Page {currentPage} of {totalPages}
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => handlePageChange(currentPage - 1)}
+                disabled={currentPage === 1}
+                className="px-3 py-1 border rounded-md disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => handlePageChange(currentPage + 1)}
+                disabled={currentPage >= totalPages}
+                className="px-3 py-1 border rounded-md disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
         </>
       )}
     </div>
@@ -1,11 +1,76 @@
-import { useState } from "react";
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
 import { motion } from "framer-motion";
-import { FaSearch, FaCommentDots } from "react-icons/fa";
+import { FaSearch, FaCommentDots, FaMapMarkerAlt, FaBed } from "react-icons/fa";
+import listingPlaceholder from "../assets/pandora-22.jpeg";
+
+const API_ORIGIN = "http://localhost:5000";
+const LISTINGS_URL = `${API_ORIGIN}/api/v1/listings`;
+const PAGE_SIZE = 6;
+
+/* Formats rent as "ksh. 15,000" */
+const formatRent = (amount) => `ksh. ${Number(amount).toLocaleString("en-KE")}`;
+
+/* Medium JPEG of the unit's cover photo, else the property's, else a stock image.
+   S3 and STORAGE_PUBLIC_URL give absolute URLs; only local /uploads paths need the API origin. */
+const coverImage = (unit) => {
+  const cover = unit.photos?.find((photo) => photo.isCover);
+  const url = cover?.variants.find((v) => v.size === "medium" && v.format === "jpeg")?.url || unit.listing.coverUrl;
+  if (!url) return listingPlaceholder;
+  return /^https?:\/\//.test(url) ? url : `${API_ORIGIN}${url}`;
+};
+
+/* "2 bed apartment", "Bedsitter" */
+const describeUnit = (unit) => {
+  const type = unit.unitType.replace("_", " ");
+  return unit.bedrooms ? `${unit.bedrooms} bed ${type}` : type.charAt(0).toUpperCase() + type.slice(1);
+};
 
 export default function LandingPage() {
   const [search, setSearch] = useState("");
+  const [maxRent, setMaxRent] = useState("");
+  const [bedrooms, setBedrooms] = useState("");
+  const [query, setQuery] = useState({}); // Filters applied to the last search
+  const [listings, setListings] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
   const [chatOpen, setChatOpen] = useState(false);
 
+  /* Loads vacant units for the applied filters */
+  const fetchListings = useCallback(async (signal) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { data } = await axios.get(LISTINGS_URL, {
+        params: { ...query, page, limit: PAGE_SIZE },
+        signal,
+      });
+      setListings(data.data);
+      setTotalPages(data.totalPages);
+    } catch (err) {
+      if (axios.isCancel(err)) return;
+      setError("Could not load properties. Please try again.");
+    } finally {
+      if (!signal?.aborted) setLoading(false);
+    }
+  }, [query, page]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchListings(controller.signal);
+    return () => controller.abort();
+  }, [fetchListings]);
+
+  /* Applies the search box and filters, starting again from page 1 */
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const params = { q: search.trim(), maxRent, bedrooms };
+    setQuery(Object.fromEntries(Object.entries(params).filter(([, value]) => value !== "")));
+    setPage(1);
+  };
+
   return (
     <div className="w-full min-h-screen bg-gray-100">
       {/* Hero Section */}
@@ -21,41 +86,96 @@ export default function LandingPage() {
           </motion.h1>
           
           {/* Search Bar */}
-          <motion.div 
-            className="bg-white p-3 rounded-lg flex items-center w-[90%] max-w-md shadow-lg"
+          <motion.form 
+            onSubmit={handleSearch}
+            className="bg-white p-3 rounded-lg flex flex-wrap items-center gap-2 w-[90%] max-w-2xl shadow-lg"
             initial={{ opacity: 0, scale: 0.9 }}
             animate={{ opacity: 1, scale: 1 }}
             transition={{ duration: 0.8 }}
           >
-            <FaSearch className="text-gray-500 mr-2" />
+            <FaSearch className="text-gray-500" />
             <input 
               type="text" 
-              placeholder="Search by location, price..." 
+              placeholder="Search by location, estate, property..." 
               value={search} 
               onChange={(e) => setSearch(e.target.value)}
-              className="w-full outline-none text-gray-700"
+              className="flex-1 min-w-[10rem] outline-none text-gray-700"
+            />
+            <input
+              type="number"
+              min="0"
+              step="1000"
+              placeholder="Max rent"
+              value={maxRent}
+              onChange={(e) => setMaxRent(e.target.value)}
+              className="w-28 border-l pl-2 outline-none text-gray-700"
             />
-            <button className="ml-3 bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600">Search</button>
-          </motion.div>
+            <select
+              value={bedrooms}
+              onChange={(e) => setBedrooms(e.target.value)}
+              className="border-l pl-2 outline-none text-gray-700 bg-white"
+            >
+              <option value="">Any beds</option>
+              {[1, 2, 3, 4].map((n) => (
+                <option key={n} value={n}>{n}+ beds</option>
+              ))}
+            </select>
+            <button type="submit" className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600">Search</button>
+          </motion.form>
         </div>
       </div>
 
       {/* Featured Properties Section */}
       <section className="py-16 px-6">
-        <h2 className="text-3xl font-bold text-center mb-8">Featured Properties</h2>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-          {[1, 2, 3].map((item) => (
-            <motion.div 
-              key={item} 
-              className="bg-white p-4 shadow-lg rounded-lg"
-              whileHover={{ scale: 1.05 }}
+        <h2 className="text-3xl font-bold text-center mb-8">
+          {Object.keys(query).length ? "Search Results" : "Featured Properties"}
+        </h2>
+        {loading ? (
+          <p className="text-center text-gray-500">Loading properties...</p>
+        ) : error ? (
+          <p className="text-center text-red-600">{error}</p>
+        ) : listings.length === 0 ? (
+          <p className="text-center text-gray-500">No vacant units match your search.</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {listings.map((unit) => (
+              <motion.div 
+                key={unit._id} 
+                className="bg-white p-4 shadow-lg rounded-lg"
+                whileHover={{ scale: 1.05 }}
+              >
+                <img src={coverImage(unit)} alt={unit.listing.title} loading="lazy" className="w-full h-48 object-cover rounded-lg" />
+                <h3 className="text-xl font-semibold mt-4">{unit.listing.title}</h3>
+                <p className="text-sm text-gray-500 flex items-center gap-1">
+                  <FaMapMarkerAlt /> {unit.listing.area ? `${unit.listing.area}, ${unit.listing.city}` : unit.listing.city}
+                </p>
+                <p className="text-sm text-gray-500 flex items-center gap-1">
+                  <FaBed /> {describeUnit(unit)}
+                </p>
+                <p className="text-gray-600 mt-1">{formatRent(unit.rent)} / month</p>
+              </motion.div>
+            ))}
+          </div>
+        )}
+        {totalPages > 1 && (
+          <div className="flex justify-center items-center gap-4 mt-8">
+            <button
+              onClick={() => setPage((p) => p - 1)}
+              disabled={page === 1 || loading}
+              className="px-4 py-2 rounded-lg bg-white shadow disabled:opacity-50"
             >
-              <img src={`/assets/property-${item}.jpg`} alt="Property" className="w-full h-48 object-cover rounded-lg" />
-              <h3 className="text-xl font-semibold mt-4">Luxury Apartment {item}</h3>
-              <p className="text-gray-600">ksh. 1,500 / month</p>
-            </motion.div>
-          ))}
-        </div>
+              Previous
+            </button>
+            <span className="text-gray-600">Page {page} of {totalPages}</span>
+            <button
+              onClick={() => setPage((p) => p + 1)}
+              disabled={page === totalPages || loading}
+              className="px-4 py-2 rounded-lg bg-white shadow disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        )}
       </section>
 
       {/* AI-Powered Property Recommendations */}